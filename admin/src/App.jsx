@@ -3,6 +3,7 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import Layout from './components/Layout.jsx';
 import Dashboard from './pages/Dashboard.jsx';
 import Transactions from './pages/Transactions.jsx';
+import Disputes from './pages/Disputes.jsx';
 import Settings from './pages/Settings.jsx';
 
 function App() {
@@ -12,6 +13,7 @@ function App() {
         <Routes>
           <Route path="/" element={<Dashboard />} />
           <Route path="/transactions" element={<Transactions />} />
+          <Route path="/disputes" element={<Disputes />} />
           <Route path="/settings" element={<Settings />} />
         </Routes>
       </Layout>
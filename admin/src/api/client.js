@@ -5,35 +5,39 @@
 const API_BASE_URL = import.meta.env.VITE_API_URL || '/api/admin';
 
 /**
- * Get shop domain and host from URL params
+ * Get host from URL params
  */
-function getShopParams() {
-  const params = new URLSearchParams(window.location.search);
-  return {
-    shop: params.get('shop'),
-    host: params.get('host')
-  };
+function getHost() {
+  return new URLSearchParams(window.location.search).get('host');
+}
+
+/**
+ * Get a session token from App Bridge
+ * Tokens last a minute, so a fresh one is fetched for every request.
+ */
+async function getSessionToken() {
+  if (window.shopify?.idToken) {
+    return window.shopify.idToken();
+  }
+
+  return window.sessionToken || localStorage.getItem('sessionToken');
 }
 
 /**
  * Get auth headers
+ * The server takes the shop from the session token, never from a header.
  */
-function getAuthHeaders() {
-  const { shop, host } = getShopParams();
+async function getAuthHeaders() {
+  const host = getHost();
   const headers = {
     'Content-Type': 'application/json'
   };
 
-  if (shop) {
-    headers['x-shopify-shop-domain'] = shop;
-  }
-
   if (host) {
     headers['x-shopify-host'] = host;
   }
 
-  // In production, get session token from App Bridge
-  const sessionToken = window.sessionToken || localStorage.getItem('sessionToken');
+  const sessionToken = await getSessionToken();
   if (sessionToken) {
     headers['Authorization'] = `Bearer ${sessionToken}`;
   }
@@ -46,20 +50,26 @@ function getAuthHeaders() {
  */
 async function request(endpoint, options = {}) {
   const url = `${API_BASE_URL}${endpoint}`;
-  const headers = {
-    ...getAuthHeaders(),
-    ...options.headers
-  };
-
-  const config = {
-    ...options,
-    headers
-  };
 
   try {
+    const headers = {
+      ...(await getAuthHeaders()),
+      ...options.headers
+    };
+
+    const config = {
+      ...options,
+      headers
+    };
+
     const response = await fetch(url, config);
     const data = await response.json();
 
+    // Installed before a release that needs more scopes, or uninstalled
+    if (data.error?.code === 'REAUTHORIZATION_REQUIRED') {
+      window.top.location.href = data.error.reauthorizeUrl;
+    }
+
     if (!response.ok) {
       throw new Error(data.error?.message || 'API request failed');
     }
@@ -93,8 +103,80 @@ export const api = {
       body: JSON.stringify({ transactionId, amount, reason })
     }),
 
-  // Stores
-  getStores: () => request('/stores'),
+  // Merchant alerts
+  getAlerts: () => request('/alerts'),
+
+  refundAlert: (alertId) =>
+    request(`/alerts/${alertId}/refund`, {
+      method: 'POST'
+    }),
+
+  retryAlertOrder: (alertId) =>
+    request(`/alerts/${alertId}/retry-order`, {
+      method: 'POST'
+    }),
+
+  dismissAlert: (alertId) =>
+    request(`/alerts/${alertId}/dismiss`, {
+      method: 'POST'
+    }),
+
+  // Background jobs
+  getJobs: (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return request(`/jobs?${query}`);
+  },
+
+  getJob: (id) => request(`/jobs/${id}`),
+
+  retryJob: (id) =>
+    request(`/jobs/${id}/retry`, {
+      method: 'POST'
+    }),
+
+  // Disputes
+  getDisputes: (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return request(`/disputes?${query}`);
+  },
+
+  getDispute: (id) => request(`/disputes/${id}`),
+
+  saveDisputeEvidence: (id, evidence) =>
+    request(`/disputes/${id}/evidence`, {
+      method: 'PUT',
+      body: JSON.stringify({ evidence })
+    }),
+
+  submitDisputeEvidence: (id, evidence) =>
+    request(`/disputes/${id}/submit`, {
+      method: 'POST',
+      body: JSON.stringify({ evidence })
+    }),
+
+  // Webhook inbox
+  getWebhooks: (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return request(`/webhooks?${query}`);
+  },
+
+  getWebhook: (id) => request(`/webhooks/${id}`),
+
+  replayWebhook: (id) =>
+    request(`/webhooks/${id}/replay`, {
+      method: 'POST'
+    }),
+
+  // Currency metadata
+  getCurrencies: () => request('/currencies'),
+
+  // Stripe Connect
+  getStripeAccount: () => request('/stripe/account'),
+
+  connectStripe: () =>
+    request('/stripe/connect', {
+      method: 'POST'
+    }),
 
   // Settings
   updateSettings: (settings) =>
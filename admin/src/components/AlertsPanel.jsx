@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { formatCurrency } from '../utils/currency.js';
+
+function AlertsPanel({ alerts, onRefund, onRetryOrder, onDismiss }) {
+  const [busyId, setBusyId] = useState(null);
+
+  if (!alerts || alerts.length === 0) {
+    return null;
+  }
+
+  const run = async (alertId, action) => {
+    setBusyId(alertId);
+    try {
+      await action(alertId);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const severityStyles = {
+    critical: 'bg-red-50 border-red-200 text-red-800',
+    warning: 'bg-yellow-50 border-yellow-200 text-yellow-800',
+    info: 'bg-blue-50 border-blue-200 text-blue-800'
+  };
+
+  return (
+    <div className="space-y-3">
+      {alerts.map((alert) => (
+        <div
+          key={alert.id}
+          className={`border px-4 py-3 rounded ${severityStyles[alert.severity] || severityStyles.warning}`}
+        >
+          <div className="flex justify-between items-start">
+            <div>
+              <p className="text-sm font-medium">{alert.message}</p>
+              <p className="mt-1 text-xs opacity-75">
+                {alert.transaction_id && `Transaction #${alert.transaction_id} · `}
+                {new Date(alert.created_at).toLocaleString()}
+              </p>
+            </div>
+            <div className="flex space-x-2 ml-4 shrink-0">
+              {alert.type === 'order_creation_failed' && (
+                <button
+                  onClick={() => run(alert.id, onRetryOrder)}
+                  disabled={busyId === alert.id}
+                  className="text-sm font-medium text-indigo-600 hover:text-indigo-900 disabled:opacity-50"
+                >
+                  Retry Order
+                </button>
+              )}
+              {alert.data?.refundOffer && (
+                <button
+                  onClick={() => run(alert.id, onRefund)}
+                  disabled={busyId === alert.id}
+                  className="text-sm font-medium text-red-600 hover:text-red-900 disabled:opacity-50"
+                >
+                  Refund {formatCurrency(alert.data.refundOffer.amount, alert.data.refundOffer.currency)}
+                </button>
+              )}
+              <button
+                onClick={() => run(alert.id, onDismiss)}
+                disabled={busyId === alert.id}
+                className="text-sm font-medium text-gray-600 hover:text-gray-900 disabled:opacity-50"
+              >
+                Dismiss
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default AlertsPanel;
@@ -23,6 +23,12 @@ function Layout({ children }) {
                 >
                   Transactions
                 </a>
+                <a
+                  href="/disputes"
+                  className="border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300 inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium"
+                >
+                  Disputes
+                </a>
                 <a
                   href="/settings"
                   className="border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300 inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium"
@@ -1,16 +1,19 @@
 import React, { useState } from 'react';
+import { formatCurrency, fromMinorUnits, toMinorUnits } from '../utils/currency.js';
 
 function RefundModal({ transaction, onClose, onConfirm }) {
   const [amount, setAmount] = useState('');
   const [reason, setReason] = useState('requested_by_customer');
   const [loading, setLoading] = useState(false);
 
-  const maxRefund = transaction.total_amount / 100;
+  const currency = transaction.currency || 'USD';
+  const maxRefund = fromMinorUnits(transaction.total_amount, currency);
+  const smallestUnit = fromMinorUnits(1, currency);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    const refundAmount = parseFloat(amount) * 100; // Convert to cents
+    const refundAmount = toMinorUnits(parseFloat(amount), currency);
     
     if (isNaN(refundAmount) || refundAmount <= 0) {
       alert('Please enter a valid amount');
@@ -18,7 +21,7 @@ function RefundModal({ transaction, onClose, onConfirm }) {
     }
 
     if (refundAmount > transaction.total_amount) {
-      alert(`Refund amount cannot exceed ${maxRefund.toFixed(2)}`);
+      alert(`Refund amount cannot exceed ${formatCurrency(transaction.total_amount, currency)}`);
       return;
     }
 
@@ -54,18 +57,18 @@ function RefundModal({ transaction, onClose, onConfirm }) {
                   Transaction Amount
                 </label>
                 <p className="text-lg font-semibold">
-                  ${(transaction.total_amount / 100).toFixed(2)}
+                  {formatCurrency(transaction.total_amount, currency)}
                 </p>
               </div>
 
               <div className="mb-4">
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Refund Amount ($)
+                  Refund Amount ({currency})
                 </label>
                 <input
                   type="number"
-                  step="0.01"
-                  min="0.01"
+                  step={smallestUnit}
+                  min={smallestUnit}
                   max={maxRefund}
                   value={amount}
                   onChange={(e) => setAmount(e.target.value)}
@@ -73,7 +76,7 @@ function RefundModal({ transaction, onClose, onConfirm }) {
                   required
                 />
                 <p className="mt-1 text-sm text-gray-500">
-                  Maximum: ${maxRefund.toFixed(2)}
+                  Maximum: {formatCurrency(transaction.total_amount, currency)}
                 </p>
               </div>
 
@@ -1,17 +1,11 @@
 import React from 'react';
+import { formatCurrency } from '../utils/currency.js';
 
 function StoreStats({ stats }) {
   if (!stats) {
     return <div>Loading stats...</div>;
   }
 
-  const formatCurrency = (cents) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(cents / 100);
-  };
-
   const statCards = [
     {
       title: 'Total Transactions',
@@ -25,12 +19,12 @@ function StoreStats({ stats }) {
     },
     {
       title: 'Total Volume',
-      value: formatCurrency(stats.totalVolume || 0),
+      value: formatCurrency(stats.totalVolume || 0, stats.currency || 'USD'),
       color: 'bg-purple-500'
     },
     {
-      title: 'Active Stores',
-      value: stats.activeStores || 0,
+      title: 'Failed Transactions',
+      value: stats.failedTransactions || 0,
       color: 'bg-orange-500'
     }
   ];
@@ -1,13 +1,7 @@
 import React from 'react';
+import { formatCurrency } from '../utils/currency.js';
 
 function TransactionTable({ transactions, onViewDetails, onRefund }) {
-  const formatCurrency = (cents, currency = 'USD') => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency
-    }).format(cents / 100);
-  };
-
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString();
   };
@@ -18,6 +12,9 @@ function TransactionTable({ transactions, onViewDetails, onRefund }) {
       failed: 'bg-red-100 text-red-800',
       pending: 'bg-yellow-100 text-yellow-800',
       processing: 'bg-blue-100 text-blue-800',
+      requires_action: 'bg-purple-100 text-purple-800',
+      authorized: 'bg-indigo-100 text-indigo-800',
+      awaiting_replacement: 'bg-amber-100 text-amber-800',
       refunded: 'bg-gray-100 text-gray-800',
       partially_refunded: 'bg-orange-100 text-orange-800'
     };
@@ -2,11 +2,13 @@ import React, { useState, useEffect } from 'react';
 import StoreStats from '../components/StoreStats.jsx';
 import TransactionTable from '../components/TransactionTable.jsx';
 import RefundModal from '../components/RefundModal.jsx';
+import AlertsPanel from '../components/AlertsPanel.jsx';
 import api from '../api/client.js';
 
 function Dashboard() {
   const [stats, setStats] = useState(null);
   const [transactions, setTransactions] = useState([]);
+  const [alerts, setAlerts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedTransaction, setSelectedTransaction] = useState(null);
   const [showRefundModal, setShowRefundModal] = useState(false);
@@ -19,13 +21,15 @@ function Dashboard() {
   const loadData = async () => {
     try {
       setLoading(true);
-      const [statsData, transactionsData] = await Promise.all([
+      const [statsData, transactionsData, alertsData] = await Promise.all([
         api.getStats(),
-        api.getTransactions({ page: 1, limit: 10 })
+        api.getTransactions({ page: 1, limit: 10 }),
+        api.getAlerts()
       ]);
 
       setStats(statsData.stats);
       setTransactions(transactionsData.transactions);
+      setAlerts(alertsData.alerts);
     } catch (error) {
       console.error('Error loading dashboard data:', error);
       alert('Failed to load dashboard data');
@@ -62,6 +66,18 @@ function Dashboard() {
     }
   };
 
+  const handleAlertAction = (action, confirmMessage) => async (alertId) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) return;
+
+    try {
+      await action(alertId);
+      loadData();
+    } catch (error) {
+      console.error('Error resolving alert:', error);
+      alert(error.message || 'Failed to resolve alert');
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -77,6 +93,17 @@ function Dashboard() {
         <StoreStats stats={stats} />
       </div>
 
+      {alerts.length > 0 && (
+        <div className="mb-8">
+          <AlertsPanel
+            alerts={alerts}
+            onRefund={handleAlertAction(api.refundAlert, 'Refund every card of this checkout?')}
+            onRetryOrder={handleAlertAction(api.retryAlertOrder)}
+            onDismiss={handleAlertAction(api.dismissAlert)}
+          />
+        </div>
+      )}
+
       <div className="bg-white shadow rounded-lg">
         <div className="px-4 py-5 sm:p-6">
           <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
@@ -0,0 +1,281 @@
+import React, { useState, useEffect } from 'react';
+import api from '../api/client.js';
+import { formatCurrency } from '../utils/currency.js';
+
+// Evidence fields shown in the form, in order
+const EVIDENCE_INPUTS = [
+  { field: 'uncategorized_text', label: 'Explanation', rows: 8 },
+  { field: 'product_description', label: 'Products', rows: 2 },
+  { field: 'customer_name', label: 'Customer name' },
+  { field: 'customer_email_address', label: 'Customer email' },
+  { field: 'billing_address', label: 'Billing address' },
+  { field: 'shipping_address', label: 'Shipping address' },
+  { field: 'shipping_carrier', label: 'Shipping carrier' },
+  { field: 'shipping_tracking_number', label: 'Tracking number' },
+  { field: 'shipping_date', label: 'Shipping date' },
+  { field: 'refund_policy_disclosure', label: 'Refund policy disclosure', rows: 2 }
+];
+
+const STATUS_LABELS = {
+  warning_needs_response: 'Inquiry - needs response',
+  needs_response: 'Needs response',
+  warning_under_review: 'Inquiry - under review',
+  under_review: 'Under review',
+  warning_closed: 'Inquiry closed',
+  won: 'Won',
+  lost: 'Lost'
+};
+
+function formatDueDate(dueBy) {
+  if (!dueBy) return '-';
+
+  const due = new Date(dueBy);
+  const days = Math.ceil((due - new Date()) / (24 * 60 * 60 * 1000));
+  const label = days < 0 ? 'overdue' : days === 0 ? 'today' : `${days} day${days === 1 ? '' : 's'} left`;
+
+  return `${due.toLocaleDateString()} (${label})`;
+}
+
+function Disputes() {
+  const [disputes, setDisputes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showClosed, setShowClosed] = useState(false);
+  const [details, setDetails] = useState(null);
+  const [evidence, setEvidence] = useState({});
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    loadDisputes();
+  }, [showClosed]);
+
+  const loadDisputes = async () => {
+    try {
+      setLoading(true);
+      const data = await api.getDisputes({ open: showClosed ? 'all' : 'true', limit: 50 });
+      setDisputes(data.disputes);
+    } catch (error) {
+      console.error('Error loading disputes:', error);
+      alert('Failed to load disputes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openDispute = async (disputeId) => {
+    try {
+      const data = await api.getDispute(disputeId);
+      setDetails(data);
+      setEvidence(data.evidence || {});
+    } catch (error) {
+      console.error('Error loading dispute:', error);
+      alert('Failed to load dispute');
+    }
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    try {
+      await api.saveDisputeEvidence(details.dispute.id, evidence);
+      alert('Evidence saved');
+    } catch (error) {
+      console.error('Error saving evidence:', error);
+      alert(error.message || 'Failed to save evidence');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (!confirm('Submit this evidence to Stripe? Evidence can only be submitted once.')) {
+      return;
+    }
+
+    setBusy(true);
+    try {
+      await api.submitDisputeEvidence(details.dispute.id, evidence);
+      alert('Evidence submitted');
+      setDetails(null);
+      loadDisputes();
+    } catch (error) {
+      console.error('Error submitting evidence:', error);
+      alert(error.message || 'Failed to submit evidence');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="text-gray-500">Loading...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="px-4 py-6 sm:px-0">
+      <div className="mb-6 flex justify-between items-center">
+        <h2 className="text-2xl font-bold text-gray-900">Disputes</h2>
+
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={showClosed}
+            onChange={(e) => setShowClosed(e.target.checked)}
+            className="mr-2"
+          />
+          Show closed disputes
+        </label>
+      </div>
+
+      <div className="bg-white shadow rounded-lg mb-6">
+        <div className="px-4 py-5 sm:p-6">
+          {disputes.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              No disputes
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Card</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Evidence Due</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {disputes.map((dispute) => (
+                    <tr key={dispute.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {dispute.shopify_order_number || '-'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {dispute.card_brand ? `${dispute.card_brand} ****${dispute.card_last_four}` : '-'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {formatCurrency(dispute.amount, dispute.currency)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {dispute.reason?.replace(/_/g, ' ')}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {STATUS_LABELS[dispute.status] || dispute.status}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {dispute.closed_at ? '-' : formatDueDate(dispute.evidence_due_by)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <button
+                          onClick={() => openDispute(dispute.id)}
+                          className="text-indigo-600 hover:text-indigo-900"
+                        >
+                          {dispute.closed_at ? 'View' : 'Respond'}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {details && (
+        <div className="bg-white shadow rounded-lg">
+          <div className="px-4 py-5 sm:p-6">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">
+                  Dispute on order {details.transaction?.shopify_order_number || '-'}
+                </h3>
+                <p className="text-sm text-gray-500">
+                  {formatCurrency(details.dispute.amount, details.dispute.currency)} · {STATUS_LABELS[details.dispute.status] || details.dispute.status}
+                  {details.dispute.evidence_submitted_at && ` · Evidence submitted ${new Date(details.dispute.evidence_submitted_at).toLocaleDateString()}`}
+                </p>
+              </div>
+              <button
+                onClick={() => setDetails(null)}
+                className="text-sm text-gray-500 hover:text-gray-700"
+              >
+                Close
+              </button>
+            </div>
+
+            <h4 className="text-sm font-medium text-gray-900 mb-2">Cards on this order</h4>
+            <ul className="mb-6 divide-y divide-gray-200 border border-gray-200 rounded-md">
+              {details.payments.map((payment) => (
+                <li
+                  key={payment.id}
+                  className={`px-4 py-2 flex justify-between text-sm ${payment.id === details.dispute.payment_id ? 'bg-red-50' : ''}`}
+                >
+                  <span>
+                    {payment.card_brand ? `${payment.card_brand} ****${payment.card_last_four}` : 'Card'}
+                    {payment.id === details.dispute.payment_id && (
+                      <span className="ml-2 text-red-700 font-medium">Disputed</span>
+                    )}
+                  </span>
+                  <span className="text-gray-700">
+                    {formatCurrency(payment.amount, details.transaction.currency)} · {payment.status}
+                  </span>
+                </li>
+              ))}
+            </ul>
+
+            <h4 className="text-sm font-medium text-gray-900 mb-2">Evidence</h4>
+            <div className="space-y-4">
+              {EVIDENCE_INPUTS.map(({ field, label, rows }) => (
+                <div key={field}>
+                  <label className="block text-sm font-medium text-gray-700">{label}</label>
+                  {rows ? (
+                    <textarea
+                      rows={rows}
+                      value={evidence[field] || ''}
+                      onChange={(e) => setEvidence({ ...evidence, [field]: e.target.value })}
+                      disabled={!details.canSubmit}
+                      className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                  ) : (
+                    <input
+                      type="text"
+                      value={evidence[field] || ''}
+                      onChange={(e) => setEvidence({ ...evidence, [field]: e.target.value })}
+                      disabled={!details.canSubmit}
+                      className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {details.canSubmit && (
+              <div className="mt-6 flex justify-end space-x-3">
+                <button
+                  onClick={handleSave}
+                  disabled={busy}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Save Draft
+                </button>
+                <button
+                  onClick={handleSubmit}
+                  disabled={busy}
+                  className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  Submit to Stripe
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Disputes;
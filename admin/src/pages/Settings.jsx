@@ -4,16 +4,50 @@ import api from '../api/client.js';
 function Settings() {
   const [settings, setSettings] = useState({
     maxCards: 5,
-    minAmount: 100
+    minAmount: 100,
+    captureMode: 'immediate',
+    holdExpiryAction: 'void',
+    declineMode: 'void_all',
+    replaceCardGraceMinutes: 10,
+    chargeType: 'destination',
+    orderFailureAction: 'offer_refund',
+    fraudWarningAction: 'flag',
+    fraudWarningCancelOrder: false,
+    sessionBinding: 'none'
   });
   const [loading, setLoading] = useState(false);
   const [saved, setSaved] = useState(false);
+  const [stripeAccount, setStripeAccount] = useState(null);
+  const [connecting, setConnecting] = useState(false);
 
   useEffect(() => {
     // In production, load settings from API
     // For now, use defaults
+    loadStripeAccount();
   }, []);
 
+  const loadStripeAccount = async () => {
+    try {
+      const data = await api.getStripeAccount();
+      setStripeAccount(data.account);
+    } catch (error) {
+      console.error('Error loading Stripe account:', error);
+    }
+  };
+
+  const handleConnectStripe = async () => {
+    setConnecting(true);
+
+    try {
+      const data = await api.connectStripe();
+      window.top.location.href = data.url;
+    } catch (error) {
+      console.error('Error starting Stripe onboarding:', error);
+      alert('Failed to start Stripe onboarding');
+      setConnecting(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -35,6 +69,33 @@ function Settings() {
     <div className="px-4 py-6 sm:px-0">
       <h2 className="text-2xl font-bold text-gray-900 mb-6">Settings</h2>
 
+      <div className="bg-white shadow rounded-lg mb-6">
+        <div className="px-4 py-5 sm:p-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-2">Stripe Account</h3>
+          {stripeAccount?.chargesEnabled ? (
+            <p className="text-sm text-gray-500">
+              Connected as <span className="font-mono">{stripeAccount.accountId}</span>. Payments are paid out to this account.
+            </p>
+          ) : (
+            <div>
+              <p className="text-sm text-gray-500 mb-4">
+                {stripeAccount?.connected
+                  ? 'Finish setting up your Stripe account to start accepting split payments.'
+                  : 'Connect a Stripe account to receive the funds from split payments.'}
+              </p>
+              <button
+                type="button"
+                onClick={handleConnectStripe}
+                disabled={connecting}
+                className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+              >
+                {connecting ? 'Redirecting...' : stripeAccount?.connected ? 'Continue Stripe Setup' : 'Connect with Stripe'}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
       <div className="bg-white shadow rounded-lg">
         <form onSubmit={handleSubmit}>
           <div className="px-4 py-5 sm:p-6 space-y-6">
@@ -60,11 +121,11 @@ function Settings() {
 
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Minimum Amount per Card (cents)
+                Minimum Amount per Card (minor units)
               </label>
               <input
                 type="number"
-                min="100"
+                min="1"
                 value={settings.minAmount}
                 onChange={(e) =>
                   setSettings({ ...settings, minAmount: parseInt(e.target.value, 10) })
@@ -73,7 +134,163 @@ function Settings() {
                 required
               />
               <p className="mt-1 text-sm text-gray-500">
-                Minimum amount in cents (e.g., 100 = $1.00)
+                Minimum in the currency's smallest unit (e.g., 100 = $1.00, 100 = ¥100). Stripe's own minimum for the checkout currency always applies.
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Capture Mode
+              </label>
+              <select
+                value={settings.captureMode}
+                onChange={(e) => setSettings({ ...settings, captureMode: e.target.value })}
+                className="shadow-sm focus:ring-indigo-500 focus:border-indigo-500 block w-full sm:text-sm border-gray-300 rounded-md p-2 border"
+              >
+                <option value="immediate">Capture at checkout</option>
+                <option value="on_fulfillment">Capture when the order is fulfilled</option>
+              </select>
+              <p className="mt-1 text-sm text-gray-500">
+                Holding funds until fulfillment suits made-to-order products
+              </p>
+            </div>
+
+            {settings.captureMode === 'on_fulfillment' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  When a Hold Is About to Expire
+                </label>
+                <select
+                  value={settings.holdExpiryAction}
+                  onChange={(e) => setSettings({ ...settings, holdExpiryAction: e.target.value })}
+                  className="shadow-sm focus:ring-indigo-500 focus:border-indigo-500 block w-full sm:text-sm border-gray-300 rounded-md p-2 border"
+                >
+                  <option value="void">Void the holds</option>
+                  <option value="reauthorize">Re-authorize the cards</option>
+                </select>
+                <p className="mt-1 text-sm text-gray-500">
+                  Card authorizations expire after 7 days
+                </p>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Charge Type
+              </label>
+              <select
+                value={settings.chargeType}
+                onChange={(e) => setSettings({ ...settings, chargeType: e.target.value })}
+                className="shadow-sm focus:ring-indigo-500 focus:border-indigo-500 block w-full sm:text-sm border-gray-300 rounded-md p-2 border"
+              >
+                <option value="destination">Destination charges (charged by the app, paid out to you)</option>
+                <option value="direct">Direct charges (charged on your Stripe account)</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                When a Card Is Declined
+              </label>
+              <select
+                value={settings.declineMode}
+                onChange={(e) => setSettings({ ...settings, declineMode: e.target.value })}
+                className="shadow-sm focus:ring-indigo-500 focus:border-indigo-500 block w-full sm:text-sm border-gray-300 rounded-md p-2 border"
+              >
+                <option value="void_all">Void all cards and start over</option>
+                <option value="replace_card">Let the customer replace the declined card</option>
+              </select>
+            </div>
+
+            {settings.declineMode === 'replace_card' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Replacement Grace Period (minutes)
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  max="60"
+                  value={settings.replaceCardGraceMinutes}
+                  onChange={(e) =>
+                    setSettings({ ...settings, replaceCardGraceMinutes: parseInt(e.target.value, 10) })
+                  }
+                  className="shadow-sm focus:ring-indigo-500 focus:border-indigo-500 block w-full sm:text-sm border-gray-300 rounded-md p-2 border"
+                  required
+                />
+                <p className="mt-1 text-sm text-gray-500">
+                  The other cards stay on hold until then, and are voided if no replacement is added
+                </p>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                If a Paid Order Can't Be Created in Shopify
+              </label>
+              <select
+                value={settings.orderFailureAction}
+                onChange={(e) => setSettings({ ...settings, orderFailureAction: e.target.value })}
+                className="shadow-sm focus:ring-indigo-500 focus:border-indigo-500 block w-full sm:text-sm border-gray-300 rounded-md p-2 border"
+              >
+                <option value="offer_refund">Alert me and offer a refund</option>
+                <option value="refund">Refund the customer automatically and alert me</option>
+              </select>
+              <p className="mt-1 text-sm text-gray-500">
+                Order creation is retried for several hours before this applies
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                When Stripe Warns a Card May Be Fraudulent
+              </label>
+              <select
+                value={settings.fraudWarningAction}
+                onChange={(e) => setSettings({ ...settings, fraudWarningAction: e.target.value })}
+                className="shadow-sm focus:ring-indigo-500 focus:border-indigo-500 block w-full sm:text-sm border-gray-300 rounded-md p-2 border"
+              >
+                <option value="flag">Alert me to review the order</option>
+                <option value="refund_leg">Refund the flagged card and alert me</option>
+                <option value="refund_all">Refund every card on the order and alert me</option>
+              </select>
+              <p className="mt-1 text-sm text-gray-500">
+                Refunding a flagged charge early usually avoids a chargeback and its fee
+              </p>
+            </div>
+
+            {settings.fraudWarningAction !== 'flag' && (
+              <div>
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={settings.fraudWarningCancelOrder}
+                    onChange={(e) => setSettings({ ...settings, fraudWarningCancelOrder: e.target.checked })}
+                    className="mr-2"
+                  />
+                  Also cancel the Shopify order
+                </label>
+                <p className="mt-1 text-sm text-gray-500">
+                  Cancelling refunds whatever is left on the other cards too
+                </p>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Checkout Session Binding
+              </label>
+              <select
+                value={settings.sessionBinding}
+                onChange={(e) => setSettings({ ...settings, sessionBinding: e.target.value })}
+                className="shadow-sm focus:ring-indigo-500 focus:border-indigo-500 block w-full sm:text-sm border-gray-300 rounded-md p-2 border"
+              >
+                <option value="none">Any browser with the session</option>
+                <option value="user_agent">Only the browser that started checkout</option>
+                <option value="ip_and_user_agent">Only that browser on the same network</option>
+              </select>
+              <p className="mt-1 text-sm text-gray-500">
+                Binding to the network can interrupt customers whose connection changes mid-checkout
               </p>
             </div>
 
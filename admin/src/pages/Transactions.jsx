@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import TransactionTable from '../components/TransactionTable.jsx';
 import RefundModal from '../components/RefundModal.jsx';
 import api from '../api/client.js';
+import { formatCurrency } from '../utils/currency.js';
 
 function Transactions() {
   const [transactions, setTransactions] = useState([]);
@@ -44,10 +45,10 @@ function Transactions() {
       const data = await api.getTransaction(transactionId);
       // Show details in alert (in production, use a modal)
       const paymentsInfo = data.payments.map(p => 
-        `${p.card_brand} ****${p.card_last_four}: $${(p.amount / 100).toFixed(2)}`
+        `${p.card_brand} ****${p.card_last_four}: ${formatCurrency(p.amount, data.transaction.currency)}`
       ).join('\n');
       
-      alert(`Transaction Details:\n\nOrder: ${data.transaction.shopify_order_number}\nStatus: ${data.transaction.status}\nTotal: $${(data.transaction.total_amount / 100).toFixed(2)}\n\nPayments:\n${paymentsInfo}`);
+      alert(`Transaction Details:\n\nOrder: ${data.transaction.shopify_order_number}\nStatus: ${data.transaction.status}\nTotal: ${formatCurrency(data.transaction.total_amount, data.transaction.currency)}\n\nPayments:\n${paymentsInfo}`);
     } catch (error) {
       console.error('Error loading transaction details:', error);
       alert('Failed to load transaction details');
@@ -93,6 +94,7 @@ function Transactions() {
         >
           <option value="">All Statuses</option>
           <option value="completed">Completed</option>
+          <option value="authorized">Authorized</option>
           <option value="failed">Failed</option>
           <option value="pending">Pending</option>
           <option value="refunded">Refunded</option>
@@ -0,0 +1,62 @@
+import api from '../api/client.js';
+
+/**
+ * Currency helpers for admin display
+ * Amounts from the API are integers in the currency's minor unit. Metadata
+ * comes from the server's currency table; Intl's ISO decimals cover the rest.
+ */
+
+let currencies = {};
+
+/**
+ * Load currency metadata from the server (call once at startup)
+ */
+export async function loadCurrencies() {
+  try {
+    const data = await api.getCurrencies();
+    currencies = data.currencies || {};
+  } catch (error) {
+    console.error('Error loading currencies:', error);
+  }
+}
+
+/**
+ * Number of decimals in the currency's minor unit
+ */
+export function getMinorUnits(currency = 'USD') {
+  const code = currency.toUpperCase();
+  if (currencies[code]) {
+    return currencies[code].minorUnits;
+  }
+
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: code })
+    .resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Convert minor units to a major-unit amount
+ */
+export function fromMinorUnits(amount, currency = 'USD') {
+  return amount / Math.pow(10, getMinorUnits(currency));
+}
+
+/**
+ * Convert a major-unit amount to minor units
+ */
+export function toMinorUnits(amount, currency = 'USD') {
+  return Math.round(amount * Math.pow(10, getMinorUnits(currency)));
+}
+
+/**
+ * Format minor units as a currency string
+ */
+export function formatCurrency(amount, currency = 'USD') {
+  const minorUnits = getMinorUnits(currency);
+
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: minorUnits,
+    maximumFractionDigits: minorUnits
+  }).format(fromMinorUnits(amount, currency));
+}
@@ -65,17 +65,9 @@ async function runMigration(migration) {
 
   const sql = fs.readFileSync(migration.path, 'utf8');
 
-  // Split by semicolons and execute each statement
-  const statements = sql
-    .split(';')
-    .map(s => s.trim())
-    .filter(s => s.length > 0 && !s.startsWith('--'));
-
-  for (const statement of statements) {
-    if (statement.trim()) {
-      await query(statement);
-    }
-  }
+  // Execute the whole file in one round trip. Splitting on semicolons breaks
+  // $$-quoted function bodies and drops statements that follow a comment line.
+  await query(sql);
 
   await recordMigration(migration.version);
   logger.info(`Migration ${migration.filename} completed`, { version: migration.version });
@@ -0,0 +1,41 @@
+import { getPool } from '../server/config/database.js';
+import { getEncryptionKeys } from '../server/config/encryption.js';
+import { logger } from '../server/utils/logger.js';
+import * as storeQueries from '../server/db/queries/stores.js';
+
+/**
+ * Re-encrypt stored secrets under the active encryption key
+ * Run after putting a new key first in ENCRYPTION_KEYS, then drop the old key
+ * once this reports nothing left. Safe to run again.
+ */
+
+async function reencrypt() {
+  try {
+    const { activeKeyId } = getEncryptionKeys();
+    logger.info('Re-encrypting access tokens...', { activeKeyId });
+
+    const { updated, total } = await storeQueries.reencryptAccessTokens(activeKeyId);
+
+    logger.info('Access tokens re-encrypted', { activeKeyId, updated, skipped: total - updated });
+
+    if (updated < total) {
+      logger.warn('Some stores changed during the run; run again to finish them');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    logger.error('Re-encryption failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    process.exitCode = 1;
+  } finally {
+    await getPool().end();
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  reencrypt();
+}
+
+export { reencrypt };
@@ -22,6 +22,13 @@ async function seed() {
       }
     );
 
+    // Pretend the merchant finished Stripe Connect onboarding
+    await storeQueries.setStripeAccount(store.id, 'acct_test_12345');
+    await storeQueries.updateStripeAccountStatus('acct_test_12345', {
+      chargesEnabled: true,
+      detailsSubmitted: true
+    });
+
     logger.info('Created test store', { storeId: store.id });
 
     // Create test transactions
@@ -54,6 +61,7 @@ async function seed() {
 
       // Mark some as completed
       if (i < 3) {
+        await transactionQueries.updateTransactionStatus(transaction.id, 'processing');
         await transactionQueries.updateTransactionStatus(transaction.id, 'completed');
         await transactionQueries.updateTransactionOrder(
           transaction.id,
@@ -0,0 +1,36 @@
+/**
+ * Master keys for encrypting secrets at rest
+ * ENCRYPTION_KEYS lists comma-separated `keyId:base64Key` pairs, each key 32
+ * random bytes. The first encrypts; the rest stay to decrypt rows written
+ * before a rotation until `npm run reencrypt` has moved them to the first.
+ */
+
+let keyring = null;
+
+export function getEncryptionKeys() {
+  if (!keyring) {
+    const value = process.env.ENCRYPTION_KEYS;
+
+    if (!value) {
+      throw new Error('ENCRYPTION_KEYS environment variable is required');
+    }
+
+    const keys = new Map();
+
+    for (const entry of value.split(',').map(s => s.trim()).filter(Boolean)) {
+      const separator = entry.indexOf(':');
+      const keyId = entry.slice(0, separator).trim();
+      const key = Buffer.from(entry.slice(separator + 1).trim(), 'base64');
+
+      if (separator < 1 || key.length !== 32) {
+        throw new Error('Each ENCRYPTION_KEYS entry must be keyId:base64 of 32 bytes');
+      }
+
+      keys.set(keyId, key);
+    }
+
+    keyring = { activeKeyId: keys.keys().next().value, keys };
+  }
+
+  return keyring;
+}
@@ -39,3 +39,16 @@ export function getShopifyScopes() {
     .map(s => s.trim());
 }
 
+/**
+ * Secrets that may have signed a Shopify webhook
+ * The current SHOPIFY_API_SECRET first, then any comma-separated
+ * SHOPIFY_API_SECRET_PREVIOUS, which keeps webhooks signed before a secret
+ * rotation verifiable until they stop arriving.
+ */
+export function getShopifyWebhookSecrets() {
+  return [process.env.SHOPIFY_API_SECRET, process.env.SHOPIFY_API_SECRET_PREVIOUS]
+    .filter(Boolean)
+    .flatMap(value => value.split(','))
+    .map(s => s.trim())
+    .filter(Boolean);
+}
@@ -35,13 +35,23 @@ export function getStripePublicKey() {
   return publicKey;
 }
 
-export function getStripeWebhookSecret() {
-  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-  
-  if (!webhookSecret) {
+/**
+ * Signing secrets for Stripe webhooks
+ * STRIPE_WEBHOOK_SECRET signs the platform endpoint and
+ * STRIPE_CONNECT_WEBHOOK_SECRET the Connect endpoint. Each may list several
+ * comma-separated secrets, so a new one can be added before the old one is
+ * rolled off.
+ */
+export function getStripeWebhookSecrets() {
+  const secrets = [process.env.STRIPE_WEBHOOK_SECRET, process.env.STRIPE_CONNECT_WEBHOOK_SECRET]
+    .filter(Boolean)
+    .flatMap(value => value.split(','))
+    .map(s => s.trim())
+    .filter(Boolean);
+
+  if (secrets.length === 0) {
     logger.warn('STRIPE_WEBHOOK_SECRET not set - webhook validation will fail');
   }
 
-  return webhookSecret;
+  return secrets;
 }
-
@@ -0,0 +1,22 @@
+-- Widget sessions: Checkout sessions shared by every app instance
+CREATE TABLE widget_sessions (
+    id VARCHAR(64) PRIMARY KEY,                    -- Session ID handed to the widget
+    store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+    transaction_id INTEGER REFERENCES transactions(id) ON DELETE CASCADE,
+    shop_domain VARCHAR(255) NOT NULL,
+    shopify_checkout_token VARCHAR(255) NOT NULL,
+
+    payments JSONB NOT NULL DEFAULT '[]',          -- [{ paymentId, paymentIntentId, amount }]
+
+    status VARCHAR(50) DEFAULT 'active',           -- active, completed, expired
+    expires_at TIMESTAMP NOT NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_widget_sessions_transaction_id ON widget_sessions(transaction_id);
+CREATE INDEX idx_widget_sessions_expiry ON widget_sessions(expires_at) WHERE status = 'active';
+
+CREATE TRIGGER widget_sessions_updated_at BEFORE UPDATE ON widget_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
@@ -0,0 +1,14 @@
+-- Idempotency keys: Results of Stripe mutations, replayed on retry
+CREATE TABLE idempotency_keys (
+    key VARCHAR(255) PRIMARY KEY,                  -- Also sent to Stripe as Idempotency-Key
+    operation VARCHAR(100) NOT NULL,               -- payment_intent.create, refund.create, etc.
+    response JSONB NOT NULL,                       -- Result of the original call
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+
+-- Payment and refund rows are written before the Stripe call so their IDs
+-- can seed the idempotency key; the Stripe ID is filled in afterwards
+ALTER TABLE payments ALTER COLUMN stripe_payment_intent_id DROP NOT NULL;
+ALTER TABLE refunds ALTER COLUMN stripe_refund_id DROP NOT NULL;
@@ -0,0 +1,32 @@
+-- Transaction events: Append-only history of every status change
+CREATE TABLE transaction_events (
+    id BIGSERIAL PRIMARY KEY,
+    transaction_id INTEGER REFERENCES transactions(id) ON DELETE CASCADE,
+
+    entity_type VARCHAR(20) NOT NULL,              -- transaction, payment, refund
+    entity_id INTEGER NOT NULL,
+    from_status VARCHAR(50),                       -- NULL when the record is created
+    to_status VARCHAR(50) NOT NULL,
+
+    actor VARCHAR(100) NOT NULL DEFAULT 'system',  -- checkout, admin, stripe_webhook, shopify_webhook, system
+    reason TEXT,
+    stripe_object_id VARCHAR(255),                 -- PaymentIntent, refund or event ID
+    shopify_object_id VARCHAR(255),                -- Order or webhook ID
+    metadata JSONB DEFAULT '{}',
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_transaction_events_transaction_id ON transaction_events(transaction_id, created_at);
+CREATE INDEX idx_transaction_events_entity ON transaction_events(entity_type, entity_id);
+
+-- History is never rewritten
+CREATE OR REPLACE FUNCTION prevent_transaction_event_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'transaction_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER transaction_events_append_only BEFORE UPDATE ON transaction_events
+    FOR EACH ROW EXECUTE FUNCTION prevent_transaction_event_update();
@@ -0,0 +1,4 @@
+-- Lease so only one instance reconciles a stuck transaction at a time
+ALTER TABLE transactions ADD COLUMN reconcile_locked_until TIMESTAMP;
+
+CREATE INDEX idx_transactions_processing_updated_at ON transactions(updated_at) WHERE status = 'processing';
@@ -0,0 +1,4 @@
+-- Deadline for swapping in a new card after a decline; other holds are kept until then
+ALTER TABLE transactions ADD COLUMN replacement_deadline TIMESTAMP;
+
+CREATE INDEX idx_transactions_replacement_deadline ON transactions(replacement_deadline) WHERE status = 'awaiting_replacement';
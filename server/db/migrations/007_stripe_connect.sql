@@ -0,0 +1,17 @@
+-- Stripe Connect: merchants are paid through their own connected account
+
+-- Onboarding state of the store's connected account (kept in sync by account.updated)
+ALTER TABLE stores ADD COLUMN stripe_charges_enabled BOOLEAN DEFAULT false;
+ALTER TABLE stores ADD COLUMN stripe_details_submitted BOOLEAN DEFAULT false;
+ALTER TABLE stores ADD COLUMN stripe_connected_at TIMESTAMP;
+
+-- Per-store override of the platform fee; NULL falls back to the environment defaults
+ALTER TABLE stores ADD COLUMN application_fee_percent NUMERIC(5, 2);
+ALTER TABLE stores ADD COLUMN application_fee_fixed INTEGER;
+
+-- How each card was charged, so capture, cancel and refund hit the right account
+ALTER TABLE payments ADD COLUMN charge_type VARCHAR(20) DEFAULT 'platform';   -- platform, destination, direct
+ALTER TABLE payments ADD COLUMN stripe_account_id VARCHAR(255);
+ALTER TABLE payments ADD COLUMN application_fee_amount INTEGER DEFAULT 0;     -- Platform fee on this card, in cents
+
+CREATE INDEX idx_stores_stripe_account_id ON stores(stripe_account_id);
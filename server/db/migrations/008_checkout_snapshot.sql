@@ -0,0 +1,3 @@
+-- Checkout as last fetched from Shopify: totals, customer, line items, addresses
+ALTER TABLE transactions ADD COLUMN checkout_snapshot JSONB;
+ALTER TABLE transactions ADD COLUMN checkout_synced_at TIMESTAMP;
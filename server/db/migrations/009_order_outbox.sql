@@ -0,0 +1,38 @@
+-- Order outbox: Shopify orders still owed for checkouts whose cards authorized.
+-- Written before any card is captured, so a crash or Shopify outage can't
+-- leave a charged customer without an order.
+CREATE TABLE order_outbox (
+    id SERIAL PRIMARY KEY,
+    transaction_id INTEGER UNIQUE REFERENCES transactions(id) ON DELETE CASCADE,
+    store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+
+    status VARCHAR(50) DEFAULT 'pending',          -- pending, completed, failed, cancelled
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    locked_until TIMESTAMP,                        -- lease held by the instance delivering it
+    last_error TEXT,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+CREATE INDEX idx_order_outbox_due ON order_outbox(next_attempt_at) WHERE status = 'pending';
+
+-- Merchant alerts: problems a merchant has to act on, shown in the admin
+CREATE TABLE merchant_alerts (
+    id SERIAL PRIMARY KEY,
+    store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+    transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+
+    type VARCHAR(100) NOT NULL,                    -- order_creation_failed, ...
+    severity VARCHAR(20) DEFAULT 'warning',        -- info, warning, critical
+    message TEXT NOT NULL,
+    data JSONB DEFAULT '{}',
+
+    resolved_at TIMESTAMP,
+    resolution VARCHAR(100),                       -- refunded, retried, dismissed, ...
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_merchant_alerts_store_open ON merchant_alerts(store_id, created_at DESC) WHERE resolved_at IS NULL;
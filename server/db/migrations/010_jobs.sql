@@ -0,0 +1,29 @@
+-- Background jobs: typed units of work run by the job runner.
+-- Runners claim due rows with FOR UPDATE SKIP LOCKED, so any number of web
+-- or worker processes can share the queue without running a job twice.
+CREATE TABLE jobs (
+    id BIGSERIAL PRIMARY KEY,
+    type VARCHAR(100) NOT NULL,                    -- e.g. sessions.sweep
+    payload JSONB DEFAULT '{}',
+    store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,  -- NULL for app-wide jobs
+
+    status VARCHAR(50) DEFAULT 'pending',          -- pending, running, completed, failed, dead
+    run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 5,
+    last_error TEXT,
+
+    unique_key VARCHAR(255),                       -- at most one pending or running job per key
+    locked_by VARCHAR(255),
+    locked_until TIMESTAMP,                        -- lease; an expired one means the runner died
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+CREATE INDEX idx_jobs_due ON jobs(run_at) WHERE status = 'pending';
+CREATE INDEX idx_jobs_running_lease ON jobs(locked_until) WHERE status = 'running';
+CREATE INDEX idx_jobs_dead ON jobs(store_id, updated_at DESC) WHERE status = 'dead';
+CREATE INDEX idx_jobs_completed ON jobs(completed_at) WHERE status IN ('completed', 'failed');
+CREATE UNIQUE INDEX idx_jobs_unique_active ON jobs(unique_key) WHERE status IN ('pending', 'running');
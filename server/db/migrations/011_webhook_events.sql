@@ -0,0 +1,25 @@
+-- Webhook inbox: every verified Stripe event and Shopify webhook, stored
+-- before it is acknowledged. The unique key drops redeliveries; a job
+-- processes each row once and retries it on failure.
+CREATE TABLE webhook_events (
+    id SERIAL PRIMARY KEY,
+    source VARCHAR(20) NOT NULL,                   -- stripe, shopify
+    external_id VARCHAR(255) NOT NULL,             -- Stripe event ID or X-Shopify-Webhook-Id
+    topic VARCHAR(100) NOT NULL,                   -- Stripe event type or Shopify topic
+    shop_domain VARCHAR(255),
+    store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+    payload JSONB NOT NULL,
+
+    status VARCHAR(50) DEFAULT 'pending',          -- pending, processed, ignored, retrying, failed
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP,
+
+    UNIQUE (source, external_id)
+);
+
+CREATE INDEX idx_webhook_events_store ON webhook_events(store_id, received_at DESC);
+CREATE INDEX idx_webhook_events_failed ON webhook_events(store_id, updated_at DESC) WHERE status = 'failed';
@@ -0,0 +1,6 @@
+-- Ties card refunds to the Shopify refund they mirror or were recorded as,
+-- so a refund made on either side is applied to the other only once.
+ALTER TABLE refunds ADD COLUMN shopify_refund_id VARCHAR(255);
+
+-- One card refund per leg for each Shopify refund
+CREATE UNIQUE INDEX idx_refunds_shopify_refund ON refunds(shopify_refund_id, payment_id) WHERE shopify_refund_id IS NOT NULL;
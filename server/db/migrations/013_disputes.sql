@@ -0,0 +1,29 @@
+-- Disputes: chargebacks on a card of a split, kept in step with Stripe's
+-- charge.dispute.* events. Evidence is drafted here and submitted to Stripe.
+CREATE TABLE disputes (
+    id SERIAL PRIMARY KEY,
+    stripe_dispute_id VARCHAR(255) UNIQUE NOT NULL,
+    store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+    transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+    stripe_charge_id VARCHAR(255),
+    stripe_payment_intent_id VARCHAR(255),
+
+    amount INTEGER NOT NULL,                       -- Disputed amount in minor units
+    currency VARCHAR(3) NOT NULL,
+    reason VARCHAR(100),                           -- fraudulent, product_not_received, ...
+    status VARCHAR(50) NOT NULL,                   -- Stripe's: needs_response, under_review, won, lost, ...
+    evidence_due_by TIMESTAMP,
+    funds_withdrawn_at TIMESTAMP,
+
+    evidence JSONB DEFAULT '{}',                   -- Draft evidence, as Stripe's evidence fields
+    evidence_submitted_at TIMESTAMP,
+
+    stripe_updated_at TIMESTAMP,                   -- Time of the last event applied; older events are skipped
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_at TIMESTAMP
+);
+
+CREATE INDEX idx_disputes_store_open ON disputes(store_id, evidence_due_by) WHERE closed_at IS NULL;
+CREATE INDEX idx_disputes_transaction_id ON disputes(transaction_id);
@@ -0,0 +1,29 @@
+-- OAuth install hardening: single-use state nonces, the scopes each store
+-- granted, and a history of installs, re-authorizations and uninstalls.
+
+-- Scopes granted at the store's last authorization, comma-separated as Shopify returns them
+ALTER TABLE stores ADD COLUMN scopes TEXT;
+UPDATE stores SET scopes = settings->>'scope' WHERE settings ? 'scope';
+
+-- State nonces of OAuth flows in progress; each is deleted when its callback uses it
+CREATE TABLE oauth_states (
+    nonce VARCHAR(64) PRIMARY KEY,
+    shop_domain VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX idx_oauth_states_expires_at ON oauth_states(expires_at);
+
+-- Store history
+CREATE TABLE store_history (
+    id SERIAL PRIMARY KEY,
+    store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+    event VARCHAR(20) NOT NULL,                    -- install, reinstall, reauthorize, uninstall
+    scopes TEXT,                                   -- Scopes granted by this authorization
+    previous_scopes TEXT,                          -- Scopes held before it
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_store_history_store_id ON store_history(store_id, created_at);
@@ -0,0 +1,5 @@
+-- Shopify access tokens are envelope-encrypted at rest (server/utils/encryption.js).
+-- The key ID names the master key that wraps the token's data key. Rows from
+-- before have no key ID and hold the token in plaintext until
+-- `npm run reencrypt` encrypts them.
+ALTER TABLE stores ADD COLUMN access_token_key_id VARCHAR(50);
@@ -0,0 +1,4 @@
+-- Lease so only one instance sweeps an expired widget session at a time.
+-- The session is only marked expired once its PaymentIntents are cancelled;
+-- if the sweep fails, the lease runs out and the next sweep retries it.
+ALTER TABLE widget_sessions ADD COLUMN sweeping_until TIMESTAMP;
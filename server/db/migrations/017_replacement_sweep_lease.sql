@@ -0,0 +1,2 @@
+-- Lease so only one instance releases an expired card replacement at a time
+ALTER TABLE transactions ADD COLUMN replacement_locked_until TIMESTAMP;
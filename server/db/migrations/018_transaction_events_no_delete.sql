@@ -0,0 +1,15 @@
+-- History is never removed on its own: the append-only trigger from 004 only
+-- covered UPDATE. Events go only with their transaction, when it (or its
+-- store, e.g. on shop redaction) is deleted and the foreign key cascades.
+CREATE OR REPLACE FUNCTION prevent_transaction_event_delete()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.transaction_id IS NULL OR EXISTS (SELECT 1 FROM transactions WHERE id = OLD.transaction_id) THEN
+        RAISE EXCEPTION 'transaction_events is append-only';
+    END IF;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER transaction_events_no_delete BEFORE DELETE ON transaction_events
+    FOR EACH ROW EXECUTE FUNCTION prevent_transaction_event_delete();
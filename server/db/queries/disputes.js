@@ -0,0 +1,216 @@
+import { query } from '../../config/database.js';
+import { logger } from '../../utils/logger.js';
+import { scopeCondition } from '../scope.js';
+
+// Stripe statuses after which a dispute can't change
+export const CLOSED_STATUSES = ['won', 'lost', 'warning_closed'];
+
+/**
+ * Insert or update a dispute from a Stripe event
+ * An event older than the last one applied leaves the row as it is.
+ * Returns { dispute, created }; dispute is null if the event was stale.
+ */
+export async function upsertDispute(data) {
+  try {
+    const {
+      stripeDisputeId,
+      storeId = null,
+      transactionId = null,
+      paymentId = null,
+      stripeChargeId = null,
+      stripePaymentIntentId = null,
+      amount,
+      currency,
+      reason = null,
+      status,
+      evidenceDueBy = null,
+      fundsWithdrawn = false,
+      stripeUpdatedAt
+    } = data;
+
+    const result = await query(
+      `INSERT INTO disputes 
+       (stripe_dispute_id, store_id, transaction_id, payment_id, stripe_charge_id, stripe_payment_intent_id,
+        amount, currency, reason, status, evidence_due_by, funds_withdrawn_at, stripe_updated_at, closed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
+               CASE WHEN $12 THEN CURRENT_TIMESTAMP END, $13,
+               CASE WHEN $10 = ANY($14::text[]) THEN CURRENT_TIMESTAMP END)
+       ON CONFLICT (stripe_dispute_id) DO UPDATE SET
+         amount = EXCLUDED.amount,
+         reason = EXCLUDED.reason,
+         status = EXCLUDED.status,
+         evidence_due_by = EXCLUDED.evidence_due_by,
+         funds_withdrawn_at = COALESCE(disputes.funds_withdrawn_at, EXCLUDED.funds_withdrawn_at),
+         stripe_updated_at = EXCLUDED.stripe_updated_at,
+         closed_at = COALESCE(disputes.closed_at, EXCLUDED.closed_at),
+         updated_at = CURRENT_TIMESTAMP
+       WHERE disputes.stripe_updated_at IS NULL OR disputes.stripe_updated_at <= EXCLUDED.stripe_updated_at
+       RETURNING *, (xmax = 0) AS inserted`,
+      [
+        stripeDisputeId,
+        storeId,
+        transactionId,
+        paymentId,
+        stripeChargeId,
+        stripePaymentIntentId,
+        amount,
+        currency,
+        reason,
+        status,
+        evidenceDueBy,
+        fundsWithdrawn,
+        stripeUpdatedAt,
+        CLOSED_STATUSES
+      ]
+    );
+
+    const row = result.rows[0];
+    if (!row) {
+      return { dispute: null, created: false };
+    }
+
+    const { inserted, ...dispute } = row;
+    return { dispute, created: inserted };
+  } catch (error) {
+    logger.error('Error upserting dispute', { error: error.message, stripeDisputeId: data.stripeDisputeId });
+    throw error;
+  }
+}
+
+/**
+ * Get dispute by ID
+ */
+export async function getDisputeById(scope, disputeId) {
+  try {
+    const params = [disputeId];
+    const result = await query(
+      `SELECT * FROM disputes WHERE id = $1 AND ${scopeCondition(scope, params)}`,
+      params
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error getting dispute by ID', { error: error.message, disputeId });
+    throw error;
+  }
+}
+
+/**
+ * Get all disputes for a transaction
+ */
+export async function getDisputesByTransactionId(scope, transactionId) {
+  try {
+    const params = [transactionId];
+    const result = await query(
+      `SELECT * FROM disputes
+       WHERE transaction_id = $1 AND ${scopeCondition(scope, params)}
+       ORDER BY created_at DESC`,
+      params
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting disputes by transaction ID', { error: error.message, transactionId });
+    throw error;
+  }
+}
+
+/**
+ * Get paginated disputes
+ * Open disputes come soonest-due first, closed ones newest first.
+ */
+export async function getDisputes(scope, filters = {}) {
+  try {
+    const {
+      open = null,
+      status,
+      page = 1,
+      limit = 20
+    } = filters;
+
+    let params = [];
+    let whereClauses = [scopeCondition(scope, params, 'd.store_id')];
+    let paramIndex = params.length + 1;
+
+    if (open === true) {
+      whereClauses.push('d.closed_at IS NULL');
+    } else if (open === false) {
+      whereClauses.push('d.closed_at IS NOT NULL');
+    }
+
+    if (status) {
+      whereClauses.push(`d.status = $${paramIndex++}`);
+      params.push(status);
+    }
+
+    const whereClause = `WHERE ${whereClauses.join(' AND ')}`;
+
+    const offset = (page - 1) * limit;
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM disputes d ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    const result = await query(
+      `SELECT d.*, t.shopify_order_number, t.customer_email,
+              p.card_brand, p.card_last_four
+       FROM disputes d
+       LEFT JOIN transactions t ON t.id = d.transaction_id
+       LEFT JOIN payments p ON p.id = d.payment_id
+       ${whereClause}
+       ORDER BY (d.closed_at IS NULL) DESC,
+                CASE WHEN d.closed_at IS NULL THEN d.evidence_due_by END ASC NULLS LAST,
+                d.created_at DESC
+       LIMIT $${paramIndex++} OFFSET $${paramIndex++}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      disputes: result.rows,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    };
+  } catch (error) {
+    logger.error('Error getting disputes', { error: error.message, filters });
+    throw error;
+  }
+}
+
+/**
+ * Save draft evidence
+ */
+export async function saveDisputeEvidence(disputeId, evidence) {
+  try {
+    const result = await query(
+      `UPDATE disputes 
+       SET evidence = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [disputeId, JSON.stringify(evidence)]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error saving dispute evidence', { error: error.message, disputeId });
+    throw error;
+  }
+}
+
+/**
+ * Record evidence submitted to Stripe, with the status Stripe returned
+ */
+export async function markEvidenceSubmitted(disputeId, evidence, status) {
+  try {
+    const result = await query(
+      `UPDATE disputes 
+       SET evidence = $2, status = $3, evidence_submitted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [disputeId, JSON.stringify(evidence), status]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error marking dispute evidence submitted', { error: error.message, disputeId });
+    throw error;
+  }
+}
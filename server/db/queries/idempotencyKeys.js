@@ -0,0 +1,38 @@
+import { query } from '../../config/database.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Get stored result for an idempotency key
+ */
+export async function getIdempotencyKey(key) {
+  try {
+    const result = await query(
+      'SELECT * FROM idempotency_keys WHERE key = $1',
+      [key]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error getting idempotency key', { error: error.message, key });
+    throw error;
+  }
+}
+
+/**
+ * Store the result for an idempotency key
+ * The first stored result wins if two callers race
+ */
+export async function saveIdempotencyKey(key, operation, response) {
+  try {
+    const result = await query(
+      `INSERT INTO idempotency_keys (key, operation, response)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (key) DO NOTHING
+       RETURNING *`,
+      [key, operation, JSON.stringify(response)]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error saving idempotency key', { error: error.message, key, operation });
+    throw error;
+  }
+}
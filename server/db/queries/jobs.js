@@ -0,0 +1,254 @@
+import { query } from '../../config/database.js';
+import { logger } from '../../utils/logger.js';
+import { scopeCondition } from '../scope.js';
+
+/**
+ * Enqueue a job
+ * A job whose unique key matches a pending or running one is not added;
+ * null is returned instead.
+ */
+export async function createJob(data) {
+  try {
+    const {
+      type,
+      payload = {},
+      storeId = null,
+      runAt = null,
+      maxAttempts = 5,
+      uniqueKey = null
+    } = data;
+
+    const result = await query(
+      `INSERT INTO jobs (type, payload, store_id, run_at, max_attempts, unique_key)
+       VALUES ($1, $2, $3, COALESCE($4, CURRENT_TIMESTAMP), $5, $6)
+       ON CONFLICT (unique_key) WHERE status IN ('pending', 'running') DO NOTHING
+       RETURNING *`,
+      [type, JSON.stringify(payload), storeId, runAt, maxAttempts, uniqueKey]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error creating job', { error: error.message, type: data.type });
+    throw error;
+  }
+}
+
+/**
+ * Claim due jobs of the given types
+ * Jobs whose lease ran out (their runner died) are claimed again. Each claim
+ * counts as an attempt.
+ */
+export async function claimJobs(workerId, types, leaseSeconds, limit = 5) {
+  try {
+    const result = await query(
+      `UPDATE jobs 
+       SET status = 'running', attempts = attempts + 1, locked_by = $1,
+           locked_until = CURRENT_TIMESTAMP + ($3 * INTERVAL '1 second'), updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM jobs
+         WHERE type = ANY($2)
+           AND ((status = 'pending' AND run_at <= CURRENT_TIMESTAMP)
+             OR (status = 'running' AND locked_until < CURRENT_TIMESTAMP))
+         ORDER BY run_at ASC
+         LIMIT $4
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [workerId, types, leaseSeconds, limit]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error claiming jobs', { error: error.message, workerId });
+    throw error;
+  }
+}
+
+/**
+ * Mark a claimed job completed
+ */
+export async function completeJob(jobId) {
+  try {
+    const result = await query(
+      `UPDATE jobs 
+       SET status = 'completed', locked_by = NULL, locked_until = NULL,
+           completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [jobId]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error completing job', { error: error.message, jobId });
+    throw error;
+  }
+}
+
+/**
+ * Put a failed job back in the queue to run again after a delay
+ */
+export async function retryJobLater(jobId, delaySeconds, lastError) {
+  try {
+    const result = await query(
+      `UPDATE jobs 
+       SET status = 'pending', run_at = CURRENT_TIMESTAMP + ($2 * INTERVAL '1 second'),
+           last_error = $3, locked_by = NULL, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [jobId, delaySeconds, lastError]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error rescheduling job', { error: error.message, jobId });
+    throw error;
+  }
+}
+
+/**
+ * Stop retrying a job: dead (dead-lettered for a person to look at) or
+ * failed (a recurring run whose next occurrence takes over)
+ */
+export async function closeFailedJob(jobId, status, lastError) {
+  try {
+    const result = await query(
+      `UPDATE jobs 
+       SET status = $2, last_error = $3, locked_by = NULL, locked_until = NULL,
+           completed_at = CASE WHEN $2 = 'failed' THEN CURRENT_TIMESTAMP ELSE NULL END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [jobId, status, lastError]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error closing failed job', { error: error.message, jobId, status });
+    throw error;
+  }
+}
+
+/**
+ * Get job by ID
+ */
+export async function getJobById(scope, jobId) {
+  try {
+    const params = [jobId];
+    const result = await query(
+      `SELECT * FROM jobs WHERE id = $1 AND ${scopeCondition(scope, params)}`,
+      params
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error getting job by ID', { error: error.message, jobId });
+    throw error;
+  }
+}
+
+/**
+ * Get paginated jobs
+ */
+export async function getJobs(scope, filters = {}) {
+  try {
+    const {
+      status,
+      type,
+      page = 1,
+      limit = 20
+    } = filters;
+
+    let params = [];
+    let whereClauses = [scopeCondition(scope, params)];
+    let paramIndex = params.length + 1;
+
+    if (status) {
+      whereClauses.push(`status = $${paramIndex++}`);
+      params.push(status);
+    }
+
+    if (type) {
+      whereClauses.push(`type = $${paramIndex++}`);
+      params.push(type);
+    }
+
+    const whereClause = `WHERE ${whereClauses.join(' AND ')}`;
+
+    const offset = (page - 1) * limit;
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM jobs ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    const result = await query(
+      `SELECT * FROM jobs 
+       ${whereClause}
+       ORDER BY updated_at DESC
+       LIMIT $${paramIndex++} OFFSET $${paramIndex++}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      jobs: result.rows,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    };
+  } catch (error) {
+    logger.error('Error getting jobs', { error: error.message, filters });
+    throw error;
+  }
+}
+
+/**
+ * Count jobs by status
+ */
+export async function getJobCounts(scope) {
+  try {
+    const params = [];
+    const result = await query(
+      `SELECT status, COUNT(*)::int AS count FROM jobs
+       WHERE ${scopeCondition(scope, params)}
+       GROUP BY status`,
+      params
+    );
+    return Object.fromEntries(result.rows.map(r => [r.status, r.count]));
+  } catch (error) {
+    logger.error('Error counting jobs', { error: error.message, scope });
+    throw error;
+  }
+}
+
+/**
+ * Requeue a dead job with a fresh set of attempts
+ */
+export async function requeueDeadJob(jobId) {
+  try {
+    const result = await query(
+      `UPDATE jobs 
+       SET status = 'pending', attempts = 0, run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'dead'
+       RETURNING *`,
+      [jobId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error requeuing dead job', { error: error.message, jobId });
+    throw error;
+  }
+}
+
+/**
+ * Delete finished jobs older than the retention period
+ */
+export async function deleteFinishedJobs(retentionDays) {
+  try {
+    const result = await query(
+      `DELETE FROM jobs 
+       WHERE status IN ('completed', 'failed')
+         AND completed_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 day')`,
+      [retentionDays]
+    );
+    return result.rowCount;
+  } catch (error) {
+    logger.error('Error deleting finished jobs', { error: error.message });
+    throw error;
+  }
+}
@@ -0,0 +1,86 @@
+import { query } from '../../config/database.js';
+import { logger } from '../../utils/logger.js';
+import { scopeCondition } from '../scope.js';
+
+/**
+ * Create a merchant alert
+ */
+export async function createAlert(data) {
+  try {
+    const {
+      storeId,
+      transactionId = null,
+      type,
+      severity = 'warning',
+      message,
+      data: alertData = {}
+    } = data;
+
+    const result = await query(
+      `INSERT INTO merchant_alerts (store_id, transaction_id, type, severity, message, data)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [storeId, transactionId, type, severity, message, JSON.stringify(alertData)]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating merchant alert', { error: error.message, storeId: data.storeId, type: data.type });
+    throw error;
+  }
+}
+
+/**
+ * Get alert by ID
+ */
+export async function getAlertById(scope, alertId) {
+  try {
+    const params = [alertId];
+    const result = await query(
+      `SELECT * FROM merchant_alerts WHERE id = $1 AND ${scopeCondition(scope, params)}`,
+      params
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error getting merchant alert', { error: error.message, alertId });
+    throw error;
+  }
+}
+
+/**
+ * Get a store's alerts, newest first
+ */
+export async function getAlerts(scope, { includeResolved = false, limit = 50 } = {}) {
+  try {
+    const params = [includeResolved, limit];
+    const result = await query(
+      `SELECT * FROM merchant_alerts 
+       WHERE ${scopeCondition(scope, params)} AND ($1 OR resolved_at IS NULL)
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      params
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting merchant alerts', { error: error.message, scope });
+    throw error;
+  }
+}
+
+/**
+ * Resolve an open alert; returns null if it was already resolved
+ */
+export async function resolveAlert(alertId, resolution) {
+  try {
+    const result = await query(
+      `UPDATE merchant_alerts 
+       SET resolved_at = CURRENT_TIMESTAMP, resolution = $2
+       WHERE id = $1 AND resolved_at IS NULL
+       RETURNING *`,
+      [alertId, resolution]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error resolving merchant alert', { error: error.message, alertId });
+    throw error;
+  }
+}
@@ -0,0 +1,54 @@
+import { query } from '../../config/database.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Store the state nonce of an OAuth flow
+ */
+export async function createOAuthState(nonce, shopDomain, ttlSeconds) {
+  try {
+    const result = await query(
+      `INSERT INTO oauth_states (nonce, shop_domain, expires_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP + ($3 * INTERVAL '1 second'))
+       RETURNING *`,
+      [nonce, shopDomain, ttlSeconds]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating OAuth state', { error: error.message, shopDomain });
+    throw error;
+  }
+}
+
+/**
+ * Use up an unexpired state nonce issued for the shop
+ * Returns null if there is none, so a nonce is only ever accepted once.
+ */
+export async function consumeOAuthState(nonce, shopDomain) {
+  try {
+    const result = await query(
+      `DELETE FROM oauth_states
+       WHERE nonce = $1 AND shop_domain = $2 AND expires_at > CURRENT_TIMESTAMP
+       RETURNING *`,
+      [nonce, shopDomain]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error consuming OAuth state', { error: error.message, shopDomain });
+    throw error;
+  }
+}
+
+/**
+ * Delete state nonces of abandoned flows
+ */
+export async function deleteExpiredOAuthStates() {
+  try {
+    const result = await query(
+      'DELETE FROM oauth_states WHERE expires_at <= CURRENT_TIMESTAMP'
+    );
+    return result.rowCount;
+  } catch (error) {
+    logger.error('Error deleting expired OAuth states', { error: error.message });
+    throw error;
+  }
+}
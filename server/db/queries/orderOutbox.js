@@ -0,0 +1,168 @@
+import { query } from '../../config/database.js';
+import { logger } from '../../utils/logger.js';
+import { scopeCondition } from '../scope.js';
+
+/**
+ * Queue a Shopify order for a transaction (no-op if already queued)
+ */
+export async function enqueueOrder(transactionId, storeId) {
+  try {
+    const result = await query(
+      `INSERT INTO order_outbox (transaction_id, store_id)
+       VALUES ($1, $2)
+       ON CONFLICT (transaction_id) DO NOTHING
+       RETURNING *`,
+      [transactionId, storeId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error enqueuing order', { error: error.message, transactionId });
+    throw error;
+  }
+}
+
+/**
+ * Get the outbox entry for a transaction
+ */
+export async function getOutboxEntryByTransactionId(scope, transactionId) {
+  try {
+    const params = [transactionId];
+    const result = await query(
+      `SELECT * FROM order_outbox WHERE transaction_id = $1 AND ${scopeCondition(scope, params)}`,
+      params
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error getting outbox entry', { error: error.message, transactionId });
+    throw error;
+  }
+}
+
+/**
+ * Claim due outbox entries
+ * Each claimed row is leased so other instances skip it until the lease ends.
+ */
+export async function claimDueOrders(leaseMinutes, limit = 20) {
+  try {
+    const result = await query(
+      `UPDATE order_outbox 
+       SET locked_until = CURRENT_TIMESTAMP + ($1 * INTERVAL '1 minute'), updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM order_outbox
+         WHERE status = 'pending'
+           AND next_attempt_at <= CURRENT_TIMESTAMP
+           AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+         ORDER BY next_attempt_at ASC
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [leaseMinutes, limit]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error claiming due orders', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Claim one transaction's pending entry right away, ignoring its schedule
+ */
+export async function claimOrderForTransaction(transactionId, leaseMinutes) {
+  try {
+    const result = await query(
+      `UPDATE order_outbox 
+       SET locked_until = CURRENT_TIMESTAMP + ($2 * INTERVAL '1 minute'), updated_at = CURRENT_TIMESTAMP
+       WHERE transaction_id = $1
+         AND status = 'pending'
+         AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+       RETURNING *`,
+      [transactionId, leaseMinutes]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error claiming order', { error: error.message, transactionId });
+    throw error;
+  }
+}
+
+/**
+ * Mark an entry delivered
+ */
+export async function markOrderCreated(id) {
+  try {
+    const result = await query(
+      `UPDATE order_outbox 
+       SET status = 'completed', attempts = attempts + 1, locked_until = NULL, last_error = NULL,
+           completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error marking order created', { error: error.message, id });
+    throw error;
+  }
+}
+
+/**
+ * Schedule another attempt, optionally counting this one as failed
+ */
+export async function rescheduleOrder(id, delaySeconds, lastError = null, countAttempt = true) {
+  try {
+    const result = await query(
+      `UPDATE order_outbox 
+       SET attempts = attempts + $3::int, next_attempt_at = CURRENT_TIMESTAMP + ($2 * INTERVAL '1 second'),
+           locked_until = NULL, last_error = COALESCE($4, last_error), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, delaySeconds, countAttempt ? 1 : 0, lastError]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error rescheduling order', { error: error.message, id });
+    throw error;
+  }
+}
+
+/**
+ * Close an entry without an order: failed (gave up) or cancelled (nothing to order)
+ */
+export async function closeOrder(id, status, lastError = null) {
+  try {
+    const result = await query(
+      `UPDATE order_outbox 
+       SET status = $2::varchar, attempts = attempts + CASE WHEN $2::varchar = 'failed' THEN 1 ELSE 0 END,
+           locked_until = NULL, last_error = COALESCE($3, last_error), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, status, lastError]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error closing order', { error: error.message, id, status });
+    throw error;
+  }
+}
+
+/**
+ * Put a failed entry back in the queue with a fresh set of attempts
+ */
+export async function requeueOrder(transactionId) {
+  try {
+    const result = await query(
+      `UPDATE order_outbox 
+       SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP,
+           locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE transaction_id = $1 AND status = 'failed'
+       RETURNING *`,
+      [transactionId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error requeuing order', { error: error.message, transactionId });
+    throw error;
+  }
+}
@@ -1,5 +1,8 @@
-import { query } from '../../config/database.js';
+import { query, transaction } from '../../config/database.js';
 import { logger } from '../../utils/logger.js';
+import { assertTransition } from '../../utils/stateMachine.js';
+import { createTransactionEvent } from './transactionEvents.js';
+import { scopeCondition, transactionScopeCondition } from '../scope.js';
 
 /**
  * Create a payment record
@@ -8,24 +11,41 @@ export async function createPayment(data) {
   try {
     const {
       transactionId,
-      stripePaymentIntentId,
-      amount
+      stripePaymentIntentId = null,
+      amount,
+      chargeType = 'platform',
+      stripeAccountId = null,
+      applicationFeeAmount = 0
     } = data;
 
-    const result = await query(
-      `INSERT INTO payments 
-       (transaction_id, stripe_payment_intent_id, amount, status)
-       VALUES ($1, $2, $3, 'pending')
-       RETURNING *`,
-      [transactionId, stripePaymentIntentId, amount]
-    );
+    const created = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO payments 
+         (transaction_id, stripe_payment_intent_id, amount, status,
+          charge_type, stripe_account_id, application_fee_amount)
+         VALUES ($1, $2, $3, 'pending', $4, $5, $6)
+         RETURNING *`,
+        [transactionId, stripePaymentIntentId, amount, chargeType, stripeAccountId, applicationFeeAmount]
+      );
+
+      await createTransactionEvent({
+        transactionId,
+        entityType: 'payment',
+        entityId: result.rows[0].id,
+        toStatus: 'pending',
+        actor: 'checkout',
+        metadata: { amount }
+      }, client);
+
+      return result.rows[0];
+    });
     
     logger.info('Payment created', { 
-      paymentId: result.rows[0].id, 
+      paymentId: created.id, 
       transactionId,
       amount 
     });
-    return result.rows[0];
+    return created;
   } catch (error) {
     logger.error('Error creating payment', { error: error.message, data });
     throw error;
@@ -35,11 +55,12 @@ export async function createPayment(data) {
 /**
  * Get payment by ID
  */
-export async function getPaymentById(paymentId) {
+export async function getPaymentById(scope, paymentId) {
   try {
+    const params = [paymentId];
     const result = await query(
-      'SELECT * FROM payments WHERE id = $1',
-      [paymentId]
+      `SELECT * FROM payments WHERE id = $1 AND ${transactionScopeCondition(scope, params)}`,
+      params
     );
     return result.rows[0] || null;
   } catch (error) {
@@ -51,11 +72,12 @@ export async function getPaymentById(paymentId) {
 /**
  * Get payment by Stripe PaymentIntent ID
  */
-export async function getPaymentByPaymentIntentId(stripePaymentIntentId) {
+export async function getPaymentByPaymentIntentId(scope, stripePaymentIntentId) {
   try {
+    const params = [stripePaymentIntentId];
     const result = await query(
-      'SELECT * FROM payments WHERE stripe_payment_intent_id = $1',
-      [stripePaymentIntentId]
+      `SELECT * FROM payments WHERE stripe_payment_intent_id = $1 AND ${transactionScopeCondition(scope, params)}`,
+      params
     );
     return result.rows[0] || null;
   } catch (error) {
@@ -70,11 +92,14 @@ export async function getPaymentByPaymentIntentId(stripePaymentIntentId) {
 /**
  * Get all payments for a transaction
  */
-export async function getPaymentsByTransactionId(transactionId) {
+export async function getPaymentsByTransactionId(scope, transactionId) {
   try {
+    const params = [transactionId];
     const result = await query(
-      'SELECT * FROM payments WHERE transaction_id = $1 ORDER BY created_at ASC',
-      [transactionId]
+      `SELECT * FROM payments
+       WHERE transaction_id = $1 AND ${transactionScopeCondition(scope, params)}
+       ORDER BY created_at ASC`,
+      params
     );
     return result.rows;
   } catch (error) {
@@ -86,6 +111,70 @@ export async function getPaymentsByTransactionId(transactionId) {
   }
 }
 
+/**
+ * Attach the Stripe PaymentIntent to a payment created ahead of it
+ */
+export async function updatePaymentIntentId(paymentId, stripePaymentIntentId) {
+  try {
+    const result = await query(
+      `UPDATE payments 
+       SET stripe_payment_intent_id = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [paymentId, stripePaymentIntentId]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error updating payment intent ID', { error: error.message, paymentId });
+    throw error;
+  }
+}
+
+/**
+ * Swap in a new PaymentIntent after re-authorization and restart the hold clock
+ */
+export async function replacePaymentIntent(paymentId, stripePaymentIntentId) {
+  try {
+    const result = await query(
+      `UPDATE payments 
+       SET stripe_payment_intent_id = $2, authorized_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [paymentId, stripePaymentIntentId]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error replacing payment intent', { error: error.message, paymentId });
+    throw error;
+  }
+}
+
+/**
+ * Get authorized payments of deferred-capture transactions whose hold was
+ * placed before the given cutoff
+ */
+export async function getExpiringHolds(scope, authorizedBefore, limit = 100) {
+  try {
+    const params = [authorizedBefore, limit];
+    const result = await query(
+      `SELECT p.*, t.store_id 
+       FROM payments p
+       JOIN transactions t ON t.id = p.transaction_id
+       WHERE t.status = 'authorized' 
+         AND p.status = 'authorized' 
+         AND p.authorized_at < $1
+         AND ${scopeCondition(scope, params, 't.store_id')}
+       ORDER BY p.authorized_at ASC
+       LIMIT $2`,
+      params
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting expiring holds', { error: error.message });
+    throw error;
+  }
+}
+
 /**
  * Update payment with card details
  */
@@ -122,39 +211,73 @@ export async function updatePaymentCardDetails(paymentId, cardDetails) {
 
 /**
  * Update payment status
+ * Rejects transitions the state machine does not allow and records an event.
+ * Setting the current status again is a no-op.
+ * @param {object} event - { actor, reason, stripeObjectId, shopifyObjectId, metadata }
  */
-export async function updatePaymentStatus(paymentId, status, failureCode = null, failureMessage = null) {
+export async function updatePaymentStatus(paymentId, status, failureCode = null, failureMessage = null, event = {}) {
   try {
-    const updates = ['status = $2', 'updated_at = CURRENT_TIMESTAMP'];
-    const params = [paymentId, status];
-
-    if (status === 'authorized') {
-      updates.push('authorized_at = CURRENT_TIMESTAMP');
-    } else if (status === 'captured') {
-      updates.push('captured_at = CURRENT_TIMESTAMP');
-    } else if (status === 'voided') {
-      updates.push('voided_at = CURRENT_TIMESTAMP');
-    }
-
-    if (failureCode) {
-      updates.push('failure_code = $3');
-      params.push(failureCode);
-      if (failureMessage) {
-        updates.push('failure_message = $4');
-        params.push(failureMessage);
+    const updated = await transaction(async (client) => {
+      const current = await client.query(
+        'SELECT * FROM payments WHERE id = $1 FOR UPDATE',
+        [paymentId]
+      );
+      const row = current.rows[0];
+
+      if (!row) {
+        throw new Error(`Payment not found: ${paymentId}`);
       }
-    }
 
-    const result = await query(
-      `UPDATE payments 
-       SET ${updates.join(', ')}
-       WHERE id = $1
-       RETURNING *`,
-      params
-    );
+      if (row.status === status) {
+        return row;
+      }
+
+      assertTransition('payment', row.status, status);
+
+      const updates = ['status = $2', 'updated_at = CURRENT_TIMESTAMP'];
+      const params = [paymentId, status];
+
+      if (status === 'authorized') {
+        updates.push('authorized_at = CURRENT_TIMESTAMP');
+      } else if (status === 'captured') {
+        updates.push('captured_at = CURRENT_TIMESTAMP');
+      } else if (status === 'voided') {
+        updates.push('voided_at = CURRENT_TIMESTAMP');
+      }
+
+      if (failureCode) {
+        updates.push('failure_code = $3');
+        params.push(failureCode);
+        if (failureMessage) {
+          updates.push('failure_message = $4');
+          params.push(failureMessage);
+        }
+      }
+
+      const result = await client.query(
+        `UPDATE payments 
+         SET ${updates.join(', ')}
+         WHERE id = $1
+         RETURNING *`,
+        params
+      );
+
+      await createTransactionEvent({
+        transactionId: row.transaction_id,
+        entityType: 'payment',
+        entityId: paymentId,
+        fromStatus: row.status,
+        toStatus: status,
+        reason: event.reason || failureMessage,
+        stripeObjectId: row.stripe_payment_intent_id,
+        ...event
+      }, client);
+
+      return result.rows[0];
+    });
     
     logger.info('Payment status updated', { paymentId, status });
-    return result.rows[0];
+    return updated;
   } catch (error) {
     logger.error('Error updating payment status', { error: error.message, paymentId, status });
     throw error;
@@ -164,11 +287,14 @@ export async function updatePaymentStatus(paymentId, status, failureCode = null,
 /**
  * Get payments by status
  */
-export async function getPaymentsByStatus(status) {
+export async function getPaymentsByStatus(scope, status) {
   try {
+    const params = [status];
     const result = await query(
-      'SELECT * FROM payments WHERE status = $1 ORDER BY created_at DESC',
-      [status]
+      `SELECT * FROM payments
+       WHERE status = $1 AND ${transactionScopeCondition(scope, params)}
+       ORDER BY created_at DESC`,
+      params
     );
     return result.rows;
   } catch (error) {
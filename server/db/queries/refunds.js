@@ -1,5 +1,8 @@
-import { query } from '../../config/database.js';
+import { query, transaction } from '../../config/database.js';
 import { logger } from '../../utils/logger.js';
+import { assertTransition } from '../../utils/stateMachine.js';
+import { createTransactionEvent } from './transactionEvents.js';
+import { transactionScopeCondition } from '../scope.js';
 
 /**
  * Create a refund record
@@ -9,28 +12,44 @@ export async function createRefund(data) {
     const {
       transactionId,
       paymentId,
-      stripeRefundId,
+      stripeRefundId = null,
       amount,
       reason,
       initiatedBy = 'admin',
-      status = 'pending'
+      status = 'pending',
+      shopifyRefundId = null
     } = data;
 
-    const result = await query(
-      `INSERT INTO refunds 
-       (transaction_id, payment_id, stripe_refund_id, amount, reason, status, initiated_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING *`,
-      [transactionId, paymentId, stripeRefundId, amount, reason, status, initiatedBy]
-    );
+    const created = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO refunds 
+         (transaction_id, payment_id, stripe_refund_id, amount, reason, status, initiated_by, shopify_refund_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [transactionId, paymentId, stripeRefundId, amount, reason, status, initiatedBy, shopifyRefundId]
+      );
+
+      await createTransactionEvent({
+        transactionId,
+        entityType: 'refund',
+        entityId: result.rows[0].id,
+        toStatus: status,
+        actor: initiatedBy,
+        reason,
+        stripeObjectId: stripeRefundId,
+        metadata: { paymentId, amount }
+      }, client);
+
+      return result.rows[0];
+    });
     
     logger.info('Refund created', { 
-      refundId: result.rows[0].id, 
+      refundId: created.id, 
       transactionId,
       paymentId,
       amount 
     });
-    return result.rows[0];
+    return created;
   } catch (error) {
     logger.error('Error creating refund', { error: error.message, data });
     throw error;
@@ -40,11 +59,12 @@ export async function createRefund(data) {
 /**
  * Get refund by ID
  */
-export async function getRefundById(refundId) {
+export async function getRefundById(scope, refundId) {
   try {
+    const params = [refundId];
     const result = await query(
-      'SELECT * FROM refunds WHERE id = $1',
-      [refundId]
+      `SELECT * FROM refunds WHERE id = $1 AND ${transactionScopeCondition(scope, params)}`,
+      params
     );
     return result.rows[0] || null;
   } catch (error) {
@@ -56,11 +76,12 @@ export async function getRefundById(refundId) {
 /**
  * Get refund by Stripe refund ID
  */
-export async function getRefundByStripeRefundId(stripeRefundId) {
+export async function getRefundByStripeRefundId(scope, stripeRefundId) {
   try {
+    const params = [stripeRefundId];
     const result = await query(
-      'SELECT * FROM refunds WHERE stripe_refund_id = $1',
-      [stripeRefundId]
+      `SELECT * FROM refunds WHERE stripe_refund_id = $1 AND ${transactionScopeCondition(scope, params)}`,
+      params
     );
     return result.rows[0] || null;
   } catch (error) {
@@ -72,14 +93,59 @@ export async function getRefundByStripeRefundId(stripeRefundId) {
   }
 }
 
+/**
+ * Get the card refunds tied to a Shopify refund
+ */
+export async function getRefundsByShopifyRefundId(scope, shopifyRefundId) {
+  try {
+    const params = [shopifyRefundId];
+    const result = await query(
+      `SELECT * FROM refunds WHERE shopify_refund_id = $1 AND ${transactionScopeCondition(scope, params)}`,
+      params
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting refunds by Shopify refund ID', { 
+      error: error.message, 
+      shopifyRefundId 
+    });
+    throw error;
+  }
+}
+
+/**
+ * Tie card refunds to the Shopify refund that records them
+ */
+export async function setShopifyRefundId(refundIds, shopifyRefundId) {
+  try {
+    const result = await query(
+      `UPDATE refunds SET shopify_refund_id = $2
+       WHERE id = ANY($1::int[]) AND shopify_refund_id IS NULL
+       RETURNING *`,
+      [refundIds, shopifyRefundId]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error setting Shopify refund ID', { 
+      error: error.message, 
+      refundIds,
+      shopifyRefundId 
+    });
+    throw error;
+  }
+}
+
 /**
  * Get all refunds for a transaction
  */
-export async function getRefundsByTransactionId(transactionId) {
+export async function getRefundsByTransactionId(scope, transactionId) {
   try {
+    const params = [transactionId];
     const result = await query(
-      'SELECT * FROM refunds WHERE transaction_id = $1 ORDER BY created_at DESC',
-      [transactionId]
+      `SELECT * FROM refunds
+       WHERE transaction_id = $1 AND ${transactionScopeCondition(scope, params)}
+       ORDER BY created_at DESC`,
+      params
     );
     return result.rows;
   } catch (error) {
@@ -94,11 +160,14 @@ export async function getRefundsByTransactionId(transactionId) {
 /**
  * Get all refunds for a payment
  */
-export async function getRefundsByPaymentId(paymentId) {
+export async function getRefundsByPaymentId(scope, paymentId) {
   try {
+    const params = [paymentId];
     const result = await query(
-      'SELECT * FROM refunds WHERE payment_id = $1 ORDER BY created_at DESC',
-      [paymentId]
+      `SELECT * FROM refunds
+       WHERE payment_id = $1 AND ${transactionScopeCondition(scope, params)}
+       ORDER BY created_at DESC`,
+      params
     );
     return result.rows;
   } catch (error) {
@@ -112,43 +181,102 @@ export async function getRefundsByPaymentId(paymentId) {
 
 /**
  * Update refund status
+ * Rejects transitions the state machine does not allow and records an event.
+ * Setting the current status again is a no-op.
+ * @param {object} event - { actor, reason, stripeObjectId, shopifyObjectId, metadata }
  */
-export async function updateRefundStatus(refundId, status, failureReason = null) {
+export async function updateRefundStatus(refundId, status, failureReason = null, event = {}) {
   try {
-    const updates = ['status = $2'];
-    const params = [refundId, status];
+    const updated = await transaction(async (client) => {
+      const current = await client.query(
+        'SELECT * FROM refunds WHERE id = $1 FOR UPDATE',
+        [refundId]
+      );
+      const row = current.rows[0];
 
-    if (failureReason) {
-      updates.push('failure_reason = $3');
-      params.push(failureReason);
-    }
+      if (!row) {
+        throw new Error(`Refund not found: ${refundId}`);
+      }
 
-    const result = await query(
-      `UPDATE refunds 
-       SET ${updates.join(', ')}
-       WHERE id = $1
-       RETURNING *`,
-      params
-    );
+      if (row.status === status) {
+        return row;
+      }
+
+      assertTransition('refund', row.status, status);
+
+      const updates = ['status = $2'];
+      const params = [refundId, status];
+
+      if (failureReason) {
+        updates.push('failure_reason = $3');
+        params.push(failureReason);
+      }
+
+      const result = await client.query(
+        `UPDATE refunds 
+         SET ${updates.join(', ')}
+         WHERE id = $1
+         RETURNING *`,
+        params
+      );
+
+      await createTransactionEvent({
+        transactionId: row.transaction_id,
+        entityType: 'refund',
+        entityId: refundId,
+        fromStatus: row.status,
+        toStatus: status,
+        reason: event.reason || failureReason,
+        stripeObjectId: row.stripe_refund_id,
+        ...event
+      }, client);
+
+      return result.rows[0];
+    });
     
     logger.info('Refund status updated', { refundId, status });
-    return result.rows[0];
+    return updated;
   } catch (error) {
     logger.error('Error updating refund status', { error: error.message, refundId, status });
     throw error;
   }
 }
 
+/**
+ * Record the Stripe refund for a refund created ahead of it
+ */
+export async function updateRefundStripeResult(refundId, stripeRefundId, status, event = {}) {
+  try {
+    await query(
+      'UPDATE refunds SET stripe_refund_id = $2 WHERE id = $1',
+      [refundId, stripeRefundId]
+    );
+
+    const updated = await updateRefundStatus(refundId, status, null, {
+      stripeObjectId: stripeRefundId,
+      ...event
+    });
+    
+    logger.info('Refund Stripe result recorded', { refundId, stripeRefundId, status });
+    return updated;
+  } catch (error) {
+    logger.error('Error recording refund Stripe result', { error: error.message, refundId });
+    throw error;
+  }
+}
+
 /**
  * Get total refunded amount for a transaction
  */
-export async function getTotalRefundedByTransactionId(transactionId) {
+export async function getTotalRefundedByTransactionId(scope, transactionId) {
   try {
+    const params = [transactionId];
     const result = await query(
       `SELECT COALESCE(SUM(amount), 0) as total_refunded 
        FROM refunds 
-       WHERE transaction_id = $1 AND status = 'succeeded'`,
-      [transactionId]
+       WHERE transaction_id = $1 AND status = 'succeeded'
+         AND ${transactionScopeCondition(scope, params)}`,
+      params
     );
     return parseInt(result.rows[0].total_refunded, 10);
   } catch (error) {
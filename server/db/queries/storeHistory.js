@@ -0,0 +1,50 @@
+import { query } from '../../config/database.js';
+import { logger } from '../../utils/logger.js';
+import { scopeCondition } from '../scope.js';
+
+/**
+ * Record an install, re-authorization or uninstall
+ */
+export async function createStoreHistoryEvent(data) {
+  try {
+    const {
+      storeId,
+      event,
+      scopes = null,
+      previousScopes = null,
+      metadata = {}
+    } = data;
+
+    const result = await query(
+      `INSERT INTO store_history (store_id, event, scopes, previous_scopes, metadata)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [storeId, event, scopes, previousScopes, JSON.stringify(metadata)]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating store history event', {
+      error: error.message,
+      storeId: data.storeId,
+      event: data.event
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get a store's history, newest first
+ */
+export async function getStoreHistory(scope) {
+  try {
+    const params = [];
+    const result = await query(
+      `SELECT * FROM store_history WHERE ${scopeCondition(scope, params)} ORDER BY created_at DESC, id DESC`,
+      params
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting store history', { error: error.message, scope });
+    throw error;
+  }
+}
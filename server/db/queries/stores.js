@@ -1,5 +1,18 @@
 import { query } from '../../config/database.js';
 import { logger } from '../../utils/logger.js';
+import { decryptSecret, encryptSecret, rewrapSecret } from '../../utils/encryption.js';
+
+/**
+ * Store rows leave this module with their access token decrypted; nothing
+ * else decrypts it. Rows without a key ID predate encryption and hold the
+ * token as is until reencryptAccessTokens() runs.
+ */
+function toStore(row) {
+  if (!row) return null;
+  if (!row.access_token_key_id) return row;
+
+  return { ...row, access_token: decryptSecret(row.access_token, row.access_token_key_id) };
+}
 
 /**
  * Get store by shop domain
@@ -10,7 +23,7 @@ export async function getStoreByDomain(shopDomain) {
       'SELECT * FROM stores WHERE shop_domain = $1 AND is_active = true',
       [shopDomain]
     );
-    return result.rows[0] || null;
+    return toStore(result.rows[0]);
   } catch (error) {
     logger.error('Error getting store by domain', { error: error.message, shopDomain });
     throw error;
@@ -26,32 +39,54 @@ export async function getStoreById(storeId) {
       'SELECT * FROM stores WHERE id = $1',
       [storeId]
     );
-    return result.rows[0] || null;
+    return toStore(result.rows[0]);
   } catch (error) {
     logger.error('Error getting store by ID', { error: error.message, storeId });
     throw error;
   }
 }
 
+/**
+ * Get store by shop domain, installed or not
+ */
+export async function getStoreByDomainIncludingInactive(shopDomain) {
+  try {
+    const result = await query(
+      'SELECT * FROM stores WHERE shop_domain = $1',
+      [shopDomain]
+    );
+    return toStore(result.rows[0]);
+  } catch (error) {
+    logger.error('Error getting store by domain', { error: error.message, shopDomain });
+    throw error;
+  }
+}
+
 /**
  * Create or update store
+ * Settings are merged over the existing ones, so a reinstall keeps them.
  */
-export async function upsertStore(shopDomain, accessToken, settings = {}) {
+export async function upsertStore(shopDomain, accessToken, settings = {}, scopes = null) {
   try {
+    const { ciphertext, keyId } = encryptSecret(accessToken);
+
     const result = await query(
-      `INSERT INTO stores (shop_domain, access_token, settings, installed_at, is_active)
-       VALUES ($1, $2, $3, CURRENT_TIMESTAMP, true)
+      `INSERT INTO stores (shop_domain, access_token, access_token_key_id, settings, scopes, installed_at, is_active)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, true)
        ON CONFLICT (shop_domain) 
        DO UPDATE SET 
          access_token = EXCLUDED.access_token,
-         settings = EXCLUDED.settings,
+         access_token_key_id = EXCLUDED.access_token_key_id,
+         settings = COALESCE(stores.settings, '{}'::jsonb) || EXCLUDED.settings,
+         scopes = COALESCE(EXCLUDED.scopes, stores.scopes),
+         installed_at = CASE WHEN stores.is_active THEN stores.installed_at ELSE CURRENT_TIMESTAMP END,
          is_active = true,
          uninstalled_at = NULL,
          updated_at = CURRENT_TIMESTAMP
        RETURNING *`,
-      [shopDomain, accessToken, JSON.stringify(settings)]
+      [shopDomain, ciphertext, keyId, JSON.stringify(settings), scopes]
     );
-    return result.rows[0];
+    return toStore(result.rows[0]);
   } catch (error) {
     logger.error('Error upserting store', { error: error.message, shopDomain });
     throw error;
@@ -70,7 +105,7 @@ export async function uninstallStore(shopDomain) {
        RETURNING *`,
       [shopDomain]
     );
-    return result.rows[0];
+    return toStore(result.rows[0]);
   } catch (error) {
     logger.error('Error uninstalling store', { error: error.message, shopDomain });
     throw error;
@@ -89,7 +124,7 @@ export async function updateStoreSettings(storeId, settings) {
        RETURNING *`,
       [JSON.stringify(settings), storeId]
     );
-    return result.rows[0];
+    return toStore(result.rows[0]);
   } catch (error) {
     logger.error('Error updating store settings', { error: error.message, storeId });
     throw error;
@@ -104,10 +139,98 @@ export async function getAllActiveStores() {
     const result = await query(
       'SELECT * FROM stores WHERE is_active = true ORDER BY installed_at DESC'
     );
-    return result.rows;
+    return result.rows.map(toStore);
   } catch (error) {
     logger.error('Error getting all active stores', { error: error.message });
     throw error;
   }
 }
 
+/**
+ * Get store by connected Stripe account ID
+ */
+export async function getStoreByStripeAccountId(stripeAccountId) {
+  try {
+    const result = await query(
+      'SELECT * FROM stores WHERE stripe_account_id = $1',
+      [stripeAccountId]
+    );
+    return toStore(result.rows[0]);
+  } catch (error) {
+    logger.error('Error getting store by Stripe account', { error: error.message, stripeAccountId });
+    throw error;
+  }
+}
+
+/**
+ * Link a connected Stripe account to a store
+ */
+export async function setStripeAccount(storeId, stripeAccountId) {
+  try {
+    const result = await query(
+      `UPDATE stores 
+       SET stripe_account_id = $2, stripe_connected_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [storeId, stripeAccountId]
+    );
+    return toStore(result.rows[0]);
+  } catch (error) {
+    logger.error('Error setting Stripe account', { error: error.message, storeId });
+    throw error;
+  }
+}
+
+/**
+ * Update onboarding state of a store's connected account
+ */
+export async function updateStripeAccountStatus(stripeAccountId, { chargesEnabled, detailsSubmitted }) {
+  try {
+    const result = await query(
+      `UPDATE stores 
+       SET stripe_charges_enabled = $2, stripe_details_submitted = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE stripe_account_id = $1
+       RETURNING *`,
+      [stripeAccountId, chargesEnabled, detailsSubmitted]
+    );
+    return toStore(result.rows[0]);
+  } catch (error) {
+    logger.error('Error updating Stripe account status', { error: error.message, stripeAccountId });
+    throw error;
+  }
+}
+
+/**
+ * Move every access token to the active encryption key
+ * Tokens under an older key have their data key re-wrapped; plaintext ones
+ * are encrypted. A row changed meanwhile is left for the next run.
+ */
+export async function reencryptAccessTokens(activeKeyId) {
+  try {
+    const result = await query(
+      `SELECT id, access_token, access_token_key_id FROM stores
+       WHERE access_token_key_id IS DISTINCT FROM $1`,
+      [activeKeyId]
+    );
+
+    let updated = 0;
+    for (const row of result.rows) {
+      const { ciphertext, keyId } = row.access_token_key_id
+        ? rewrapSecret(row.access_token, row.access_token_key_id)
+        : encryptSecret(row.access_token);
+
+      const update = await query(
+        `UPDATE stores
+         SET access_token = $2, access_token_key_id = $3
+         WHERE id = $1 AND access_token = $4`,
+        [row.id, ciphertext, keyId, row.access_token]
+      );
+      updated += update.rowCount;
+    }
+
+    return { updated, total: result.rows.length };
+  } catch (error) {
+    logger.error('Error re-encrypting access tokens', { error: error.message });
+    throw error;
+  }
+}
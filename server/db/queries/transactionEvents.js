@@ -0,0 +1,72 @@
+import { query } from '../../config/database.js';
+import { logger } from '../../utils/logger.js';
+import { transactionScopeCondition } from '../scope.js';
+
+/**
+ * Append a transaction event
+ * Pass a client to write inside the caller's database transaction.
+ */
+export async function createTransactionEvent(data, client = null) {
+  try {
+    const {
+      transactionId,
+      entityType,
+      entityId,
+      fromStatus = null,
+      toStatus,
+      actor = 'system',
+      reason = null,
+      stripeObjectId = null,
+      shopifyObjectId = null,
+      metadata = {}
+    } = data;
+
+    const executor = client || { query };
+    const result = await executor.query(
+      `INSERT INTO transaction_events 
+       (transaction_id, entity_type, entity_id, from_status, to_status, actor, reason, 
+        stripe_object_id, shopify_object_id, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        transactionId,
+        entityType,
+        entityId,
+        fromStatus,
+        toStatus,
+        actor,
+        reason,
+        stripeObjectId,
+        shopifyObjectId,
+        JSON.stringify(metadata)
+      ]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating transaction event', { 
+      error: error.message, 
+      transactionId: data.transactionId,
+      entityType: data.entityType
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get the full event history for a transaction, oldest first
+ */
+export async function getTransactionEvents(scope, transactionId) {
+  try {
+    const params = [transactionId];
+    const result = await query(
+      `SELECT * FROM transaction_events
+       WHERE transaction_id = $1 AND ${transactionScopeCondition(scope, params)}
+       ORDER BY created_at ASC, id ASC`,
+      params
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting transaction events', { error: error.message, transactionId });
+    throw error;
+  }
+}
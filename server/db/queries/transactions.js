@@ -1,5 +1,8 @@
-import { query } from '../../config/database.js';
+import { query, transaction } from '../../config/database.js';
 import { logger } from '../../utils/logger.js';
+import { assertTransition } from '../../utils/stateMachine.js';
+import { createTransactionEvent } from './transactionEvents.js';
+import { scopeCondition } from '../scope.js';
 
 /**
  * Create a new transaction
@@ -13,19 +16,34 @@ export async function createTransaction(data) {
       currency = 'USD',
       customerEmail,
       customerIp,
-      userAgent
+      userAgent,
+      checkoutSnapshot = null
     } = data;
 
-    const result = await query(
-      `INSERT INTO transactions 
-       (store_id, shopify_checkout_token, total_amount, currency, customer_email, customer_ip, user_agent, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending')
-       RETURNING *`,
-      [storeId, shopifyCheckoutToken, totalAmount, currency, customerEmail, customerIp, userAgent]
-    );
+    const created = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO transactions 
+         (store_id, shopify_checkout_token, total_amount, currency, customer_email, customer_ip, user_agent, status,
+          checkout_snapshot, checkout_synced_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', $8, CASE WHEN $8::jsonb IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END)
+         RETURNING *`,
+        [storeId, shopifyCheckoutToken, totalAmount, currency, customerEmail, customerIp, userAgent,
+          checkoutSnapshot ? JSON.stringify(checkoutSnapshot) : null]
+      );
+
+      await createTransactionEvent({
+        transactionId: result.rows[0].id,
+        entityType: 'transaction',
+        entityId: result.rows[0].id,
+        toStatus: 'pending',
+        actor: 'checkout'
+      }, client);
+
+      return result.rows[0];
+    });
     
-    logger.info('Transaction created', { transactionId: result.rows[0].id, storeId });
-    return result.rows[0];
+    logger.info('Transaction created', { transactionId: created.id, storeId });
+    return created;
   } catch (error) {
     logger.error('Error creating transaction', { error: error.message, data });
     throw error;
@@ -35,11 +53,12 @@ export async function createTransaction(data) {
 /**
  * Get transaction by ID
  */
-export async function getTransactionById(transactionId) {
+export async function getTransactionById(scope, transactionId) {
   try {
+    const params = [transactionId];
     const result = await query(
-      'SELECT * FROM transactions WHERE id = $1',
-      [transactionId]
+      `SELECT * FROM transactions WHERE id = $1 AND ${scopeCondition(scope, params)}`,
+      params
     );
     return result.rows[0] || null;
   } catch (error) {
@@ -51,11 +70,12 @@ export async function getTransactionById(transactionId) {
 /**
  * Get transaction by Shopify order ID
  */
-export async function getTransactionByOrderId(shopifyOrderId) {
+export async function getTransactionByOrderId(scope, shopifyOrderId) {
   try {
+    const params = [shopifyOrderId];
     const result = await query(
-      'SELECT * FROM transactions WHERE shopify_order_id = $1',
-      [shopifyOrderId]
+      `SELECT * FROM transactions WHERE shopify_order_id = $1 AND ${scopeCondition(scope, params)}`,
+      params
     );
     return result.rows[0] || null;
   } catch (error) {
@@ -67,11 +87,14 @@ export async function getTransactionByOrderId(shopifyOrderId) {
 /**
  * Get transaction by checkout token
  */
-export async function getTransactionByCheckoutToken(checkoutToken) {
+export async function getTransactionByCheckoutToken(scope, checkoutToken) {
   try {
+    const params = [checkoutToken];
     const result = await query(
-      'SELECT * FROM transactions WHERE shopify_checkout_token = $1 ORDER BY created_at DESC LIMIT 1',
-      [checkoutToken]
+      `SELECT * FROM transactions
+       WHERE shopify_checkout_token = $1 AND ${scopeCondition(scope, params)}
+       ORDER BY created_at DESC LIMIT 1`,
+      params
     );
     return result.rows[0] || null;
   } catch (error) {
@@ -82,33 +105,170 @@ export async function getTransactionByCheckoutToken(checkoutToken) {
 
 /**
  * Update transaction status
+ * Rejects transitions the state machine does not allow and records an event.
+ * Setting the current status again is a no-op. A checkout resumed with a
+ * replacement card is rejected once the replacement deadline has passed,
+ * since the holds are then being released.
+ * @param {object} event - { actor, reason, stripeObjectId, shopifyObjectId, metadata }
  */
-export async function updateTransactionStatus(transactionId, status, failureReason = null) {
+export async function updateTransactionStatus(transactionId, status, failureReason = null, event = {}) {
   try {
-    const updates = ['status = $2', 'updated_at = CURRENT_TIMESTAMP'];
-    const params = [transactionId, status];
+    const updated = await transaction(async (client) => {
+      const current = await client.query(
+        `SELECT *, replacement_deadline <= CURRENT_TIMESTAMP AS replacement_closed
+         FROM transactions WHERE id = $1 FOR UPDATE`,
+        [transactionId]
+      );
+      const { replacement_closed: replacementClosed, ...row } = current.rows[0] || {};
 
-    if (status === 'completed') {
-      updates.push('completed_at = CURRENT_TIMESTAMP');
-    }
+      if (!row.id) {
+        throw new Error(`Transaction not found: ${transactionId}`);
+      }
 
-    if (failureReason) {
-      updates.push('failure_reason = $3');
-      params.push(failureReason);
-    }
+      if (row.status === status) {
+        return row;
+      }
+
+      assertTransition('transaction', row.status, status);
+
+      if (row.status === 'awaiting_replacement' && status === 'processing' && replacementClosed) {
+        const error = new Error('The time to replace the declined card has run out');
+        error.code = 'REPLACEMENT_EXPIRED';
+        throw error;
+      }
+
+      const updates = ['status = $2', 'updated_at = CURRENT_TIMESTAMP'];
+      const params = [transactionId, status];
+
+      if (status === 'completed') {
+        updates.push('completed_at = CURRENT_TIMESTAMP');
+      }
 
+      if (failureReason) {
+        updates.push('failure_reason = $3');
+        params.push(failureReason);
+      }
+
+      const result = await client.query(
+        `UPDATE transactions 
+         SET ${updates.join(', ')}
+         WHERE id = $1
+         RETURNING *`,
+        params
+      );
+
+      await createTransactionEvent({
+        transactionId,
+        entityType: 'transaction',
+        entityId: transactionId,
+        fromStatus: row.status,
+        toStatus: status,
+        reason: event.reason || failureReason,
+        ...event
+      }, client);
+
+      return result.rows[0];
+    });
+    
+    logger.info('Transaction status updated', { transactionId, status });
+    return updated;
+  } catch (error) {
+    logger.error('Error updating transaction status', { error: error.message, transactionId, status });
+    throw error;
+  }
+}
+
+/**
+ * Claim transactions stuck in processing for reconciliation
+ * Each claimed row is leased so other instances skip it until the lease ends.
+ */
+export async function claimStaleProcessingTransactions(staleMinutes, leaseMinutes, limit = 20) {
+  try {
     const result = await query(
       `UPDATE transactions 
-       SET ${updates.join(', ')}
+       SET reconcile_locked_until = CURRENT_TIMESTAMP + ($2 * INTERVAL '1 minute')
+       WHERE id IN (
+         SELECT id FROM transactions
+         WHERE status = 'processing'
+           AND updated_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 minute')
+           AND (reconcile_locked_until IS NULL OR reconcile_locked_until < CURRENT_TIMESTAMP)
+         ORDER BY updated_at ASC
+         LIMIT $3
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [staleMinutes, leaseMinutes, limit]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error claiming stale processing transactions', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Set the deadline for replacing a declined card
+ */
+export async function setReplacementDeadline(transactionId, deadline) {
+  try {
+    const result = await query(
+      `UPDATE transactions 
+       SET replacement_deadline = $2, updated_at = CURRENT_TIMESTAMP
        WHERE id = $1
        RETURNING *`,
-      params
+      [transactionId, deadline]
     );
-    
-    logger.info('Transaction status updated', { transactionId, status });
     return result.rows[0];
   } catch (error) {
-    logger.error('Error updating transaction status', { error: error.message, transactionId, status });
+    logger.error('Error setting replacement deadline', { error: error.message, transactionId });
+    throw error;
+  }
+}
+
+/**
+ * Claim transactions whose card replacement window has closed
+ * Each claimed row is leased so other instances skip it until the lease ends.
+ */
+export async function claimExpiredReplacementTransactions(leaseMinutes, limit = 50) {
+  try {
+    const result = await query(
+      `UPDATE transactions 
+       SET replacement_locked_until = CURRENT_TIMESTAMP + ($1 * INTERVAL '1 minute')
+       WHERE id IN (
+         SELECT id FROM transactions
+         WHERE status = 'awaiting_replacement' AND replacement_deadline <= CURRENT_TIMESTAMP
+           AND (replacement_locked_until IS NULL OR replacement_locked_until < CURRENT_TIMESTAMP)
+         ORDER BY replacement_deadline ASC
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [leaseMinutes, limit]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error claiming expired replacement transactions', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Replace the transaction's checkout totals with those fetched from Shopify
+ * Only applies while no card is being charged; returns null otherwise.
+ */
+export async function updateTransactionCheckout(transactionId, { totalAmount, currency, customerEmail, snapshot }) {
+  try {
+    const result = await query(
+      `UPDATE transactions 
+       SET total_amount = $2, currency = $3, customer_email = COALESCE($4, customer_email),
+           checkout_snapshot = $5, checkout_synced_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status IN ('pending', 'awaiting_replacement')
+       RETURNING *`,
+      [transactionId, totalAmount, currency, customerEmail, JSON.stringify(snapshot)]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error updating transaction checkout', { error: error.message, transactionId });
     throw error;
   }
 }
@@ -137,10 +297,9 @@ export async function updateTransactionOrder(transactionId, shopifyOrderId, shop
 /**
  * Get paginated transactions
  */
-export async function getTransactions(filters = {}) {
+export async function getTransactions(scope, filters = {}) {
   try {
     const {
-      storeId,
       status,
       startDate,
       endDate,
@@ -148,14 +307,9 @@ export async function getTransactions(filters = {}) {
       limit = 20
     } = filters;
 
-    let whereClauses = [];
     let params = [];
-    let paramIndex = 1;
-
-    if (storeId) {
-      whereClauses.push(`store_id = $${paramIndex++}`);
-      params.push(storeId);
-    }
+    let whereClauses = [scopeCondition(scope, params)];
+    let paramIndex = params.length + 1;
 
     if (status) {
       whereClauses.push(`status = $${paramIndex++}`);
@@ -172,9 +326,7 @@ export async function getTransactions(filters = {}) {
       params.push(endDate);
     }
 
-    const whereClause = whereClauses.length > 0 
-      ? `WHERE ${whereClauses.join(' AND ')}`
-      : '';
+    const whereClause = `WHERE ${whereClauses.join(' AND ')}`;
 
     const offset = (page - 1) * limit;
 
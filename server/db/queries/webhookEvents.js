@@ -0,0 +1,179 @@
+import { query } from '../../config/database.js';
+import { logger } from '../../utils/logger.js';
+import { scopeCondition } from '../scope.js';
+
+/**
+ * Record a received webhook
+ * Returns null if the same source and external ID was already recorded.
+ */
+export async function recordWebhookEvent(data) {
+  try {
+    const {
+      source,
+      externalId,
+      topic,
+      shopDomain = null,
+      storeId = null,
+      payload
+    } = data;
+
+    const result = await query(
+      `INSERT INTO webhook_events (source, external_id, topic, shop_domain, store_id, payload)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (source, external_id) DO NOTHING
+       RETURNING *`,
+      [source, externalId, topic, shopDomain, storeId, JSON.stringify(payload)]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error recording webhook event', {
+      error: error.message,
+      source: data.source,
+      externalId: data.externalId
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get webhook event by ID
+ */
+export async function getWebhookEventById(scope, eventId) {
+  try {
+    const params = [eventId];
+    const result = await query(
+      `SELECT * FROM webhook_events WHERE id = $1 AND ${scopeCondition(scope, params)}`,
+      params
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error getting webhook event', { error: error.message, eventId });
+    throw error;
+  }
+}
+
+/**
+ * Get webhook event by source and external ID
+ */
+export async function getWebhookEventByExternalId(scope, source, externalId) {
+  try {
+    const params = [source, externalId];
+    const result = await query(
+      `SELECT * FROM webhook_events
+       WHERE source = $1 AND external_id = $2 AND ${scopeCondition(scope, params)}`,
+      params
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error getting webhook event by external ID', { error: error.message, source, externalId });
+    throw error;
+  }
+}
+
+/**
+ * Record the outcome of a processing attempt
+ */
+export async function updateWebhookEventStatus(eventId, status, lastError = null) {
+  try {
+    const result = await query(
+      `UPDATE webhook_events 
+       SET status = $2,
+           attempts = attempts + 1,
+           last_error = $3,
+           processed_at = CASE WHEN $2 IN ('processed', 'ignored') THEN CURRENT_TIMESTAMP ELSE processed_at END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [eventId, status, lastError]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error updating webhook event status', { error: error.message, eventId, status });
+    throw error;
+  }
+}
+
+/**
+ * Put a failed webhook event back to pending for replay
+ * Returns null if the event is not failed.
+ */
+export async function resetFailedWebhookEvent(eventId) {
+  try {
+    const result = await query(
+      `UPDATE webhook_events 
+       SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'failed'
+       RETURNING *`,
+      [eventId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error resetting webhook event', { error: error.message, eventId });
+    throw error;
+  }
+}
+
+/**
+ * Get paginated webhook events
+ */
+export async function getWebhookEvents(scope, filters = {}) {
+  try {
+    const {
+      source,
+      status,
+      topic,
+      page = 1,
+      limit = 20
+    } = filters;
+
+    let params = [];
+    let whereClauses = [scopeCondition(scope, params)];
+    let paramIndex = params.length + 1;
+
+    if (source) {
+      whereClauses.push(`source = $${paramIndex++}`);
+      params.push(source);
+    }
+
+    if (status) {
+      whereClauses.push(`status = $${paramIndex++}`);
+      params.push(status);
+    }
+
+    if (topic) {
+      whereClauses.push(`topic = $${paramIndex++}`);
+      params.push(topic);
+    }
+
+    const whereClause = `WHERE ${whereClauses.join(' AND ')}`;
+
+    const offset = (page - 1) * limit;
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM webhook_events ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    // The list leaves payloads out; fetch one event to see its payload
+    const result = await query(
+      `SELECT id, source, external_id, topic, shop_domain, store_id, status,
+              attempts, last_error, received_at, updated_at, processed_at
+       FROM webhook_events 
+       ${whereClause}
+       ORDER BY received_at DESC
+       LIMIT $${paramIndex++} OFFSET $${paramIndex++}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      events: result.rows,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    };
+  } catch (error) {
+    logger.error('Error getting webhook events', { error: error.message, filters });
+    throw error;
+  }
+}
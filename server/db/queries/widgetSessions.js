@@ -0,0 +1,145 @@
+import { query } from '../../config/database.js';
+import { logger } from '../../utils/logger.js';
+import { scopeCondition } from '../scope.js';
+
+/**
+ * Create a widget session
+ */
+export async function createWidgetSession(data) {
+  try {
+    const {
+      sessionId,
+      storeId,
+      transactionId,
+      shopDomain,
+      checkoutToken,
+      ttlMs
+    } = data;
+
+    const result = await query(
+      `INSERT INTO widget_sessions 
+       (id, store_id, transaction_id, shop_domain, shopify_checkout_token, status, expires_at)
+       VALUES ($1, $2, $3, $4, $5, 'active', CURRENT_TIMESTAMP + ($6 * INTERVAL '1 millisecond'))
+       RETURNING *`,
+      [sessionId, storeId, transactionId, shopDomain, checkoutToken, ttlMs]
+    );
+
+    logger.info('Widget session created', { sessionId, transactionId });
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating widget session', { error: error.message, transactionId: data.transactionId });
+    throw error;
+  }
+}
+
+/**
+ * Get an active, unexpired widget session
+ */
+export async function getActiveWidgetSession(scope, sessionId) {
+  try {
+    const params = [sessionId];
+    const result = await query(
+      `SELECT * FROM widget_sessions 
+       WHERE id = $1 AND status = 'active' AND expires_at > CURRENT_TIMESTAMP
+         AND ${scopeCondition(scope, params)}`,
+      params
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error getting widget session', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Append a payment to a session, unless the session is full or no longer active
+ */
+export async function addWidgetSessionPayment(sessionId, payment, maxPayments) {
+  try {
+    const result = await query(
+      `UPDATE widget_sessions 
+       SET payments = payments || $2::jsonb, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 
+         AND status = 'active' 
+         AND expires_at > CURRENT_TIMESTAMP
+         AND jsonb_array_length(payments) < $3
+       RETURNING *`,
+      [sessionId, JSON.stringify([payment]), maxPayments]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error adding widget session payment', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Remove a payment from a session by PaymentIntent ID
+ */
+export async function removeWidgetSessionPayment(sessionId, paymentIntentId) {
+  try {
+    const result = await query(
+      `UPDATE widget_sessions 
+       SET payments = COALESCE(
+             (SELECT jsonb_agg(p) FROM jsonb_array_elements(payments) p 
+              WHERE p->>'paymentIntentId' <> $2),
+             '[]'::jsonb
+           ),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'active'
+       RETURNING *`,
+      [sessionId, paymentIntentId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error removing widget session payment', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Update widget session status
+ */
+export async function updateWidgetSessionStatus(sessionId, status) {
+  try {
+    const result = await query(
+      `UPDATE widget_sessions 
+       SET status = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [sessionId, status]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error updating widget session status', { error: error.message, status });
+    throw error;
+  }
+}
+
+/**
+ * Claim a batch of expired sessions for sweeping
+ * Each claimed row is leased so other instances skip it until the lease ends;
+ * it stays active until the sweeper marks it expired.
+ */
+export async function claimExpiredWidgetSessions(leaseMinutes, limit = 50) {
+  try {
+    const result = await query(
+      `UPDATE widget_sessions 
+       SET sweeping_until = CURRENT_TIMESTAMP + ($1 * INTERVAL '1 minute')
+       WHERE id IN (
+         SELECT id FROM widget_sessions
+         WHERE status = 'active' AND expires_at <= CURRENT_TIMESTAMP
+           AND (sweeping_until IS NULL OR sweeping_until < CURRENT_TIMESTAMP)
+         ORDER BY expires_at ASC
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [leaseMinutes, limit]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error claiming expired widget sessions', { error: error.message });
+    throw error;
+  }
+}
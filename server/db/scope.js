@@ -0,0 +1,72 @@
+/**
+ * Tenant scopes for queries
+ * Every lookup of tenant-owned rows takes a scope as its first argument, so
+ * no query can be called without deciding whose rows it may return:
+ * - storeScope(storeId) returns one store's rows only. The admin API is only
+ *   ever given one of these, built from its verified session.
+ * - SYSTEM_SCOPE returns any store's rows. It is for webhooks, jobs and the
+ *   checkout, which work out the store from the rows they find.
+ * Writes take the ID of a row that was looked up through a scope.
+ */
+
+export const SYSTEM_SCOPE = Object.freeze({ system: true });
+
+/**
+ * Scope to one store
+ * @param {number} storeId - Store ID
+ * @returns {object} Scope
+ */
+export function storeScope(storeId) {
+  if (!Number.isInteger(storeId) || storeId <= 0) {
+    throw new Error(`Invalid store scope: ${storeId}`);
+  }
+
+  return Object.freeze({ storeId });
+}
+
+/**
+ * Check a scope and return its store ID, or null for SYSTEM_SCOPE
+ */
+function scopeStoreId(scope) {
+  if (scope === SYSTEM_SCOPE) {
+    return null;
+  }
+
+  if (!scope || !Number.isInteger(scope.storeId)) {
+    throw new Error('Query needs a store scope');
+  }
+
+  return scope.storeId;
+}
+
+/**
+ * SQL condition limiting a table with a store_id column to the scope
+ * Adds the store ID to params when it needs one.
+ * @param {object} scope - storeScope() or SYSTEM_SCOPE
+ * @param {Array} params - Query parameters, appended to
+ * @param {string} column - Store ID column (default: store_id)
+ * @returns {string} Condition, TRUE for SYSTEM_SCOPE
+ */
+export function scopeCondition(scope, params, column = 'store_id') {
+  const storeId = scopeStoreId(scope);
+  if (storeId === null) return 'TRUE';
+
+  params.push(storeId);
+  return `${column} = $${params.length}`;
+}
+
+/**
+ * SQL condition limiting a table keyed by transaction to the scope
+ * For payments, refunds and events, which reach their store through it.
+ * @param {object} scope - storeScope() or SYSTEM_SCOPE
+ * @param {Array} params - Query parameters, appended to
+ * @param {string} column - Transaction ID column (default: transaction_id)
+ * @returns {string} Condition, TRUE for SYSTEM_SCOPE
+ */
+export function transactionScopeCondition(scope, params, column = 'transaction_id') {
+  const storeId = scopeStoreId(scope);
+  if (storeId === null) return 'TRUE';
+
+  params.push(storeId);
+  return `${column} IN (SELECT id FROM transactions WHERE store_id = $${params.length})`;
+}
@@ -7,10 +7,19 @@ import authRoutes from './routes/auth.js';
 import webhookRoutes from './routes/webhooks.js';
 import widgetRoutes from './routes/widget.js';
 import adminRoutes from './routes/admin.js';
+import operatorRoutes from './routes/operator.js';
 import stripeRoutes from './routes/stripe.js';
+import { registerJobs } from './jobs/index.js';
+import { startJobRunner, stopJobRunner } from './workers/jobRunner.js';
 
 dotenv.config();
 
+// Job types must be known here even when a separate worker runs them
+registerJobs();
+
+// Set RUN_JOBS_IN_WEB=false when server/worker.js runs the jobs instead
+const RUN_JOBS_IN_WEB = process.env.RUN_JOBS_IN_WEB !== 'false';
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 const APP_URL = process.env.APP_URL || 'http://localhost:3000';
@@ -18,6 +27,10 @@ const APP_URL = process.env.APP_URL || 'http://localhost:3000';
 // Trust proxy for Railway/Render/Fly.io
 app.set('trust proxy', 1);
 
+// Webhooks verify signatures over the raw body, so they go before the parsers
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/stripe', stripeRoutes);
+
 // Middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -53,10 +66,9 @@ app.get('/health', (req, res) => {
 
 // Routes
 app.use('/api/auth', authRoutes);
-app.use('/api/webhooks', webhookRoutes);
 app.use('/api/widget', widgetRoutes);
 app.use('/api/admin', adminRoutes);
-app.use('/api/stripe', stripeRoutes);
+app.use('/api/operator', operatorRoutes);
 
 // Privacy policy endpoint (required by Shopify)
 app.get('/privacy', (req, res) => {
@@ -89,16 +101,23 @@ app.listen(PORT, () => {
     env: process.env.NODE_ENV,
     appUrl: APP_URL 
   });
+
+  // Background jobs
+  if (RUN_JOBS_IN_WEB) {
+    startJobRunner();
+  }
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  await stopJobRunner();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  await stopJobRunner();
   process.exit(0);
 });
 
@@ -0,0 +1,81 @@
+import { logger } from '../utils/logger.js';
+import { defineJob, pruneFinishedJobs } from '../services/jobService.js';
+import { sweepExpiredSessions } from '../services/sessionService.js';
+import { reconcileStaleTransactions } from '../services/reconciliationService.js';
+import { processExpiringHolds, releaseExpiredReplacements } from '../services/holdService.js';
+import { processDueOrders } from '../services/orderOutboxService.js';
+import { PROCESS_JOB as PROCESS_WEBHOOK_JOB, processWebhookEvent } from '../services/webhookInboxService.js';
+
+/**
+ * Job definitions
+ * Every job type the app runs is defined here, so web and worker processes
+ * agree on what can be enqueued. Call registerJobs() once at startup.
+ */
+
+const SESSION_SWEEP_INTERVAL_MS = parseInt(process.env.SESSION_SWEEP_INTERVAL_MS || '60000', 10);
+const RECONCILE_INTERVAL_MS = parseInt(process.env.RECONCILE_INTERVAL_MS || '120000', 10);
+const HOLD_CHECK_INTERVAL_MS = parseInt(process.env.HOLD_CHECK_INTERVAL_MS || String(60 * 60 * 1000), 10);
+const REPLACEMENT_CHECK_INTERVAL_MS = parseInt(process.env.REPLACEMENT_CHECK_INTERVAL_MS || '30000', 10);
+const ORDER_OUTBOX_INTERVAL_MS = parseInt(process.env.ORDER_OUTBOX_INTERVAL_MS || '15000', 10);
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS || '7', 10);
+
+let registered = false;
+
+export function registerJobs() {
+  if (registered) return;
+  registered = true;
+
+  // Expire widget sessions and void their PaymentIntents
+  defineJob('sessions.sweep', async () => {
+    const expired = await sweepExpiredSessions();
+    if (expired > 0) {
+      logger.info('Expired widget sessions swept', { count: expired });
+    }
+  }, { intervalMs: SESSION_SWEEP_INTERVAL_MS });
+
+  // Recover transactions left in processing by a crash
+  defineJob('transactions.reconcile', async () => {
+    const reconciled = await reconcileStaleTransactions();
+    if (reconciled > 0) {
+      logger.info('Stuck transactions reconciled', { count: reconciled });
+    }
+  }, { intervalMs: RECONCILE_INTERVAL_MS });
+
+  // Void or re-authorize deferred-capture holds before Stripe releases them
+  defineJob('holds.check_expiry', async () => {
+    const handled = await processExpiringHolds();
+    if (handled > 0) {
+      logger.info('Expiring holds handled', { count: handled });
+    }
+  }, { intervalMs: HOLD_CHECK_INTERVAL_MS });
+
+  // Release the other holds once a declined card's replacement window closes
+  defineJob('replacements.release_expired', async () => {
+    const voided = await releaseExpiredReplacements();
+    if (voided > 0) {
+      logger.info('Expired card replacements voided', { count: voided });
+    }
+  }, { intervalMs: REPLACEMENT_CHECK_INTERVAL_MS });
+
+  // Create queued Shopify orders, retrying failed attempts
+  defineJob('orders.deliver_due', async () => {
+    const created = await processDueOrders();
+    if (created > 0) {
+      logger.info('Queued Shopify orders created', { count: created });
+    }
+  }, { intervalMs: ORDER_OUTBOX_INTERVAL_MS });
+
+  // Apply a webhook recorded in the inbox
+  defineJob(PROCESS_WEBHOOK_JOB, async ({ webhookEventId }, job) => {
+    await processWebhookEvent(webhookEventId, job);
+  }, { maxAttempts: WEBHOOK_MAX_ATTEMPTS, backoffSeconds: 30 });
+
+  // Keep the jobs table small
+  defineJob('jobs.prune', async () => {
+    const deleted = await pruneFinishedJobs(JOB_RETENTION_DAYS);
+    if (deleted > 0) {
+      logger.info('Finished jobs pruned', { count: deleted });
+    }
+  }, { intervalMs: 60 * 60 * 1000 });
+}
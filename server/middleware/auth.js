@@ -1,56 +1,163 @@
-import { getShopifyClient } from '../config/shopify.js';
+import crypto from 'crypto';
+import { validateShopDomain } from '../utils/validation.js';
 import { logger } from '../utils/logger.js';
+import { getInstallUrl, getMissingScopes, needsReauthorization } from '../services/installService.js';
+import * as storeQueries from '../db/queries/stores.js';
+import { storeScope } from '../db/scope.js';
 
 /**
- * Middleware to verify Shopify session token
- * Used for admin dashboard endpoints
+ * Admin authentication
+ * The embedded admin sends an App Bridge session token: a JWT signed HS256
+ * with the app's API secret, naming the shop in its dest claim. The shop is
+ * only ever taken from a verified token.
  */
-export async function verifyShopifySession(req, res, next) {
+
+// Allowed clock skew between Shopify and us, in seconds
+const CLOCK_TOLERANCE_SECONDS = 10;
+
+/**
+ * Decode a base64url JWT segment as JSON
+ */
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Hostname of a URL claim, or null if it isn't a URL
+ */
+function hostnameOf(url) {
   try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'UNAUTHORIZED',
-          message: 'Missing or invalid authorization header'
-        }
-      });
-    }
+    return new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verify an App Bridge session token
+ * @param {string} token - Session token (JWT)
+ * @param {object} options - { apiKey, apiSecret, now } now in seconds, for testing
+ * @returns {object} { shop, payload }
+ * @throws {Error} If the token is malformed, badly signed, expired or not for this app
+ */
+export function decodeSessionToken(token, options = {}) {
+  const {
+    apiKey = process.env.SHOPIFY_API_KEY,
+    apiSecret = process.env.SHOPIFY_API_SECRET,
+    now = Math.floor(Date.now() / 1000)
+  } = options;
 
-    const token = authHeader.substring(7);
-    const shopify = getShopifyClient();
+  if (!apiKey || !apiSecret) {
+    throw new Error('SHOPIFY_API_KEY and SHOPIFY_API_SECRET environment variables are required');
+  }
+
+  const segments = typeof token === 'string' ? token.split('.') : [];
+  if (segments.length !== 3) {
+    throw new Error('Session token is not a JWT');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(encodedHeader);
+    payload = decodeSegment(encodedPayload);
+  } catch (error) {
+    throw new Error('Session token is not a JWT');
+  }
+
+  // Only HS256 - never let the token pick its own algorithm
+  if (header.alg !== 'HS256') {
+    throw new Error(`Unexpected session token algorithm: ${header.alg}`);
+  }
+
+  const expected = crypto
+    .createHmac('sha256', apiSecret)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest();
+  const received = Buffer.from(encodedSignature, 'base64url');
+
+  // timingSafeEqual throws on a length mismatch
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Invalid session token signature');
+  }
+
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.includes(apiKey)) {
+    throw new Error('Session token is for another app');
+  }
+
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_TOLERANCE_SECONDS <= now) {
+    throw new Error('Session token has expired');
+  }
+
+  if (typeof payload.nbf !== 'number' || payload.nbf - CLOCK_TOLERANCE_SECONDS > now) {
+    throw new Error('Session token is not valid yet');
+  }
+
+  const shop = hostnameOf(payload.dest);
+  if (!validateShopDomain(shop)) {
+    throw new Error('Session token has no valid shop');
+  }
+
+  // The issuer is the same shop's admin
+  if (payload.iss !== undefined && hostnameOf(payload.iss) !== shop) {
+    throw new Error('Session token issuer does not match its shop');
+  }
+
+  return { shop, payload };
+}
+
+/**
+ * Read the session token from a request
+ * App Bridge sends it as a bearer token; x-shopify-session-token is also read.
+ */
+function getRequestToken(req) {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
 
-    // Verify the session token
-    const session = await shopify.auth.callback({
-      code: token,
-      shop: req.headers['x-shopify-shop-domain']
+  return req.headers['x-shopify-session-token'] || null;
+}
+
+/**
+ * Middleware to verify the App Bridge session token
+ * Used for admin dashboard endpoints. Sets req.shop from the token.
+ */
+export async function verifySessionToken(req, res, next) {
+  if (!process.env.SHOPIFY_API_KEY || !process.env.SHOPIFY_API_SECRET) {
+    logger.error('SHOPIFY_API_KEY or SHOPIFY_API_SECRET not configured');
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'CONFIGURATION_ERROR',
+        message: 'Server configuration error'
+      }
     });
+  }
 
-    // For embedded apps, we need to verify the token differently
-    // This is a simplified version - in production, use proper session token verification
-    const shop = req.headers['x-shopify-shop-domain'];
-    
-    if (!shop) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'UNAUTHORIZED',
-          message: 'Missing shop domain header'
-        }
-      });
-    }
+  const token = getRequestToken(req);
 
-    // Store shop domain in request for use in routes
-    req.shop = shop;
-    req.shopifySession = session;
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Missing session token'
+      }
+    });
+  }
 
-    next();
+  let decoded;
+  try {
+    decoded = decodeSessionToken(token);
   } catch (error) {
-    logger.error('Shopify session verification failed', {
+    logger.warn('Session token verification failed', {
       error: error.message,
-      shop: req.headers['x-shopify-shop-domain']
+      path: req.path
     });
 
     return res.status(401).json({
@@ -61,47 +168,97 @@ export async function verifyShopifySession(req, res, next) {
       }
     });
   }
+
+  req.shop = decoded.shop;
+  req.sessionToken = token;
+  req.sessionTokenPayload = decoded.payload;
+
+  next();
 }
 
 /**
- * Simplified session verification for embedded apps
- * In production, use @shopify/shopify-api's session token verification
+ * Middleware to send stores that need OAuth back through it
+ * Must follow verifySessionToken. A store that is uninstalled, or is missing
+ * scopes a release added, gets a 403 naming the URL that re-authorizes it;
+ * the admin sends the top window there. Otherwise sets req.store, and
+ * req.scope for every query the request makes.
  */
-export async function verifySessionToken(req, res, next) {
+export async function requireAuthorizedStore(req, res, next) {
   try {
-    const token = req.headers['x-shopify-session-token'];
-    const shop = req.headers['x-shopify-shop-domain'];
+    const store = await storeQueries.getStoreByDomain(req.shop);
+
+    if (needsReauthorization(store)) {
+      const missingScopes = store ? getMissingScopes(store.scopes) : [];
 
-    if (!token || !shop) {
-      return res.status(401).json({
+      logger.info('Store needs re-authorization', { shop: req.shop, installed: !!store, missingScopes });
+      return res.status(403).json({
         success: false,
         error: {
-          code: 'UNAUTHORIZED',
-          message: 'Missing session token or shop domain'
+          code: 'REAUTHORIZATION_REQUIRED',
+          message: 'The app needs to be authorized again for this store',
+          reauthorizeUrl: getInstallUrl(req.shop),
+          missingScopes
         }
       });
     }
 
-    // In production, verify the JWT token here
-    // For now, we'll trust the token if it exists
-    // TODO: Implement proper JWT verification using Shopify's public keys
-
-    req.shop = shop;
-    req.sessionToken = token;
-
+    req.store = store;
+    req.scope = storeScope(store.id);
     next();
   } catch (error) {
-    logger.error('Session token verification failed', {
-      error: error.message
+    next(error);
+  }
+}
+
+/**
+ * Whether a bearer token is one of the operator tokens
+ * OPERATOR_API_TOKENS is a comma-separated list, so tokens can be rotated.
+ */
+function isOperatorToken(token) {
+  const tokens = (process.env.OPERATOR_API_TOKENS || '')
+    .split(',')
+    .map(t => t.trim())
+    .filter(Boolean);
+
+  const received = crypto.createHash('sha256').update(token).digest();
+
+  // Compare digests so every comparison is the same length and timing-safe
+  return tokens.some(t =>
+    crypto.timingSafeEqual(crypto.createHash('sha256').update(t).digest(), received)
+  );
+}
+
+/**
+ * Middleware to verify an operator API token
+ * Used for the platform-wide endpoints, which see every store. Operators are
+ * the people running the app, not merchants: an App Bridge session token
+ * never gets in here.
+ */
+export function verifyOperator(req, res, next) {
+  if (!process.env.OPERATOR_API_TOKENS) {
+    logger.warn('Operator endpoint called but OPERATOR_API_TOKENS is not configured', { path: req.path });
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Endpoint not found'
+      }
     });
+  }
+
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
 
+  if (!token || !isOperatorToken(token)) {
+    logger.warn('Operator authentication failed', { ip: req.ip, path: req.path });
     return res.status(401).json({
       success: false,
       error: {
         code: 'UNAUTHORIZED',
-        message: 'Invalid session token'
+        message: 'Invalid operator token'
       }
     });
   }
-}
 
+  next();
+}
@@ -1,10 +1,61 @@
 import crypto from 'crypto';
-import { getShopifyClient } from '../config/shopify.js';
-import { getStripeWebhookSecret } from '../config/stripe.js';
+import express from 'express';
+import Stripe from 'stripe';
+import { getShopifyWebhookSecrets } from '../config/shopify.js';
+import { getStripeWebhookSecrets } from '../config/stripe.js';
 import { logger } from '../utils/logger.js';
 
+/**
+ * Webhook verification
+ * Signatures cover the exact bytes sent, so webhook routes are mounted ahead
+ * of the app's JSON parser and read the body with captureRawBody. The body is
+ * parsed only once a signature checks out against one of the active secrets.
+ */
+
+/**
+ * Middleware to keep the request body as the raw bytes received
+ * Any content type is read, so a mislabelled body still fails verification
+ * rather than arriving empty.
+ */
+export const captureRawBody = express.raw({ type: () => true, limit: '10mb' });
+
+/**
+ * Whether a base64 HMAC-SHA256 matches the body under any of the secrets
+ * @param {Buffer} rawBody - Raw request body
+ * @param {string} hmac - Base64 HMAC from the request
+ * @param {Array<string>} secrets - Active secrets
+ * @returns {boolean} True if one matches
+ */
+export function verifyHmac(rawBody, hmac, secrets) {
+  const received = Buffer.from(hmac, 'base64');
+
+  return secrets.some(secret => {
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(rawBody)
+      .digest();
+
+    // timingSafeEqual throws on a length mismatch
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  });
+}
+
+/**
+ * Parse a verified JSON body
+ * @returns {object|null} Parsed body, or null if it is not JSON
+ */
+function parseBody(rawBody) {
+  try {
+    return rawBody.length > 0 ? JSON.parse(rawBody.toString('utf8')) : {};
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Middleware to validate Shopify webhook HMAC signature
+ * Used on every Shopify webhook route, the GDPR ones included. Must follow
+ * captureRawBody.
  */
 export function validateShopifyWebhook(req, res, next) {
   try {
@@ -27,10 +78,9 @@ export function validateShopifyWebhook(req, res, next) {
       });
     }
 
-    const shopify = getShopifyClient();
-    const apiSecret = process.env.SHOPIFY_API_SECRET;
+    const secrets = getShopifyWebhookSecrets();
 
-    if (!apiSecret) {
+    if (secrets.length === 0) {
       logger.error('SHOPIFY_API_SECRET not configured');
       return res.status(500).json({
         success: false,
@@ -41,15 +91,18 @@ export function validateShopifyWebhook(req, res, next) {
       });
     }
 
-    // Calculate HMAC
-    const rawBody = JSON.stringify(req.body);
-    const calculatedHmac = crypto
-      .createHmac('sha256', apiSecret)
-      .update(rawBody, 'utf8')
-      .digest('base64');
+    if (!Buffer.isBuffer(req.body)) {
+      logger.error('Shopify webhook body was parsed before verification', { shop, topic });
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'CONFIGURATION_ERROR',
+          message: 'Server configuration error'
+        }
+      });
+    }
 
-    // Compare HMACs (use timing-safe comparison)
-    if (!crypto.timingSafeEqual(Buffer.from(hmac), Buffer.from(calculatedHmac))) {
+    if (!verifyHmac(req.body, hmac, secrets)) {
       logger.warn('Invalid Shopify webhook HMAC', {
         shop,
         topic
@@ -63,7 +116,22 @@ export function validateShopifyWebhook(req, res, next) {
       });
     }
 
+    const payload = parseBody(req.body);
+
+    if (!payload) {
+      logger.warn('Shopify webhook body is not JSON', { shop, topic });
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_WEBHOOK',
+          message: 'Webhook body is not valid JSON'
+        }
+      });
+    }
+
     // Store webhook metadata in request
+    req.rawBody = req.body;
+    req.body = payload;
     req.webhookTopic = topic;
     req.webhookShop = shop;
 
@@ -85,11 +153,13 @@ export function validateShopifyWebhook(req, res, next) {
 
 /**
  * Middleware to validate Stripe webhook signature
+ * Platform and Connect events share the route; each is checked against every
+ * configured secret. Must follow captureRawBody.
  */
-export async function validateStripeWebhook(req, res, next) {
+export function validateStripeWebhook(req, res, next) {
   try {
     const signature = req.headers['stripe-signature'];
-    const webhookSecret = getStripeWebhookSecret();
+    const secrets = getStripeWebhookSecrets();
 
     if (!signature) {
       logger.warn('Missing Stripe webhook signature');
@@ -102,7 +172,7 @@ export async function validateStripeWebhook(req, res, next) {
       });
     }
 
-    if (!webhookSecret) {
+    if (secrets.length === 0) {
       logger.error('STRIPE_WEBHOOK_SECRET not configured');
       return res.status(500).json({
         success: false,
@@ -113,31 +183,33 @@ export async function validateStripeWebhook(req, res, next) {
       });
     }
 
-    // For Express, we need the raw body
-    // In production, use express.raw() middleware for /api/stripe/webhook route
-    const rawBody = req.rawBody || JSON.stringify(req.body);
-
-    // Stripe expects the raw body buffer
-    const { default: Stripe } = await import('stripe');
-    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-    
-    try {
-      const event = stripe.webhooks.constructEvent(
-        rawBody,
-        signature,
-        webhookSecret
-      );
-
-      req.stripeEvent = event;
-      logger.debug('Stripe webhook validated', {
-        type: event.type,
-        id: event.id
+    if (!Buffer.isBuffer(req.body)) {
+      logger.error('Stripe webhook body was parsed before verification');
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'CONFIGURATION_ERROR',
+          message: 'Server configuration error'
+        }
       });
+    }
+
+    let event = null;
+    let lastError = null;
+
+    for (const secret of secrets) {
+      try {
+        // Static helper - verifying needs no API client
+        event = Stripe.webhooks.constructEvent(req.body, signature, secret);
+        break;
+      } catch (err) {
+        lastError = err;
+      }
+    }
 
-      next();
-    } catch (err) {
+    if (!event) {
       logger.warn('Invalid Stripe webhook signature', {
-        error: err.message
+        error: lastError?.message
       });
       return res.status(401).json({
         success: false,
@@ -147,6 +219,15 @@ export async function validateStripeWebhook(req, res, next) {
         }
       });
     }
+
+    req.rawBody = req.body;
+    req.stripeEvent = event;
+    logger.debug('Stripe webhook validated', {
+      type: event.type,
+      id: event.id
+    });
+
+    next();
   } catch (error) {
     logger.error('Error validating Stripe webhook', {
       error: error.message
@@ -160,4 +241,3 @@ export async function validateStripeWebhook(req, res, next) {
     });
   }
 }
-
@@ -0,0 +1,39 @@
+/**
+ * Checkout source interface
+ * The server never trusts the amount shown in the browser: the total, currency,
+ * customer and line items of a split come from the store's checkout, fetched
+ * through a source. Shopify is the real one; the fake is for tests.
+ *
+ * Sources return a normalized checkout with every amount in minor units:
+ *   { token, currency, totalAmount, subtotalAmount, shippingAmount, taxAmount,
+ *     discountAmount, taxesIncluded, customerEmail, customer, lineItems,
+ *     shippingLines, taxLines, discountCodes, shippingAddress, billingAddress,
+ *     updatedAt }
+ */
+export class CheckoutSource {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Fetch a checkout by its token
+   * @param {object} store - Store record
+   * @param {string} checkoutToken - Checkout token
+   * @returns {Promise<object>} Normalized checkout; throws CHECKOUT_NOT_FOUND if missing
+   */
+  async fetchCheckout(store, checkoutToken) {
+    throw new Error(`${this.name} checkout source does not implement fetchCheckout`);
+  }
+}
+
+/**
+ * Build the error a source throws for an unknown checkout
+ * @param {string} checkoutToken - Checkout token
+ * @returns {Error} Error with code CHECKOUT_NOT_FOUND and status 404
+ */
+export function checkoutNotFound(checkoutToken) {
+  const error = new Error(`Checkout not found: ${checkoutToken}`);
+  error.code = 'CHECKOUT_NOT_FOUND';
+  error.statusCode = 404;
+  return error;
+}
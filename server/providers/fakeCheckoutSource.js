@@ -0,0 +1,109 @@
+import { CheckoutSource, checkoutNotFound } from './checkoutSource.js';
+
+/**
+ * In-memory fake checkout source
+ * Local stand-in for Shopify in development and tests. Checkouts are set per
+ * token with setCheckout(); any other token gets the sample checkout unless
+ * the source was built with { defaultCheckout: null }, in which case it is
+ * not found.
+ */
+
+// One $100.00 item, no shipping or tax
+const SAMPLE_CHECKOUT = {
+  currency: 'USD',
+  customerEmail: 'customer@example.com',
+  lineItems: [
+    { variantId: '1', productId: '1', title: 'Sample Product', quantity: 1, price: 10000 }
+  ]
+};
+
+/**
+ * Fill in a partial checkout; totals not given are derived from the lines
+ */
+function buildCheckout(token, data) {
+  const lineItems = (data.lineItems || []).map(item => ({
+    variantId: null,
+    productId: null,
+    variantTitle: null,
+    sku: null,
+    requiresShipping: true,
+    taxable: true,
+    ...item
+  }));
+  const shippingLines = data.shippingLines || [];
+  const taxLines = data.taxLines || [];
+
+  const subtotalAmount = data.subtotalAmount ??
+    lineItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const shippingAmount = data.shippingAmount ??
+    shippingLines.reduce((sum, line) => sum + line.price, 0);
+  const taxAmount = data.taxAmount ?? taxLines.reduce((sum, line) => sum + line.price, 0);
+  const discountAmount = data.discountAmount ?? 0;
+  const taxesIncluded = Boolean(data.taxesIncluded);
+
+  return {
+    token,
+    currency: (data.currency || 'USD').toUpperCase(),
+    totalAmount: data.totalAmount ??
+      subtotalAmount + shippingAmount + (taxesIncluded ? 0 : taxAmount) - discountAmount,
+    subtotalAmount,
+    shippingAmount,
+    taxAmount,
+    discountAmount,
+    taxesIncluded,
+    customerEmail: data.customerEmail || null,
+    customer: data.customer || null,
+    lineItems,
+    shippingLines,
+    taxLines,
+    discountCodes: data.discountCodes || [],
+    shippingAddress: data.shippingAddress || null,
+    billingAddress: data.billingAddress || null,
+    updatedAt: data.updatedAt || null
+  };
+}
+
+export class FakeCheckoutSource extends CheckoutSource {
+  constructor({ checkouts = {}, defaultCheckout = SAMPLE_CHECKOUT } = {}) {
+    super('fake');
+    this.defaultCheckout = defaultCheckout;
+    this.checkouts = new Map();
+
+    for (const [token, data] of Object.entries(checkouts)) {
+      this.setCheckout(token, data);
+    }
+  }
+
+  /**
+   * Set or replace a checkout, e.g. to simulate the cart changing
+   * @param {string} token - Checkout token
+   * @param {object} data - Partial normalized checkout
+   * @returns {object} Stored checkout
+   */
+  setCheckout(token, data) {
+    const checkout = buildCheckout(token, data);
+    this.checkouts.set(token, checkout);
+    return checkout;
+  }
+
+  removeCheckout(token) {
+    this.checkouts.delete(token);
+  }
+
+  reset() {
+    this.checkouts.clear();
+  }
+
+  async fetchCheckout(store, checkoutToken) {
+    const checkout = this.checkouts.get(checkoutToken);
+    if (checkout) {
+      return structuredClone(checkout);
+    }
+
+    if (!this.defaultCheckout) {
+      throw checkoutNotFound(checkoutToken);
+    }
+
+    return buildCheckout(checkoutToken, this.defaultCheckout);
+  }
+}
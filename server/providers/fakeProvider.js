@@ -0,0 +1,467 @@
+import { PaymentProvider } from './paymentProvider.js';
+
+/**
+ * In-memory fake payment provider
+ * Deterministic stand-in for Stripe used in local development and tests.
+ * The outcome of each card is chosen by its payment method ID, modelled on
+ * Stripe's test payment methods, so a whole split runs with no network.
+ *
+ *   pm_card_visa (or any other ID)           authorizes and captures
+ *   pm_card_chargeDeclined                   declined (generic_decline)
+ *   pm_card_chargeDeclinedInsufficientFunds  declined (insufficient_funds)
+ *   pm_card_chargeDeclinedExpiredCard        declined (expired_card)
+ *   pm_card_threeDSecure2Required            requires 3D Secure
+ *   pm_card_captureFails                     authorizes, capture fails
+ *   pm_card_timeout                          confirm times out, nothing happens
+ *   pm_card_timeoutAfterAuthorize            confirm authorizes, then times out
+ *
+ * 3D Secure is completed with completeAction(), standing in for the
+ * widget's stripe.handleCardAction(). openDispute() plays a cardholder
+ * disputing a captured card. Objects created with { stripeAccount }
+ * are only visible with the same option, as on a real connected account.
+ * There is no hosted onboarding: an account link enables the account at once
+ * and points straight at its return_url.
+ */
+
+const DECLINES = {
+  pm_card_chargeDeclined: { declineCode: 'generic_decline', message: 'Your card was declined.' },
+  pm_card_chargeDeclinedInsufficientFunds: { declineCode: 'insufficient_funds', message: 'Your card has insufficient funds.' },
+  pm_card_chargeDeclinedExpiredCard: { declineCode: 'expired_card', code: 'expired_card', message: 'Your card has expired.' }
+};
+
+const AUTHENTICATION_REQUIRED = ['pm_card_threeDSecure2Required', 'pm_card_authenticationRequired'];
+
+const CANCELABLE_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action', 'requires_capture'];
+
+// Fixed clock so repeated runs produce identical objects
+const EPOCH = 1700000000;
+
+/**
+ * Build an error shaped like the Stripe SDK's
+ */
+function providerError(type, code, message, extra = {}) {
+  const error = new Error(message);
+  error.type = type;
+  error.code = code;
+  error.statusCode = type === 'StripeConnectionError' ? undefined : (type === 'StripeCardError' ? 402 : 400);
+  Object.assign(error, extra);
+  return error;
+}
+
+function unexpectedState(paymentIntent, action) {
+  return providerError(
+    'StripeInvalidRequestError',
+    'payment_intent_unexpected_state',
+    `You cannot ${action} this PaymentIntent because it has a status of ${paymentIntent.status}.`,
+    { payment_intent: { id: paymentIntent.id, status: paymentIntent.status } }
+  );
+}
+
+export class FakeProvider extends PaymentProvider {
+  constructor() {
+    super('fake');
+    this.reset();
+  }
+
+  /**
+   * Forget every object and idempotent result
+   */
+  reset() {
+    this.sequence = 0;
+    this.customers = new Map();
+    this.paymentIntents = new Map();
+    this.refunds = new Map();
+    this.disputes = new Map();
+    this.accounts = new Map();
+    this.owners = new Map(); // Object ID -> connected account it lives on
+    this.idempotentResults = new Map();
+  }
+
+  nextId(prefix) {
+    this.sequence++;
+    return `${prefix}_fake_${String(this.sequence).padStart(6, '0')}`;
+  }
+
+  /**
+   * Replay the stored outcome for a repeated idempotency key, as Stripe does
+   */
+  async idempotent(options, fn) {
+    const key = options?.idempotencyKey;
+    if (key && this.idempotentResults.has(key)) {
+      const stored = this.idempotentResults.get(key);
+      if (stored.error) throw stored.error;
+      return structuredClone(stored.result);
+    }
+
+    try {
+      const result = await fn();
+      if (key) this.idempotentResults.set(key, { result: structuredClone(result) });
+      return result;
+    } catch (error) {
+      // Connection errors never reached the provider, so nothing is stored
+      if (key && error.type !== 'StripeConnectionError') {
+        this.idempotentResults.set(key, { error });
+      }
+      throw error;
+    }
+  }
+
+  getStoredPaymentIntent(paymentIntentId, options = {}) {
+    const paymentIntent = this.paymentIntents.get(paymentIntentId);
+    if (!paymentIntent || this.owners.get(paymentIntentId) !== (options.stripeAccount || null)) {
+      throw providerError('StripeInvalidRequestError', 'resource_missing', `No such payment_intent: '${paymentIntentId}'`);
+    }
+    return paymentIntent;
+  }
+
+  async createCustomer(params, options = {}) {
+    return this.idempotent(options, async () => {
+      const id = this.nextId('cus');
+      const customer = { id, object: 'customer', metadata: params.metadata || {}, created: EPOCH + this.sequence };
+      this.customers.set(id, customer);
+      this.owners.set(id, options.stripeAccount || null);
+      return structuredClone(customer);
+    });
+  }
+
+  async createPaymentIntent(params, options = {}) {
+    return this.idempotent(options, async () => {
+      const id = this.nextId('pi');
+      const paymentIntent = {
+        id,
+        object: 'payment_intent',
+        amount: params.amount,
+        amount_capturable: 0,
+        amount_received: 0,
+        currency: params.currency,
+        capture_method: params.capture_method || 'automatic',
+        confirmation_method: params.confirmation_method || 'automatic',
+        client_secret: `${id}_secret_fake`,
+        customer: params.customer || null,
+        payment_method: params.payment_method || null,
+        metadata: params.metadata || {},
+        next_action: null,
+        last_payment_error: null,
+        latest_charge: null,
+        application_fee_amount: params.application_fee_amount || null,
+        transfer_data: params.transfer_data || null,
+        on_behalf_of: params.on_behalf_of || null,
+        status: params.payment_method ? 'requires_confirmation' : 'requires_payment_method',
+        created: EPOCH + this.sequence
+      };
+      this.paymentIntents.set(id, paymentIntent);
+      this.owners.set(id, options.stripeAccount || null);
+
+      if (params.confirm) {
+        this.applyConfirm(paymentIntent, { off_session: params.off_session });
+      }
+
+      return structuredClone(paymentIntent);
+    });
+  }
+
+  async confirmPaymentIntent(paymentIntentId, params = {}, options = {}) {
+    return this.idempotent(options, async () => {
+      const paymentIntent = this.getStoredPaymentIntent(paymentIntentId, options);
+
+      if (!['requires_payment_method', 'requires_confirmation'].includes(paymentIntent.status)) {
+        throw unexpectedState(paymentIntent, 'confirm');
+      }
+
+      if (params.payment_method) {
+        paymentIntent.payment_method = params.payment_method;
+      }
+
+      this.applyConfirm(paymentIntent, params);
+      return structuredClone(paymentIntent);
+    });
+  }
+
+  /**
+   * Move a PaymentIntent through confirmation according to its payment method
+   */
+  applyConfirm(paymentIntent, params = {}) {
+    const paymentMethod = paymentIntent.payment_method;
+
+    if (!paymentMethod) {
+      throw providerError('StripeInvalidRequestError', 'payment_intent_unexpected_state',
+        'You cannot confirm this PaymentIntent because it\'s missing a payment method.');
+    }
+
+    if (paymentMethod === 'pm_card_timeout') {
+      throw providerError('StripeConnectionError', undefined, 'Request timed out (fake provider)');
+    }
+
+    const decline = DECLINES[paymentMethod];
+    if (decline) {
+      const code = decline.code || 'card_declined';
+      paymentIntent.status = 'requires_payment_method';
+      paymentIntent.last_payment_error = {
+        type: 'card_error',
+        code,
+        decline_code: decline.declineCode,
+        message: decline.message,
+        payment_method: { id: paymentMethod }
+      };
+      throw providerError('StripeCardError', code, decline.message, {
+        decline_code: decline.declineCode,
+        payment_intent: { id: paymentIntent.id, status: paymentIntent.status }
+      });
+    }
+
+    // 3D Secure cards stop at requires_action until completeAction() is called
+    if (AUTHENTICATION_REQUIRED.includes(paymentMethod) && !paymentIntent.authenticated) {
+      if (params.off_session) {
+        const message = 'Your card requires authentication.';
+        paymentIntent.status = 'requires_payment_method';
+        paymentIntent.last_payment_error = { type: 'card_error', code: 'authentication_required', message };
+        throw providerError('StripeCardError', 'authentication_required', message, {
+          payment_intent: { id: paymentIntent.id, status: paymentIntent.status }
+        });
+      }
+
+      paymentIntent.status = 'requires_action';
+      paymentIntent.next_action = {
+        type: 'use_stripe_sdk',
+        use_stripe_sdk: { type: 'three_d_secure_redirect', source: `src_fake_${paymentIntent.id}` }
+      };
+      paymentIntent.last_payment_error = null;
+      return;
+    }
+
+    paymentIntent.next_action = null;
+    paymentIntent.last_payment_error = null;
+    paymentIntent.latest_charge = `ch_fake_${paymentIntent.id.slice('pi_fake_'.length)}`;
+
+    if (paymentIntent.capture_method === 'manual') {
+      paymentIntent.status = 'requires_capture';
+      paymentIntent.amount_capturable = paymentIntent.amount;
+    } else {
+      paymentIntent.status = 'succeeded';
+      paymentIntent.amount_received = paymentIntent.amount;
+    }
+
+    if (paymentMethod === 'pm_card_timeoutAfterAuthorize') {
+      throw providerError('StripeConnectionError', undefined, 'Request timed out after authorizing (fake provider)');
+    }
+  }
+
+  /**
+   * Finish (or fail) a 3D Secure challenge, as the customer would in the widget
+   * @param {string} paymentIntentId - PaymentIntent in requires_action
+   * @param {object} options - { succeed: boolean }
+   * @returns {object} PaymentIntent
+   */
+  completeAction(paymentIntentId, { succeed = true, stripeAccount = null } = {}) {
+    const paymentIntent = this.getStoredPaymentIntent(paymentIntentId, { stripeAccount });
+
+    if (paymentIntent.status !== 'requires_action') {
+      throw unexpectedState(paymentIntent, 'authenticate');
+    }
+
+    paymentIntent.next_action = null;
+
+    if (succeed) {
+      paymentIntent.authenticated = true;
+      paymentIntent.status = 'requires_confirmation';
+    } else {
+      paymentIntent.status = 'requires_payment_method';
+      paymentIntent.last_payment_error = {
+        type: 'card_error',
+        code: 'payment_intent_authentication_failure',
+        message: 'We are unable to authenticate your payment method.'
+      };
+    }
+
+    return structuredClone(paymentIntent);
+  }
+
+  async capturePaymentIntent(paymentIntentId, options = {}) {
+    return this.idempotent(options, async () => {
+      const paymentIntent = this.getStoredPaymentIntent(paymentIntentId, options);
+
+      if (paymentIntent.status !== 'requires_capture') {
+        throw unexpectedState(paymentIntent, 'capture');
+      }
+
+      if (paymentIntent.payment_method === 'pm_card_captureFails') {
+        throw providerError('StripeInvalidRequestError', 'charge_expired_for_capture',
+          'The charge has expired and can no longer be captured.');
+      }
+
+      paymentIntent.status = 'succeeded';
+      paymentIntent.amount_received = paymentIntent.amount_capturable;
+      paymentIntent.amount_capturable = 0;
+      return structuredClone(paymentIntent);
+    });
+  }
+
+  async cancelPaymentIntent(paymentIntentId, options = {}) {
+    return this.idempotent(options, async () => {
+      const paymentIntent = this.getStoredPaymentIntent(paymentIntentId, options);
+
+      if (!CANCELABLE_STATUSES.includes(paymentIntent.status)) {
+        throw unexpectedState(paymentIntent, 'cancel');
+      }
+
+      paymentIntent.status = 'canceled';
+      paymentIntent.amount_capturable = 0;
+      paymentIntent.next_action = null;
+      return structuredClone(paymentIntent);
+    });
+  }
+
+  async retrievePaymentIntent(paymentIntentId, options = {}) {
+    return structuredClone(this.getStoredPaymentIntent(paymentIntentId, options));
+  }
+
+  async createRefund(params, options = {}) {
+    return this.idempotent(options, async () => {
+      const paymentIntent = this.getStoredPaymentIntent(params.payment_intent, options);
+
+      if (paymentIntent.status !== 'succeeded') {
+        throw providerError('StripeInvalidRequestError', 'charge_not_refundable',
+          `PaymentIntent ${paymentIntent.id} has not been captured.`);
+      }
+
+      const refunded = [...this.refunds.values()]
+        .filter(r => r.payment_intent === paymentIntent.id)
+        .reduce((sum, r) => sum + r.amount, 0);
+      const amount = params.amount ?? paymentIntent.amount_received - refunded;
+
+      if (amount <= 0 || refunded + amount > paymentIntent.amount_received) {
+        throw providerError('StripeInvalidRequestError', 'charge_already_refunded',
+          `Refund amount exceeds the ${paymentIntent.amount_received - refunded} left on ${paymentIntent.id}.`);
+      }
+
+      const id = this.nextId('re');
+      const refund = {
+        id,
+        object: 'refund',
+        amount,
+        currency: paymentIntent.currency,
+        payment_intent: paymentIntent.id,
+        charge: paymentIntent.latest_charge,
+        reason: params.reason || null,
+        metadata: params.metadata || {},
+        reverse_transfer: Boolean(params.reverse_transfer),
+        refund_application_fee: Boolean(params.refund_application_fee),
+        status: 'succeeded',
+        created: EPOCH + this.sequence
+      };
+      this.refunds.set(id, refund);
+      this.owners.set(id, options.stripeAccount || null);
+      return structuredClone(refund);
+    });
+  }
+
+  /**
+   * Open a dispute on a captured PaymentIntent, as a cardholder's bank would
+   * @returns {object} Dispute, as sent in charge.dispute.created
+   */
+  openDispute(paymentIntentId, { reason = 'fraudulent', amount = null, stripeAccount = null } = {}) {
+    const paymentIntent = this.getStoredPaymentIntent(paymentIntentId, { stripeAccount });
+
+    if (paymentIntent.status !== 'succeeded') {
+      throw providerError('StripeInvalidRequestError', 'charge_not_disputable',
+        `PaymentIntent ${paymentIntent.id} has not been captured.`);
+    }
+
+    const id = this.nextId('dp');
+    const dispute = {
+      id,
+      object: 'dispute',
+      amount: amount ?? paymentIntent.amount_received,
+      currency: paymentIntent.currency,
+      charge: paymentIntent.latest_charge,
+      payment_intent: paymentIntent.id,
+      reason,
+      status: 'needs_response',
+      evidence: {},
+      evidence_details: {
+        due_by: EPOCH + this.sequence + 7 * 24 * 60 * 60,
+        has_evidence: false,
+        past_due: false,
+        submission_count: 0
+      },
+      is_charge_refundable: false,
+      metadata: {},
+      created: EPOCH + this.sequence
+    };
+    this.disputes.set(id, dispute);
+    this.owners.set(id, stripeAccount);
+    return structuredClone(dispute);
+  }
+
+  async updateDispute(disputeId, params, options = {}) {
+    return this.idempotent(options, async () => {
+      const dispute = this.disputes.get(disputeId);
+      if (!dispute || this.owners.get(disputeId) !== (options.stripeAccount || null)) {
+        throw providerError('StripeInvalidRequestError', 'resource_missing', `No such dispute: '${disputeId}'`);
+      }
+
+      if (!['needs_response', 'warning_needs_response'].includes(dispute.status)) {
+        throw providerError('StripeInvalidRequestError', 'dispute_already_submitted',
+          `This dispute is ${dispute.status} and can no longer be updated.`);
+      }
+
+      dispute.evidence = { ...dispute.evidence, ...(params.evidence || {}) };
+      dispute.metadata = { ...dispute.metadata, ...(params.metadata || {}) };
+      dispute.evidence_details.has_evidence = Object.keys(dispute.evidence).length > 0;
+
+      if (params.submit) {
+        dispute.status = dispute.status === 'warning_needs_response' ? 'warning_under_review' : 'under_review';
+        dispute.evidence_details.submission_count++;
+      }
+
+      return structuredClone(dispute);
+    });
+  }
+
+  async createAccount(params, options = {}) {
+    return this.idempotent(options, async () => {
+      const id = this.nextId('acct');
+      const account = {
+        id,
+        object: 'account',
+        type: params.type || 'express',
+        country: params.country || 'US',
+        email: params.email || null,
+        business_profile: params.business_profile || {},
+        metadata: params.metadata || {},
+        charges_enabled: false,
+        payouts_enabled: false,
+        details_submitted: false,
+        created: EPOCH + this.sequence
+      };
+      this.accounts.set(id, account);
+      return structuredClone(account);
+    });
+  }
+
+  async retrieveAccount(accountId) {
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      throw providerError('StripeInvalidRequestError', 'resource_missing', `No such account: '${accountId}'`);
+    }
+    return structuredClone(account);
+  }
+
+  async createAccountLink(params) {
+    const account = this.accounts.get(params.account);
+    if (!account) {
+      throw providerError('StripeInvalidRequestError', 'resource_missing', `No such account: '${params.account}'`);
+    }
+
+    account.details_submitted = true;
+    account.charges_enabled = true;
+    account.payouts_enabled = true;
+
+    return {
+      object: 'account_link',
+      url: params.return_url,
+      created: EPOCH + this.sequence,
+      expires_at: EPOCH + this.sequence + 300
+    };
+  }
+}
@@ -0,0 +1,84 @@
+import { logger } from '../utils/logger.js';
+import { StripeProvider } from './stripeProvider.js';
+import { FakeProvider } from './fakeProvider.js';
+import { ShopifyCheckoutSource } from './shopifyCheckoutSource.js';
+import { FakeCheckoutSource } from './fakeCheckoutSource.js';
+
+const PROVIDERS = {
+  stripe: StripeProvider,
+  fake: FakeProvider
+};
+
+const CHECKOUT_SOURCES = {
+  shopify: ShopifyCheckoutSource,
+  fake: FakeCheckoutSource
+};
+
+let provider = null;
+let checkoutSource = null;
+
+/**
+ * Get the configured payment provider (PAYMENT_PROVIDER, default stripe)
+ * @returns {PaymentProvider} Provider instance
+ */
+export function getPaymentProvider() {
+  if (!provider) {
+    const name = process.env.PAYMENT_PROVIDER || 'stripe';
+
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown PAYMENT_PROVIDER: ${name}`);
+    }
+
+    if (name === 'fake' && process.env.NODE_ENV === 'production') {
+      throw new Error('The fake payment provider cannot be used in production');
+    }
+
+    provider = new PROVIDERS[name]();
+    logger.info('Payment provider initialized', { provider: name });
+  }
+
+  return provider;
+}
+
+/**
+ * Use a specific provider instance, e.g. a FakeProvider in tests
+ * @param {PaymentProvider|null} instance - Provider, or null to reset
+ */
+export function setPaymentProvider(instance) {
+  provider = instance;
+}
+
+/**
+ * Get the configured checkout source (CHECKOUT_SOURCE, default shopify)
+ * @returns {CheckoutSource} Source instance
+ */
+export function getCheckoutSource() {
+  if (!checkoutSource) {
+    const name = process.env.CHECKOUT_SOURCE || 'shopify';
+
+    if (!CHECKOUT_SOURCES[name]) {
+      throw new Error(`Unknown CHECKOUT_SOURCE: ${name}`);
+    }
+
+    if (name === 'fake' && process.env.NODE_ENV === 'production') {
+      throw new Error('The fake checkout source cannot be used in production');
+    }
+
+    checkoutSource = new CHECKOUT_SOURCES[name]();
+    logger.info('Checkout source initialized', { source: name });
+  }
+
+  return checkoutSource;
+}
+
+/**
+ * Use a specific checkout source instance, e.g. a FakeCheckoutSource in tests
+ * @param {CheckoutSource|null} instance - Source, or null to reset
+ */
+export function setCheckoutSource(instance) {
+  checkoutSource = instance;
+}
+
+export { PaymentProvider } from './paymentProvider.js';
+export { CheckoutSource } from './checkoutSource.js';
+export { StripeProvider, FakeProvider, ShopifyCheckoutSource, FakeCheckoutSource };
@@ -0,0 +1,127 @@
+/**
+ * Payment provider interface
+ * Services talk to card networks only through a provider, so the split flow
+ * can run against Stripe or against the in-memory fake with no network.
+ *
+ * Objects passed in and returned follow Stripe's shapes (PaymentIntent,
+ * Customer, Refund) and errors carry Stripe's `type` and `code` fields, since
+ * the rest of the app already stores Stripe IDs and reads Stripe statuses.
+ * Every method accepts request options as its last argument:
+ * `{ idempotencyKey }` for mutations, and `{ stripeAccount }` to act on a
+ * merchant's connected account (direct charges).
+ */
+export class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Create a customer to save a card against
+   * @param {object} params - Customer parameters
+   * @param {object} options - { idempotencyKey, stripeAccount }
+   * @returns {Promise<object>} Customer
+   */
+  async createCustomer(params, options = {}) {
+    throw new Error(`${this.name} provider does not implement createCustomer`);
+  }
+
+  /**
+   * Create a PaymentIntent
+   * @param {object} params - PaymentIntent parameters
+   * @param {object} options - { idempotencyKey, stripeAccount }
+   * @returns {Promise<object>} PaymentIntent
+   */
+  async createPaymentIntent(params, options = {}) {
+    throw new Error(`${this.name} provider does not implement createPaymentIntent`);
+  }
+
+  /**
+   * Confirm a PaymentIntent (authorize the card)
+   * @param {string} paymentIntentId - PaymentIntent ID
+   * @param {object} params - Confirm parameters, e.g. { payment_method }
+   * @param {object} options - { idempotencyKey, stripeAccount }
+   * @returns {Promise<object>} PaymentIntent
+   */
+  async confirmPaymentIntent(paymentIntentId, params, options = {}) {
+    throw new Error(`${this.name} provider does not implement confirmPaymentIntent`);
+  }
+
+  /**
+   * Capture an authorized PaymentIntent
+   * @param {string} paymentIntentId - PaymentIntent ID
+   * @param {object} options - { idempotencyKey, stripeAccount }
+   * @returns {Promise<object>} PaymentIntent
+   */
+  async capturePaymentIntent(paymentIntentId, options = {}) {
+    throw new Error(`${this.name} provider does not implement capturePaymentIntent`);
+  }
+
+  /**
+   * Cancel a PaymentIntent, releasing any hold
+   * @param {string} paymentIntentId - PaymentIntent ID
+   * @param {object} options - { idempotencyKey, stripeAccount }
+   * @returns {Promise<object>} PaymentIntent
+   */
+  async cancelPaymentIntent(paymentIntentId, options = {}) {
+    throw new Error(`${this.name} provider does not implement cancelPaymentIntent`);
+  }
+
+  /**
+   * Retrieve a PaymentIntent
+   * @param {string} paymentIntentId - PaymentIntent ID
+   * @param {object} options - { stripeAccount }
+   * @returns {Promise<object>} PaymentIntent
+   */
+  async retrievePaymentIntent(paymentIntentId, options = {}) {
+    throw new Error(`${this.name} provider does not implement retrievePaymentIntent`);
+  }
+
+  /**
+   * Refund a captured PaymentIntent
+   * @param {object} params - { payment_intent, amount, reason, metadata }
+   * @param {object} options - { idempotencyKey, stripeAccount }
+   * @returns {Promise<object>} Refund
+   */
+  async createRefund(params, options = {}) {
+    throw new Error(`${this.name} provider does not implement createRefund`);
+  }
+
+  /**
+   * Update a dispute's evidence, optionally submitting it
+   * @param {string} disputeId - Dispute ID
+   * @param {object} params - { evidence, submit, metadata }
+   * @param {object} options - { idempotencyKey, stripeAccount }
+   * @returns {Promise<object>} Dispute
+   */
+  async updateDispute(disputeId, params, options = {}) {
+    throw new Error(`${this.name} provider does not implement updateDispute`);
+  }
+
+  /**
+   * Create a connected account for a merchant
+   * @param {object} params - Account parameters, e.g. { type: 'express' }
+   * @param {object} options - { idempotencyKey }
+   * @returns {Promise<object>} Account
+   */
+  async createAccount(params, options = {}) {
+    throw new Error(`${this.name} provider does not implement createAccount`);
+  }
+
+  /**
+   * Retrieve a connected account
+   * @param {string} accountId - Account ID
+   * @returns {Promise<object>} Account
+   */
+  async retrieveAccount(accountId) {
+    throw new Error(`${this.name} provider does not implement retrieveAccount`);
+  }
+
+  /**
+   * Create a single-use onboarding link for a connected account
+   * @param {object} params - { account, refresh_url, return_url, type }
+   * @returns {Promise<object>} AccountLink with url
+   */
+  async createAccountLink(params) {
+    throw new Error(`${this.name} provider does not implement createAccountLink`);
+  }
+}
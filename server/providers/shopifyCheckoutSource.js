@@ -0,0 +1,121 @@
+import { getShopifyClient } from '../config/shopify.js';
+import { toMinorUnits } from '../utils/currency.js';
+import { CheckoutSource, checkoutNotFound } from './checkoutSource.js';
+
+/**
+ * Convert a Shopify money string ("12.50") to minor units
+ */
+function money(value, currency) {
+  return toMinorUnits(parseFloat(value || '0'), currency);
+}
+
+function toAddress(address) {
+  if (!address) return null;
+
+  return {
+    firstName: address.first_name || null,
+    lastName: address.last_name || null,
+    company: address.company || null,
+    address1: address.address1 || null,
+    address2: address.address2 || null,
+    city: address.city || null,
+    province: address.province || null,
+    provinceCode: address.province_code || null,
+    country: address.country || null,
+    countryCode: address.country_code || null,
+    zip: address.zip || null,
+    phone: address.phone || null
+  };
+}
+
+/**
+ * Normalize a Shopify checkout (REST Admin API or checkouts/* webhook payload)
+ * @param {object} checkout - Shopify checkout resource
+ * @returns {object} Normalized checkout
+ */
+export function normalizeShopifyCheckout(checkout) {
+  const currency = (checkout.presentment_currency || checkout.currency || 'USD').toUpperCase();
+  const shippingLines = checkout.shipping_lines || (checkout.shipping_line ? [checkout.shipping_line] : []);
+  const discount = checkout.applied_discount;
+
+  return {
+    token: checkout.token,
+    currency,
+    totalAmount: money(checkout.total_price, currency),
+    subtotalAmount: money(checkout.subtotal_price, currency),
+    shippingAmount: shippingLines.reduce((sum, line) => sum + money(line.price, currency), 0),
+    taxAmount: money(checkout.total_tax, currency),
+    discountAmount: money(checkout.total_discounts || discount?.amount, currency),
+    taxesIncluded: Boolean(checkout.taxes_included),
+    customerEmail: checkout.email || checkout.customer?.email || null,
+    customer: checkout.customer
+      ? {
+          id: checkout.customer.id ? checkout.customer.id.toString() : null,
+          email: checkout.customer.email || null,
+          firstName: checkout.customer.first_name || null,
+          lastName: checkout.customer.last_name || null,
+          phone: checkout.customer.phone || null
+        }
+      : null,
+    lineItems: (checkout.line_items || []).map(item => ({
+      variantId: item.variant_id ? item.variant_id.toString() : null,
+      productId: item.product_id ? item.product_id.toString() : null,
+      title: item.title,
+      variantTitle: item.variant_title || null,
+      sku: item.sku || null,
+      quantity: item.quantity,
+      price: money(item.price, currency),
+      requiresShipping: item.requires_shipping !== false,
+      taxable: item.taxable !== false
+    })),
+    shippingLines: shippingLines.map(line => ({
+      title: line.title,
+      code: line.handle || line.code || null,
+      price: money(line.price, currency)
+    })),
+    taxLines: (checkout.tax_lines || []).map(line => ({
+      title: line.title,
+      rate: line.rate,
+      price: money(line.price, currency)
+    })),
+    discountCodes: discount
+      ? [{
+          code: discount.title || discount.description || 'discount',
+          amount: money(discount.amount, currency),
+          type: discount.value_type === 'percentage' ? 'percentage' : 'fixed_amount'
+        }]
+      : [],
+    shippingAddress: toAddress(checkout.shipping_address),
+    billingAddress: toAddress(checkout.billing_address),
+    updatedAt: checkout.updated_at || null
+  };
+}
+
+/**
+ * Shopify checkout source - reads the checkout through the Admin API
+ */
+export class ShopifyCheckoutSource extends CheckoutSource {
+  constructor() {
+    super('shopify');
+  }
+
+  async fetchCheckout(store, checkoutToken) {
+    const shopify = getShopifyClient();
+    const session = shopify.session.customAppSession(store.shop_domain);
+    session.accessToken = store.access_token;
+
+    const client = new shopify.clients.Rest({ session });
+
+    let response;
+    try {
+      response = await client.get({ path: `checkouts/${checkoutToken}` });
+    } catch (error) {
+      if (error.response?.code === 404) {
+        throw checkoutNotFound(checkoutToken);
+      }
+      throw error;
+    }
+
+    return normalizeShopifyCheckout(response.body.checkout);
+  }
+}
@@ -0,0 +1,59 @@
+import { getStripeClient } from '../config/stripe.js';
+import { PaymentProvider } from './paymentProvider.js';
+
+/**
+ * Stripe payment provider - thin pass-through to the Stripe SDK
+ */
+export class StripeProvider extends PaymentProvider {
+  constructor() {
+    super('stripe');
+  }
+
+  get stripe() {
+    return getStripeClient();
+  }
+
+  async createCustomer(params, options = {}) {
+    return this.stripe.customers.create(params, options);
+  }
+
+  async createPaymentIntent(params, options = {}) {
+    return this.stripe.paymentIntents.create(params, options);
+  }
+
+  async confirmPaymentIntent(paymentIntentId, params, options = {}) {
+    return this.stripe.paymentIntents.confirm(paymentIntentId, params, options);
+  }
+
+  async capturePaymentIntent(paymentIntentId, options = {}) {
+    return this.stripe.paymentIntents.capture(paymentIntentId, {}, options);
+  }
+
+  async cancelPaymentIntent(paymentIntentId, options = {}) {
+    return this.stripe.paymentIntents.cancel(paymentIntentId, {}, options);
+  }
+
+  async retrievePaymentIntent(paymentIntentId, options = {}) {
+    return this.stripe.paymentIntents.retrieve(paymentIntentId, {}, options);
+  }
+
+  async createRefund(params, options = {}) {
+    return this.stripe.refunds.create(params, options);
+  }
+
+  async updateDispute(disputeId, params, options = {}) {
+    return this.stripe.disputes.update(disputeId, params, options);
+  }
+
+  async createAccount(params, options = {}) {
+    return this.stripe.accounts.create(params, options);
+  }
+
+  async retrieveAccount(accountId) {
+    return this.stripe.accounts.retrieve(accountId);
+  }
+
+  async createAccountLink(params) {
+    return this.stripe.accountLinks.create(params);
+  }
+}
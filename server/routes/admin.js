@@ -1,75 +1,43 @@
 import express from 'express';
-import { verifySessionToken } from '../middleware/auth.js';
+import { verifySessionToken, requireAuthorizedStore } from '../middleware/auth.js';
 import { adminRateLimit } from '../middleware/rateLimit.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
-import * as storeQueries from '../db/queries/stores.js';
+import { CURRENCIES } from '../utils/currency.js';
 import * as transactionQueries from '../db/queries/transactions.js';
 import * as paymentQueries from '../db/queries/payments.js';
 import * as refundQueries from '../db/queries/refunds.js';
+import * as transactionEventQueries from '../db/queries/transactionEvents.js';
 import * as storeService from '../services/storeService.js';
 import * as refundService from '../services/refundService.js';
+import * as connectService from '../services/connectService.js';
+import * as alertService from '../services/alertService.js';
+import * as orderOutboxService from '../services/orderOutboxService.js';
+import * as jobService from '../services/jobService.js';
+import * as jobQueries from '../db/queries/jobs.js';
+import * as webhookInboxService from '../services/webhookInboxService.js';
+import * as webhookEventQueries from '../db/queries/webhookEvents.js';
+import * as disputeService from '../services/disputeService.js';
+import * as disputeQueries from '../db/queries/disputes.js';
+import * as alertQueries from '../db/queries/merchantAlerts.js';
 
 const router = express.Router();
 
 // Apply auth and rate limiting to all admin routes
 router.use(verifySessionToken);
 router.use(adminRateLimit);
+router.use(requireAuthorizedStore);
 
 /**
  * GET /api/admin/stats
  * Get dashboard statistics
  */
 router.get('/stats', asyncHandler(async (req, res) => {
-  const shop = req.shop;
-
-  // Get store
-  const store = await storeQueries.getStoreByDomain(shop);
-  if (!store) {
-    return res.status(404).json({
-      success: false,
-      error: {
-        code: 'STORE_NOT_FOUND',
-        message: 'Store not found'
-      }
-    });
-  }
-
-  // Get all transactions for stats
-  const transactionsData = await transactionQueries.getTransactions({
-    storeId: store.id,
-    page: 1,
-    limit: 10000
-  });
-
-  const transactions = transactionsData.transactions;
-  const totalTransactions = transactions.length;
-  const completedTransactions = transactions.filter(t => t.status === 'completed').length;
-  const failedTransactions = transactions.filter(t => t.status === 'failed').length;
-  
-  const totalVolume = transactions
-    .filter(t => t.status === 'completed')
-    .reduce((sum, t) => sum + t.total_amount, 0);
-
-  const successRate = totalTransactions > 0 
-    ? (completedTransactions / totalTransactions) * 100 
-    : 0;
-
-  // Get all active stores count
-  const allStores = await storeQueries.getAllActiveStores();
-  const activeStores = allStores.length;
+  const stats = await storeService.getStoreStats(req.store.id);
 
   res.json({
     success: true,
-    stats: {
-      totalTransactions,
-      completedTransactions,
-      failedTransactions,
-      successRate: Math.round(successRate * 100) / 100,
-      totalVolume,
-      totalVolumeFormatted: `$${(totalVolume / 100).toFixed(2)}`,
-      activeStores
-    }
+    stats
   });
 }));
 
@@ -78,27 +46,13 @@ router.get('/stats', asyncHandler(async (req, res) => {
  * Get paginated transaction list
  */
 router.get('/transactions', asyncHandler(async (req, res) => {
-  const shop = req.shop;
   const page = parseInt(req.query.page || '1', 10);
   const limit = parseInt(req.query.limit || '20', 10);
   const status = req.query.status;
   const startDate = req.query.startDate;
   const endDate = req.query.endDate;
 
-  // Get store
-  const store = await storeQueries.getStoreByDomain(shop);
-  if (!store) {
-    return res.status(404).json({
-      success: false,
-      error: {
-        code: 'STORE_NOT_FOUND',
-        message: 'Store not found'
-      }
-    });
-  }
-
-  const result = await transactionQueries.getTransactions({
-    storeId: store.id,
+  const result = await transactionQueries.getTransactions(req.scope, {
     page,
     limit,
     status,
@@ -114,26 +68,13 @@ router.get('/transactions', asyncHandler(async (req, res) => {
 
 /**
  * GET /api/admin/transactions/:id
- * Get single transaction with payments and refunds
+ * Get single transaction with payments, refunds and status history
  */
 router.get('/transactions/:id', asyncHandler(async (req, res) => {
-  const shop = req.shop;
   const transactionId = parseInt(req.params.id, 10);
 
-  // Get store
-  const store = await storeQueries.getStoreByDomain(shop);
-  if (!store) {
-    return res.status(404).json({
-      success: false,
-      error: {
-        code: 'STORE_NOT_FOUND',
-        message: 'Store not found'
-      }
-    });
-  }
-
   // Get transaction
-  const transaction = await transactionQueries.getTransactionById(transactionId);
+  const transaction = await transactionQueries.getTransactionById(req.scope, transactionId);
   if (!transaction) {
     return res.status(404).json({
       success: false,
@@ -144,28 +85,21 @@ router.get('/transactions/:id', asyncHandler(async (req, res) => {
     });
   }
 
-  // Verify transaction belongs to store
-  if (transaction.store_id !== store.id) {
-    return res.status(403).json({
-      success: false,
-      error: {
-        code: 'FORBIDDEN',
-        message: 'Transaction does not belong to this store'
-      }
-    });
-  }
-
   // Get payments
-  const payments = await paymentQueries.getPaymentsByTransactionId(transactionId);
+  const payments = await paymentQueries.getPaymentsByTransactionId(req.scope, transactionId);
 
   // Get refunds
-  const refunds = await refundQueries.getRefundsByTransactionId(transactionId);
+  const refunds = await refundQueries.getRefundsByTransactionId(req.scope, transactionId);
+
+  // Get status history
+  const events = await transactionEventQueries.getTransactionEvents(req.scope, transactionId);
 
   res.json({
     success: true,
     transaction,
     payments,
-    refunds
+    refunds,
+    events
   });
 }));
 
@@ -174,7 +108,6 @@ router.get('/transactions/:id', asyncHandler(async (req, res) => {
  * Initiate manual refund
  */
 router.post('/refund', asyncHandler(async (req, res) => {
-  const shop = req.shop;
   const { transactionId, amount, reason = 'requested_by_customer' } = req.body;
 
   if (!transactionId || !amount) {
@@ -187,20 +120,8 @@ router.post('/refund', asyncHandler(async (req, res) => {
     });
   }
 
-  // Get store
-  const store = await storeQueries.getStoreByDomain(shop);
-  if (!store) {
-    return res.status(404).json({
-      success: false,
-      error: {
-        code: 'STORE_NOT_FOUND',
-        message: 'Store not found'
-      }
-    });
-  }
-
   // Get transaction
-  const transaction = await transactionQueries.getTransactionById(transactionId);
+  const transaction = await transactionQueries.getTransactionById(req.scope, transactionId);
   if (!transaction) {
     return res.status(404).json({
       success: false,
@@ -211,19 +132,9 @@ router.post('/refund', asyncHandler(async (req, res) => {
     });
   }
 
-  // Verify transaction belongs to store
-  if (transaction.store_id !== store.id) {
-    return res.status(403).json({
-      success: false,
-      error: {
-        code: 'FORBIDDEN',
-        message: 'Transaction does not belong to this store'
-      }
-    });
-  }
-
   // Process refund
   const result = await refundService.processRefund({
+    scope: req.scope,
     transactionId,
     refundAmount: parseInt(amount, 10),
     reason,
@@ -239,40 +150,435 @@ router.post('/refund', asyncHandler(async (req, res) => {
 }));
 
 /**
- * GET /api/admin/stores
- * List all installed stores
+ * Load an open alert belonging to the current store, or send the error response
+ * @returns {Promise<object|null>} Alert, or null if a response was sent
  */
-router.get('/stores', asyncHandler(async (req, res) => {
-  const stores = await storeService.getAllStores();
+async function loadStoreAlert(req, res) {
+  const alert = await alertQueries.getAlertById(req.scope, parseInt(req.params.id, 10));
+  if (!alert) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'ALERT_NOT_FOUND',
+        message: 'Alert not found'
+      }
+    });
+    return null;
+  }
+
+  if (alert.resolved_at) {
+    res.status(409).json({
+      success: false,
+      error: {
+        code: 'ALERT_RESOLVED',
+        message: 'Alert has already been resolved'
+      }
+    });
+    return null;
+  }
+
+  return alert;
+}
+
+/**
+ * GET /api/admin/alerts
+ * List the store's alerts (open only unless ?all=true)
+ */
+router.get('/alerts', asyncHandler(async (req, res) => {
+  const alerts = await alertService.getAlerts(req.scope, {
+    includeResolved: req.query.all === 'true'
+  });
 
   res.json({
     success: true,
-    stores
+    alerts
   });
 }));
 
 /**
- * PUT /api/admin/settings
- * Update store settings
+ * POST /api/admin/alerts/:id/refund
+ * Accept an alert's refund offer: refund (or release) every card proportionally
  */
-router.put('/settings', asyncHandler(async (req, res) => {
-  const shop = req.shop;
-  const settings = req.body;
+router.post('/alerts/:id/refund', asyncHandler(async (req, res) => {
+  const alert = await loadStoreAlert(req, res);
+  if (!alert) return;
+
+  if (!alert.data?.refundOffer || !alert.transaction_id) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'NO_REFUND_OFFER',
+        message: 'This alert has no refund to offer'
+      }
+    });
+  }
+
+  const result = await orderOutboxService.compensateTransaction(req.scope, alert.transaction_id, 'admin');
+  if (result.success) {
+    await alertService.resolveAlert(alert.id, result.action);
+  }
+
+  res.json({
+    success: result.success,
+    action: result.action,
+    amount: result.amount
+  });
+}));
+
+/**
+ * POST /api/admin/alerts/:id/retry-order
+ * Put a failed Shopify order back in the outbox
+ */
+router.post('/alerts/:id/retry-order', asyncHandler(async (req, res) => {
+  const alert = await loadStoreAlert(req, res);
+  if (!alert) return;
+
+  const entry = alert.transaction_id
+    ? await orderOutboxService.retryOrder(alert.transaction_id)
+    : null;
+
+  if (!entry) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'NOTHING_TO_RETRY',
+        message: 'There is no failed order to retry for this alert'
+      }
+    });
+  }
+
+  await alertService.resolveAlert(alert.id, 'retried');
+
+  res.json({ success: true });
+}));
+
+/**
+ * POST /api/admin/alerts/:id/dismiss
+ * Resolve an alert without acting on it
+ */
+router.post('/alerts/:id/dismiss', asyncHandler(async (req, res) => {
+  const alert = await loadStoreAlert(req, res);
+  if (!alert) return;
+
+  await alertService.resolveAlert(alert.id, 'dismissed');
+
+  res.json({ success: true });
+}));
+
+/**
+ * GET /api/admin/jobs
+ * List the store's background jobs, e.g. ?status=dead for the dead letters
+ */
+router.get('/jobs', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page || '1', 10);
+  const limit = parseInt(req.query.limit || '20', 10);
+
+  const result = await jobService.getStoreJobs(req.scope, {
+    status: req.query.status,
+    type: req.query.type,
+    page,
+    limit
+  });
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
+/**
+ * GET /api/admin/jobs/:id
+ * Get a single job with its payload and last error
+ */
+router.get('/jobs/:id', asyncHandler(async (req, res) => {
+  const job = await jobQueries.getJobById(req.scope, parseInt(req.params.id, 10));
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'JOB_NOT_FOUND',
+        message: 'Job not found'
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    job
+  });
+}));
+
+/**
+ * POST /api/admin/jobs/:id/retry
+ * Requeue a dead-lettered job
+ */
+router.post('/jobs/:id/retry', asyncHandler(async (req, res) => {
+  const jobId = parseInt(req.params.id, 10);
+  const existing = await jobQueries.getJobById(req.scope, jobId);
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'JOB_NOT_FOUND',
+        message: 'Job not found'
+      }
+    });
+  }
 
-  // Get store
-  const store = await storeQueries.getStoreByDomain(shop);
-  if (!store) {
+  const job = await jobService.retryDeadJob(jobId);
+  if (!job) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'JOB_NOT_DEAD',
+        message: `Only dead jobs can be retried (job is ${existing.status})`
+      }
+    });
+  }
+
+  logger.info('Dead job retried from admin', { storeId: req.store.id, jobId, type: job.type });
+
+  res.json({
+    success: true,
+    job
+  });
+}));
+
+/**
+ * GET /api/admin/webhooks
+ * List the store's received webhooks, e.g. ?status=failed
+ */
+router.get('/webhooks', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page || '1', 10);
+  const limit = parseInt(req.query.limit || '20', 10);
+
+  const result = await webhookInboxService.getStoreWebhookEvents(req.scope, {
+    source: req.query.source,
+    status: req.query.status,
+    topic: req.query.topic,
+    page,
+    limit
+  });
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
+/**
+ * GET /api/admin/webhooks/:id
+ * Get a single webhook with its payload and last error
+ */
+router.get('/webhooks/:id', asyncHandler(async (req, res) => {
+  const event = await webhookEventQueries.getWebhookEventById(req.scope, parseInt(req.params.id, 10));
+  if (!event) {
     return res.status(404).json({
       success: false,
       error: {
-        code: 'STORE_NOT_FOUND',
-        message: 'Store not found'
+        code: 'WEBHOOK_NOT_FOUND',
+        message: 'Webhook not found'
       }
     });
   }
 
+  res.json({
+    success: true,
+    event
+  });
+}));
+
+/**
+ * POST /api/admin/webhooks/:id/replay
+ * Process a failed webhook again
+ */
+router.post('/webhooks/:id/replay', asyncHandler(async (req, res) => {
+  const eventId = parseInt(req.params.id, 10);
+  const existing = await webhookEventQueries.getWebhookEventById(req.scope, eventId);
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'WEBHOOK_NOT_FOUND',
+        message: 'Webhook not found'
+      }
+    });
+  }
+
+  const event = await webhookInboxService.replayWebhookEvent(eventId);
+  if (!event) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'WEBHOOK_NOT_FAILED',
+        message: `Only failed webhooks can be replayed (webhook is ${existing.status})`
+      }
+    });
+  }
+
+  logger.info('Webhook replayed from admin', { storeId: req.store.id, webhookEventId: eventId });
+
+  res.json({
+    success: true,
+    event
+  });
+}));
+
+/**
+ * Load a dispute belonging to the current store, or send the error response
+ * @returns {Promise<object|null>} Dispute, or null if a response was sent
+ */
+async function loadStoreDispute(req, res) {
+  const dispute = await disputeQueries.getDisputeById(req.scope, parseInt(req.params.id, 10));
+  if (!dispute) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'DISPUTE_NOT_FOUND',
+        message: 'Dispute not found'
+      }
+    });
+    return null;
+  }
+
+  return dispute;
+}
+
+/**
+ * GET /api/admin/disputes
+ * List disputes; ?open=true (default) for open ones, soonest due first
+ */
+router.get('/disputes', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page || '1', 10);
+  const limit = parseInt(req.query.limit || '20', 10);
+  const open = req.query.open === 'all' ? null : req.query.open !== 'false';
+
+  const result = await disputeService.getStoreDisputes(req.scope, {
+    open,
+    status: req.query.status,
+    page,
+    limit
+  });
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
+/**
+ * GET /api/admin/disputes/:id
+ * Get a dispute with every card of its split and the evidence to submit
+ */
+router.get('/disputes/:id', asyncHandler(async (req, res) => {
+  const dispute = await loadStoreDispute(req, res);
+  if (!dispute) return;
+
+  const details = await disputeService.getDisputeDetails(req.scope, dispute);
+
+  res.json({
+    success: true,
+    ...details,
+    evidenceFields: disputeService.EVIDENCE_FIELDS
+  });
+}));
+
+/**
+ * PUT /api/admin/disputes/:id/evidence
+ * Save draft evidence without submitting it
+ */
+router.put('/disputes/:id/evidence', asyncHandler(async (req, res) => {
+  const existing = await loadStoreDispute(req, res);
+  if (!existing) return;
+
+  const dispute = await disputeService.saveEvidence(existing, req.body.evidence || {});
+
+  res.json({
+    success: true,
+    dispute
+  });
+}));
+
+/**
+ * POST /api/admin/disputes/:id/submit
+ * Submit evidence to Stripe; the saved draft is used if none is sent
+ */
+router.post('/disputes/:id/submit', asyncHandler(async (req, res) => {
+  const existing = await loadStoreDispute(req, res);
+  if (!existing) return;
+
+  const dispute = await disputeService.submitEvidence(req.scope, existing, req.body.evidence || null);
+
+  logger.info('Dispute evidence submitted from admin', {
+    storeId: req.store.id,
+    disputeId: dispute.id
+  });
+
+  res.json({
+    success: true,
+    dispute
+  });
+}));
+
+/**
+ * GET /api/admin/currencies
+ * Currency metadata (minor units, minimums) for formatting amounts
+ */
+router.get('/currencies', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    currencies: CURRENCIES
+  });
+}));
+
+/**
+ * GET /api/admin/stripe/account
+ * Get the store's connected Stripe account status
+ */
+router.get('/stripe/account', asyncHandler(async (req, res) => {
+  const account = await connectService.getAccountStatus(req.store);
+
+  res.json({
+    success: true,
+    account
+  });
+}));
+
+/**
+ * POST /api/admin/stripe/connect
+ * Start (or resume) Stripe Express onboarding for the store
+ */
+router.post('/stripe/connect', asyncHandler(async (req, res) => {
+  const shop = req.shop;
+
+  // Stripe sends the merchant back to the settings page either way;
+  // an expired link is refreshed by starting onboarding again from there
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  const settingsUrl = `${appUrl}/admin/settings?shop=${encodeURIComponent(shop)}`;
+
+  const { accountId, url } = await connectService.startOnboarding(req.store, {
+    returnUrl: `${settingsUrl}&stripe=return`,
+    refreshUrl: `${settingsUrl}&stripe=refresh`
+  });
+
+  logger.info('Stripe onboarding started', { shop, accountId });
+
+  res.json({
+    success: true,
+    accountId,
+    url
+  });
+}));
+
+/**
+ * PUT /api/admin/settings
+ * Update store settings
+ */
+router.put('/settings', asyncHandler(async (req, res) => {
+  const settings = req.body;
+
   // Update settings
-  const updated = await storeService.updateStoreSettings(store.id, settings);
+  const updated = await storeService.updateStoreSettings(req.store.id, settings);
 
   res.json({
     success: true,
@@ -1,12 +1,31 @@
 import express from 'express';
-import { getShopifyClient } from '../config/shopify.js';
 import { logger } from '../utils/logger.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import * as storeQueries from '../db/queries/stores.js';
+import * as installService from '../services/installService.js';
 import { validateShopDomain } from '../utils/validation.js';
 
 const router = express.Router();
 
+/**
+ * Read a cookie from the request
+ */
+function readCookie(req, name) {
+  const pair = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+
+  return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+}
+
+// The callback is a top-level redirect back from Shopify, so Lax is enough
+const STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth'
+};
+
 /**
  * GET /api/auth/install
  * Initiate Shopify OAuth installation flow
@@ -34,15 +53,13 @@ router.get('/install', asyncHandler(async (req, res) => {
     });
   }
 
-  const shopify = getShopifyClient();
-  const authRoute = await shopify.auth.begin({
-    shop: shop,
-    callbackPath: '/api/auth/callback',
-    isOnline: false
-  });
+  const { url, nonce } = await installService.beginInstall(shop);
 
-  logger.info('OAuth installation initiated', { shop });
-  res.redirect(authRoute);
+  res.cookie(installService.STATE_COOKIE, nonce, {
+    ...STATE_COOKIE_OPTIONS,
+    maxAge: installService.STATE_TTL_SECONDS * 1000
+  });
+  res.redirect(url);
 }));
 
 /**
@@ -72,27 +89,40 @@ router.get('/callback', asyncHandler(async (req, res) => {
     });
   }
 
-  try {
-    const shopify = getShopifyClient();
-    const callbackResponse = await shopify.auth.callback({
-      code,
-      shop
-    });
-
-    const { accessToken, scope } = callbackResponse.session;
+  const rawQuery = req.originalUrl.includes('?') ? req.originalUrl.split('?')[1] : '';
 
-    // Store or update store in database
-    await storeQueries.upsertStore(shop, accessToken, {
-      scope: scope,
-      installedAt: new Date().toISOString()
+  if (!installService.verifyCallbackHmac(rawQuery)) {
+    logger.warn('Invalid OAuth callback HMAC', { shop });
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'INVALID_HMAC',
+        message: 'Invalid callback signature'
+      }
     });
+  }
 
-    logger.info('Store installed successfully', { shop });
+  const cookieState = readCookie(req, installService.STATE_COOKIE);
+  res.clearCookie(installService.STATE_COOKIE, STATE_COOKIE_OPTIONS);
+
+  try {
+    await installService.completeInstall({ shop, code, state, cookieState });
 
     // Redirect to app (embedded app URL)
     const appUrl = process.env.APP_URL || 'http://localhost:3000';
     res.redirect(`${appUrl}/admin?shop=${shop}&host=${req.query.host || ''}`);
   } catch (error) {
+    if (error.statusCode) {
+      logger.warn('OAuth callback rejected', { error: error.message, shop });
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
     logger.error('OAuth callback error', {
       error: error.message,
       shop,
@@ -0,0 +1,81 @@
+import express from 'express';
+import { verifyOperator } from '../middleware/auth.js';
+import { adminRateLimit } from '../middleware/rateLimit.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { SYSTEM_SCOPE, storeScope } from '../db/scope.js';
+import * as storeQueries from '../db/queries/stores.js';
+import * as jobQueries from '../db/queries/jobs.js';
+import * as storeService from '../services/storeService.js';
+import * as installService from '../services/installService.js';
+
+/**
+ * Operator API - platform-wide views across every store
+ * Authenticated with an operator token, never a merchant's session.
+ */
+
+const router = express.Router();
+
+router.use(adminRateLimit);
+router.use(verifyOperator);
+
+/**
+ * GET /api/operator/stats
+ * Platform statistics
+ */
+router.get('/stats', asyncHandler(async (req, res) => {
+  const [stores, jobs] = await Promise.all([
+    storeQueries.getAllActiveStores(),
+    jobQueries.getJobCounts(SYSTEM_SCOPE)
+  ]);
+
+  res.json({
+    success: true,
+    stats: {
+      activeStores: stores.length,
+      jobs
+    }
+  });
+}));
+
+/**
+ * GET /api/operator/stores
+ * List all installed stores
+ */
+router.get('/stores', asyncHandler(async (req, res) => {
+  const stores = await storeService.getAllStores();
+
+  res.json({
+    success: true,
+    stores
+  });
+}));
+
+/**
+ * GET /api/operator/stores/:id
+ * Get a store's statistics and install history
+ */
+router.get('/stores/:id', asyncHandler(async (req, res) => {
+  const store = await storeQueries.getStoreById(parseInt(req.params.id, 10));
+  if (!store) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'STORE_NOT_FOUND',
+        message: 'Store not found'
+      }
+    });
+  }
+
+  const [stats, history] = await Promise.all([
+    storeService.getStoreStats(store.id),
+    installService.getStoreHistory(storeScope(store.id))
+  ]);
+
+  res.json({
+    success: true,
+    stats,
+    history
+  });
+}));
+
+export default router;
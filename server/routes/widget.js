@@ -3,16 +3,26 @@ import { widgetRateLimit } from '../middleware/rateLimit.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
 import { validateShopDomain, validateCheckoutToken, validateAmount } from '../utils/validation.js';
+import { getCurrency, formatCents } from '../utils/currency.js';
 import * as storeQueries from '../db/queries/stores.js';
 import * as transactionQueries from '../db/queries/transactions.js';
 import * as paymentQueries from '../db/queries/payments.js';
+import { storeScope } from '../db/scope.js';
 import * as paymentService from '../services/paymentService.js';
-import * as orderService from '../services/orderService.js';
+import * as orderOutboxService from '../services/orderOutboxService.js';
+import * as sessionService from '../services/sessionService.js';
+import * as connectService from '../services/connectService.js';
+import * as checkoutService from '../services/checkoutService.js';
+import { getCaptureMode, getHoldExpiryAction, getChargeType, getSessionBinding } from '../services/storeService.js';
 
 const router = express.Router();
 
-// Store for widget sessions (in production, use Redis)
-const widgetSessions = new Map();
+/**
+ * What a session token can be bound to about the request's browser
+ */
+function getClient(req) {
+  return { ip: req.ip, userAgent: req.get('user-agent') };
+}
 
 /**
  * POST /api/widget/init
@@ -66,44 +76,106 @@ router.post('/init',
       });
     }
 
+    // Funds go to the merchant's connected account - nothing to charge until it is onboarded
+    if (!connectService.isReadyForCharges(store)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'PAYMENTS_NOT_ENABLED',
+          message: 'Split payments are not available for this store yet'
+        }
+      });
+    }
+
+    // The amount to split comes from Shopify, never from the page
+    const checkout = await checkoutService.fetchCheckout(store, checkoutToken);
+    if (checkout.totalAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'EMPTY_CHECKOUT',
+          message: 'There is nothing to pay for this checkout'
+        }
+      });
+    }
+
     // Check for existing transaction
-    let transaction = await transactionQueries.getTransactionByCheckoutToken(checkoutToken);
+    let transaction = await transactionQueries.getTransactionByCheckoutToken(storeScope(store.id), checkoutToken);
 
-    // If no transaction, create one
-    // Note: In production, fetch actual checkout total from Shopify
-    // For now, we'll use a placeholder
-    if (!transaction) {
+    // A checkout that was already paid, or is held on every card until
+    // fulfillment, must not be charged again
+    if (transaction && ['authorized', 'completed', 'partially_refunded', 'refunded'].includes(transaction.status)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'CHECKOUT_COMPLETED',
+          message: 'This checkout has already been paid'
+        }
+      });
+    }
+
+    // Cards are being charged or authenticated - a second widget would race it
+    if (transaction && ['processing', 'requires_action'].includes(transaction.status)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'CHECKOUT_IN_PROGRESS',
+          message: 'This checkout is already being paid, please wait for it to finish'
+        }
+      });
+    }
+
+    // Only a checkout still taking cards is resumed. A failed attempt is
+    // final - retries get a fresh transaction
+    if (transaction && !['pending', 'awaiting_replacement'].includes(transaction.status)) {
+      transaction = null;
+    }
+
+    if (transaction) {
+      // The cart may have changed since the last visit
+      ({ transaction } = await checkoutService.syncTransactionCheckout(transaction, checkout));
+    } else {
       transaction = await transactionQueries.createTransaction({
         storeId: store.id,
         shopifyCheckoutToken: checkoutToken,
-        totalAmount: 0, // Will be set when actual checkout data is available
-        currency: 'USD',
-        customerEmail: null,
+        totalAmount: checkout.totalAmount,
+        currency: checkout.currency,
+        customerEmail: checkout.customerEmail,
         customerIp: req.ip,
-        userAgent: req.get('user-agent')
+        userAgent: req.get('user-agent'),
+        checkoutSnapshot: checkout
       });
     }
 
     // Create session
-    const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    widgetSessions.set(sessionId, {
+    const session = await sessionService.createSession({
+      storeId: store.id,
       transactionId: transaction.id,
       shopDomain,
       checkoutToken,
-      payments: []
+      binding: getSessionBinding(store),
+      client: getClient(req)
     });
 
     // Get store settings
     const settings = store.settings || {};
+    const currency = getCurrency(transaction.currency || 'USD');
 
     res.json({
       success: true,
-      sessionId,
+      sessionId: session.id,
+      sessionToken: session.token,
+      sessionTimeout: sessionService.SESSION_TTL_MS,
       transactionId: transaction.id,
       totalAmount: transaction.total_amount,
-      currency: transaction.currency || 'USD',
+      currency: currency.code,
+      currencyDecimals: currency.minorUnits,
+      amountStep: currency.amountStep,
       maxCards: settings.maxCards || 5,
-      minAmount: settings.minAmount || 100
+      // Never below what Stripe will charge in this currency
+      minAmount: Math.max(settings.minAmount || 0, currency.minimumAmount),
+      // Direct charges live on the merchant's account, so Stripe.js must use it too
+      stripeAccountId: getChargeType(store) === 'direct' ? store.stripe_account_id : null
     });
   })
 );
@@ -115,32 +187,20 @@ router.post('/init',
 router.post('/create-payment-intent',
   widgetRateLimit,
   asyncHandler(async (req, res) => {
-    const { sessionId, amount } = req.body;
+    const { sessionToken, amount } = req.body;
 
-    if (!sessionId || !amount) {
+    if (!sessionToken || !amount) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'MISSING_PARAMS',
-          message: 'sessionId and amount are required'
-        }
-      });
-    }
-
-    // Validate amount
-    const amountValidation = validateAmount(amount);
-    if (!amountValidation.valid) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_AMOUNT',
-          message: amountValidation.error
+          message: 'sessionToken and amount are required'
         }
       });
     }
 
     // Get session
-    const session = widgetSessions.get(sessionId);
+    const session = await sessionService.getSessionFromToken(sessionToken, getClient(req));
     if (!session) {
       return res.status(404).json({
         success: false,
@@ -152,7 +212,7 @@ router.post('/create-payment-intent',
     }
 
     // Get transaction
-    const transaction = await transactionQueries.getTransactionById(session.transactionId);
+    const transaction = await transactionQueries.getTransactionById(storeScope(session.storeId), session.transactionId);
     if (!transaction) {
       return res.status(404).json({
         success: false,
@@ -163,8 +223,41 @@ router.post('/create-payment-intent',
       });
     }
 
+    const store = await storeQueries.getStoreById(session.storeId);
+
+    // Validate amount against the store minimum and the currency's rules
+    const amountValidation = validateAmount(
+      amount,
+      store.settings?.minAmount || null,
+      null,
+      transaction.currency || 'USD'
+    );
+    if (!amountValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_AMOUNT',
+          message: amountValidation.error
+        }
+      });
+    }
+
+    // Cards can't add up to more than the checkout total
+    const remaining = transaction.total_amount -
+      session.payments.reduce((sum, p) => sum + p.amount, 0);
+    if (parseInt(amount, 10) > remaining) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'AMOUNT_EXCEEDS_TOTAL',
+          message: `Amount exceeds the remaining balance of ${formatCents(remaining, transaction.currency || 'USD')}`
+        }
+      });
+    }
+
     // Check payment count
-    if (session.payments.length >= 5) {
+    const maxCards = 5;
+    if (session.payments.length >= maxCards) {
       return res.status(400).json({
         success: false,
         error: {
@@ -174,30 +267,73 @@ router.post('/create-payment-intent',
       });
     }
 
-    // Create PaymentIntent
-    const { paymentIntentId, clientSecret } = await paymentService.createPaymentIntent({
-      transactionId: transaction.id,
-      amount: parseInt(amount, 10),
-      currency: transaction.currency || 'USD',
-      metadata: {
-        cardIndex: session.payments.length + 1,
-        totalCards: session.payments.length + 1
-      }
-    });
+    // Deferred holds that may be re-authorized need the card saved
+    const reusable = getCaptureMode(store) === 'on_fulfillment' &&
+      getHoldExpiryAction(store) === 'reauthorize';
+
+    const charge = connectService.getChargeParams(store, parseInt(amount, 10), transaction.total_amount);
 
-    // Create payment record
+    // Create payment record first - its ID seeds the PaymentIntent idempotency key
     const payment = await paymentQueries.createPayment({
       transactionId: transaction.id,
-      stripePaymentIntentId: paymentIntentId,
-      amount: parseInt(amount, 10)
+      amount: parseInt(amount, 10),
+      chargeType: charge.chargeType,
+      stripeAccountId: charge.stripeAccountId,
+      applicationFeeAmount: charge.applicationFeeAmount
     });
 
+    // Create PaymentIntent
+    let paymentIntentId;
+    let clientSecret;
+    try {
+      ({ paymentIntentId, clientSecret } = await paymentService.createPaymentIntent({
+        transactionId: transaction.id,
+        paymentId: payment.id,
+        amount: parseInt(amount, 10),
+        currency: transaction.currency || 'USD',
+        reusable,
+        charge,
+        metadata: {
+          cardIndex: session.payments.length + 1,
+          totalCards: session.payments.length + 1
+        }
+      }));
+    } catch (error) {
+      await paymentQueries.updatePaymentStatus(
+        payment.id,
+        'failed',
+        error.code || 'payment_intent_error',
+        error.message,
+        { actor: 'checkout' }
+      );
+      throw error;
+    }
+
+    await paymentQueries.updatePaymentIntentId(payment.id, paymentIntentId);
+
     // Add to session
-    session.payments.push({
+    const updatedSession = await sessionService.addPayment(session.id, {
       paymentId: payment.id,
       paymentIntentId,
       amount: parseInt(amount, 10)
-    });
+    }, maxCards);
+
+    // Another request filled the session or it expired meanwhile
+    if (!updatedSession) {
+      await paymentService.cancelPaymentIntent(paymentIntentId);
+      await paymentQueries.updatePaymentStatus(payment.id, 'voided', null, null, {
+        actor: 'checkout',
+        reason: 'Session expired or card limit reached'
+      });
+
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'SESSION_UNAVAILABLE',
+          message: 'Session expired or card limit reached, please refresh'
+        }
+      });
+    }
 
     res.json({
       success: true,
@@ -208,6 +344,63 @@ router.post('/create-payment-intent',
   })
 );
 
+/**
+ * POST /api/widget/refresh-total
+ * Re-fetch the checkout total after the cart changed
+ */
+router.post('/refresh-total',
+  widgetRateLimit,
+  asyncHandler(async (req, res) => {
+    const { sessionToken } = req.body;
+
+    if (!sessionToken) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MISSING_PARAMS',
+          message: 'sessionToken is required'
+        }
+      });
+    }
+
+    const session = await sessionService.getSessionFromToken(sessionToken, getClient(req));
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Session expired, please refresh'
+        }
+      });
+    }
+
+    const transaction = await transactionQueries.getTransactionById(storeScope(session.storeId), session.transactionId);
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'TRANSACTION_NOT_FOUND',
+          message: 'Transaction not found'
+        }
+      });
+    }
+
+    const store = await storeQueries.getStoreById(session.storeId);
+    const result = await checkoutService.refreshTransactionTotals(store, transaction);
+    const currency = getCurrency(result.transaction.currency || 'USD');
+
+    res.json({
+      success: true,
+      changed: result.changed,
+      totalAmount: result.transaction.total_amount,
+      currency: currency.code,
+      currencyDecimals: currency.minorUnits,
+      amountStep: currency.amountStep,
+      minAmount: Math.max(store.settings?.minAmount || 0, currency.minimumAmount)
+    });
+  })
+);
+
 /**
  * POST /api/widget/remove-payment
  * Remove a pending payment
@@ -215,20 +408,20 @@ router.post('/create-payment-intent',
 router.post('/remove-payment',
   widgetRateLimit,
   asyncHandler(async (req, res) => {
-    const { sessionId, paymentIntentId } = req.body;
+    const { sessionToken, paymentIntentId } = req.body;
 
-    if (!sessionId || !paymentIntentId) {
+    if (!sessionToken || !paymentIntentId) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'MISSING_PARAMS',
-          message: 'sessionId and paymentIntentId are required'
+          message: 'sessionToken and paymentIntentId are required'
         }
       });
     }
 
     // Get session
-    const session = widgetSessions.get(sessionId);
+    const session = await sessionService.getSessionFromToken(sessionToken, getClient(req));
     if (!session) {
       return res.status(404).json({
         success: false,
@@ -240,11 +433,11 @@ router.post('/remove-payment',
     }
 
     // Find and remove payment
-    const paymentIndex = session.payments.findIndex(
+    const sessionPayment = session.payments.find(
       p => p.paymentIntentId === paymentIntentId
     );
 
-    if (paymentIndex === -1) {
+    if (!sessionPayment) {
       return res.status(404).json({
         success: false,
         error: {
@@ -257,6 +450,10 @@ router.post('/remove-payment',
     // Cancel PaymentIntent
     try {
       await paymentService.cancelPaymentIntent(paymentIntentId);
+      await paymentQueries.updatePaymentStatus(sessionPayment.paymentId, 'voided', null, null, {
+        actor: 'checkout',
+        reason: 'Card removed from the split'
+      });
     } catch (error) {
       logger.warn('Error cancelling PaymentIntent', {
         error: error.message,
@@ -265,7 +462,7 @@ router.post('/remove-payment',
     }
 
     // Remove from session
-    session.payments.splice(paymentIndex, 1);
+    await sessionService.removePayment(session.id, paymentIntentId);
 
     res.json({ success: true });
   })
@@ -278,20 +475,20 @@ router.post('/remove-payment',
 router.post('/complete-checkout',
   widgetRateLimit,
   asyncHandler(async (req, res) => {
-    const { sessionId, payments } = req.body;
+    const { sessionToken, payments } = req.body;
 
-    if (!sessionId || !payments || !Array.isArray(payments)) {
+    if (!sessionToken || !payments || !Array.isArray(payments)) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'MISSING_PARAMS',
-          message: 'sessionId and payments array are required'
+          message: 'sessionToken and payments array are required'
         }
       });
     }
 
     // Get session
-    const session = widgetSessions.get(sessionId);
+    const session = await sessionService.getSessionFromToken(sessionToken, getClient(req));
     if (!session) {
       return res.status(404).json({
         success: false,
@@ -302,8 +499,26 @@ router.post('/complete-checkout',
       });
     }
 
+    // Only the cards this session created, each for the amount it was created for
+    const paymentsCheck = sessionService.validateSubmittedPayments(session, payments);
+    if (!paymentsCheck.valid) {
+      logger.warn('Submitted cards do not match the session', {
+        sessionId: session.id,
+        transactionId: session.transactionId,
+        error: paymentsCheck.error
+      });
+
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'PAYMENTS_MISMATCH',
+          message: paymentsCheck.error
+        }
+      });
+    }
+
     // Get transaction
-    const transaction = await transactionQueries.getTransactionById(session.transactionId);
+    let transaction = await transactionQueries.getTransactionById(storeScope(session.storeId), session.transactionId);
     if (!transaction) {
       return res.status(404).json({
         success: false,
@@ -314,11 +529,30 @@ router.post('/complete-checkout',
       });
     }
 
+    // Charge against what the checkout costs now, not when the cards were added
+    const store = await storeQueries.getStoreById(session.storeId);
+    const refreshed = await checkoutService.refreshTransactionTotals(store, transaction);
+    transaction = refreshed.transaction;
+
+    if (refreshed.changed) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: refreshed.currencyChanged ? 'CURRENCY_CHANGED' : 'TOTAL_CHANGED',
+          message: refreshed.currencyChanged
+            ? 'The checkout currency changed, please remove your cards and add them again'
+            : `The order total changed to ${formatCents(transaction.total_amount, transaction.currency)}, please adjust your card amounts`
+        },
+        totalAmount: transaction.total_amount,
+        currency: transaction.currency
+      });
+    }
+
     // Map payments to include paymentId from database
     const paymentData = await Promise.all(
       payments.map(async (p) => {
-        const payment = await paymentQueries.getPaymentByPaymentIntentId(p.paymentIntentId);
-        if (!payment) {
+        const payment = await paymentQueries.getPaymentByPaymentIntentId(storeScope(session.storeId), p.paymentIntentId);
+        if (!payment || payment.transaction_id !== transaction.id || payment.amount !== p.amount) {
           throw new Error(`Payment not found: ${p.paymentIntentId}`);
         }
         return {
@@ -334,24 +568,64 @@ router.post('/complete-checkout',
       // Complete checkout
       const result = await paymentService.completeCheckout({
         transactionId: transaction.id,
-        payments: paymentData,
-        totalAmount: transaction.total_amount
+        payments: paymentData
       });
 
-      // Create Shopify order
-      const order = await orderService.createShopifyOrder({
-        transactionId: transaction.id,
-        shopDomain: session.shopDomain,
-        checkoutToken: session.checkoutToken
+      // 3D Secure needed on some cards - widget handles the actions and calls back
+      if (result.requiresAction) {
+        return res.json({
+          success: true,
+          requiresAction: true,
+          actions: result.actions.map(a => ({
+            paymentIntentId: a.paymentIntentId,
+            clientSecret: a.clientSecret,
+            nextAction: a.nextAction
+          }))
+        });
+      }
+
+      // A card was declined but the other holds were kept - drop the declined
+      // legs from the session so the customer can add a replacement card
+      if (result.replaceCard) {
+        for (const declined of result.declinedPayments) {
+          await sessionService.removePayment(session.id, declined.paymentIntentId);
+        }
+
+        return res.status(402).json({
+          success: false,
+          error: {
+            code: 'CARD_DECLINED',
+            message: result.declinedPayments[0].error
+          },
+          replaceCard: {
+            declined: result.declinedPayments.map(p => ({
+              paymentIntentId: p.paymentIntentId,
+              amount: p.amount,
+              message: p.error
+            })),
+            replaceBy: result.replaceBy
+          }
+        });
+      }
+
+      // Cards are charged - the order was queued before capture, so try it
+      // now and leave any failure to the outbox worker
+      const order = await orderOutboxService.deliverNow(transaction.id).catch((error) => {
+        logger.error('Immediate order creation failed, left to the outbox', {
+          error: error.message,
+          transactionId: transaction.id
+        });
+        return null;
       });
 
       // Clean up session
-      widgetSessions.delete(sessionId);
+      await sessionService.completeSession(session.id);
 
       res.json({
         success: true,
-        orderId: order.orderId,
-        orderNumber: order.orderNumber
+        orderId: order?.orderId || null,
+        orderNumber: order?.orderNumber || null,
+        orderPending: !order
       });
 
     } catch (error) {
@@ -360,6 +634,15 @@ router.post('/complete-checkout',
         transactionId: transaction.id
       });
 
+      // A capture that failed after others went through leaves cards charged;
+      // the order queued before capture refunds them, so settle it now
+      await orderOutboxService.deliverNow(transaction.id).catch((deliveryError) => {
+        logger.error('Refunding failed checkout left to the outbox', {
+          error: deliveryError.message,
+          transactionId: transaction.id
+        });
+      });
+
       // Find which payment failed
       const failedPayment = paymentData.find(
         p => error.message.includes(p.paymentIntentId)
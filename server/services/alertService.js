@@ -0,0 +1,53 @@
+import { logger } from '../utils/logger.js';
+import * as alertQueries from '../db/queries/merchantAlerts.js';
+
+/**
+ * Alert service - problems a merchant has to act on
+ * Alerts are listed in the admin until the merchant (or the app, once the
+ * problem is dealt with) resolves them.
+ */
+
+/**
+ * Raise an alert for a store
+ * @param {object} params - { storeId, transactionId, type, severity, message, data }
+ * @returns {Promise<object>} Alert record
+ */
+export async function raiseAlert(params) {
+  const alert = await alertQueries.createAlert(params);
+
+  logger.warn('Merchant alert raised', {
+    alertId: alert.id,
+    storeId: params.storeId,
+    transactionId: params.transactionId,
+    type: params.type,
+    message: params.message
+  });
+
+  return alert;
+}
+
+/**
+ * Resolve an alert
+ * @param {number} alertId - Alert ID
+ * @param {string} resolution - How it was resolved, e.g. refunded or dismissed
+ * @returns {Promise<object|null>} Resolved alert, or null if already resolved
+ */
+export async function resolveAlert(alertId, resolution) {
+  const alert = await alertQueries.resolveAlert(alertId, resolution);
+
+  if (alert) {
+    logger.info('Merchant alert resolved', { alertId, resolution });
+  }
+
+  return alert;
+}
+
+/**
+ * Get a store's alerts
+ * @param {object} scope - Store scope
+ * @param {object} options - { includeResolved, limit }
+ * @returns {Promise<Array>} Alerts, newest first
+ */
+export async function getAlerts(scope, options = {}) {
+  return alertQueries.getAlerts(scope, options);
+}
@@ -0,0 +1,92 @@
+import { logger } from '../utils/logger.js';
+import { getCheckoutSource } from '../providers/index.js';
+import * as transactionQueries from '../db/queries/transactions.js';
+import { storeScope } from '../db/scope.js';
+
+/**
+ * Checkout service - keeps each transaction's total in step with the store's
+ * checkout
+ * The amount to split is always what Shopify says the checkout costs, never
+ * what the widget read off the page. It is fetched when the widget starts,
+ * refreshed when the cart changes, and checked again before cards are charged.
+ */
+
+// Once cards start being charged the total is fixed
+const REFRESHABLE_STATUSES = ['pending', 'awaiting_replacement'];
+
+/**
+ * Fetch the checkout for a token from the configured source
+ * @param {object} store - Store record
+ * @param {string} checkoutToken - Checkout token
+ * @returns {Promise<object>} Normalized checkout (amounts in minor units)
+ */
+export async function fetchCheckout(store, checkoutToken) {
+  return getCheckoutSource().fetchCheckout(store, checkoutToken);
+}
+
+/**
+ * Store a fetched checkout on its transaction if anything that matters changed
+ * @param {object} transaction - Transaction record
+ * @param {object} checkout - Normalized checkout
+ * @returns {Promise<object>} { transaction, changed, currencyChanged }
+ */
+export async function syncTransactionCheckout(transaction, checkout) {
+  const updated = await transactionQueries.updateTransactionCheckout(transaction.id, {
+    totalAmount: checkout.totalAmount,
+    currency: checkout.currency,
+    customerEmail: checkout.customerEmail,
+    snapshot: checkout
+  });
+
+  // Charging started meanwhile - the total it started with stands
+  if (!updated) {
+    const current = await transactionQueries.getTransactionById(storeScope(transaction.store_id), transaction.id);
+    return { transaction: current, changed: false, currencyChanged: false };
+  }
+
+  const changed = transaction.total_amount !== updated.total_amount ||
+    transaction.currency !== updated.currency;
+  const currencyChanged = transaction.currency !== updated.currency;
+
+  if (changed) {
+    logger.info('Checkout total changed', {
+      transactionId: transaction.id,
+      from: { totalAmount: transaction.total_amount, currency: transaction.currency },
+      to: { totalAmount: checkout.totalAmount, currency: checkout.currency }
+    });
+  }
+
+  return { transaction: updated, changed, currencyChanged };
+}
+
+/**
+ * Re-fetch the checkout and update the transaction's total
+ * Transactions already being charged are left alone.
+ * @param {object} store - Store record
+ * @param {object} transaction - Transaction record
+ * @returns {Promise<object>} { transaction, changed, currencyChanged }
+ */
+export async function refreshTransactionTotals(store, transaction) {
+  if (!REFRESHABLE_STATUSES.includes(transaction.status)) {
+    return { transaction, changed: false, currencyChanged: false };
+  }
+
+  const checkout = await fetchCheckout(store, transaction.shopify_checkout_token);
+  return syncTransactionCheckout(transaction, checkout);
+}
+
+/**
+ * Apply a checkout pushed by a Shopify checkouts/update webhook
+ * @param {number} storeId - Store the webhook came from
+ * @param {object} checkout - Normalized checkout
+ * @returns {Promise<object|null>} Sync result, or null if no open transaction uses it
+ */
+export async function applyCheckoutUpdate(storeId, checkout) {
+  const transaction = await transactionQueries.getTransactionByCheckoutToken(storeScope(storeId), checkout.token);
+
+  if (!transaction || !REFRESHABLE_STATUSES.includes(transaction.status)) {
+    return null;
+  }
+
+  return syncTransactionCheckout(transaction, checkout);
+}
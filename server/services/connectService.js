@@ -0,0 +1,216 @@
+import { logger } from '../utils/logger.js';
+import { getPaymentProvider } from '../providers/index.js';
+import { idempotencyKey, withIdempotencyKey } from './idempotencyService.js';
+import { getChargeType } from './storeService.js';
+import * as storeQueries from '../db/queries/stores.js';
+
+/**
+ * Connect service - links merchants' Stripe accounts and decides how each
+ * card is charged
+ * Destination charges are created on the platform and transferred to the
+ * merchant; direct charges are created on the merchant's account. Either way
+ * the platform keeps an application fee, prorated across the split's cards.
+ */
+
+// Platform fee per split when the store has no override
+const DEFAULT_FEE_PERCENT = parseFloat(process.env.APPLICATION_FEE_PERCENT || '0');
+const DEFAULT_FEE_FIXED = parseInt(process.env.APPLICATION_FEE_FIXED || '0', 10);
+
+/**
+ * Create the store's Express account if needed and return an onboarding link
+ * @param {object} store - Store record
+ * @param {object} urls - { returnUrl, refreshUrl }
+ * @returns {Promise<object>} { accountId, url }
+ */
+export async function startOnboarding(store, { returnUrl, refreshUrl }) {
+  const provider = getPaymentProvider();
+  let accountId = store.stripe_account_id;
+
+  if (!accountId) {
+    const account = await withIdempotencyKey(
+      idempotencyKey(`store_${store.id}`, 'connect_account'),
+      'account.create',
+      (idempotencyKey) => provider.createAccount({
+        type: 'express',
+        business_profile: { url: `https://${store.shop_domain}` },
+        capabilities: {
+          card_payments: { requested: true },
+          transfers: { requested: true }
+        },
+        metadata: {
+          storeId: store.id.toString(),
+          shopDomain: store.shop_domain
+        }
+      }, { idempotencyKey })
+    );
+
+    accountId = account.id;
+    await storeQueries.setStripeAccount(store.id, accountId);
+
+    logger.info('Connected account created', { storeId: store.id, accountId });
+  }
+
+  const link = await provider.createAccountLink({
+    account: accountId,
+    refresh_url: refreshUrl,
+    return_url: returnUrl,
+    type: 'account_onboarding'
+  });
+
+  return { accountId, url: link.url };
+}
+
+/**
+ * Store the onboarding state reported for a connected account
+ * @param {object} account - Stripe Account object
+ * @returns {Promise<object|null>} Updated store, or null if no store uses the account
+ */
+export async function syncAccount(account) {
+  const store = await storeQueries.updateStripeAccountStatus(account.id, {
+    chargesEnabled: Boolean(account.charges_enabled),
+    detailsSubmitted: Boolean(account.details_submitted)
+  });
+
+  if (store) {
+    logger.info('Connected account synced', {
+      storeId: store.id,
+      accountId: account.id,
+      chargesEnabled: store.stripe_charges_enabled
+    });
+  }
+
+  return store;
+}
+
+/**
+ * Stop charging through an account that disconnected the platform
+ * @param {string} accountId - Connected account ID
+ * @returns {Promise<object|null>} Updated store
+ */
+export async function disconnectAccount(accountId) {
+  const store = await storeQueries.updateStripeAccountStatus(accountId, {
+    chargesEnabled: false,
+    detailsSubmitted: false
+  });
+
+  logger.warn('Connected account deauthorized the platform', { accountId, storeId: store?.id });
+  return store;
+}
+
+/**
+ * Get the store's connected account status, refreshed from Stripe
+ * @param {object} store - Store record
+ * @returns {Promise<object>} Account status
+ */
+export async function getAccountStatus(store) {
+  if (!store.stripe_account_id) {
+    return { connected: false, accountId: null, chargesEnabled: false, detailsSubmitted: false };
+  }
+
+  const account = await getPaymentProvider().retrieveAccount(store.stripe_account_id);
+  await syncAccount(account);
+
+  return {
+    connected: true,
+    accountId: account.id,
+    chargesEnabled: Boolean(account.charges_enabled),
+    detailsSubmitted: Boolean(account.details_submitted),
+    chargeType: getChargeType(store)
+  };
+}
+
+/**
+ * Whether checkout can charge cards for this store
+ * @param {object} store - Store record
+ * @returns {boolean} True once the connected account accepts charges
+ */
+export function isReadyForCharges(store) {
+  return Boolean(store?.stripe_account_id && store.stripe_charges_enabled);
+}
+
+/**
+ * Calculate the platform fee for one card of a split
+ * The split's fee (percent of the total plus a fixed amount) is prorated by
+ * the card's share, so the cards of a split add up to roughly the split's fee.
+ * @param {object} store - Store record
+ * @param {number} amount - Card amount in cents
+ * @param {number} totalAmount - Split total in cents
+ * @returns {number} Fee in cents
+ */
+export function calculateApplicationFee(store, amount, totalAmount) {
+  const percent = store.application_fee_percent != null
+    ? parseFloat(store.application_fee_percent)
+    : DEFAULT_FEE_PERCENT;
+  const fixed = store.application_fee_fixed != null
+    ? store.application_fee_fixed
+    : DEFAULT_FEE_FIXED;
+
+  const total = totalAmount > 0 ? totalAmount : amount;
+  const splitFee = Math.round(total * percent / 100) + fixed;
+
+  return Math.min(Math.round(splitFee * amount / total), amount);
+}
+
+/**
+ * Work out how a card of a split is charged
+ * @param {object} store - Store record
+ * @param {number} amount - Card amount in cents
+ * @param {number} totalAmount - Split total in cents
+ * @returns {object} { chargeType, stripeAccountId, applicationFeeAmount, params, requestOptions }
+ */
+export function getChargeParams(store, amount, totalAmount) {
+  if (!isReadyForCharges(store)) {
+    throw new Error('Store has no connected Stripe account that can accept charges');
+  }
+
+  const chargeType = getChargeType(store);
+  const stripeAccountId = store.stripe_account_id;
+  const applicationFeeAmount = calculateApplicationFee(store, amount, totalAmount);
+  const fee = applicationFeeAmount > 0 ? { application_fee_amount: applicationFeeAmount } : {};
+
+  if (chargeType === 'direct') {
+    return {
+      chargeType,
+      stripeAccountId,
+      applicationFeeAmount,
+      params: fee,
+      requestOptions: { stripeAccount: stripeAccountId }
+    };
+  }
+
+  return {
+    chargeType,
+    stripeAccountId,
+    applicationFeeAmount,
+    params: {
+      ...fee,
+      on_behalf_of: stripeAccountId,
+      transfer_data: { destination: stripeAccountId }
+    },
+    requestOptions: {}
+  };
+}
+
+/**
+ * Request options for calls on an existing payment's PaymentIntent
+ * @param {object} payment - Payment record
+ * @returns {object} { stripeAccount } for direct charges, otherwise empty
+ */
+export function getRequestOptions(payment) {
+  return payment?.charge_type === 'direct' ? { stripeAccount: payment.stripe_account_id } : {};
+}
+
+/**
+ * Extra refund parameters so a refund unwinds the transfer and the fee too
+ * @param {object} payment - Payment record
+ * @returns {object} Refund parameters
+ */
+export function getRefundParams(payment) {
+  const fee = payment.application_fee_amount > 0 ? { refund_application_fee: true } : {};
+
+  if (payment.charge_type === 'destination') {
+    return { ...fee, reverse_transfer: true };
+  }
+
+  return payment.charge_type === 'direct' ? fee : {};
+}
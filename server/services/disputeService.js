@@ -0,0 +1,331 @@
+import crypto from 'crypto';
+import { getPaymentProvider } from '../providers/index.js';
+import { getRequestOptions } from './connectService.js';
+import { raiseAlert } from './alertService.js';
+import { logger } from '../utils/logger.js';
+import { formatCents } from '../utils/currency.js';
+import { idempotencyKey, withIdempotencyKey } from './idempotencyService.js';
+import * as disputeQueries from '../db/queries/disputes.js';
+import * as paymentQueries from '../db/queries/payments.js';
+import * as transactionQueries from '../db/queries/transactions.js';
+import * as transactionEventQueries from '../db/queries/transactionEvents.js';
+import * as storeQueries from '../db/queries/stores.js';
+import { SYSTEM_SCOPE } from '../db/scope.js';
+
+/**
+ * Dispute service - tracks chargebacks and submits evidence
+ * A dispute is on one card of a split. The strongest evidence for a split
+ * order is usually the rest of it: the other cards that paid their share of
+ * the same order, so the suggested evidence lists them.
+ */
+
+// Statuses in which Stripe still accepts evidence
+const RESPONDABLE_STATUSES = ['needs_response', 'warning_needs_response'];
+
+// Text evidence fields a merchant can fill in; file evidence is added in Stripe
+export const EVIDENCE_FIELDS = [
+  'product_description',
+  'customer_name',
+  'customer_email_address',
+  'customer_purchase_ip',
+  'billing_address',
+  'shipping_address',
+  'shipping_carrier',
+  'shipping_date',
+  'shipping_tracking_number',
+  'service_date',
+  'refund_policy_disclosure',
+  'refund_refusal_explanation',
+  'cancellation_rebuttal',
+  'duplicate_charge_explanation',
+  'access_activity_log',
+  'uncategorized_text'
+];
+
+/**
+ * Format a normalized checkout address on one line
+ */
+function formatAddress(address) {
+  if (!address) return undefined;
+
+  return [
+    [address.firstName, address.lastName].filter(Boolean).join(' '),
+    address.company,
+    address.address1,
+    address.address2,
+    [address.city, address.provinceCode || address.province, address.zip].filter(Boolean).join(' '),
+    address.countryCode || address.country
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * Describe a card of the split for the evidence text
+ */
+function describeLeg(payment, currency) {
+  const card = payment.card_brand
+    ? `${payment.card_brand} ending ${payment.card_last_four}`
+    : 'Card';
+  const when = payment.captured_at || payment.authorized_at;
+
+  return `${card}: ${formatCents(payment.amount, currency)}, ${payment.status}` +
+    (when ? ` on ${new Date(when).toISOString().slice(0, 10)}` : '');
+}
+
+/**
+ * Apply a charge.dispute.* event
+ * @param {object} stripeDispute - Stripe Dispute object
+ * @param {object} event - Stripe Event
+ * @returns {Promise<object|null>} Dispute record, or null for a stale event
+ */
+export async function recordDisputeEvent(stripeDispute, event) {
+  const paymentIntentId = typeof stripeDispute.payment_intent === 'string'
+    ? stripeDispute.payment_intent
+    : stripeDispute.payment_intent?.id;
+
+  const payment = paymentIntentId
+    ? await paymentQueries.getPaymentByPaymentIntentId(SYSTEM_SCOPE, paymentIntentId)
+    : null;
+  const transaction = payment
+    ? await transactionQueries.getTransactionById(SYSTEM_SCOPE, payment.transaction_id)
+    : null;
+
+  let storeId = transaction?.store_id || null;
+  if (!storeId && event.account) {
+    storeId = (await storeQueries.getStoreByStripeAccountId(event.account))?.id || null;
+  }
+
+  const dueBy = stripeDispute.evidence_details?.due_by;
+  const { dispute, created } = await disputeQueries.upsertDispute({
+    stripeDisputeId: stripeDispute.id,
+    storeId,
+    transactionId: transaction?.id || null,
+    paymentId: payment?.id || null,
+    stripeChargeId: typeof stripeDispute.charge === 'string' ? stripeDispute.charge : stripeDispute.charge?.id,
+    stripePaymentIntentId: paymentIntentId || null,
+    amount: stripeDispute.amount,
+    currency: stripeDispute.currency.toUpperCase(),
+    reason: stripeDispute.reason,
+    status: stripeDispute.status,
+    evidenceDueBy: dueBy ? new Date(dueBy * 1000) : null,
+    fundsWithdrawn: event.type === 'charge.dispute.funds_withdrawn',
+    stripeUpdatedAt: new Date(event.created * 1000)
+  });
+
+  if (!dispute) {
+    logger.info('Stale dispute event skipped', { disputeId: stripeDispute.id, eventId: event.id });
+    return null;
+  }
+
+  if (transaction) {
+    await transactionEventQueries.createTransactionEvent({
+      transactionId: transaction.id,
+      entityType: 'dispute',
+      entityId: dispute.id,
+      toStatus: dispute.status,
+      actor: 'stripe_webhook',
+      reason: stripeDispute.reason,
+      stripeObjectId: stripeDispute.id,
+      metadata: { stripeEventId: event.id, paymentId: payment.id, amount: dispute.amount }
+    });
+  }
+
+  if (created && storeId) {
+    const due = dispute.evidence_due_by
+      ? ` Evidence is due by ${new Date(dispute.evidence_due_by).toLocaleDateString('en-US')}.`
+      : '';
+
+    await raiseAlert({
+      storeId,
+      transactionId: transaction?.id || null,
+      type: 'dispute_opened',
+      severity: 'critical',
+      message: `A ${formatCents(dispute.amount, dispute.currency)} charge on order ${transaction?.shopify_order_number || 'unknown'} was disputed (${stripeDispute.reason}).${due}`,
+      data: { disputeId: dispute.id, stripeDisputeId: stripeDispute.id }
+    });
+  }
+
+  logger.warn('Dispute recorded', {
+    disputeId: dispute.id,
+    stripeDisputeId: stripeDispute.id,
+    eventType: event.type,
+    status: dispute.status,
+    transactionId: transaction?.id,
+    paymentId: payment?.id
+  });
+
+  return dispute;
+}
+
+/**
+ * Suggest evidence for a dispute from its order and the split's other cards
+ * @param {object} dispute - Dispute record
+ * @param {object} transaction - Transaction record
+ * @param {Array<object>} payments - Every card of the split
+ * @returns {object} Evidence fields
+ */
+export function buildSuggestedEvidence(dispute, transaction, payments) {
+  if (!transaction) {
+    return {};
+  }
+
+  const currency = transaction.currency || dispute.currency;
+  const checkout = transaction.checkout_snapshot || {};
+  const disputed = payments.find(p => p.id === dispute.payment_id);
+
+  // Only cards that paid - declined, removed and voided ones charged nothing
+  const paid = payments.filter(p => ['captured', 'refunded'].includes(p.status));
+  const others = paid.filter(p => p.id !== dispute.payment_id && p.amount > 0);
+
+  const order = transaction.shopify_order_number ? `order ${transaction.shopify_order_number}` : 'this order';
+  const lines = [
+    `The disputed charge is one of ${paid.length} card payments that together paid for ${order} ` +
+      `(total ${formatCents(transaction.total_amount, currency)}). The payment was split across ` +
+      'these cards at checkout, with each card entered and authorized on the store\'s checkout page.',
+    '',
+    `Disputed card - ${disputed ? describeLeg(disputed, currency) : formatCents(dispute.amount, dispute.currency)}`,
+    '',
+    'Other cards on the same order:',
+    ...(others.length > 0 ? others.map(p => `- ${describeLeg(p, currency)}`) : ['- none'])
+  ];
+
+  const products = (checkout.lineItems || [])
+    .map(item => `${item.quantity} x ${item.title}${item.variantTitle ? ` (${item.variantTitle})` : ''}`)
+    .join('; ');
+
+  const customerName = checkout.customer
+    ? [checkout.customer.firstName, checkout.customer.lastName].filter(Boolean).join(' ')
+    : null;
+
+  const evidence = {
+    product_description: products || undefined,
+    customer_name: customerName || undefined,
+    customer_email_address: transaction.customer_email || checkout.customerEmail || undefined,
+    billing_address: formatAddress(checkout.billingAddress),
+    shipping_address: formatAddress(checkout.shippingAddress),
+    uncategorized_text: lines.join('\n')
+  };
+
+  return Object.fromEntries(Object.entries(evidence).filter(([, value]) => value));
+}
+
+/**
+ * Get a dispute with its split and the evidence to show the merchant
+ * Saved draft evidence wins over the suggestion, field by field.
+ * @param {object} scope - Scope the dispute was looked up in
+ * @param {object} dispute - Dispute record
+ * @returns {Promise<object>} { dispute, transaction, payments, evidence, suggestedEvidence, canSubmit }
+ */
+export async function getDisputeDetails(scope, dispute) {
+  const transaction = dispute.transaction_id
+    ? await transactionQueries.getTransactionById(scope, dispute.transaction_id)
+    : null;
+  const payments = transaction
+    ? await paymentQueries.getPaymentsByTransactionId(scope, transaction.id)
+    : [];
+
+  const suggestedEvidence = buildSuggestedEvidence(dispute, transaction, payments);
+
+  return {
+    dispute,
+    transaction,
+    payments,
+    suggestedEvidence,
+    evidence: { ...suggestedEvidence, ...(dispute.evidence || {}) },
+    canSubmit: RESPONDABLE_STATUSES.includes(dispute.status)
+  };
+}
+
+/**
+ * Keep only the evidence fields Stripe accepts as text
+ */
+function cleanEvidence(evidence = {}) {
+  return Object.fromEntries(
+    Object.entries(evidence)
+      .filter(([field, value]) => EVIDENCE_FIELDS.includes(field) && typeof value === 'string')
+      .map(([field, value]) => [field, value.trim()])
+      .filter(([, value]) => value.length > 0)
+  );
+}
+
+/**
+ * Save draft evidence without sending it
+ * @param {object} dispute - Dispute record
+ * @param {object} evidence - Evidence fields
+ * @returns {Promise<object>} Updated dispute
+ */
+export async function saveEvidence(dispute, evidence) {
+  return disputeQueries.saveDisputeEvidence(dispute.id, cleanEvidence(evidence));
+}
+
+/**
+ * Submit evidence to Stripe
+ * Stripe takes one submission, so this fails once the dispute is under review.
+ * @param {object} scope - Scope the dispute was looked up in
+ * @param {object} dispute - Dispute record
+ * @param {object} evidence - Evidence fields; the saved draft if omitted
+ * @returns {Promise<object>} Updated dispute
+ */
+export async function submitEvidence(scope, dispute, evidence = null) {
+  if (!RESPONDABLE_STATUSES.includes(dispute.status)) {
+    const error = new Error(`Evidence can't be submitted for a dispute that is ${dispute.status}`);
+    error.code = 'DISPUTE_NOT_RESPONDABLE';
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const cleaned = cleanEvidence(evidence || dispute.evidence);
+  if (Object.keys(cleaned).length === 0) {
+    const error = new Error('Add some evidence before submitting');
+    error.code = 'EVIDENCE_REQUIRED';
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const payment = dispute.payment_id ? await paymentQueries.getPaymentById(scope, dispute.payment_id) : null;
+
+  // Keyed by content too, so corrected evidence isn't refused as a reused key
+  const digest = crypto.createHash('sha256').update(JSON.stringify(cleaned)).digest('hex').slice(0, 16);
+
+  const stripeDispute = await withIdempotencyKey(
+    idempotencyKey(`dispute_${dispute.id}`, 'submit', digest),
+    'dispute.update',
+    (idempotencyKey) => getPaymentProvider().updateDispute(dispute.stripe_dispute_id, {
+      evidence: cleaned,
+      submit: true,
+      metadata: { disputeId: dispute.id.toString() }
+    }, { idempotencyKey, ...getRequestOptions(payment) })
+  );
+
+  const updated = await disputeQueries.markEvidenceSubmitted(dispute.id, cleaned, stripeDispute.status);
+
+  if (dispute.transaction_id) {
+    await transactionEventQueries.createTransactionEvent({
+      transactionId: dispute.transaction_id,
+      entityType: 'dispute',
+      entityId: dispute.id,
+      fromStatus: dispute.status,
+      toStatus: stripeDispute.status,
+      actor: 'admin',
+      reason: 'Evidence submitted',
+      stripeObjectId: dispute.stripe_dispute_id
+    });
+  }
+
+  logger.info('Dispute evidence submitted', {
+    disputeId: dispute.id,
+    stripeDisputeId: dispute.stripe_dispute_id,
+    fields: Object.keys(cleaned)
+  });
+
+  return updated;
+}
+
+/**
+ * Get a store's disputes
+ * @param {object} scope - Store scope
+ * @param {object} filters - { open, status, page, limit }
+ * @returns {Promise<object>} { disputes, total, page, pages }
+ */
+export async function getStoreDisputes(scope, filters = {}) {
+  return disputeQueries.getDisputes(scope, filters);
+}
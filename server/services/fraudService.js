@@ -0,0 +1,203 @@
+import { logger } from '../utils/logger.js';
+import { formatCents } from '../utils/currency.js';
+import { raiseAlert } from './alertService.js';
+import { cancelShopifyOrder } from './orderService.js';
+import { voidTransaction } from './paymentService.js';
+import { refundRemaining } from './refundService.js';
+import { getFraudWarningAction, shouldCancelOrderOnFraud } from './storeService.js';
+import * as paymentQueries from '../db/queries/payments.js';
+import * as storeQueries from '../db/queries/stores.js';
+import * as transactionEventQueries from '../db/queries/transactionEvents.js';
+import * as transactionQueries from '../db/queries/transactions.js';
+import { SYSTEM_SCOPE } from '../db/scope.js';
+
+/**
+ * Fraud service - acts on Stripe Radar early fraud warnings
+ * A warning names one card of a split. The store's fraudWarningAction decides
+ * whether that card is refunded, every card is, or the order is only flagged
+ * for the merchant. Whatever is decided is written to the transaction's
+ * audit trail.
+ */
+
+const FRAUD_EVENT = { actor: 'stripe_webhook' };
+
+const ACTION_LABELS = {
+  refund_leg: 'refund the flagged card',
+  refund_all: 'refund every card',
+  flag: 'flag for review'
+};
+
+/**
+ * Whether a warning was already acted on - the audit event is written last
+ */
+async function isHandled(transactionId, warningId) {
+  const events = await transactionEventQueries.getTransactionEvents(SYSTEM_SCOPE, transactionId);
+  return events.some(e => e.entity_type === 'fraud_warning' && e.stripe_object_id === warningId);
+}
+
+/**
+ * Move the money as the store's action says
+ * @returns {Promise<object>} { outcome, amount, success }
+ */
+async function applyAction(action, transaction, payment, event) {
+  if (action === 'flag') {
+    return { outcome: 'flagged', amount: 0, success: true };
+  }
+
+  if (transaction.status === 'authorized') {
+    // Nothing has been charged yet, and capturing the other cards would leave
+    // the order underpaid, so either refund action releases every hold. A hold
+    // Stripe won't release throws, and the warning is retried.
+    const result = await voidTransaction(transaction.id, event.reason, event);
+    return { outcome: 'voided', amount: result.amount, success: result.success, cards: result.voided };
+  }
+
+  if (['completed', 'partially_refunded'].includes(transaction.status)) {
+    const result = await refundRemaining(SYSTEM_SCOPE, transaction.id, {
+      reason: 'fraudulent',
+      initiatedBy: 'radar',
+      event,
+      paymentIds: action === 'refund_leg' ? [payment.id] : null
+    });
+    return { outcome: 'refunded', amount: result.amount, success: result.success, refunds: result.refunds };
+  }
+
+  if (['failed', 'refunded'].includes(transaction.status)) {
+    return { outcome: 'none', amount: 0, success: true };
+  }
+
+  // Still charging - act once the checkout settles
+  throw new Error(`Transaction ${transaction.id} is ${transaction.status}; fraud warning will be retried`);
+}
+
+/**
+ * Apply a radar.early_fraud_warning.created event
+ * @param {object} warning - Stripe Radar EarlyFraudWarning
+ * @param {object} event - Stripe Event
+ * @returns {Promise<object|null>} { action, outcome, amount, success, orderCancelled },
+ *   or null if the card isn't ours or the warning was already handled
+ */
+export async function handleEarlyFraudWarning(warning, event) {
+  const paymentIntentId = typeof warning.payment_intent === 'string'
+    ? warning.payment_intent
+    : warning.payment_intent?.id;
+
+  const payment = paymentIntentId
+    ? await paymentQueries.getPaymentByPaymentIntentId(SYSTEM_SCOPE, paymentIntentId)
+    : null;
+
+  if (!payment) {
+    logger.info('Early fraud warning for an unknown payment', {
+      warningId: warning.id,
+      paymentIntentId
+    });
+    return null;
+  }
+
+  const transaction = await transactionQueries.getTransactionById(SYSTEM_SCOPE, payment.transaction_id);
+
+  if (await isHandled(transaction.id, warning.id)) {
+    logger.info('Early fraud warning already handled', { warningId: warning.id, transactionId: transaction.id });
+    return null;
+  }
+
+  const store = await storeQueries.getStoreById(transaction.store_id);
+  const action = getFraudWarningAction(store);
+  const reason = `Early fraud warning (${warning.fraud_type}): ${ACTION_LABELS[action]}`;
+  const stripeEvent = { ...FRAUD_EVENT, reason, stripeObjectId: warning.id };
+
+  const result = await applyAction(action, transaction, payment, stripeEvent);
+
+  let orderCancelled = false;
+  let cancelError = null;
+
+  if (action !== 'flag' && result.outcome !== 'none' && shouldCancelOrderOnFraud(store)) {
+    if (!transaction.shopify_order_id) {
+      cancelError = 'No Shopify order yet';
+    } else {
+      try {
+        await cancelShopifyOrder(store.shop_domain, transaction.shopify_order_id, 'fraud');
+        orderCancelled = true;
+      } catch (error) {
+        // The money is already back; the merchant can cancel by hand
+        cancelError = error.message;
+      }
+    }
+  }
+
+  const current = await transactionQueries.getTransactionById(SYSTEM_SCOPE, transaction.id);
+
+  await transactionEventQueries.createTransactionEvent({
+    transactionId: transaction.id,
+    entityType: 'fraud_warning',
+    entityId: payment.id,
+    fromStatus: transaction.status,
+    toStatus: current.status,
+    actor: FRAUD_EVENT.actor,
+    reason,
+    stripeObjectId: warning.id,
+    metadata: {
+      stripeEventId: event.id,
+      paymentId: payment.id,
+      chargeId: typeof warning.charge === 'string' ? warning.charge : warning.charge?.id,
+      fraudType: warning.fraud_type,
+      actionable: warning.actionable,
+      action,
+      outcome: result.outcome,
+      amount: result.amount,
+      success: result.success,
+      orderCancelled,
+      cancelError
+    }
+  });
+
+  const currency = transaction.currency || 'USD';
+  const order = transaction.shopify_order_number ? `order ${transaction.shopify_order_number}` : 'an order';
+  const card = payment.card_brand ? `${payment.card_brand} ending ${payment.card_last_four}` : 'A card';
+  const taken = {
+    flagged: 'Review the order before fulfilling it.',
+    voided: result.success
+      ? 'The holds on every card were released.'
+      : 'Not every hold could be released; check the order.',
+    refunded: result.success
+      ? `${formatCents(result.amount, currency)} was refunded.`
+      : 'Not every refund went through; check the order.',
+    none: 'Nothing was left to refund.'
+  }[result.outcome];
+  const cancelled = orderCancelled
+    ? ' The Shopify order was cancelled.'
+    : cancelError ? ` The Shopify order could not be cancelled: ${cancelError}.` : '';
+
+  await raiseAlert({
+    storeId: transaction.store_id,
+    transactionId: transaction.id,
+    type: 'fraud_warning',
+    severity: result.outcome === 'flagged' || !result.success || cancelError ? 'critical' : 'warning',
+    message: `${card} on ${order} was reported as likely fraud (${warning.fraud_type.replace(/_/g, ' ')}). ${taken}${cancelled}`,
+    data: {
+      stripeWarningId: warning.id,
+      paymentId: payment.id,
+      action,
+      outcome: result.outcome,
+      amount: result.amount
+    }
+  });
+
+  logger.warn('Early fraud warning handled', {
+    warningId: warning.id,
+    transactionId: transaction.id,
+    paymentId: payment.id,
+    action,
+    outcome: result.outcome,
+    amount: result.amount,
+    orderCancelled
+  });
+
+  return {
+    action,
+    outcome: result.outcome,
+    amount: result.amount,
+    success: result.success,
+    orderCancelled
+  };
+}
@@ -0,0 +1,108 @@
+import { logger } from '../utils/logger.js';
+import * as storeQueries from '../db/queries/stores.js';
+import * as paymentQueries from '../db/queries/payments.js';
+import * as transactionQueries from '../db/queries/transactions.js';
+import { SYSTEM_SCOPE } from '../db/scope.js';
+import * as paymentService from './paymentService.js';
+import { getHoldExpiryAction } from './storeService.js';
+
+/**
+ * Hold service - watches deferred-capture authorizations for expiry
+ * Stripe releases uncaptured card authorizations after 7 days. Holds are
+ * voided or re-authorized ahead of that, per the store's holdExpiryAction.
+ * Holds kept while a declined card is replaced are released once the
+ * store's grace period runs out.
+ */
+
+const HOLD_DAYS = parseInt(process.env.AUTHORIZATION_HOLD_DAYS || '7', 10);
+const EXPIRY_MARGIN_HOURS = parseInt(process.env.HOLD_EXPIRY_MARGIN_HOURS || '24', 10);
+
+const HOLD_EVENT = { actor: 'hold_watcher' };
+const REPLACEMENT_EVENT = { actor: 'replacement_watcher' };
+const REPLACEMENT_LEASE_MINUTES = 5;
+
+/**
+ * Handle every hold that is within the expiry margin
+ * @returns {Promise<number>} Number of transactions handled
+ */
+export async function processExpiringHolds() {
+  const cutoff = new Date(Date.now() - (HOLD_DAYS * 24 - EXPIRY_MARGIN_HOURS) * 60 * 60 * 1000);
+  const payments = await paymentQueries.getExpiringHolds(SYSTEM_SCOPE, cutoff);
+
+  // Group expiring legs by transaction
+  const byTransaction = new Map();
+  for (const payment of payments) {
+    if (!byTransaction.has(payment.transaction_id)) {
+      byTransaction.set(payment.transaction_id, []);
+    }
+    byTransaction.get(payment.transaction_id).push(payment);
+  }
+
+  for (const [transactionId, expiring] of byTransaction) {
+    try {
+      const store = await storeQueries.getStoreById(expiring[0].store_id);
+      const action = getHoldExpiryAction(store);
+
+      if (action === 'reauthorize') {
+        try {
+          for (const payment of expiring) {
+            await paymentService.reauthorizePayment(payment, HOLD_EVENT);
+          }
+          continue;
+        } catch (error) {
+          logger.error('Re-authorization failed, voiding holds', {
+            error: error.message,
+            transactionId
+          });
+        }
+      }
+
+      await paymentService.voidTransaction(
+        transactionId,
+        'Authorization expired before fulfillment',
+        HOLD_EVENT
+      );
+
+      logger.warn('Deferred holds voided before expiry - order is unpaid', {
+        transactionId,
+        storeId: store?.id
+      });
+    } catch (error) {
+      logger.error('Error handling expiring holds', {
+        error: error.message,
+        transactionId
+      });
+    }
+  }
+
+  return byTransaction.size;
+}
+
+/**
+ * Void transactions whose declined card was not replaced in time
+ * A checkout can't be resumed once its deadline has passed, so a late
+ * resubmit never races the void.
+ * @returns {Promise<number>} Number of transactions voided
+ */
+export async function releaseExpiredReplacements() {
+  const transactions = await transactionQueries.claimExpiredReplacementTransactions(REPLACEMENT_LEASE_MINUTES);
+  let voided = 0;
+
+  for (const transaction of transactions) {
+    try {
+      await paymentService.voidTransaction(
+        transaction.id,
+        'Declined card was not replaced within the grace period',
+        REPLACEMENT_EVENT
+      );
+      voided++;
+    } catch (error) {
+      logger.error('Error releasing holds after replacement window', {
+        error: error.message,
+        transactionId: transaction.id
+      });
+    }
+  }
+
+  return voided;
+}
@@ -0,0 +1,45 @@
+import { logger } from '../utils/logger.js';
+import * as idempotencyQueries from '../db/queries/idempotencyKeys.js';
+
+/**
+ * Idempotency service - deterministic keys for Stripe mutations
+ * The same key goes to Stripe (which dedupes for 24 hours) and to our own
+ * idempotency_keys table, so a retried operation replays the original result.
+ */
+
+/**
+ * Build a deterministic idempotency key from identifiers
+ * @example idempotencyKey('txn_12', 'payment_34', 'create') // "txn_12:payment_34:create"
+ * @param {...(string|number)} parts - Key segments
+ * @returns {string} Idempotency key
+ */
+export function idempotencyKey(...parts) {
+  return parts.join(':');
+}
+
+/**
+ * Run a Stripe mutation at most once per key
+ * Only successful results are stored; a failed call may be retried.
+ * @param {string} key - Idempotency key
+ * @param {string} operation - Operation name for auditing
+ * @param {Function} fn - Receives the key, returns a JSON-serializable result
+ * @returns {Promise<object>} Original or replayed result
+ */
+export async function withIdempotencyKey(key, operation, fn) {
+  const existing = await idempotencyQueries.getIdempotencyKey(key);
+  if (existing) {
+    logger.info('Replaying idempotent result', { key, operation });
+    return existing.response;
+  }
+
+  const result = await fn(key);
+
+  const saved = await idempotencyQueries.saveIdempotencyKey(key, operation, result);
+  if (!saved) {
+    // A concurrent call stored first - return its result so both callers agree
+    const winner = await idempotencyQueries.getIdempotencyKey(key);
+    return winner.response;
+  }
+
+  return result;
+}
@@ -0,0 +1,233 @@
+import crypto from 'crypto';
+import { getShopifyScopes } from '../config/shopify.js';
+import { logger } from '../utils/logger.js';
+import * as oauthStateQueries from '../db/queries/oauthStates.js';
+import * as storeHistoryQueries from '../db/queries/storeHistory.js';
+import * as storeQueries from '../db/queries/stores.js';
+
+/**
+ * Install service - the Shopify OAuth flow
+ * Each flow gets a single-use state nonce, stored here and in a cookie, and
+ * the callback is only trusted once its query HMAC, nonce and cookie all
+ * check out. A store whose granted scopes fall short of getShopifyScopes()
+ * (after a release that needs more) is sent through the flow again before it
+ * can use the admin. Every authorization is written to the store history.
+ */
+
+export const STATE_COOKIE = 'shopify_oauth_state';
+
+// How long a merchant has to approve the app
+export const STATE_TTL_SECONDS = 10 * 60;
+
+// Allowed clock skew on the callback's timestamp, in seconds
+const HMAC_TIMESTAMP_TOLERANCE_SECONDS = 90;
+
+/**
+ * Public URL of the app
+ */
+function getAppUrl() {
+  return (process.env.SHOPIFY_APP_URL || process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+}
+
+/**
+ * Build an error with a code and HTTP status
+ */
+function installError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Split a scope list as Shopify sends it
+ */
+function parseScopes(scopes) {
+  if (Array.isArray(scopes)) return scopes;
+  return (scopes || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Scopes the app needs that were not granted
+ * A write scope implies its read scope, and Shopify lists only the write one.
+ * @param {string|Array<string>} grantedScopes - Granted scopes
+ * @returns {Array<string>} Missing scopes
+ */
+export function getMissingScopes(grantedScopes) {
+  const granted = parseScopes(grantedScopes);
+
+  return getShopifyScopes().filter(scope =>
+    !granted.includes(scope) &&
+    !(scope.startsWith('read_') && granted.includes(`write_${scope.slice(5)}`))
+  );
+}
+
+/**
+ * Whether a store has to go through OAuth before using the admin
+ * @param {object|null} store - Store record
+ * @returns {boolean} True if not installed or missing scopes
+ */
+export function needsReauthorization(store) {
+  return !store || !store.is_active || getMissingScopes(store.scopes).length > 0;
+}
+
+/**
+ * URL that starts the OAuth flow for a shop
+ * @param {string} shop - Shop domain
+ * @returns {string} Install URL
+ */
+export function getInstallUrl(shop) {
+  return `${getAppUrl()}/api/auth/install?shop=${encodeURIComponent(shop)}`;
+}
+
+/**
+ * Start an OAuth flow
+ * @param {string} shop - Shop domain
+ * @returns {Promise<object>} { url, nonce } url is Shopify's authorize page
+ */
+export async function beginInstall(shop) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+
+  await oauthStateQueries.deleteExpiredOAuthStates();
+  await oauthStateQueries.createOAuthState(nonce, shop, STATE_TTL_SECONDS);
+
+  const params = new URLSearchParams({
+    client_id: process.env.SHOPIFY_API_KEY,
+    scope: getShopifyScopes().join(','),
+    redirect_uri: `${getAppUrl()}/api/auth/callback`,
+    state: nonce
+  });
+
+  logger.info('OAuth installation initiated', { shop });
+
+  return { url: `https://${shop}/admin/oauth/authorize?${params}`, nonce };
+}
+
+/**
+ * Whether a callback query string is signed by Shopify
+ * The HMAC covers every other parameter, sorted and URL-encoded, as sent.
+ * @param {string} rawQuery - Query string without the leading ?
+ * @param {number} now - Current time in seconds
+ * @returns {boolean} True if signed with the app secret and recent
+ */
+export function verifyCallbackHmac(rawQuery, now = Math.floor(Date.now() / 1000)) {
+  const secret = process.env.SHOPIFY_API_SECRET;
+  const params = new URLSearchParams(rawQuery);
+  const hmac = params.get('hmac');
+
+  if (!secret || !hmac) {
+    return false;
+  }
+
+  if (Math.abs(now - Number(params.get('timestamp'))) > HMAC_TIMESTAMP_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const signed = new URLSearchParams(
+    [...params.entries()]
+      .filter(([key]) => key !== 'hmac' && key !== 'signature')
+      .sort(([a], [b]) => a.localeCompare(b))
+  ).toString();
+
+  const expected = crypto.createHmac('sha256', secret).update(signed).digest();
+  const received = Buffer.from(hmac, 'hex');
+
+  // timingSafeEqual throws on a length mismatch
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Exchange an authorization code for an offline access token
+ * @returns {Promise<object>} { accessToken, scope }
+ */
+async function exchangeCode(shop, code) {
+  const response = await fetch(`https://${shop}/admin/oauth/access_token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+    body: JSON.stringify({
+      client_id: process.env.SHOPIFY_API_KEY,
+      client_secret: process.env.SHOPIFY_API_SECRET,
+      code
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Access token request failed with status ${response.status}`);
+  }
+
+  const body = await response.json();
+
+  if (!body.access_token) {
+    throw new Error('Access token response has no token');
+  }
+
+  return { accessToken: body.access_token, scope: body.scope || '' };
+}
+
+/**
+ * Finish an OAuth flow whose callback HMAC has been verified
+ * @param {object} params - { shop, code, state, cookieState }
+ * @returns {Promise<object>} { store, event } event is install, reinstall or reauthorize
+ */
+export async function completeInstall({ shop, code, state, cookieState }) {
+  if (!state || state !== cookieState) {
+    throw installError('OAuth state does not match this browser', 'INVALID_STATE', 403);
+  }
+
+  const stored = await oauthStateQueries.consumeOAuthState(state, shop);
+  if (!stored) {
+    throw installError('OAuth state is unknown, used or expired', 'INVALID_STATE', 403);
+  }
+
+  const { accessToken, scope } = await exchangeCode(shop, code);
+
+  const missingScopes = getMissingScopes(scope);
+  if (missingScopes.length > 0) {
+    logger.warn('OAuth granted fewer scopes than required', { shop, scope, missingScopes });
+    throw installError(`Required scopes were not granted: ${missingScopes.join(', ')}`, 'MISSING_SCOPES', 403);
+  }
+
+  const existing = await storeQueries.getStoreByDomainIncludingInactive(shop);
+  const event = !existing ? 'install' : existing.is_active ? 'reauthorize' : 'reinstall';
+
+  const store = await storeQueries.upsertStore(shop, accessToken, {}, scope);
+
+  await storeHistoryQueries.createStoreHistoryEvent({
+    storeId: store.id,
+    event,
+    scopes: scope,
+    previousScopes: existing?.scopes || null
+  });
+
+  logger.info('Store authorized', { shop, storeId: store.id, event, scope });
+
+  return { store, event };
+}
+
+/**
+ * Mark a store uninstalled and record it in the store history
+ * @param {string} shop - Shop domain
+ * @returns {Promise<object|null>} Store, or null if unknown
+ */
+export async function uninstall(shop) {
+  const store = await storeQueries.uninstallStore(shop);
+
+  if (store) {
+    await storeHistoryQueries.createStoreHistoryEvent({
+      storeId: store.id,
+      event: 'uninstall',
+      previousScopes: store.scopes
+    });
+  }
+
+  return store || null;
+}
+
+/**
+ * Get a store's install history
+ * @param {object} scope - Store scope
+ * @returns {Promise<Array<object>>} History, newest first
+ */
+export async function getStoreHistory(scope) {
+  return storeHistoryQueries.getStoreHistory(scope);
+}
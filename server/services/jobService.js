@@ -0,0 +1,252 @@
+import crypto from 'crypto';
+import os from 'os';
+import { logger } from '../utils/logger.js';
+import * as jobQueries from '../db/queries/jobs.js';
+
+/**
+ * Job service - typed background jobs on a Postgres queue
+ * A job type is defined once with its handler and retry policy; code anywhere
+ * can then enqueue it to run now, after a delay or at a set time. Runners in
+ * the web process or in server/worker.js claim due jobs, retry failures with
+ * exponential backoff and dead-letter a job once its attempts run out.
+ * Recurring types (interval set) keep exactly one pending run in the queue.
+ *
+ * Handlers receive (payload, job). A handler can tune what happens when it
+ * throws by setting on the error:
+ *   retryable = false     dead-letter now, retrying can't help
+ *   retryAfterSeconds     wait this long instead of the backoff (e.g. a 429)
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_SECONDS = 10;
+const MAX_BACKOFF_SECONDS = 60 * 60;
+const DEFAULT_TIMEOUT_SECONDS = 5 * 60;
+
+const definitions = new Map();
+
+// Identifies this process on the jobs it holds
+export const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Define a job type
+ * @param {string} type - Job type, e.g. orders.deliver_due
+ * @param {Function} handler - async (payload, job) => result
+ * @param {object} options - { maxAttempts, backoffSeconds, timeoutSeconds, intervalMs }
+ *   intervalMs makes the type recurring: it runs that long after each run ends
+ */
+export function defineJob(type, handler, options = {}) {
+  definitions.set(type, {
+    type,
+    handler,
+    maxAttempts: options.intervalMs ? 1 : (options.maxAttempts || DEFAULT_MAX_ATTEMPTS),
+    backoffSeconds: options.backoffSeconds || DEFAULT_BACKOFF_SECONDS,
+    timeoutSeconds: options.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS,
+    intervalMs: options.intervalMs || null
+  });
+}
+
+/**
+ * Get the defined job types
+ * @returns {Array<string>} Job types
+ */
+export function getJobTypes() {
+  return [...definitions.keys()];
+}
+
+/**
+ * Enqueue a job
+ * @param {string} type - Defined job type
+ * @param {object} payload - JSON payload passed to the handler
+ * @param {object} options - { runAt, delayMs, storeId, uniqueKey, maxAttempts }
+ * @returns {Promise<object|null>} Job, or null if one with the same uniqueKey is queued
+ */
+export async function enqueueJob(type, payload = {}, options = {}) {
+  const definition = definitions.get(type);
+  if (!definition) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const runAt = options.runAt ||
+    (options.delayMs ? new Date(Date.now() + options.delayMs) : null);
+
+  const job = await jobQueries.createJob({
+    type,
+    payload,
+    storeId: options.storeId || null,
+    runAt,
+    maxAttempts: options.maxAttempts || definition.maxAttempts,
+    uniqueKey: options.uniqueKey || null
+  });
+
+  if (job) {
+    logger.info('Job enqueued', { jobId: job.id, type, runAt: job.run_at });
+  }
+
+  return job;
+}
+
+/**
+ * Make sure every recurring job type has its next run queued
+ * @returns {Promise<number>} Number of runs queued
+ */
+export async function scheduleRecurringJobs() {
+  let scheduled = 0;
+
+  for (const definition of definitions.values()) {
+    if (!definition.intervalMs) continue;
+
+    const job = await enqueueJob(definition.type, {}, { uniqueKey: `recurring:${definition.type}` });
+    if (job) scheduled++;
+  }
+
+  return scheduled;
+}
+
+/**
+ * Backoff before the next attempt: base * 2^(attempt - 1), capped, with jitter
+ */
+function backoffSeconds(definition, attempts) {
+  const delay = Math.min(definition.backoffSeconds * 2 ** (attempts - 1), MAX_BACKOFF_SECONDS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Queue the next occurrence of a recurring job
+ */
+async function scheduleNextRun(definition) {
+  await enqueueJob(definition.type, {}, {
+    delayMs: definition.intervalMs,
+    uniqueKey: `recurring:${definition.type}`
+  });
+}
+
+/**
+ * Record a handler failure: retry later, or stop
+ */
+async function handleJobFailure(job, definition, error) {
+  const message = error?.message || String(error);
+
+  if (definition?.intervalMs) {
+    await jobQueries.closeFailedJob(job.id, 'failed', message);
+    logger.error('Recurring job failed', { jobId: job.id, type: job.type, error: message });
+    return;
+  }
+
+  if (!definition || error?.retryable === false || job.attempts >= job.max_attempts) {
+    await jobQueries.closeFailedJob(job.id, 'dead', message);
+    logger.error('Job dead-lettered', {
+      jobId: job.id,
+      type: job.type,
+      attempts: job.attempts,
+      error: message
+    });
+    return;
+  }
+
+  const delay = error?.retryAfterSeconds ?? backoffSeconds(definition, job.attempts);
+  await jobQueries.retryJobLater(job.id, delay, message);
+
+  logger.warn('Job failed, will retry', {
+    jobId: job.id,
+    type: job.type,
+    attempts: job.attempts,
+    retryInSeconds: delay,
+    error: message
+  });
+}
+
+/**
+ * Run one claimed job
+ */
+async function runJob(job) {
+  const definition = definitions.get(job.type);
+
+  try {
+    if (!definition) {
+      throw new Error(`Unknown job type: ${job.type}`);
+    }
+
+    // Claimed again after its runner died, with no attempts left
+    if (job.attempts > job.max_attempts) {
+      const error = new Error('Job runner stopped before the job finished');
+      error.retryable = false;
+      throw error;
+    }
+
+    await definition.handler(job.payload || {}, job);
+    await jobQueries.completeJob(job.id);
+  } catch (error) {
+    await handleJobFailure(job, definition, error);
+  }
+
+  if (definition?.intervalMs) {
+    await scheduleNextRun(definition);
+  }
+}
+
+/**
+ * Claim and run due jobs, one at a time
+ * @param {number} limit - Maximum jobs to claim
+ * @returns {Promise<number>} Number of jobs run
+ */
+export async function runDueJobs(limit = 5) {
+  const types = getJobTypes();
+  if (types.length === 0) return 0;
+
+  const leaseSeconds = Math.max(...[...definitions.values()].map(d => d.timeoutSeconds));
+  const jobs = await jobQueries.claimJobs(WORKER_ID, types, leaseSeconds, limit);
+
+  for (const job of jobs) {
+    try {
+      await runJob(job);
+    } catch (error) {
+      logger.error('Error running job', {
+        error: error.message,
+        jobId: job.id,
+        type: job.type,
+        stack: error.stack
+      });
+    }
+  }
+
+  return jobs.length;
+}
+
+/**
+ * Get a store's jobs, e.g. the dead-lettered ones
+ * @param {object} scope - Store scope
+ * @param {object} filters - { status, type, page, limit }
+ * @returns {Promise<object>} { jobs, total, page, pages, counts }
+ */
+export async function getStoreJobs(scope, filters = {}) {
+  const [result, counts] = await Promise.all([
+    jobQueries.getJobs(scope, filters),
+    jobQueries.getJobCounts(scope)
+  ]);
+
+  return { ...result, counts };
+}
+
+/**
+ * Retry a dead-lettered job
+ * @param {number} jobId - Job ID
+ * @returns {Promise<object|null>} Requeued job, or null if it is not dead
+ */
+export async function retryDeadJob(jobId) {
+  const job = await jobQueries.requeueDeadJob(jobId);
+
+  if (job) {
+    logger.info('Dead job requeued', { jobId, type: job.type });
+  }
+
+  return job;
+}
+
+/**
+ * Delete completed and failed jobs past the retention period
+ * @param {number} retentionDays - Days to keep finished jobs
+ * @returns {Promise<number>} Number deleted
+ */
+export async function pruneFinishedJobs(retentionDays) {
+  return jobQueries.deleteFinishedJobs(retentionDays);
+}
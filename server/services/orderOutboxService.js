@@ -0,0 +1,352 @@
+import { logger } from '../utils/logger.js';
+import { formatCents } from '../utils/currency.js';
+import * as storeQueries from '../db/queries/stores.js';
+import * as transactionQueries from '../db/queries/transactions.js';
+import * as orderOutboxQueries from '../db/queries/orderOutbox.js';
+import { SYSTEM_SCOPE } from '../db/scope.js';
+import * as orderService from './orderService.js';
+import * as refundService from './refundService.js';
+import { voidTransaction } from './paymentService.js';
+import { raiseAlert, resolveAlert } from './alertService.js';
+import { getOrderFailureAction } from './storeService.js';
+
+/**
+ * Order outbox service - creates Shopify orders for paid checkouts
+ * A transaction is queued as soon as all its cards authorize, before any is
+ * captured, so the order is owed durably no matter what fails afterwards.
+ * Delivery is retried with exponential backoff; Shopify's rate limit is
+ * honoured without using up attempts. When an order can't be created the
+ * merchant is alerted and offered a proportional refund of every card. A
+ * checkout that failed after some of its cards were captured gets no order;
+ * its entry refunds those cards before it is closed.
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.ORDER_OUTBOX_MAX_ATTEMPTS || '8', 10);
+const BASE_DELAY_SECONDS = 30;
+const MAX_DELAY_SECONDS = 60 * 60;
+const LEASE_MINUTES = 5;
+
+// How long to wait for a checkout that is still charging cards
+const IN_FLIGHT_DELAY_SECONDS = 60;
+
+// Cards charged or held - the customer is owed an order
+const ORDERABLE_STATUSES = ['completed', 'authorized', 'partially_refunded'];
+
+// Nothing left to order for
+const CLOSED_STATUSES = ['failed', 'refunded'];
+
+const OUTBOX_EVENT = { actor: 'order_outbox' };
+
+/**
+ * Whether Shopify rejected the request for good (bad data, revoked access)
+ */
+function isPermanentError(error) {
+  const status = error.response?.code;
+  return status >= 400 && status < 500 && ![408, 409, 429].includes(status);
+}
+
+/**
+ * Exponential backoff with jitter, capped at an hour
+ */
+function backoffSeconds(attempts) {
+  const delay = Math.min(BASE_DELAY_SECONDS * 2 ** (attempts - 1), MAX_DELAY_SECONDS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Queue a transaction's Shopify order (no-op if already queued)
+ * @param {number} transactionId - Transaction ID
+ * @param {number} storeId - Store ID
+ * @returns {Promise<object|null>} New outbox entry, or null if already queued
+ */
+export async function enqueueOrder(transactionId, storeId) {
+  const entry = await orderOutboxQueries.enqueueOrder(transactionId, storeId);
+
+  if (entry) {
+    logger.info('Shopify order queued', { transactionId, outboxId: entry.id });
+  }
+
+  return entry;
+}
+
+/**
+ * Give the customer their money back for a checkout that has no order:
+ * release the holds of a deferred-capture checkout, refund whatever a failed
+ * checkout captured, otherwise refund what is left proportionally across the
+ * cards
+ * @param {object} scope - Scope to look the transaction up in
+ * @param {number} transactionId - Transaction ID
+ * @param {string} initiatedBy - Actor recorded on the refunds and events
+ * @returns {Promise<object>} { action: voided|refunded|none, amount, success }
+ */
+export async function compensateTransaction(scope, transactionId, initiatedBy) {
+  const transaction = await transactionQueries.getTransactionById(scope, transactionId);
+  if (!transaction) {
+    throw new Error('Transaction not found');
+  }
+
+  if (transaction.status === 'authorized') {
+    const result = await voidTransaction(transactionId, 'Shopify order could not be created', { actor: initiatedBy });
+    return { action: 'voided', amount: result.amount, success: result.success };
+  }
+
+  const { remaining } = await refundService.getRefundableLegs(scope, transactionId);
+
+  if (remaining > 0 && transaction.status === 'failed') {
+    const result = await refundService.refundFailedCheckout(scope, transactionId, initiatedBy);
+    return { action: 'refunded', amount: result.amount, success: result.success };
+  }
+
+  if (remaining <= 0 || CLOSED_STATUSES.includes(transaction.status)) {
+    return { action: 'none', amount: 0, success: true };
+  }
+
+  const result = await refundService.processRefund({
+    scope,
+    transactionId,
+    refundAmount: remaining,
+    reason: 'requested_by_customer',
+    initiatedBy
+  });
+
+  return { action: 'refunded', amount: remaining, success: result.success };
+}
+
+/**
+ * Give up on an order: alert the merchant and refund if the store says so
+ */
+async function failOrder(entry, transaction, error) {
+  await orderOutboxQueries.closeOrder(entry.id, 'failed', error.message);
+
+  const store = await storeQueries.getStoreById(transaction.store_id);
+  const autoRefund = getOrderFailureAction(store) === 'refund';
+  const currency = transaction.currency || 'USD';
+
+  const alert = await raiseAlert({
+    storeId: transaction.store_id,
+    transactionId: transaction.id,
+    type: 'order_creation_failed',
+    severity: 'critical',
+    message: `A paid checkout of ${formatCents(transaction.total_amount, currency)} has no Shopify order: ${error.message}. ` +
+      (autoRefund
+        ? 'The customer is being refunded.'
+        : 'Retry the order or refund the customer.'),
+    data: {
+      outboxId: entry.id,
+      attempts: entry.attempts + 1,
+      error: error.message,
+      refundOffer: { amount: transaction.total_amount, currency }
+    }
+  });
+
+  if (!autoRefund) return;
+
+  try {
+    const result = await compensateTransaction(SYSTEM_SCOPE, transaction.id, OUTBOX_EVENT.actor);
+    if (result.success) {
+      await resolveAlert(alert.id, result.action);
+    }
+  } catch (refundError) {
+    logger.error('Compensating refund failed', {
+      error: refundError.message,
+      transactionId: transaction.id,
+      alertId: alert.id
+    });
+  }
+}
+
+/**
+ * Schedule the next attempt, or give up
+ */
+async function handleDeliveryError(entry, transaction, error) {
+  // Rate limited - come back when Shopify says, without using up an attempt
+  if (error.response?.code === 429) {
+    const retryAfter = Math.ceil(error.response.retryAfter || 2);
+    await orderOutboxQueries.rescheduleOrder(entry.id, retryAfter, error.message, false);
+    logger.warn('Shopify rate limited order creation', { transactionId: transaction.id, retryAfter });
+    return;
+  }
+
+  const attempts = entry.attempts + 1;
+
+  if (isPermanentError(error) || attempts >= MAX_ATTEMPTS) {
+    logger.error('Giving up on Shopify order', {
+      error: error.message,
+      transactionId: transaction.id,
+      attempts
+    });
+    await failOrder(entry, transaction, error);
+    return;
+  }
+
+  const delay = backoffSeconds(attempts);
+  await orderOutboxQueries.rescheduleOrder(entry.id, delay, error.message, true);
+
+  logger.warn('Shopify order creation failed, will retry', {
+    error: error.message,
+    transactionId: transaction.id,
+    attempts,
+    retryInSeconds: delay
+  });
+}
+
+/**
+ * Refund the cards a failed checkout captured before its entry is closed
+ * A refund that doesn't go through is retried with backoff; once attempts run
+ * out the entry fails and the merchant is alerted.
+ * @returns {Promise<boolean>} Whether nothing is owed any more
+ */
+async function settleFailedCheckout(entry, transaction) {
+  const result = await compensateTransaction(SYSTEM_SCOPE, transaction.id, OUTBOX_EVENT.actor);
+
+  if (result.success) {
+    return true;
+  }
+
+  const attempts = entry.attempts + 1;
+  const message = 'Captured cards of a failed checkout could not be refunded';
+
+  if (attempts < MAX_ATTEMPTS) {
+    await orderOutboxQueries.rescheduleOrder(entry.id, backoffSeconds(attempts), message, true);
+    logger.warn('Refunding failed checkout did not go through, will retry', {
+      transactionId: transaction.id,
+      attempts
+    });
+    return false;
+  }
+
+  await orderOutboxQueries.closeOrder(entry.id, 'failed', message);
+
+  await raiseAlert({
+    storeId: transaction.store_id,
+    transactionId: transaction.id,
+    type: 'failed_checkout_refund_failed',
+    severity: 'critical',
+    message: 'A checkout failed after some of its cards were charged, and they could not be refunded. Refund the customer.',
+    data: { outboxId: entry.id, attempts }
+  });
+
+  return false;
+}
+
+/**
+ * Try to create one claimed entry's order
+ * @param {object} entry - Claimed outbox entry
+ * @returns {Promise<object|null>} Order, or null if not created (yet)
+ */
+async function deliverOrder(entry) {
+  const transaction = await transactionQueries.getTransactionById(SYSTEM_SCOPE, entry.transaction_id);
+
+  // A capture failed after the order was queued - no order, but the cards
+  // that were captured are owed back first
+  if (transaction?.status === 'failed' && !await settleFailedCheckout(entry, transaction)) {
+    return null;
+  }
+
+  if (!transaction || CLOSED_STATUSES.includes(transaction.status)) {
+    await orderOutboxQueries.closeOrder(
+      entry.id,
+      'cancelled',
+      transaction ? `Transaction ${transaction.status}` : 'Transaction not found'
+    );
+    return null;
+  }
+
+  if (transaction.shopify_order_id) {
+    await orderOutboxQueries.markOrderCreated(entry.id);
+    return {
+      orderId: transaction.shopify_order_id,
+      orderNumber: transaction.shopify_order_number
+    };
+  }
+
+  // Cards are still being captured, or the reconciler hasn't settled it yet
+  if (!ORDERABLE_STATUSES.includes(transaction.status)) {
+    await orderOutboxQueries.rescheduleOrder(entry.id, IN_FLIGHT_DELAY_SECONDS, null, false);
+    return null;
+  }
+
+  const store = await storeQueries.getStoreById(transaction.store_id);
+
+  try {
+    // An earlier attempt may have created the order and lost the response
+    let order = entry.attempts > 0
+      ? await orderService.findShopifyOrderForTransaction(store.shop_domain, transaction.id)
+      : null;
+
+    if (order) {
+      await transactionQueries.updateTransactionOrder(transaction.id, order.orderId, order.orderNumber);
+    } else {
+      order = await orderService.createShopifyOrder({
+        transactionId: transaction.id,
+        shopDomain: store.shop_domain,
+        checkoutToken: transaction.shopify_checkout_token
+      });
+    }
+
+    await orderOutboxQueries.markOrderCreated(entry.id);
+    return order;
+  } catch (error) {
+    await handleDeliveryError(entry, transaction, error);
+    return null;
+  }
+}
+
+/**
+ * Create a transaction's order right away, e.g. while the customer waits
+ * Failures are left to the outbox worker to retry.
+ * @param {number} transactionId - Transaction ID
+ * @returns {Promise<object|null>} Order, or null if it will be created later
+ */
+export async function deliverNow(transactionId) {
+  const entry = await orderOutboxQueries.claimOrderForTransaction(transactionId, LEASE_MINUTES);
+
+  if (!entry) {
+    const transaction = await transactionQueries.getTransactionById(SYSTEM_SCOPE, transactionId);
+    return transaction?.shopify_order_id
+      ? { orderId: transaction.shopify_order_id, orderNumber: transaction.shopify_order_number }
+      : null;
+  }
+
+  return deliverOrder(entry);
+}
+
+/**
+ * Deliver every due outbox entry
+ * @returns {Promise<number>} Number of orders created
+ */
+export async function processDueOrders() {
+  const entries = await orderOutboxQueries.claimDueOrders(LEASE_MINUTES);
+  let created = 0;
+
+  for (const entry of entries) {
+    try {
+      if (await deliverOrder(entry)) {
+        created++;
+      }
+    } catch (error) {
+      logger.error('Error delivering queued order', {
+        error: error.message,
+        transactionId: entry.transaction_id,
+        stack: error.stack
+      });
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Put a failed order back in the queue
+ * @param {number} transactionId - Transaction ID
+ * @returns {Promise<object|null>} Requeued entry, or null if it had not failed
+ */
+export async function retryOrder(transactionId) {
+  const entry = await orderOutboxQueries.requeueOrder(transactionId);
+
+  if (entry) {
+    logger.info('Shopify order requeued', { transactionId, outboxId: entry.id });
+  }
+
+  return entry;
+}
@@ -1,13 +1,110 @@
 import { getShopifyClient } from '../config/shopify.js';
 import { logger } from '../utils/logger.js';
+import { toDecimalString } from '../utils/currency.js';
 import * as storeQueries from '../db/queries/stores.js';
 import * as transactionQueries from '../db/queries/transactions.js';
 import * as paymentQueries from '../db/queries/payments.js';
+import { storeScope } from '../db/scope.js';
+import { fetchCheckout } from './checkoutService.js';
 
 /**
  * Order service - handles Shopify order creation
  */
 
+// Shown as the payment gateway on each card's order transaction
+export const GATEWAY = 'split-pay';
+
+// Starts the note of refunds this app records on an order, which tells them
+// apart from refunds a merchant makes in Shopify
+const REFUND_NOTE_PREFIX = 'Split Pay refund';
+
+/**
+ * Tag that ties an order to its transaction, so a retry can find an order
+ * whose creation succeeded but was never recorded
+ */
+function transactionTag(transactionId) {
+  return `split-pay-txn-${transactionId}`;
+}
+
+/**
+ * Convert a normalized address to Shopify's shape
+ */
+function toShopifyAddress(address) {
+  if (!address) return undefined;
+
+  return {
+    first_name: address.firstName,
+    last_name: address.lastName,
+    company: address.company,
+    address1: address.address1,
+    address2: address.address2,
+    city: address.city,
+    province: address.province,
+    province_code: address.provinceCode,
+    country: address.country,
+    country_code: address.countryCode,
+    zip: address.zip,
+    phone: address.phone
+  };
+}
+
+/**
+ * Build the order's line items from the checkout
+ * Lines with a variant reference it so inventory is adjusted; custom lines
+ * are sent as-is.
+ */
+function buildLineItems(checkout, currency) {
+  return checkout.lineItems.map(item => {
+    const line = {
+      quantity: item.quantity,
+      price: toDecimalString(item.price, currency)
+    };
+
+    if (item.variantId) {
+      return { ...line, variant_id: Number(item.variantId) };
+    }
+
+    return {
+      ...line,
+      title: item.title,
+      sku: item.sku || undefined,
+      requires_shipping: item.requiresShipping,
+      taxable: item.taxable
+    };
+  });
+}
+
+/**
+ * Build the customer reference: an existing customer by ID, otherwise by email
+ */
+function buildCustomer(checkout, email) {
+  if (checkout.customer?.id) {
+    return { id: Number(checkout.customer.id) };
+  }
+
+  if (!email) return undefined;
+
+  return {
+    email,
+    first_name: checkout.customer?.firstName || checkout.billingAddress?.firstName || undefined,
+    last_name: checkout.customer?.lastName || checkout.billingAddress?.lastName || undefined
+  };
+}
+
+/**
+ * One order transaction per card, referencing its PaymentIntent
+ */
+function buildOrderTransactions(payments, kind, currency) {
+  return payments.map(payment => ({
+    kind,
+    status: 'success',
+    gateway: GATEWAY,
+    authorization: payment.stripe_payment_intent_id,
+    amount: toDecimalString(payment.amount, currency),
+    currency
+  }));
+}
+
 /**
  * Create order in Shopify after successful payment
  * @param {object} params - Order parameters
@@ -27,40 +124,60 @@ export async function createShopifyOrder(params) {
       throw new Error(`Store not found: ${shopDomain}`);
     }
 
-    // Get transaction
-    const transaction = await transactionQueries.getTransactionById(transactionId);
+    // Get transaction - only this store's
+    const scope = storeScope(store.id);
+    const transaction = await transactionQueries.getTransactionById(scope, transactionId);
     if (!transaction) {
       throw new Error(`Transaction not found: ${transactionId}`);
     }
 
-    // Get payments for transaction details
-    const payments = await paymentQueries.getPaymentsByTransactionId(transactionId);
+    // Get payments for transaction details - only the cards that were charged or held
+    const payments = (await paymentQueries.getPaymentsByTransactionId(scope, transactionId))
+      .filter(p => ['captured', 'authorized'].includes(p.status));
+
+    // The checkout as fetched at /init or last refreshed; older transactions have none
+    const checkout = transaction.checkout_snapshot || await fetchCheckout(store, checkoutToken);
+    const currency = transaction.currency || checkout.currency || 'USD';
+    const email = transaction.customer_email || checkout.customerEmail || undefined;
+    const deferred = transaction.status === 'authorized';
 
     // Initialize Shopify API client
     const shopify = getShopifyClient();
     const session = shopify.session.customAppSession(shopDomain);
     session.accessToken = store.access_token;
 
-    // Get checkout details from Shopify
-    // Note: In production, you'd fetch the actual checkout data
-    // For now, we'll create an order with the transaction data
-
     const orderData = {
-      email: transaction.customer_email || '',
-      financial_status: 'paid',
+      email,
+      phone: checkout.customer?.phone || undefined,
+      customer: buildCustomer(checkout, email),
+      // Deferred-capture checkouts stay authorized until fulfillment
+      financial_status: deferred ? 'authorized' : 'paid',
       fulfillment_status: null,
-      line_items: [
-        // In production, fetch actual line items from checkout
-        {
-          title: 'Split Payment Order',
-          quantity: 1,
-          price: (transaction.total_amount / 100).toFixed(2)
-        }
-      ],
-      total_price: (transaction.total_amount / 100).toFixed(2),
-      currency: transaction.currency || 'USD',
+      inventory_behaviour: 'decrement_obeying_policy',
+      line_items: buildLineItems(checkout, currency),
+      shipping_lines: checkout.shippingLines.map(line => ({
+        title: line.title,
+        code: line.code || line.title,
+        price: toDecimalString(line.price, currency)
+      })),
+      tax_lines: checkout.taxLines.map(line => ({
+        title: line.title,
+        rate: line.rate,
+        price: toDecimalString(line.price, currency)
+      })),
+      taxes_included: checkout.taxesIncluded,
+      total_tax: toDecimalString(checkout.taxAmount, currency),
+      discount_codes: checkout.discountCodes.map(discount => ({
+        code: discount.code,
+        amount: toDecimalString(discount.amount, currency),
+        type: discount.type
+      })),
+      shipping_address: toShopifyAddress(checkout.shippingAddress),
+      billing_address: toShopifyAddress(checkout.billingAddress),
+      transactions: buildOrderTransactions(payments, deferred ? 'authorization' : 'sale', currency),
+      currency,
       note: `Split payment across ${payments.length} cards. Transaction ID: ${transactionId}`,
-      tags: 'split-payment',
+      tags: `split-payment, ${transactionTag(transactionId)}`,
       metafields: [
         {
           key: 'split_payment',
@@ -122,6 +239,51 @@ export async function createShopifyOrder(params) {
   }
 }
 
+/**
+ * Find the Shopify order already created for a transaction
+ * @param {string} shopDomain - Shop domain
+ * @param {number} transactionId - Transaction ID
+ * @returns {Promise<object|null>} { orderId, orderNumber, orderName }, or null if none
+ */
+export async function findShopifyOrderForTransaction(shopDomain, transactionId) {
+  try {
+    const store = await storeQueries.getStoreByDomain(shopDomain);
+    if (!store) {
+      throw new Error(`Store not found: ${shopDomain}`);
+    }
+
+    const shopify = getShopifyClient();
+    const session = shopify.session.customAppSession(shopDomain);
+    session.accessToken = store.access_token;
+
+    const client = new shopify.clients.Graphql({ session });
+    const response = await client.request(
+      `query findOrder($query: String!) {
+        orders(first: 1, query: $query) {
+          edges { node { legacyResourceId name } }
+        }
+      }`,
+      { variables: { query: `tag:'${transactionTag(transactionId)}'` } }
+    );
+
+    const node = response.data?.orders?.edges?.[0]?.node;
+    if (!node) return null;
+
+    return {
+      orderId: node.legacyResourceId,
+      orderNumber: node.name.replace(/^#/, ''),
+      orderName: node.name
+    };
+  } catch (error) {
+    logger.error('Error finding Shopify order for transaction', {
+      error: error.message,
+      shopDomain,
+      transactionId
+    });
+    throw error;
+  }
+}
+
 /**
  * Get order details from Shopify
  * @param {string} shopDomain - Shop domain
@@ -155,3 +317,207 @@ export async function getShopifyOrder(shopDomain, orderId) {
   }
 }
 
+/**
+ * Cancel a Shopify order
+ * Shopify then sends orders/cancelled, which refunds whatever is left on the
+ * split's cards.
+ * @param {string} shopDomain - Shop domain
+ * @param {string} orderId - Shopify order ID
+ * @param {string} reason - Shopify cancel reason: customer, fraud, inventory, declined or other
+ * @returns {Promise<object>} Cancelled order
+ */
+export async function cancelShopifyOrder(shopDomain, orderId, reason = 'other') {
+  try {
+    const store = await storeQueries.getStoreByDomain(shopDomain);
+    if (!store) {
+      throw new Error(`Store not found: ${shopDomain}`);
+    }
+
+    const shopify = getShopifyClient();
+    const session = shopify.session.customAppSession(shopDomain);
+    session.accessToken = store.access_token;
+
+    const client = new shopify.clients.Rest({ session });
+    const response = await client.post({
+      path: `orders/${orderId}/cancel`,
+      data: { reason, email: false }
+    });
+
+    logger.info('Shopify order cancelled', { shopDomain, orderId, reason });
+    return response.body.order;
+  } catch (error) {
+    logger.error('Error cancelling Shopify order', {
+      error: error.message,
+      shopDomain,
+      orderId
+    });
+    throw error;
+  }
+}
+
+
+/**
+ * Record the capture of each card on a Shopify order whose payment was authorized
+ * Each capture is posted against the card's authorization transaction, matched
+ * by PaymentIntent (or by amount once a hold was re-authorized under a new one).
+ * Cards whose capture is already on the order are skipped, so a retry only
+ * records what is missing.
+ * @param {string} shopDomain - Shop domain
+ * @param {string} orderId - Shopify order ID
+ * @param {Array<object>} capturedPayments - [{ paymentIntentId, amount }] in minor units
+ * @param {string} currency - Currency code
+ * @returns {Promise<Array<object>>} Shopify capture transactions
+ */
+export async function recordOrderCapture(shopDomain, orderId, capturedPayments, currency = 'USD') {
+  try {
+    const store = await storeQueries.getStoreByDomain(shopDomain);
+    if (!store) {
+      throw new Error(`Store not found: ${shopDomain}`);
+    }
+
+    const shopify = getShopifyClient();
+    const session = shopify.session.customAppSession(shopDomain);
+    session.accessToken = store.access_token;
+
+    const client = new shopify.clients.Rest({ session });
+
+    const existing = (await client.get({ path: `orders/${orderId}/transactions` })).body.transactions || [];
+    const capturedParents = new Set(
+      existing.filter(t => t.kind === 'capture' && t.status === 'success').map(t => t.parent_id)
+    );
+    const authorizations = existing.filter(t =>
+      t.kind === 'authorization' && t.status === 'success' && !capturedParents.has(t.id)
+    );
+
+    const recorded = new Set(
+      existing.filter(t => t.kind === 'capture' && t.status === 'success').map(t => t.authorization)
+    );
+
+    const captures = [];
+    for (const payment of capturedPayments) {
+      if (recorded.has(payment.paymentIntentId)) {
+        continue;
+      }
+
+      const amount = toDecimalString(payment.amount, currency);
+      const parent = authorizations.find(t => t.authorization === payment.paymentIntentId) ||
+        authorizations.find(t => t.amount === amount);
+
+      if (parent) {
+        authorizations.splice(authorizations.indexOf(parent), 1);
+      }
+
+      const response = await client.post({
+        path: `orders/${orderId}/transactions`,
+        data: {
+          transaction: {
+            kind: 'capture',
+            parent_id: parent?.id,
+            status: 'success',
+            gateway: GATEWAY,
+            authorization: payment.paymentIntentId,
+            amount,
+            currency
+          }
+        }
+      });
+
+      captures.push(response.body.transaction);
+    }
+
+    logger.info('Shopify order capture recorded', {
+      shopDomain,
+      orderId,
+      captures: captures.length,
+      amount: capturedPayments.reduce((sum, p) => sum + p.amount, 0)
+    });
+    return captures;
+  } catch (error) {
+    logger.error('Error recording Shopify order capture', {
+      error: error.message,
+      shopDomain,
+      orderId
+    });
+    throw error;
+  }
+}
+
+/**
+ * Whether a Shopify refund was recorded by this app rather than the merchant
+ * @param {object} refund - Shopify Refund
+ * @returns {boolean} True for refunds recordOrderRefund created
+ */
+export function isAppRecordedRefund(refund) {
+  return typeof refund?.note === 'string' && refund.note.startsWith(REFUND_NOTE_PREFIX);
+}
+
+/**
+ * Record card refunds made through the app as a refund on the Shopify order
+ * Each card's refund is posted against its sale or capture transaction.
+ * Nothing is restocked; the merchant does that from the order if needed.
+ * @param {string} shopDomain - Shop domain
+ * @param {string} orderId - Shopify order ID
+ * @param {Array<object>} refunds - [{ refundId, paymentIntentId, amount }] in minor units
+ * @param {string} currency - Currency code
+ * @returns {Promise<object>} Shopify Refund
+ */
+export async function recordOrderRefund(shopDomain, orderId, refunds, currency = 'USD') {
+  try {
+    const store = await storeQueries.getStoreByDomain(shopDomain);
+    if (!store) {
+      throw new Error(`Store not found: ${shopDomain}`);
+    }
+
+    const shopify = getShopifyClient();
+    const session = shopify.session.customAppSession(shopDomain);
+    session.accessToken = store.access_token;
+
+    const client = new shopify.clients.Rest({ session });
+
+    const existing = (await client.get({ path: `orders/${orderId}/transactions` })).body.transactions || [];
+    const charges = existing.filter(t =>
+      (t.kind === 'sale' || t.kind === 'capture') && t.status === 'success'
+    );
+
+    const transactions = refunds.map(refund => {
+      const parent = charges.find(t => t.authorization === refund.paymentIntentId) || charges[0];
+
+      return {
+        kind: 'refund',
+        parent_id: parent?.id,
+        status: 'success',
+        gateway: GATEWAY,
+        authorization: refund.paymentIntentId,
+        amount: toDecimalString(refund.amount, currency),
+        currency
+      };
+    });
+
+    const response = await client.post({
+      path: `orders/${orderId}/refunds`,
+      data: {
+        refund: {
+          note: `${REFUND_NOTE_PREFIX} ${refunds.map(r => `#${r.refundId}`).join(', ')}`,
+          notify: false,
+          currency,
+          transactions
+        }
+      }
+    });
+
+    logger.info('Shopify order refund recorded', {
+      shopDomain,
+      orderId,
+      shopifyRefundId: response.body.refund?.id,
+      amount: refunds.reduce((sum, r) => sum + r.amount, 0)
+    });
+    return response.body.refund;
+  } catch (error) {
+    logger.error('Error recording Shopify order refund', {
+      error: error.message,
+      shopDomain,
+      orderId
+    });
+    throw error;
+  }
+}
@@ -1,50 +1,101 @@
-import { getStripeClient } from '../config/stripe.js';
+import { getPaymentProvider } from '../providers/index.js';
 import { logger } from '../utils/logger.js';
 import { validatePaymentAmounts } from '../utils/validation.js';
 import { transaction } from '../config/database.js';
+import { canTransition } from '../utils/stateMachine.js';
+import { idempotencyKey, withIdempotencyKey } from './idempotencyService.js';
+import * as storeQueries from '../db/queries/stores.js';
 import * as transactionQueries from '../db/queries/transactions.js';
 import * as paymentQueries from '../db/queries/payments.js';
+import * as transactionEventQueries from '../db/queries/transactionEvents.js';
+import * as orderOutboxQueries from '../db/queries/orderOutbox.js';
+import { getCaptureMode, getDeclineMode, getReplaceCardGraceMinutes } from './storeService.js';
+import { getRequestOptions } from './connectService.js';
+import { SYSTEM_SCOPE } from '../db/scope.js';
 
 /**
  * Core payment service - handles split payment logic
  * This is the most critical part of the application
  */
 
+// Recorded as the actor on every status change made during checkout
+const CHECKOUT_EVENT = { actor: 'checkout' };
+
+/**
+ * Request options for a PaymentIntent - direct charges live on the
+ * merchant's connected account
+ * @param {string} paymentIntentId - Stripe PaymentIntent ID
+ * @returns {Promise<object>} Request options
+ */
+async function requestOptionsFor(paymentIntentId) {
+  const payment = await paymentQueries.getPaymentByPaymentIntentId(SYSTEM_SCOPE, paymentIntentId);
+  return getRequestOptions(payment);
+}
+
 /**
  * Create PaymentIntent for a single card (authorization only)
  * @param {object} params - Payment parameters
  * @returns {Promise<object>} PaymentIntent and payment record
  */
 export async function createPaymentIntent(params) {
-  const { transactionId, amount, currency = 'USD', metadata = {} } = params;
+  const {
+    transactionId,
+    paymentId,
+    amount,
+    currency = 'USD',
+    metadata = {},
+    reusable = false, // Save the card so an expiring hold can be re-authorized
+    charge = null // From connectService.getChargeParams
+  } = params;
+
+  const chargeParams = charge?.params || {};
+  const requestOptions = charge?.requestOptions || {};
 
-  const stripe = getStripeClient();
+  const provider = getPaymentProvider();
+  const key = idempotencyKey(`txn_${transactionId}`, `payment_${paymentId}`, 'create');
 
   try {
-    // Create PaymentIntent with manual capture
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount,
-      currency: currency.toLowerCase(),
-      capture_method: 'manual', // CRITICAL - authorize only, don't capture yet
-      metadata: {
-        transactionId: transactionId.toString(),
-        splitPayment: 'true',
-        ...metadata
-      },
-      statement_descriptor_suffix: 'SPLITPAY'
+    const result = await withIdempotencyKey(key, 'payment_intent.create', async (idempotencyKey) => {
+      let reuseParams = {};
+      if (reusable) {
+        const customer = await provider.createCustomer({
+          metadata: { transactionId: transactionId.toString(), paymentId: paymentId.toString() }
+        }, { idempotencyKey: `${idempotencyKey}:customer`, ...requestOptions });
+
+        reuseParams = { customer: customer.id, setup_future_usage: 'off_session' };
+      }
+
+      // Create PaymentIntent with manual capture
+      const paymentIntent = await provider.createPaymentIntent({
+        ...reuseParams,
+        ...chargeParams,
+        amount,
+        currency: currency.toLowerCase(),
+        capture_method: 'manual', // CRITICAL - authorize only, don't capture yet
+        confirmation_method: 'manual', // Confirmed server-side; 3DS handled with handleCardAction
+        metadata: {
+          transactionId: transactionId.toString(),
+          paymentId: paymentId.toString(),
+          splitPayment: 'true',
+          ...metadata
+        },
+        statement_descriptor_suffix: 'SPLITPAY'
+      }, { idempotencyKey, ...requestOptions });
+
+      return {
+        paymentIntentId: paymentIntent.id,
+        clientSecret: paymentIntent.client_secret,
+        status: paymentIntent.status
+      };
     });
 
     logger.info('PaymentIntent created', {
       transactionId,
-      paymentIntentId: paymentIntent.id,
+      paymentIntentId: result.paymentIntentId,
       amount
     });
 
-    return {
-      paymentIntentId: paymentIntent.id,
-      clientSecret: paymentIntent.client_secret,
-      status: paymentIntent.status
-    };
+    return result;
   } catch (error) {
     logger.error('Error creating PaymentIntent', {
       error: error.message,
@@ -61,10 +112,20 @@ export async function createPaymentIntent(params) {
  * @returns {Promise<boolean>} Success status
  */
 export async function cancelPaymentIntent(paymentIntentId) {
-  const stripe = getStripeClient();
+  const provider = getPaymentProvider();
 
   try {
-    await stripe.paymentIntents.cancel(paymentIntentId);
+    await withIdempotencyKey(
+      idempotencyKey(paymentIntentId, 'cancel'),
+      'payment_intent.cancel',
+      async (idempotencyKey) => {
+        const paymentIntent = await provider.cancelPaymentIntent(paymentIntentId, {
+          idempotencyKey,
+          ...await requestOptionsFor(paymentIntentId)
+        });
+        return { paymentIntentId: paymentIntent.id, status: paymentIntent.status };
+      }
+    );
     
     logger.info('PaymentIntent cancelled', { paymentIntentId });
     return true;
@@ -112,10 +173,15 @@ export async function cancelPaymentIntents(paymentIntentIds) {
  * @returns {Promise<object>} Captured PaymentIntent
  */
 export async function capturePaymentIntent(paymentIntentId) {
-  const stripe = getStripeClient();
+  const provider = getPaymentProvider();
 
   try {
-    const paymentIntent = await stripe.paymentIntents.capture(paymentIntentId);
+    const requestOptions = await requestOptionsFor(paymentIntentId);
+    const paymentIntent = await withIdempotencyKey(
+      idempotencyKey(paymentIntentId, 'capture'),
+      'payment_intent.capture',
+      (idempotencyKey) => provider.capturePaymentIntent(paymentIntentId, { idempotencyKey, ...requestOptions })
+    );
     
     logger.info('PaymentIntent captured', { paymentIntentId });
     return paymentIntent;
@@ -134,10 +200,10 @@ export async function capturePaymentIntent(paymentIntentId) {
  * @returns {Promise<object>} PaymentIntent object
  */
 export async function getPaymentIntent(paymentIntentId) {
-  const stripe = getStripeClient();
+  const provider = getPaymentProvider();
 
   try {
-    return await stripe.paymentIntents.retrieve(paymentIntentId);
+    return await provider.retrievePaymentIntent(paymentIntentId, await requestOptionsFor(paymentIntentId));
   } catch (error) {
     logger.error('Error retrieving PaymentIntent', {
       error: error.message,
@@ -147,13 +213,82 @@ export async function getPaymentIntent(paymentIntentId) {
   }
 }
 
+/**
+ * Confirm a single PaymentIntent server-side (authorization only)
+ * Safe to call again after the customer completes 3D Secure.
+ * @param {object} provider - Payment provider
+ * @param {object} payment - { paymentIntentId, paymentMethodId }
+ * @returns {Promise<object>} { status: 'authorized' | 'requires_action', ... }
+ */
+async function authorizePayment(provider, payment) {
+  const requestOptions = await requestOptionsFor(payment.paymentIntentId);
+  let paymentIntent = await provider.retrievePaymentIntent(payment.paymentIntentId, requestOptions);
+
+  // If already confirmed, skip
+  if (paymentIntent.status === 'requires_capture' || paymentIntent.status === 'succeeded') {
+    return { paymentIntentId: payment.paymentIntentId, status: 'authorized' };
+  }
+
+  // Still waiting on the customer - hand the same action back
+  if (paymentIntent.status === 'requires_action') {
+    return {
+      paymentIntentId: payment.paymentIntentId,
+      status: 'requires_action',
+      clientSecret: paymentIntent.client_secret,
+      nextAction: paymentIntent.next_action
+    };
+  }
+
+  if (paymentIntent.status === 'requires_payment_method' && paymentIntent.last_payment_error) {
+    // 3D Secure was attempted and failed
+    const error = new Error(paymentIntent.last_payment_error.message || 'Card authentication failed');
+    error.code = paymentIntent.last_payment_error.code;
+    throw error;
+  }
+
+  if (paymentIntent.status !== 'requires_payment_method' && paymentIntent.status !== 'requires_confirmation') {
+    throw new Error(`PaymentIntent in unexpected state: ${paymentIntent.status}`);
+  }
+
+  // Confirm the PaymentIntent - after handleCardAction it sits in
+  // requires_confirmation with the payment method already attached
+  const confirmParams = paymentIntent.payment_method
+    ? {}
+    : { payment_method: payment.paymentMethodId };
+
+  // Keyed by the state confirmed from, so the post-3DS confirm gets its own key
+  paymentIntent = await withIdempotencyKey(
+    idempotencyKey(payment.paymentIntentId, 'confirm', paymentIntent.status),
+    'payment_intent.confirm',
+    (idempotencyKey) => provider.confirmPaymentIntent(payment.paymentIntentId, confirmParams, { idempotencyKey, ...requestOptions })
+  );
+
+  // Handle 3D Secure - the widget runs stripe.handleCardAction for this card
+  if (paymentIntent.status === 'requires_action') {
+    return {
+      paymentIntentId: payment.paymentIntentId,
+      status: 'requires_action',
+      clientSecret: paymentIntent.client_secret,
+      nextAction: paymentIntent.next_action
+    };
+  }
+
+  if (paymentIntent.status !== 'requires_capture' && paymentIntent.status !== 'succeeded') {
+    throw new Error(`PaymentIntent in unexpected state: ${paymentIntent.status}`);
+  }
+
+  return { paymentIntentId: payment.paymentIntentId, status: 'authorized' };
+}
+
 /**
  * Complete checkout - the critical method
  * This handles the entire split payment flow:
  * 1. Validates amounts
  * 2. Confirms all PaymentIntents (authorizes)
- * 3. If all succeed, captures all
- * 4. If any fails, voids all successful ones
+ * 3. If any card needs 3D Secure, returns the actions and keeps
+ *    the other authorizations on hold until checkout is resumed
+ * 4. If all succeed, captures all
+ * 5. If any fails, voids all successful ones
  * 
  * @param {object} params - Checkout parameters
  * @returns {Promise<object>} Result with success status
@@ -161,116 +296,207 @@ export async function getPaymentIntent(paymentIntentId) {
 export async function completeCheckout(params) {
   const {
     transactionId,
-    payments, // Array of { paymentIntentId, paymentMethodId, amount }
-    totalAmount
+    payments // Array of { paymentIntentId, paymentMethodId, amount }
   } = params;
 
-  // Validate payment amounts
+  // Get transaction
+  const transaction = await transactionQueries.getTransactionById(SYSTEM_SCOPE, transactionId);
+  if (!transaction) {
+    throw new Error('Transaction not found');
+  }
+
+  // Validate payment amounts against the checkout total fetched from Shopify
   const paymentAmounts = payments.map(p => p.amount);
-  const validation = validatePaymentAmounts(totalAmount, paymentAmounts);
+  const validation = validatePaymentAmounts(
+    transaction.total_amount,
+    paymentAmounts,
+    transaction.currency || 'USD'
+  );
   
   if (!validation.valid) {
     throw new Error(validation.error);
   }
 
-  // Get transaction
-  const transaction = await transactionQueries.getTransactionById(transactionId);
-  if (!transaction) {
-    throw new Error('Transaction not found');
-  }
+  const store = await storeQueries.getStoreById(transaction.store_id);
+  const deferCapture = getCaptureMode(store) === 'on_fulfillment';
+  const replaceDeclined = getDeclineMode(store) === 'replace_card';
 
   // Update transaction status to processing
-  await transactionQueries.updateTransactionStatus(transactionId, 'processing');
+  await transactionQueries.updateTransactionStatus(transactionId, 'processing', null, CHECKOUT_EVENT);
 
-  const stripe = getStripeClient();
+  const provider = getPaymentProvider();
   const authorizedPayments = [];
   const failedPayment = { paymentIntentId: null, error: null };
+  const declinedPayments = [];
 
   try {
     // Step 1: Confirm all PaymentIntents (authorize)
     logger.info('Authorizing payments', { transactionId, count: payments.length });
 
     const authorizationResults = await Promise.allSettled(
-      payments.map(async (payment) => {
-        const paymentIntent = await stripe.paymentIntents.retrieve(payment.paymentIntentId);
-        
-        // If already confirmed, skip
-        if (paymentIntent.status === 'requires_capture' || paymentIntent.status === 'succeeded') {
-          return { paymentIntentId: payment.paymentIntentId, status: 'authorized' };
-        }
-
-        // Confirm the PaymentIntent
-        const confirmed = await stripe.paymentIntents.confirm(payment.paymentIntentId, {
-          payment_method: payment.paymentMethodId
-        });
-
-        // Handle 3D Secure if required
-        if (confirmed.status === 'requires_action') {
-          throw new Error('3D Secure authentication required - should be handled on frontend');
-        }
-
-        if (confirmed.status !== 'requires_capture' && confirmed.status !== 'succeeded') {
-          throw new Error(`PaymentIntent in unexpected state: ${confirmed.status}`);
-        }
-
-        return { paymentIntentId: payment.paymentIntentId, status: 'authorized' };
-      })
+      payments.map(payment => authorizePayment(provider, payment))
     );
 
     // Check authorization results
+    const actionsRequired = [];
+
     for (let i = 0; i < authorizationResults.length; i++) {
       const result = authorizationResults[i];
       const payment = payments[i];
 
-      if (result.status === 'fulfilled') {
-        authorizedPayments.push(payment.paymentIntentId);
-        
-        // Update payment status in database
+      if (result.status === 'rejected') {
+        if (!failedPayment.paymentIntentId) {
+          failedPayment.paymentIntentId = payment.paymentIntentId;
+          failedPayment.error = result.reason?.message || 'Authorization failed';
+        }
+
+        declinedPayments.push({
+          paymentId: payment.paymentId,
+          paymentIntentId: payment.paymentIntentId,
+          amount: payment.amount,
+          error: result.reason?.message || 'Authorization failed'
+        });
+
+        // Update payment status
         await paymentQueries.updatePaymentStatus(
           payment.paymentId,
-          'authorized'
+          'failed',
+          result.reason?.code,
+          result.reason?.message,
+          CHECKOUT_EVENT
         );
+      } else if (result.value.status === 'requires_action') {
+        actionsRequired.push({
+          paymentId: payment.paymentId,
+          paymentIntentId: payment.paymentIntentId,
+          clientSecret: result.value.clientSecret,
+          nextAction: result.value.nextAction
+        });
+
+        await paymentQueries.updatePaymentStatus(payment.paymentId, 'requires_action', null, null, CHECKOUT_EVENT);
       } else {
-        // Authorization failed
-        failedPayment.paymentIntentId = payment.paymentIntentId;
-        failedPayment.error = result.reason?.message || 'Authorization failed';
+        authorizedPayments.push(payment.paymentIntentId);
         
-        // Update payment status
+        // Update payment status in database
         await paymentQueries.updatePaymentStatus(
           payment.paymentId,
-          'failed',
-          result.reason?.code,
-          result.reason?.message
+          'authorized',
+          null,
+          null,
+          CHECKOUT_EVENT
         );
+      }
+    }
 
-        // Cancel all successfully authorized payments
-        if (authorizedPayments.length > 0) {
-          logger.warn('Cancelling authorized payments due to failure', {
-            transactionId,
-            failedPayment: payment.paymentIntentId,
-            cancelling: authorizedPayments
-          });
-          
-          await cancelPaymentIntents(authorizedPayments);
-          
-          // Update payment statuses to voided
-          for (const piId of authorizedPayments) {
-            const paymentRecord = await paymentQueries.getPaymentByPaymentIntentId(piId);
-            if (paymentRecord) {
-              await paymentQueries.updatePaymentStatus(paymentRecord.id, 'voided');
-            }
-          }
+    // Keep the other holds and let the customer swap in a new card for each
+    // declined share. Checkout resumes from the widget with the new legs.
+    if (failedPayment.paymentIntentId && replaceDeclined) {
+      const replaceBy = new Date(Date.now() + getReplaceCardGraceMinutes(store) * 60 * 1000);
+
+      await transactionQueries.updateTransactionStatus(
+        transactionId,
+        'awaiting_replacement',
+        `Payment failed: ${failedPayment.error}`,
+        {
+          ...CHECKOUT_EVENT,
+          stripeObjectId: failedPayment.paymentIntentId,
+          metadata: { replaceBy, declined: declinedPayments.map(p => p.paymentIntentId) }
         }
+      );
+      await transactionQueries.setReplacementDeadline(transactionId, replaceBy);
 
-        // Update transaction status
-        await transactionQueries.updateTransactionStatus(
-          transactionId,
-          'failed',
-          `Payment failed: ${failedPayment.error}`
-        );
+      logger.warn('Payment declined, awaiting replacement card', {
+        transactionId,
+        declined: declinedPayments.map(p => p.paymentIntentId),
+        held: authorizedPayments,
+        replaceBy
+      });
+
+      return {
+        success: false,
+        replaceCard: true,
+        transactionId,
+        declinedPayments,
+        replaceBy
+      };
+    }
 
-        throw new Error(`Card payment failed: ${failedPayment.error}`);
+    if (failedPayment.paymentIntentId) {
+      // Cancel every other leg - authorized ones and ones still awaiting 3D Secure
+      const cancelling = [
+        ...authorizedPayments,
+        ...actionsRequired.map(a => a.paymentIntentId)
+      ];
+
+      if (cancelling.length > 0) {
+        logger.warn('Cancelling authorized payments due to failure', {
+          transactionId,
+          failedPayment: failedPayment.paymentIntentId,
+          cancelling
+        });
+        
+        await cancelPaymentIntents(cancelling);
+        
+        // Update payment statuses to voided
+        for (const piId of cancelling) {
+          const paymentRecord = await paymentQueries.getPaymentByPaymentIntentId(SYSTEM_SCOPE, piId);
+          if (paymentRecord) {
+            await paymentQueries.updatePaymentStatus(paymentRecord.id, 'voided', null, null, {
+              ...CHECKOUT_EVENT,
+              reason: `Another card failed: ${failedPayment.paymentIntentId}`
+            });
+          }
+        }
       }
+
+      // Update transaction status
+      await transactionQueries.updateTransactionStatus(
+        transactionId,
+        'failed',
+        `Payment failed: ${failedPayment.error}`,
+        { ...CHECKOUT_EVENT, stripeObjectId: failedPayment.paymentIntentId }
+      );
+
+      throw new Error(`Card payment failed: ${failedPayment.error}`);
+    }
+
+    // Some cards need 3D Secure - keep existing authorizations on hold and
+    // hand the actions back to the widget, which resumes checkout afterwards
+    if (actionsRequired.length > 0) {
+      await transactionQueries.updateTransactionStatus(transactionId, 'requires_action', null, CHECKOUT_EVENT);
+
+      logger.info('Payments require customer authentication', {
+        transactionId,
+        authorized: authorizedPayments.length,
+        requiresAction: actionsRequired.map(a => a.paymentIntentId)
+      });
+
+      return {
+        success: false,
+        requiresAction: true,
+        transactionId,
+        actions: actionsRequired
+      };
+    }
+
+    // Every card authorized: the customer is owed an order from here on,
+    // whatever happens to the captures or this process
+    await orderOutboxQueries.enqueueOrder(transactionId, transaction.store_id);
+
+    // Merchant captures at fulfillment - keep the holds
+    if (deferCapture) {
+      await transactionQueries.updateTransactionStatus(transactionId, 'authorized', null, {
+        ...CHECKOUT_EVENT,
+        reason: 'Capture deferred until fulfillment'
+      });
+
+      logger.info('All payments authorized, capture deferred', { transactionId });
+
+      return {
+        success: true,
+        transactionId,
+        captureDeferred: true
+      };
     }
 
     // Step 2: All authorizations succeeded - capture all
@@ -288,9 +514,9 @@ export async function completeCheckout(params) {
 
       if (result.status === 'fulfilled') {
         // Update payment status to captured
-        const paymentRecord = await paymentQueries.getPaymentByPaymentIntentId(piId);
+        const paymentRecord = await paymentQueries.getPaymentByPaymentIntentId(SYSTEM_SCOPE, piId);
         if (paymentRecord) {
-          await paymentQueries.updatePaymentStatus(paymentRecord.id, 'captured');
+          await paymentQueries.updatePaymentStatus(paymentRecord.id, 'captured', null, null, CHECKOUT_EVENT);
         }
       } else {
         failedCaptures.push({ paymentIntentId: piId, error: result.reason });
@@ -298,7 +524,9 @@ export async function completeCheckout(params) {
     }
 
     // If any captures failed, this is a critical error
-    // We've already authorized, so we need to void the failed ones
+    // We've already authorized, so we need to void the failed ones. The cards
+    // that were captured are refunded by the order outbox entry queued above,
+    // which sees the failed transaction and closes only once they are.
     if (failedCaptures.length > 0) {
       logger.error('Some captures failed after authorization', {
         transactionId,
@@ -309,6 +537,14 @@ export async function completeCheckout(params) {
       for (const failed of failedCaptures) {
         try {
           await cancelPaymentIntent(failed.paymentIntentId);
+
+          const paymentRecord = await paymentQueries.getPaymentByPaymentIntentId(SYSTEM_SCOPE, failed.paymentIntentId);
+          if (paymentRecord) {
+            await paymentQueries.updatePaymentStatus(paymentRecord.id, 'voided', null, null, {
+              ...CHECKOUT_EVENT,
+              reason: 'Capture failed after authorization'
+            });
+          }
         } catch (err) {
           logger.error('Failed to void after capture failure', {
             paymentIntentId: failed.paymentIntentId,
@@ -321,14 +557,15 @@ export async function completeCheckout(params) {
       await transactionQueries.updateTransactionStatus(
         transactionId,
         'failed',
-        'Capture failed after authorization'
+        'Capture failed after authorization',
+        CHECKOUT_EVENT
       );
 
       throw new Error('Payment capture failed - transaction voided');
     }
 
     // Step 3: All payments captured successfully
-    await transactionQueries.updateTransactionStatus(transactionId, 'completed');
+    await transactionQueries.updateTransactionStatus(transactionId, 'completed', null, CHECKOUT_EVENT);
 
     logger.info('Checkout completed successfully', {
       transactionId,
@@ -347,14 +584,192 @@ export async function completeCheckout(params) {
       stack: error.stack
     });
 
-    // Ensure transaction is marked as failed
-    await transactionQueries.updateTransactionStatus(
-      transactionId,
-      'failed',
-      error.message
-    );
+    // Ensure transaction is marked as failed, unless it has already moved
+    // somewhere failed is not reachable from (e.g. completed)
+    const current = await transactionQueries.getTransactionById(SYSTEM_SCOPE, transactionId);
+    if (current && canTransition('transaction', current.status, 'failed')) {
+      await transactionQueries.updateTransactionStatus(
+        transactionId,
+        'failed',
+        error.message,
+        CHECKOUT_EVENT
+      );
+    }
 
     throw error;
   }
 }
 
+
+/**
+ * Capture every held card of a transaction whose capture was deferred
+ * Leaves the transaction authorized if any capture fails, so it can be retried.
+ * @param {number} transactionId - Transaction ID
+ * @param {object} event - Transaction event context
+ * @returns {Promise<object>} Result with captured amount and the captured cards
+ */
+export async function captureTransaction(transactionId, event = {}) {
+  const transaction = await transactionQueries.getTransactionById(SYSTEM_SCOPE, transactionId);
+  if (!transaction) {
+    throw new Error('Transaction not found');
+  }
+
+  if (transaction.status !== 'authorized') {
+    throw new Error(`Cannot capture a ${transaction.status} transaction`);
+  }
+
+  const payments = await paymentQueries.getPaymentsByTransactionId(SYSTEM_SCOPE, transactionId);
+  const heldPayments = payments.filter(p => p.status === 'authorized');
+
+  const results = await Promise.allSettled(
+    heldPayments.map(p => capturePaymentIntent(p.stripe_payment_intent_id))
+  );
+
+  const failures = [];
+  for (let i = 0; i < results.length; i++) {
+    if (results[i].status === 'fulfilled') {
+      await paymentQueries.updatePaymentStatus(heldPayments[i].id, 'captured', null, null, event);
+    } else {
+      failures.push({
+        paymentId: heldPayments[i].id,
+        error: results[i].reason?.message
+      });
+    }
+  }
+
+  if (failures.length > 0) {
+    logger.error('Deferred capture failed for some payments', { transactionId, failures });
+    throw new Error(`Capture failed for payments: ${failures.map(f => f.paymentId).join(', ')}`);
+  }
+
+  await transactionQueries.updateTransactionStatus(transactionId, 'completed', null, event);
+
+  logger.info('Deferred capture completed', {
+    transactionId,
+    paymentCount: heldPayments.length
+  });
+
+  return {
+    success: true,
+    transactionId,
+    capturedAmount: heldPayments.reduce((sum, p) => sum + p.amount, 0),
+    capturedPayments: heldPayments.map(p => ({
+      paymentIntentId: p.stripe_payment_intent_id,
+      amount: p.amount
+    }))
+  };
+}
+
+/**
+ * Replace an expiring authorization with a fresh one on the same saved card
+ * Only works for PaymentIntents created with reusable: true.
+ * @param {object} payment - Payment record in authorized status
+ * @param {object} event - Transaction event context
+ * @returns {Promise<object>} Updated payment record
+ */
+export async function reauthorizePayment(payment, event = {}) {
+  const provider = getPaymentProvider();
+  const previous = await getPaymentIntent(payment.stripe_payment_intent_id);
+
+  if (!previous.customer || !previous.payment_method) {
+    throw new Error(`PaymentIntent ${previous.id} has no saved card to re-authorize`);
+  }
+
+  const authorizedAt = new Date(payment.authorized_at).getTime();
+  const paymentIntent = await withIdempotencyKey(
+    idempotencyKey(`txn_${payment.transaction_id}`, `payment_${payment.id}`, 'reauthorize', authorizedAt),
+    'payment_intent.reauthorize',
+    (idempotencyKey) => provider.createPaymentIntent({
+      amount: previous.amount,
+      currency: previous.currency,
+      customer: previous.customer,
+      payment_method: previous.payment_method,
+      // Same Connect routing and fee as the hold being replaced
+      ...(previous.application_fee_amount ? { application_fee_amount: previous.application_fee_amount } : {}),
+      ...(previous.transfer_data ? {
+        on_behalf_of: previous.on_behalf_of,
+        transfer_data: { destination: previous.transfer_data.destination }
+      } : {}),
+      capture_method: 'manual',
+      confirm: true,
+      off_session: true,
+      metadata: {
+        ...previous.metadata,
+        reauthorizes: previous.id
+      },
+      statement_descriptor_suffix: 'SPLITPAY'
+    }, { idempotencyKey, ...getRequestOptions(payment) })
+  );
+
+  if (paymentIntent.status !== 'requires_capture') {
+    throw new Error(`Re-authorization left PaymentIntent in ${paymentIntent.status}`);
+  }
+
+  const updated = await paymentQueries.replacePaymentIntent(payment.id, paymentIntent.id);
+  await cancelPaymentIntent(previous.id);
+
+  await transactionEventQueries.createTransactionEvent({
+    transactionId: payment.transaction_id,
+    entityType: 'payment',
+    entityId: payment.id,
+    fromStatus: 'authorized',
+    toStatus: 'authorized',
+    reason: 'Re-authorized before hold expiry',
+    stripeObjectId: paymentIntent.id,
+    ...event,
+    metadata: { previousPaymentIntentId: previous.id }
+  });
+
+  logger.info('Payment re-authorized', {
+    paymentId: payment.id,
+    previousPaymentIntentId: previous.id,
+    paymentIntentId: paymentIntent.id
+  });
+
+  return updated;
+}
+
+/**
+ * Void every held card of a transaction and mark it failed
+ * Only cards whose cancel went through are marked voided. If any cancel
+ * fails the rest stay authorized and the transaction is left as it was, and
+ * this throws so the caller's job or webhook retries.
+ * @param {number} transactionId - Transaction ID
+ * @param {string} reason - Why the holds are released
+ * @param {object} event - Transaction event context
+ * @returns {Promise<object>} { success, voided, amount } - cards and amount released
+ */
+export async function voidTransaction(transactionId, reason, event = {}) {
+  const payments = await paymentQueries.getPaymentsByTransactionId(SYSTEM_SCOPE, transactionId);
+  const heldPayments = payments.filter(p =>
+    p.stripe_payment_intent_id && canTransition('payment', p.status, 'voided') && p.status !== 'voided'
+  );
+
+  const results = await cancelPaymentIntents(heldPayments.map(p => p.stripe_payment_intent_id));
+
+  let voided = 0;
+  let amount = 0;
+  const failures = [];
+
+  for (let i = 0; i < heldPayments.length; i++) {
+    if (results[i].status === 'fulfilled') {
+      await paymentQueries.updatePaymentStatus(heldPayments[i].id, 'voided', null, null, { reason, ...event });
+      voided++;
+      amount += heldPayments[i].amount;
+    } else {
+      failures.push(heldPayments[i].id);
+    }
+  }
+
+  if (failures.length > 0) {
+    const error = new Error(`Could not release the holds on payments: ${failures.join(', ')}`);
+    error.voided = voided;
+    error.amount = amount;
+    throw error;
+  }
+
+  await transactionQueries.updateTransactionStatus(transactionId, 'failed', reason, event);
+
+  logger.info('Transaction voided', { transactionId, voided, reason });
+  return { success: true, voided, amount };
+}
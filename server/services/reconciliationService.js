@@ -0,0 +1,203 @@
+import { logger } from '../utils/logger.js';
+import { canTransition } from '../utils/stateMachine.js';
+import * as storeQueries from '../db/queries/stores.js';
+import * as transactionQueries from '../db/queries/transactions.js';
+import * as paymentQueries from '../db/queries/payments.js';
+import { SYSTEM_SCOPE } from '../db/scope.js';
+import * as paymentService from './paymentService.js';
+import * as refundService from './refundService.js';
+import * as orderOutboxService from './orderOutboxService.js';
+import { getCaptureMode } from './storeService.js';
+
+/**
+ * Reconciliation service - recovers transactions stuck in "processing"
+ * A crash inside completeCheckout can leave cards authorized or captured with
+ * no Shopify order. Stripe is the source of truth for what actually happened.
+ */
+
+const STALE_AFTER_MINUTES = parseInt(process.env.RECONCILE_STALE_MINUTES || '10', 10);
+const LEASE_MINUTES = 5;
+
+const RECONCILER_EVENT = { actor: 'reconciler' };
+
+/**
+ * Move a payment to a target status, stepping through authorized if needed
+ * @param {object} payment - Payment record
+ * @param {string} target - Target status
+ * @param {object} event - Transaction event context
+ */
+async function syncPaymentStatus(payment, target, event) {
+  if (payment.status === target) return;
+
+  if (!canTransition('payment', payment.status, target) && target === 'captured') {
+    await paymentQueries.updatePaymentStatus(payment.id, 'authorized', null, null, event);
+  }
+
+  await paymentQueries.updatePaymentStatus(payment.id, target, null, null, event);
+}
+
+/**
+ * Finish a transaction whose cards all authorized: capture the rest (or keep
+ * the holds for deferred-capture stores) and create the order
+ */
+async function completeTransaction(transaction, legs) {
+  const event = {
+    ...RECONCILER_EVENT,
+    reason: 'Recovered stuck checkout: all cards authorized, completing'
+  };
+
+  const store = await storeQueries.getStoreById(transaction.store_id);
+  const deferCapture = getCaptureMode(store) === 'on_fulfillment' &&
+    legs.every(l => l.paymentIntent.status === 'requires_capture');
+
+  for (const { payment, paymentIntent } of legs) {
+    if (deferCapture) {
+      await syncPaymentStatus(payment, 'authorized', event);
+      continue;
+    }
+
+    if (paymentIntent.status === 'requires_capture') {
+      await paymentService.capturePaymentIntent(paymentIntent.id);
+    }
+    await syncPaymentStatus(payment, 'captured', event);
+  }
+
+  await transactionQueries.updateTransactionStatus(
+    transaction.id,
+    deferCapture ? 'authorized' : 'completed',
+    null,
+    { ...event, metadata: { decision: 'complete', captureDeferred: deferCapture } }
+  );
+
+  // Usually queued before the crash; the outbox worker creates the order
+  await orderOutboxService.enqueueOrder(transaction.id, transaction.store_id);
+}
+
+/**
+ * Unwind a transaction with any unauthorized card: void holds and refund captures
+ */
+async function rollbackTransaction(transaction, legs) {
+  const event = {
+    ...RECONCILER_EVENT,
+    reason: 'Recovered stuck checkout: not every card authorized, rolling back'
+  };
+  const refundFailures = [];
+
+  for (const { payment, paymentIntent } of legs) {
+    if (paymentIntent.status === 'succeeded') {
+      await syncPaymentStatus(payment, 'captured', event);
+
+      const result = await refundService.refundPayment({
+        transactionId: transaction.id,
+        payment,
+        amount: paymentIntent.amount_received || payment.amount,
+        reason: 'requested_by_customer',
+        initiatedBy: 'reconciler'
+      });
+
+      if (result.status === 'failed') {
+        refundFailures.push(payment.id);
+      } else {
+        await paymentQueries.updatePaymentStatus(payment.id, 'refunded', null, null, event);
+      }
+    } else if (paymentIntent.status === 'canceled') {
+      await syncPaymentStatus(payment, 'voided', event);
+    } else {
+      await paymentService.cancelPaymentIntent(paymentIntent.id);
+      if (canTransition('payment', payment.status, 'voided')) {
+        await paymentQueries.updatePaymentStatus(payment.id, 'voided', null, null, event);
+      }
+    }
+  }
+
+  // Leave the transaction in processing so the next pass retries the refund
+  if (refundFailures.length > 0) {
+    throw new Error(`Refund failed for payments: ${refundFailures.join(', ')}`);
+  }
+
+  await transactionQueries.updateTransactionStatus(
+    transaction.id,
+    'failed',
+    'Checkout interrupted; cards voided or refunded by reconciler',
+    { ...event, metadata: { decision: 'rollback' } }
+  );
+}
+
+/**
+ * Whether a card was removed from the split before checkout: its
+ * PaymentIntent was cancelled while the payment was still pending
+ */
+function isRemovedLeg({ payment, paymentIntent }) {
+  return payment.status === 'pending' && paymentIntent.status === 'canceled';
+}
+
+/**
+ * Reconcile one stuck transaction against Stripe
+ * @param {object} transaction - Transaction record in processing
+ * @returns {Promise<string>} Decision taken: complete or rollback
+ */
+export async function reconcileTransaction(transaction) {
+  const payments = await paymentQueries.getPaymentsByTransactionId(SYSTEM_SCOPE, transaction.id);
+  // Declined and removed cards were never part of the charge being completed
+  const activePayments = payments.filter(p =>
+    p.stripe_payment_intent_id && !['voided', 'failed'].includes(p.status)
+  );
+
+  const fetched = await Promise.all(
+    activePayments.map(async (payment) => ({
+      payment,
+      paymentIntent: await paymentService.getPaymentIntent(payment.stripe_payment_intent_id)
+    }))
+  );
+  const legs = fetched.filter(leg => !isRemovedLeg(leg));
+
+  const amountHeld = legs
+    .filter(l => ['requires_capture', 'succeeded'].includes(l.paymentIntent.status))
+    .reduce((sum, l) => sum + l.paymentIntent.amount, 0);
+
+  const allAuthorized = legs.length > 0 &&
+    legs.every(l => ['requires_capture', 'succeeded'].includes(l.paymentIntent.status)) &&
+    amountHeld === transaction.total_amount;
+
+  logger.info('Reconciling stuck transaction', {
+    transactionId: transaction.id,
+    paymentIntents: legs.map(l => ({ id: l.paymentIntent.id, status: l.paymentIntent.status })),
+    decision: allAuthorized ? 'complete' : 'rollback'
+  });
+
+  if (allAuthorized) {
+    await completeTransaction(transaction, legs);
+    return 'complete';
+  }
+
+  await rollbackTransaction(transaction, legs);
+  return 'rollback';
+}
+
+/**
+ * Find and reconcile transactions stuck in processing
+ * @returns {Promise<number>} Number of transactions reconciled
+ */
+export async function reconcileStaleTransactions() {
+  const transactions = await transactionQueries.claimStaleProcessingTransactions(
+    STALE_AFTER_MINUTES,
+    LEASE_MINUTES
+  );
+
+  let reconciled = 0;
+
+  for (const transaction of transactions) {
+    try {
+      await reconcileTransaction(transaction);
+      reconciled++;
+    } catch (error) {
+      logger.error('Error reconciling transaction', {
+        error: error.message,
+        transactionId: transaction.id,
+        stack: error.stack
+      });
+    }
+  }
+
+  return reconciled;
+}
@@ -1,77 +1,253 @@
-import { getStripeClient } from '../config/stripe.js';
+import { getPaymentProvider } from '../providers/index.js';
+import { getRequestOptions, getRefundParams } from './connectService.js';
 import { logger } from '../utils/logger.js';
-import { distributeProportionally } from '../utils/currency.js';
+import { distributeProportionally, formatCents, toMinorUnits } from '../utils/currency.js';
+import { canTransition } from '../utils/stateMachine.js';
+import { idempotencyKey, withIdempotencyKey } from './idempotencyService.js';
+import { GATEWAY, isAppRecordedRefund, recordOrderRefund } from './orderService.js';
+import { raiseAlert } from './alertService.js';
+import { voidTransaction } from './paymentService.js';
+import * as storeQueries from '../db/queries/stores.js';
+import * as transactionEventQueries from '../db/queries/transactionEvents.js';
 import * as transactionQueries from '../db/queries/transactions.js';
 import * as paymentQueries from '../db/queries/payments.js';
 import * as refundQueries from '../db/queries/refunds.js';
+import { storeScope } from '../db/scope.js';
 
 /**
  * Refund service - handles proportional refunds for split payments
+ * Refunds made here are recorded on the Shopify order, and refunds a merchant
+ * makes in Shopify are mirrored here. Each card refund carries the ID of its
+ * Shopify refund, so neither side applies a refund twice.
  */
 
 /**
- * Calculate proportional refund amounts for each payment
- * @param {Array} payments - Array of payment records with amounts
- * @param {number} refundAmount - Total refund amount in cents
- * @returns {Array} Array of { paymentId, amount } for each refund
+ * Calculate proportional refund amounts for each captured payment
+ * Shares follow what each card paid, but never exceed what is left on it;
+ * whatever a card can't take goes to the cards that still have room.
+ * @param {Array} legs - Array of { payment, remaining } for the captured cards
+ * @param {number} refundAmount - Total refund amount in minor units
+ * @param {string} currency - Currency code
+ * @returns {Array} Array of { payment, refundAmount } for each card
  */
-function calculateProportionalRefunds(payments, refundAmount) {
-  const paymentAmounts = payments.map(p => p.amount);
-  const refundAmounts = distributeProportionally(refundAmount, paymentAmounts);
-
-  return payments.map((payment, index) => ({
-    paymentId: payment.id,
-    stripePaymentIntentId: payment.stripe_payment_intent_id,
-    originalAmount: payment.amount,
-    refundAmount: refundAmounts[index]
+function calculateProportionalRefunds(legs, refundAmount, currency = 'USD') {
+  const shares = distributeProportionally(refundAmount, legs.map(l => l.payment.amount), currency)
+    .map((share, index) => Math.min(share, legs[index].remaining));
+
+  let unassigned = refundAmount - shares.reduce((sum, s) => sum + s, 0);
+  for (let i = 0; i < legs.length && unassigned > 0; i++) {
+    const extra = Math.min(unassigned, legs[i].remaining - shares[i]);
+    shares[i] += extra;
+    unassigned -= extra;
+  }
+
+  return legs.map((leg, index) => ({
+    payment: leg.payment,
+    refundAmount: shares[index]
   }));
 }
 
+/**
+ * What is left to refund on a card, counting pending refunds as made
+ */
+function remainingOf(payment, refunds) {
+  return payment.amount - refunds
+    .filter(r => r.payment_id === payment.id && (r.status === 'succeeded' || r.status === 'pending'))
+    .reduce((sum, r) => sum + r.amount, 0);
+}
+
+/**
+ * Get the captured cards of a transaction with what is left to refund on each
+ * @param {object} scope - Scope to look the payments up in
+ * @param {number} transactionId - Transaction ID
+ * @returns {Promise<object>} { legs: [{ payment, remaining }], remaining }
+ */
+export async function getRefundableLegs(scope, transactionId) {
+  const [payments, refunds] = await Promise.all([
+    paymentQueries.getPaymentsByTransactionId(scope, transactionId),
+    refundQueries.getRefundsByTransactionId(scope, transactionId)
+  ]);
+
+  const legs = payments
+    .filter(p => p.status === 'captured')
+    .map(payment => ({ payment, remaining: remainingOf(payment, refunds) }));
+
+  return {
+    legs,
+    remaining: legs.reduce((sum, l) => sum + l.remaining, 0)
+  };
+}
+
+/**
+ * Refund part or all of a single captured payment
+ * Failures are returned rather than thrown so callers can refund other legs.
+ * @param {object} params - { transactionId, payment, amount, reason, initiatedBy, shopifyRefundId }
+ * @returns {Promise<object>} Refund result with status
+ */
+export async function refundPayment(params) {
+  const {
+    transactionId,
+    payment,
+    amount,
+    reason = 'requested_by_customer',
+    initiatedBy = 'admin',
+    shopifyRefundId = null
+  } = params;
+
+  const provider = getPaymentProvider();
+  let refundRecord = null;
+
+  try {
+    // Create refund record first - its ID seeds the Stripe idempotency key
+    refundRecord = await refundQueries.createRefund({
+      transactionId,
+      paymentId: payment.id,
+      amount,
+      reason,
+      initiatedBy,
+      status: 'pending',
+      shopifyRefundId
+    });
+
+    // Create refund in Stripe
+    const refund = await withIdempotencyKey(
+      idempotencyKey(`txn_${transactionId}`, `payment_${payment.id}`, `refund_${refundRecord.id}`),
+      'refund.create',
+      (idempotencyKey) => provider.createRefund({
+        ...getRefundParams(payment),
+        payment_intent: payment.stripe_payment_intent_id,
+        amount,
+        reason: reason,
+        metadata: {
+          transactionId: transactionId.toString(),
+          paymentId: payment.id.toString(),
+          refundId: refundRecord.id.toString()
+        }
+      }, { idempotencyKey, ...getRequestOptions(payment) })
+    );
+
+    await refundQueries.updateRefundStripeResult(
+      refundRecord.id,
+      refund.id,
+      refund.status === 'succeeded' ? 'succeeded' : 'pending',
+      { actor: initiatedBy }
+    );
+
+    logger.info('Refund processed', {
+      transactionId,
+      paymentId: payment.id,
+      refundId: refund.id,
+      amount
+    });
+
+    return {
+      paymentId: payment.id,
+      paymentIntentId: payment.stripe_payment_intent_id,
+      refundId: refundRecord.id,
+      stripeRefundId: refund.id,
+      amount,
+      status: refund.status
+    };
+  } catch (error) {
+    logger.error('Error processing refund for payment', {
+      error: error.message,
+      transactionId,
+      paymentId: payment.id,
+      amount
+    });
+
+    if (refundRecord) {
+      await refundQueries.updateRefundStatus(refundRecord.id, 'failed', error.message, { actor: initiatedBy });
+    }
+
+    return {
+      paymentId: payment.id,
+      error: error.message,
+      status: 'failed'
+    };
+  }
+}
+
+/**
+ * Record refunds made here on the transaction's Shopify order
+ * Failing to record doesn't undo the refunds; the merchant is alerted instead.
+ */
+async function recordRefundsOnOrder(transaction, refundResults) {
+  const recorded = refundResults.filter(r => r.status === 'succeeded' || r.status === 'pending');
+  if (!transaction.shopify_order_id || recorded.length === 0) {
+    return;
+  }
+
+  const store = await storeQueries.getStoreById(transaction.store_id);
+
+  try {
+    const shopifyRefund = await recordOrderRefund(
+      store.shop_domain,
+      transaction.shopify_order_id,
+      recorded,
+      transaction.currency || 'USD'
+    );
+
+    await refundQueries.setShopifyRefundId(recorded.map(r => r.refundId), shopifyRefund.id.toString());
+  } catch (error) {
+    await raiseAlert({
+      storeId: transaction.store_id,
+      transactionId: transaction.id,
+      type: 'refund_not_recorded',
+      severity: 'warning',
+      message: `Cards were refunded but the refund could not be recorded on order ${transaction.shopify_order_number || transaction.shopify_order_id}. Record it in Shopify without refunding the cards again.`,
+      data: { refundIds: recorded.map(r => r.refundId), error: error.message }
+    });
+  }
+}
+
 /**
  * Process a full or partial refund for a transaction
- * @param {object} params - Refund parameters
+ * @param {object} params - { scope, transactionId, refundAmount, reason, initiatedBy, shopifyRefundId }
+ *   scope is the one the transaction is looked up in; shopifyRefundId marks a
+ *   refund mirrored from Shopify, which is not recorded back
  * @returns {Promise<object>} Refund results
  */
 export async function processRefund(params) {
   const {
+    scope,
     transactionId,
     refundAmount,
     reason = 'requested_by_customer',
-    initiatedBy = 'admin'
+    initiatedBy = 'admin',
+    shopifyRefundId = null
   } = params;
 
   // Get transaction
-  const transaction = await transactionQueries.getTransactionById(transactionId);
+  const transaction = await transactionQueries.getTransactionById(scope, transactionId);
   if (!transaction) {
     throw new Error('Transaction not found');
   }
 
-  if (transaction.status !== 'completed') {
-    throw new Error('Can only refund completed transactions');
+  if (!canTransition('transaction', transaction.status, 'refunded')) {
+    throw new Error(`Cannot refund a ${transaction.status} transaction`);
   }
 
-  // Get all payments for this transaction
-  const payments = await paymentQueries.getPaymentsByTransactionId(transactionId);
-  if (payments.length === 0) {
-    throw new Error('No payments found for transaction');
-  }
+  const currency = transaction.currency || 'USD';
 
-  // Get existing refunds
-  const existingRefunds = await refundQueries.getRefundsByTransactionId(transactionId);
-  const totalRefunded = existingRefunds
-    .filter(r => r.status === 'succeeded')
-    .reduce((sum, r) => sum + r.amount, 0);
+  // Only captured cards hold money to give back; declined and removed legs
+  // stay on the transaction with their amounts
+  const { legs, remaining: remainingRefundable } = await getRefundableLegs(scope, transactionId);
+
+  if (legs.length === 0) {
+    throw new Error('No captured payments found for transaction');
+  }
 
-  const remainingRefundable = transaction.total_amount - totalRefunded;
+  const totalRefunded = transaction.total_amount - remainingRefundable;
 
   if (refundAmount > remainingRefundable) {
     throw new Error(
-      `Refund amount (${refundAmount / 100}) exceeds remaining refundable amount (${remainingRefundable / 100})`
+      `Refund amount (${formatCents(refundAmount, currency)}) exceeds remaining refundable amount (${formatCents(remainingRefundable, currency)})`
     );
   }
 
   // Calculate proportional refunds
-  const refundSplits = calculateProportionalRefunds(payments, refundAmount);
+  const refundSplits = calculateProportionalRefunds(legs, refundAmount, currency);
 
   // Filter out zero-amount refunds
   const nonZeroRefunds = refundSplits.filter(r => r.refundAmount > 0);
@@ -80,116 +256,343 @@ export async function processRefund(params) {
     throw new Error('Refund amount is too small to distribute');
   }
 
-  const stripe = getStripeClient();
   const refundResults = [];
 
   // Process each refund
   for (const refundSplit of nonZeroRefunds) {
-    try {
-      // Get payment record
-      const payment = await paymentQueries.getPaymentByPaymentIntentId(
-        refundSplit.stripePaymentIntentId
-      );
-
-      if (!payment) {
-        throw new Error(`Payment not found: ${refundSplit.stripePaymentIntentId}`);
-      }
+    refundResults.push(await refundPayment({
+      transactionId,
+      payment: refundSplit.payment,
+      amount: refundSplit.refundAmount,
+      reason,
+      initiatedBy,
+      shopifyRefundId
+    }));
+  }
 
-      if (payment.status !== 'captured') {
-        logger.warn('Attempting to refund non-captured payment', {
-          paymentId: payment.id,
-          status: payment.status
-        });
-        continue;
-      }
+  if (!shopifyRefundId) {
+    await recordRefundsOnOrder(transaction, refundResults);
+  }
 
-      // Create refund in Stripe
-      const refund = await stripe.refunds.create({
-        payment_intent: refundSplit.stripePaymentIntentId,
-        amount: refundSplit.refundAmount,
-        reason: reason,
-        metadata: {
-          transactionId: transactionId.toString(),
-          paymentId: payment.id.toString()
-        }
-      });
+  // The status follows the refunds that went through, not the amount asked for
+  const refunded = refundResults
+    .filter(r => r.status !== 'failed')
+    .reduce((sum, r) => sum + r.amount, 0);
+  const newTotalRefunded = totalRefunded + refunded;
+  const transactionStatus = refunded >= remainingRefundable ? 'refunded' : 'partially_refunded';
 
-      // Create refund record in database
-      const refundRecord = await refundQueries.createRefund({
-        transactionId,
-        paymentId: payment.id,
-        stripeRefundId: refund.id,
-        amount: refundSplit.refundAmount,
-        reason,
-        initiatedBy,
-        status: refund.status === 'succeeded' ? 'succeeded' : 'pending'
-      });
+  if (refunded > 0) {
+    await transactionQueries.updateTransactionStatus(transactionId, transactionStatus, null, { actor: initiatedBy, reason });
+  }
 
-      refundResults.push({
-        paymentId: payment.id,
-        refundId: refundRecord.id,
-        stripeRefundId: refund.id,
-        amount: refundSplit.refundAmount,
-        status: refund.status
-      });
+  // Check if all refunds succeeded
+  const allSucceeded = refundResults.every(r => r.status === 'succeeded' || r.status === 'pending');
 
-      logger.info('Refund processed', {
-        transactionId,
-        paymentId: payment.id,
-        refundId: refund.id,
-        amount: refundSplit.refundAmount
-      });
+  return {
+    success: allSucceeded,
+    refunds: refundResults,
+    totalRefunded: newTotalRefunded,
+    transactionStatus: refunded > 0 ? transactionStatus : transaction.status
+  };
+}
 
-    } catch (error) {
-      logger.error('Error processing refund for payment', {
-        error: error.message,
-        transactionId,
-        paymentId: refundSplit.paymentId,
-        amount: refundSplit.refundAmount
-      });
+/**
+ * Refund the cards for a refund a merchant made in Shopify
+ * Refunds this app recorded on the order, and Shopify refunds already
+ * mirrored, are skipped. The amount is what Shopify refunded through the split
+ * gateway, capped at what is left to refund.
+ * @param {object} transaction - Transaction record
+ * @param {object} shopifyRefund - Shopify Refund
+ * @returns {Promise<object|null>} Refund results, or null if nothing was refunded
+ */
+export async function mirrorShopifyRefund(transaction, shopifyRefund) {
+  const shopifyRefundId = shopifyRefund.id.toString();
+  const currency = transaction.currency || 'USD';
+  const scope = storeScope(transaction.store_id);
 
-      refundResults.push({
-        paymentId: refundSplit.paymentId,
-        error: error.message,
-        status: 'failed'
+  if (isAppRecordedRefund(shopifyRefund)) {
+    return null;
+  }
+
+  const mirrored = await refundQueries.getRefundsByShopifyRefundId(scope, shopifyRefundId);
+  if (mirrored.length > 0) {
+    return null;
+  }
+
+  const amount = (shopifyRefund.transactions || [])
+    .filter(t => t.kind === 'refund' && t.status === 'success' && t.gateway === GATEWAY)
+    .reduce((sum, t) => sum + toMinorUnits(parseFloat(t.amount), currency), 0);
+
+  if (amount <= 0) {
+    return null;
+  }
+
+  if (!['completed', 'partially_refunded'].includes(transaction.status)) {
+    logger.warn('Shopify refund for a transaction that cannot be refunded', {
+      transactionId: transaction.id,
+      shopifyRefundId,
+      status: transaction.status
+    });
+    return null;
+  }
+
+  const { remaining } = await getRefundableLegs(scope, transaction.id);
+  const refundAmount = Math.min(amount, remaining);
+
+  if (refundAmount <= 0) {
+    logger.warn('Shopify refund exceeds what is left to refund', {
+      transactionId: transaction.id,
+      shopifyRefundId,
+      amount,
+      remaining
+    });
+    return null;
+  }
+
+  const result = await processRefund({
+    scope,
+    transactionId: transaction.id,
+    refundAmount,
+    reason: 'requested_by_customer',
+    initiatedBy: 'shopify',
+    shopifyRefundId
+  });
+
+  // A retry would skip this refund as mirrored, so failed cards need the merchant
+  if (!result.success) {
+    await raiseAlert({
+      storeId: transaction.store_id,
+      transactionId: transaction.id,
+      type: 'shopify_refund_failed',
+      severity: 'critical',
+      message: `A refund made in Shopify (${formatCents(refundAmount, currency)}) could not be applied to every card.`,
+      data: { shopifyRefundId, refunds: result.refunds }
+    });
+  }
+
+  logger.info('Shopify refund mirrored to cards', {
+    transactionId: transaction.id,
+    shopifyRefundId,
+    amount: refundAmount,
+    success: result.success
+  });
+
+  return result;
+}
+
+/**
+ * Refund whatever is left on each captured card of a transaction
+ * Each card gets back its own remainder after earlier refunds (pending ones
+ * included), so cards refunded unevenly before still end at zero. With
+ * paymentIds only those cards are refunded, and the transaction is refunded
+ * only if nothing is left on the others either.
+ * @param {object} scope - Scope to look the transaction up in
+ * @param {number} transactionId - Transaction ID
+ * @param {object} options - { reason, initiatedBy, event, paymentIds } event is recorded on the status change
+ * @returns {Promise<object>} { success, amount, refunds, transactionStatus }
+ */
+export async function refundRemaining(scope, transactionId, options = {}) {
+  const {
+    reason = 'requested_by_customer',
+    initiatedBy = 'admin',
+    event = {},
+    paymentIds = null
+  } = options;
+
+  const transaction = await transactionQueries.getTransactionById(scope, transactionId);
+  if (!transaction) {
+    throw new Error('Transaction not found');
+  }
+
+  if (!canTransition('transaction', transaction.status, 'refunded')) {
+    throw new Error(`Cannot refund a ${transaction.status} transaction`);
+  }
+
+  const payments = await paymentQueries.getPaymentsByTransactionId(scope, transactionId);
+  const refunds = await refundQueries.getRefundsByTransactionId(scope, transactionId);
+
+  const captured = payments.filter(p => p.status === 'captured');
+  const selected = paymentIds ? captured.filter(p => paymentIds.includes(p.id)) : captured;
+  const othersRemaining = captured
+    .filter(p => !selected.includes(p))
+    .some(p => remainingOf(p, refunds) > 0);
+
+  const refundResults = [];
+  for (const payment of selected) {
+    const amount = remainingOf(payment, refunds);
+
+    if (amount <= 0) continue;
+
+    refundResults.push(await refundPayment({
+      transactionId,
+      payment,
+      amount,
+      reason,
+      initiatedBy
+    }));
+  }
+
+  await recordRefundsOnOrder(transaction, refundResults);
+
+  const success = refundResults.every(r => r.status === 'succeeded' || r.status === 'pending');
+  const amount = refundResults
+    .filter(r => r.status !== 'failed')
+    .reduce((sum, r) => sum + r.amount, 0);
+  const transactionStatus = success && !othersRemaining ? 'refunded' : 'partially_refunded';
+
+  if (amount > 0 || transactionStatus === 'refunded') {
+    await transactionQueries.updateTransactionStatus(transactionId, transactionStatus, null, {
+      actor: initiatedBy,
+      ...event
+    });
+  }
+
+  return { success, amount, refunds: refundResults, transactionStatus };
+}
+
+/**
+ * Refund the cards a failed checkout captured
+ * A checkout fails with money taken when one card's capture fails after
+ * others went through. Each captured card gets back what is left on it; the
+ * transaction stays failed.
+ * @param {object} scope - Scope to look the transaction up in
+ * @param {number} transactionId - Transaction ID
+ * @param {string} initiatedBy - Actor recorded on the refunds
+ * @returns {Promise<object>} { success, amount, refunds }
+ */
+export async function refundFailedCheckout(scope, transactionId, initiatedBy) {
+  const transaction = await transactionQueries.getTransactionById(scope, transactionId);
+  if (!transaction) {
+    throw new Error('Transaction not found');
+  }
+
+  if (transaction.status !== 'failed') {
+    throw new Error(`Cannot refund a ${transaction.status} transaction as a failed checkout`);
+  }
+
+  const { legs } = await getRefundableLegs(scope, transactionId);
+
+  const refundResults = [];
+  for (const { payment, remaining } of legs) {
+    if (remaining <= 0) continue;
+
+    refundResults.push(await refundPayment({
+      transactionId,
+      payment,
+      amount: remaining,
+      initiatedBy
+    }));
+  }
+
+  const success = refundResults.every(r => r.status === 'succeeded' || r.status === 'pending');
+  const amount = refundResults
+    .filter(r => r.status !== 'failed')
+    .reduce((sum, r) => sum + r.amount, 0);
+
+  if (refundResults.length > 0) {
+    logger.info('Failed checkout refunded', { transactionId, amount, success });
+  }
+
+  return { success, amount, refunds: refundResults };
+}
+
+/**
+ * Give the customer their money back for a cancelled Shopify order
+ * Held cards (deferred capture) are voided. Captured cards first get any
+ * refunds the cancellation made in Shopify, then the rest of what each card
+ * paid. The outcome is recorded in the transaction's history.
+ * @param {object} transaction - Transaction record
+ * @param {object} order - Shopify Order from the orders/cancelled webhook
+ * @returns {Promise<object>} { action, amount, success }
+ */
+export async function refundCancelledOrder(transaction, order) {
+  const orderId = order.id.toString();
+  const scope = storeScope(transaction.store_id);
+  const event = {
+    actor: 'shopify_webhook',
+    reason: `Shopify order cancelled${order.cancel_reason ? ` (${order.cancel_reason})` : ''}`,
+    shopifyObjectId: orderId
+  };
+
+  let outcome;
+
+  if (transaction.status === 'authorized') {
+    const result = await voidTransaction(transaction.id, event.reason, event);
+    outcome = { action: 'voided', amount: result.amount, success: result.success, cards: result.voided };
+  } else if (['completed', 'partially_refunded'].includes(transaction.status)) {
+    // Refunds issued with the cancellation arrive on the order; apply those first
+    for (const shopifyRefund of order.refunds || []) {
+      const current = await transactionQueries.getTransactionById(scope, transaction.id);
+      if (current.status === 'refunded') break;
+      await mirrorShopifyRefund(current, shopifyRefund);
+    }
+
+    const current = await transactionQueries.getTransactionById(scope, transaction.id);
+    if (current.status === 'refunded') {
+      outcome = { action: 'none', amount: 0, success: true };
+    } else {
+      const result = await refundRemaining(scope, transaction.id, {
+        initiatedBy: 'shopify',
+        event
       });
+      outcome = { action: 'refunded', amount: result.amount, success: result.success };
+
+      if (!result.success) {
+        await raiseAlert({
+          storeId: transaction.store_id,
+          transactionId: transaction.id,
+          type: 'cancellation_refund_failed',
+          severity: 'critical',
+          message: `Order ${order.name || orderId} was cancelled but not every card could be refunded.`,
+          data: { shopifyOrderId: orderId, refunds: result.refunds }
+        });
+      }
     }
+  } else if (['failed', 'refunded'].includes(transaction.status)) {
+    outcome = { action: 'none', amount: 0, success: true };
+  } else {
+    // Still charging - try again once the checkout settles
+    throw new Error(`Transaction ${transaction.id} is ${transaction.status}; cancellation will be retried`);
   }
 
-  // Update transaction status if fully refunded
-  const newTotalRefunded = totalRefunded + refundAmount;
-  if (newTotalRefunded >= transaction.total_amount) {
-    await transactionQueries.updateTransactionStatus(transactionId, 'refunded');
-  } else if (newTotalRefunded > 0) {
-    await transactionQueries.updateTransactionStatus(transactionId, 'partially_refunded');
+  if (outcome.action === 'none') {
+    await transactionEventQueries.createTransactionEvent({
+      transactionId: transaction.id,
+      entityType: 'transaction',
+      entityId: transaction.id,
+      fromStatus: transaction.status,
+      toStatus: transaction.status,
+      ...event,
+      reason: `${event.reason}: nothing left to refund`
+    });
   }
 
-  // Check if all refunds succeeded
-  const allSucceeded = refundResults.every(r => r.status === 'succeeded' || r.status === 'pending');
+  logger.info('Cancelled order settled', {
+    transactionId: transaction.id,
+    orderId,
+    ...outcome
+  });
 
-  return {
-    success: allSucceeded,
-    refunds: refundResults,
-    totalRefunded: newTotalRefunded,
-    transactionStatus: newTotalRefunded >= transaction.total_amount ? 'refunded' : 'partially_refunded'
-  };
+  return outcome;
 }
 
 /**
  * Get refund details
+ * @param {object} scope - Store scope
  * @param {number} refundId - Refund ID
  * @returns {Promise<object>} Refund record
  */
-export async function getRefund(refundId) {
-  return await refundQueries.getRefundById(refundId);
+export async function getRefund(scope, refundId) {
+  return await refundQueries.getRefundById(scope, refundId);
 }
 
 /**
  * Get all refunds for a transaction
+ * @param {object} scope - Store scope
  * @param {number} transactionId - Transaction ID
  * @returns {Promise<Array>} Array of refund records
  */
-export async function getRefundsByTransaction(transactionId) {
-  return await refundQueries.getRefundsByTransactionId(transactionId);
+export async function getRefundsByTransaction(scope, transactionId) {
+  return await refundQueries.getRefundsByTransactionId(scope, transactionId);
 }
 
@@ -0,0 +1,332 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import * as widgetSessionQueries from '../db/queries/widgetSessions.js';
+import * as transactionQueries from '../db/queries/transactions.js';
+import * as paymentQueries from '../db/queries/payments.js';
+import { storeScope } from '../db/scope.js';
+import { canTransition } from '../utils/stateMachine.js';
+import { cancelPaymentIntent } from './paymentService.js';
+
+/**
+ * Session service - database-backed widget checkout sessions
+ * Sessions live in Postgres so any instance can serve any widget request.
+ * The widget holds a token, not the bare session ID: the ID, store, checkout
+ * token and expiry, signed with WIDGET_SESSION_SECRET. Per the store's
+ * sessionBinding the token also carries hashes of the browser's user agent
+ * and IP, and only works from a request that matches them.
+ */
+
+// Must match the widget's CONFIG.sessionTimeout (sent back from /init)
+export const SESSION_TTL_MS = parseInt(process.env.WIDGET_SESSION_TTL_MS || String(30 * 60 * 1000), 10);
+
+const SWEEPER_EVENT = { actor: 'session_sweeper', reason: 'Widget session expired' };
+
+// How long a sweeper holds an expired session before another may retry it
+const SWEEP_LEASE_MINUTES = 5;
+
+/**
+ * Map a session row to the shape used by the widget routes
+ * @param {object} row - widget_sessions row
+ * @returns {object|null} Session
+ */
+function toSession(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    storeId: row.store_id,
+    transactionId: row.transaction_id,
+    shopDomain: row.shop_domain,
+    checkoutToken: row.shopify_checkout_token,
+    payments: row.payments || [],
+    expiresAt: row.expires_at
+  };
+}
+
+/**
+ * Secret that session tokens are signed with
+ */
+function getTokenSecret() {
+  const secret = process.env.WIDGET_SESSION_SECRET;
+
+  if (!secret) {
+    throw new Error('WIDGET_SESSION_SECRET environment variable is required');
+  }
+
+  return secret;
+}
+
+/**
+ * Signature of an encoded token payload
+ */
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', getTokenSecret()).update(encodedPayload).digest();
+}
+
+/**
+ * Short hash of a client attribute, so the token doesn't carry it in clear
+ */
+function fingerprint(value) {
+  return crypto.createHash('sha256').update(value || '').digest('base64url').slice(0, 22);
+}
+
+/**
+ * Sign a session token
+ * @param {object} session - Session
+ * @param {string} binding - One of SESSION_BINDINGS
+ * @param {object} client - { ip, userAgent } of the request starting the session
+ * @returns {string} Token
+ */
+function signSessionToken(session, binding, client) {
+  const payload = {
+    sid: session.id,
+    store: session.storeId,
+    checkout: session.checkoutToken,
+    exp: Math.floor(new Date(session.expiresAt).getTime() / 1000)
+  };
+
+  if (binding === 'user_agent' || binding === 'ip_and_user_agent') {
+    payload.ua = fingerprint(client.userAgent);
+  }
+
+  if (binding === 'ip_and_user_agent') {
+    payload.ip = fingerprint(client.ip);
+  }
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload).toString('base64url')}`;
+}
+
+/**
+ * Check a session token's signature, expiry and client binding
+ * @param {string} token - Session token
+ * @param {object} client - { ip, userAgent } of the request
+ * @param {number} now - Current time in seconds
+ * @returns {object} Token payload
+ * @throws {Error} If the token is malformed, badly signed, expired or from another client
+ */
+export function decodeSessionToken(token, client = {}, now = Math.floor(Date.now() / 1000)) {
+  const segments = typeof token === 'string' ? token.split('.') : [];
+  if (segments.length !== 2) {
+    throw new Error('Session token is malformed');
+  }
+
+  const [encodedPayload, encodedSignature] = segments;
+  const expected = sign(encodedPayload);
+  const received = Buffer.from(encodedSignature, 'base64url');
+
+  // timingSafeEqual throws on a length mismatch
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Invalid session token signature');
+  }
+
+  const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+
+  if (typeof payload.exp !== 'number' || payload.exp <= now) {
+    throw new Error('Session token has expired');
+  }
+
+  if (payload.ua !== undefined && payload.ua !== fingerprint(client.userAgent)) {
+    throw new Error('Session token was issued to another browser');
+  }
+
+  if (payload.ip !== undefined && payload.ip !== fingerprint(client.ip)) {
+    throw new Error('Session token was issued to another network');
+  }
+
+  return payload;
+}
+
+/**
+ * Create a new widget session
+ * @param {object} params - { storeId, transactionId, shopDomain, checkoutToken, binding, client }
+ *   binding is the store's sessionBinding; client is { ip, userAgent }
+ * @returns {Promise<object>} Session, with the token to hand the widget
+ */
+export async function createSession(params) {
+  const { storeId, transactionId, shopDomain, checkoutToken, binding = 'none', client = {} } = params;
+
+  const sessionId = `session_${crypto.randomBytes(16).toString('hex')}`;
+
+  const row = await widgetSessionQueries.createWidgetSession({
+    sessionId,
+    storeId,
+    transactionId,
+    shopDomain,
+    checkoutToken,
+    ttlMs: SESSION_TTL_MS
+  });
+
+  const session = toSession(row);
+  return { ...session, token: signSessionToken(session, binding, client) };
+}
+
+/**
+ * Get the active session a widget's token is for
+ * @param {string} token - Session token
+ * @param {object} client - { ip, userAgent } of the request
+ * @returns {Promise<object|null>} Session, or null if the token is rejected or the session is over
+ */
+export async function getSessionFromToken(token, client = {}) {
+  let payload;
+  try {
+    payload = decodeSessionToken(token, client);
+  } catch (error) {
+    logger.warn('Widget session token rejected', { error: error.message });
+    return null;
+  }
+
+  const row = await widgetSessionQueries.getActiveWidgetSession(storeScope(payload.store), payload.sid);
+
+  if (!row || row.shopify_checkout_token !== payload.checkout) {
+    return null;
+  }
+
+  return toSession(row);
+}
+
+/**
+ * Check that the cards submitted for checkout are exactly the session's
+ * Each must be one the session created, for the amount it was created for,
+ * and none may be left out or repeated.
+ * @param {object} session - Session
+ * @param {Array<object>} payments - Submitted { paymentIntentId, amount }
+ * @returns {object} { valid, error }
+ */
+export function validateSubmittedPayments(session, payments) {
+  if (payments.length !== session.payments.length) {
+    return {
+      valid: false,
+      error: `Expected ${session.payments.length} cards, got ${payments.length}`
+    };
+  }
+
+  const seen = new Set();
+
+  for (const submitted of payments) {
+    const sessionPayment = session.payments.find(p => p.paymentIntentId === submitted.paymentIntentId);
+
+    if (!sessionPayment) {
+      return { valid: false, error: `Card ${submitted.paymentIntentId} is not part of this checkout` };
+    }
+
+    if (seen.has(submitted.paymentIntentId)) {
+      return { valid: false, error: `Card ${submitted.paymentIntentId} was submitted twice` };
+    }
+
+    if (submitted.amount !== sessionPayment.amount) {
+      return { valid: false, error: `Card ${submitted.paymentIntentId} was added for a different amount` };
+    }
+
+    seen.add(submitted.paymentIntentId);
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Add a payment to a session
+ * @param {string} sessionId - Session ID
+ * @param {object} payment - { paymentId, paymentIntentId, amount }
+ * @param {number} maxPayments - Maximum cards allowed
+ * @returns {Promise<object|null>} Updated session, or null if full or expired
+ */
+export async function addPayment(sessionId, payment, maxPayments) {
+  const row = await widgetSessionQueries.addWidgetSessionPayment(sessionId, payment, maxPayments);
+  return toSession(row);
+}
+
+/**
+ * Remove a payment from a session
+ * @param {string} sessionId - Session ID
+ * @param {string} paymentIntentId - Stripe PaymentIntent ID
+ * @returns {Promise<object|null>} Updated session
+ */
+export async function removePayment(sessionId, paymentIntentId) {
+  const row = await widgetSessionQueries.removeWidgetSessionPayment(sessionId, paymentIntentId);
+  return toSession(row);
+}
+
+/**
+ * Mark a session as completed so it is never swept
+ * @param {string} sessionId - Session ID
+ */
+export async function completeSession(sessionId) {
+  await widgetSessionQueries.updateWidgetSessionStatus(sessionId, 'completed');
+}
+
+/**
+ * Cancel the PaymentIntents an expired session left behind
+ * Throws if any cancel fails, so the session is swept again.
+ * @param {object} session - Expired session
+ */
+async function releaseSession(session) {
+  const scope = storeScope(session.storeId);
+
+  const transaction = await transactionQueries.getTransactionById(scope, session.transactionId);
+  if (!transaction || !['pending', 'requires_action', 'awaiting_replacement'].includes(transaction.status)) {
+    return;
+  }
+
+  // The customer may carry on in a newer session until the replacement
+  // deadline, when the holds are released by releaseExpiredReplacements
+  if (transaction.status === 'awaiting_replacement') {
+    return;
+  }
+
+  for (const sessionPayment of session.payments) {
+    await cancelPaymentIntent(sessionPayment.paymentIntentId);
+
+    const payment = await paymentQueries.getPaymentByPaymentIntentId(scope, sessionPayment.paymentIntentId);
+    if (payment && canTransition('payment', payment.status, 'voided')) {
+      await paymentQueries.updatePaymentStatus(payment.id, 'voided', null, null, SWEEPER_EVENT);
+    }
+  }
+
+  if (transaction.status === 'requires_action') {
+    await transactionQueries.updateTransactionStatus(
+      transaction.id,
+      'failed',
+      'Session expired before card authentication completed',
+      SWEEPER_EVENT
+    );
+  }
+}
+
+/**
+ * Expire stale sessions and cancel their PaymentIntents
+ * Sessions whose checkout is underway are left alone, since checkout owns
+ * those PaymentIntents now, as are sessions awaiting a replacement card,
+ * which the replacement deadline settles. Abandoned 3D Secure challenges are
+ * voided. A session is only marked expired once all of that
+ * succeeded; otherwise its lease runs out and a later sweep retries it.
+ * @param {number} batchSize - Maximum sessions to sweep per call
+ * @returns {Promise<number>} Number of sessions expired
+ */
+export async function sweepExpiredSessions(batchSize = 50) {
+  const sessions = await widgetSessionQueries.claimExpiredWidgetSessions(SWEEP_LEASE_MINUTES, batchSize);
+  let expired = 0;
+
+  for (const row of sessions) {
+    const session = toSession(row);
+
+    try {
+      await releaseSession(session);
+      await widgetSessionQueries.updateWidgetSessionStatus(session.id, 'expired');
+      expired++;
+
+      logger.info('Widget session expired', {
+        sessionId: session.id,
+        transactionId: session.transactionId,
+        cancelled: session.payments.length
+      });
+    } catch (error) {
+      logger.error('Error sweeping expired widget session', {
+        error: error.message,
+        sessionId: session.id
+      });
+    }
+  }
+
+  return expired;
+}
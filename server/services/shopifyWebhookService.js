@@ -0,0 +1,219 @@
+import { logger } from '../utils/logger.js';
+import * as storeQueries from '../db/queries/stores.js';
+import * as transactionQueries from '../db/queries/transactions.js';
+import * as paymentQueries from '../db/queries/payments.js';
+import * as transactionEventQueries from '../db/queries/transactionEvents.js';
+import { storeScope } from '../db/scope.js';
+import * as paymentService from './paymentService.js';
+import * as orderService from './orderService.js';
+import * as refundService from './refundService.js';
+import * as checkoutService from './checkoutService.js';
+import * as installService from './installService.js';
+import { normalizeShopifyCheckout } from '../providers/shopifyCheckoutSource.js';
+
+/**
+ * Shopify webhook service - applies Shopify webhooks to our records
+ * Webhooks arrive here from the webhook inbox, never straight from the route.
+ * Handlers throw to have the webhook retried.
+ */
+
+/**
+ * Apply a Shopify webhook
+ * @param {string} topic - Webhook topic, e.g. orders/fulfilled
+ * @param {string} shop - Shop domain
+ * @param {object} payload - Webhook body
+ * @returns {Promise<boolean>} False if the topic is not handled
+ */
+export async function handleShopifyWebhook(topic, shop, payload) {
+  switch (topic) {
+    case 'app/uninstalled':
+      await handleAppUninstalled(shop);
+      return true;
+
+    case 'orders/create':
+      await handleOrderCreate(shop, payload);
+      return true;
+
+    case 'orders/fulfilled':
+      await handleOrderFulfilled(shop, payload);
+      return true;
+
+    case 'orders/cancelled':
+      await handleOrderCancelled(shop, payload);
+      return true;
+
+    case 'orders/refunded':
+      await handleOrderRefunded(shop, payload);
+      return true;
+
+    case 'refunds/create':
+      await handleRefundCreate(shop, payload);
+      return true;
+
+    case 'checkouts/update':
+      await handleCheckoutUpdate(shop, payload);
+      return true;
+
+    case 'checkouts/delete':
+      await handleCheckoutDelete(shop, payload);
+      return true;
+
+    default:
+      logger.warn('Unhandled webhook topic', { topic, shop });
+      return false;
+  }
+}
+
+/**
+ * Handle app uninstalled webhook
+ */
+async function handleAppUninstalled(shop) {
+  logger.info('App uninstalled', { shop });
+  await installService.uninstall(shop);
+}
+
+/**
+ * Handle order created webhook
+ */
+async function handleOrderCreate(shop, payload) {
+  logger.info('Order created webhook', { shop, orderId: payload.id });
+  // Could update transaction status if needed
+}
+
+/**
+ * Handle order fulfilled webhook
+ * Captures the held cards of deferred-capture transactions and records the
+ * captures on the order. A retry after the capture went through finds the
+ * transaction completed and records whatever the order is still missing.
+ */
+async function handleOrderFulfilled(shop, payload) {
+  logger.info('Order fulfilled webhook', { shop, orderId: payload.id });
+
+  const transaction = await getShopTransactionForOrder(shop, payload.id);
+
+  if (!transaction) {
+    return;
+  }
+
+  const scope = storeScope(transaction.store_id);
+
+  if (transaction.status === 'authorized') {
+    await paymentService.captureTransaction(transaction.id, {
+      actor: 'shopify_webhook',
+      reason: 'Order fulfilled',
+      shopifyObjectId: payload.id.toString()
+    });
+  } else if (transaction.status !== 'completed' || !(await wasCaptureDeferred(scope, transaction.id))) {
+    return;
+  }
+
+  // Every captured card, not just this attempt's, so captures that an
+  // earlier attempt made but never recorded are recorded now
+  const payments = await paymentQueries.getPaymentsByTransactionId(scope, transaction.id);
+
+  await orderService.recordOrderCapture(
+    shop,
+    payload.id.toString(),
+    payments
+      .filter(p => p.status === 'captured')
+      .map(p => ({ paymentIntentId: p.stripe_payment_intent_id, amount: p.amount })),
+    transaction.currency
+  );
+}
+
+/**
+ * Whether a transaction was completed by capturing held cards, rather than
+ * charged at checkout
+ */
+async function wasCaptureDeferred(scope, transactionId) {
+  const events = await transactionEventQueries.getTransactionEvents(scope, transactionId);
+
+  return events.some(e =>
+    e.entity_type === 'transaction' && e.from_status === 'authorized' && e.to_status === 'completed'
+  );
+}
+
+/**
+ * Find the transaction behind a Shopify order, if it belongs to the shop
+ */
+async function getShopTransactionForOrder(shop, orderId) {
+  const store = await storeQueries.getStoreByDomain(shop);
+  if (!store) {
+    return null;
+  }
+
+  return transactionQueries.getTransactionByOrderId(storeScope(store.id), orderId.toString());
+}
+
+/**
+ * Handle order cancelled webhook
+ * Voids held cards or refunds what is left on captured ones
+ */
+async function handleOrderCancelled(shop, payload) {
+  logger.info('Order cancelled webhook', { shop, orderId: payload.id, reason: payload.cancel_reason });
+
+  const transaction = await getShopTransactionForOrder(shop, payload.id);
+  if (!transaction) {
+    return;
+  }
+
+  await refundService.refundCancelledOrder(transaction, payload);
+}
+
+/**
+ * Handle order refunded webhook
+ * Refunds the cards for each refund on the order that the merchant made in
+ * Shopify; the order lists earlier refunds too, which are skipped as mirrored
+ */
+async function handleOrderRefunded(shop, payload) {
+  logger.info('Order refunded webhook', { shop, orderId: payload.id });
+
+  const transaction = await getShopTransactionForOrder(shop, payload.id);
+  if (!transaction) {
+    return;
+  }
+
+  for (const refund of payload.refunds || []) {
+    // Re-read so each refund sees the status and totals the last one left
+    const current = await transactionQueries.getTransactionById(storeScope(transaction.store_id), transaction.id);
+    await refundService.mirrorShopifyRefund(current, refund);
+  }
+}
+
+/**
+ * Handle refund created webhook
+ * Same as orders/refunded, for a single refund
+ */
+async function handleRefundCreate(shop, payload) {
+  logger.info('Refund created webhook', { shop, orderId: payload.order_id, refundId: payload.id });
+
+  const transaction = await getShopTransactionForOrder(shop, payload.order_id);
+  if (!transaction) {
+    return;
+  }
+
+  await refundService.mirrorShopifyRefund(transaction, payload);
+}
+
+/**
+ * Handle checkout update webhook
+ * Keeps an open split's total in step with the cart
+ */
+async function handleCheckoutUpdate(shop, payload) {
+  logger.info('Checkout updated webhook', { shop, checkoutToken: payload.token });
+
+  const store = await storeQueries.getStoreByDomain(shop);
+  if (!store) {
+    return;
+  }
+
+  await checkoutService.applyCheckoutUpdate(store.id, normalizeShopifyCheckout(payload));
+}
+
+/**
+ * Handle checkout delete webhook
+ */
+async function handleCheckoutDelete(shop, payload) {
+  logger.info('Checkout deleted webhook', { shop, checkoutId: payload.id });
+  // Could clean up pending transactions
+}
@@ -1,11 +1,137 @@
 import { logger } from '../utils/logger.js';
+import { formatCents } from '../utils/currency.js';
 import * as storeQueries from '../db/queries/stores.js';
 import * as transactionQueries from '../db/queries/transactions.js';
+import { storeScope } from '../db/scope.js';
 
 /**
  * Store service - manages store settings and statistics
  */
 
+// immediate: capture right after authorization
+// on_fulfillment: keep holds until the Shopify order is fulfilled
+export const CAPTURE_MODES = ['immediate', 'on_fulfillment'];
+
+// What to do with a deferred hold that is about to expire
+export const HOLD_EXPIRY_ACTIONS = ['void', 'reauthorize'];
+
+// destination: charged on the platform and transferred to the merchant
+// direct: charged on the merchant's connected account
+export const CHARGE_TYPES = ['destination', 'direct'];
+
+const DEFAULT_CHARGE_TYPE = process.env.STRIPE_CHARGE_TYPE || 'destination';
+
+/**
+ * Get how a store's cards are charged through Stripe Connect
+ * @param {object} store - Store record
+ * @returns {string} One of CHARGE_TYPES
+ */
+export function getChargeType(store) {
+  const chargeType = store?.settings?.chargeType;
+  return CHARGE_TYPES.includes(chargeType) ? chargeType : DEFAULT_CHARGE_TYPE;
+}
+
+// void_all: one decline voids every card and the customer starts over
+// replace_card: other holds are kept while the customer swaps the declined card
+export const DECLINE_MODES = ['void_all', 'replace_card'];
+
+const DEFAULT_REPLACE_CARD_GRACE_MINUTES = 10;
+
+/**
+ * Get a store's decline mode
+ * @param {object} store - Store record
+ * @returns {string} One of DECLINE_MODES
+ */
+export function getDeclineMode(store) {
+  const mode = store?.settings?.declineMode;
+  return DECLINE_MODES.includes(mode) ? mode : 'void_all';
+}
+
+/**
+ * Get how long other holds are kept while a declined card is replaced
+ * @param {object} store - Store record
+ * @returns {number} Grace period in minutes
+ */
+export function getReplaceCardGraceMinutes(store) {
+  return store?.settings?.replaceCardGraceMinutes || DEFAULT_REPLACE_CARD_GRACE_MINUTES;
+}
+
+// What to do when a charged checkout's Shopify order can't be created
+// offer_refund: alert the merchant with a one-click proportional refund
+// refund: refund (or release the holds) straight away and alert the merchant
+export const ORDER_FAILURE_ACTIONS = ['offer_refund', 'refund'];
+
+/**
+ * Get a store's order failure action
+ * @param {object} store - Store record
+ * @returns {string} One of ORDER_FAILURE_ACTIONS
+ */
+export function getOrderFailureAction(store) {
+  const action = store?.settings?.orderFailureAction;
+  return ORDER_FAILURE_ACTIONS.includes(action) ? action : 'offer_refund';
+}
+
+// What to do when Stripe Radar raises an early fraud warning on a card
+// refund_leg: refund the flagged card
+// refund_all: refund every card of the split (or release the holds)
+// flag: leave the money alone and alert the merchant to review the order
+export const FRAUD_WARNING_ACTIONS = ['refund_leg', 'refund_all', 'flag'];
+
+/**
+ * Get a store's early fraud warning action
+ * @param {object} store - Store record
+ * @returns {string} One of FRAUD_WARNING_ACTIONS
+ */
+export function getFraudWarningAction(store) {
+  const action = store?.settings?.fraudWarningAction;
+  return FRAUD_WARNING_ACTIONS.includes(action) ? action : 'flag';
+}
+
+/**
+ * Whether a store cancels the Shopify order after refunding on a fraud warning
+ * @param {object} store - Store record
+ * @returns {boolean} True to cancel
+ */
+export function shouldCancelOrderOnFraud(store) {
+  return store?.settings?.fraudWarningCancelOrder === true;
+}
+
+// What a widget session token is tied to besides its checkout
+// none: the token works from any browser until it expires
+// user_agent: only from the browser it was issued to
+// ip_and_user_agent: only from that browser on the same network
+export const SESSION_BINDINGS = ['none', 'user_agent', 'ip_and_user_agent'];
+
+/**
+ * Get a store's widget session binding
+ * @param {object} store - Store record
+ * @returns {string} One of SESSION_BINDINGS
+ */
+export function getSessionBinding(store) {
+  const binding = store?.settings?.sessionBinding;
+  return SESSION_BINDINGS.includes(binding) ? binding : 'none';
+}
+
+/**
+ * Get a store's capture mode
+ * @param {object} store - Store record
+ * @returns {string} One of CAPTURE_MODES
+ */
+export function getCaptureMode(store) {
+  const mode = store?.settings?.captureMode;
+  return CAPTURE_MODES.includes(mode) ? mode : 'immediate';
+}
+
+/**
+ * Get a store's hold expiry action
+ * @param {object} store - Store record
+ * @returns {string} One of HOLD_EXPIRY_ACTIONS
+ */
+export function getHoldExpiryAction(store) {
+  const action = store?.settings?.holdExpiryAction;
+  return HOLD_EXPIRY_ACTIONS.includes(action) ? action : 'void';
+}
+
 /**
  * Get store settings
  * @param {number} storeId - Store ID
@@ -22,7 +148,9 @@ export async function getStoreSettings(storeId) {
     shopDomain: store.shop_domain,
     settings: store.settings || {},
     isActive: store.is_active,
-    installedAt: store.installed_at
+    installedAt: store.installed_at,
+    stripeAccountId: store.stripe_account_id,
+    stripeChargesEnabled: store.stripe_charges_enabled
   };
 }
 
@@ -49,12 +177,52 @@ export async function updateStoreSettings(storeId, settings) {
     }
   }
 
+  // In the store currency's minor unit; Stripe's per-currency minimum still applies at checkout
   if (settings.minAmount !== undefined) {
-    if (settings.minAmount < 100) {
-      throw new Error('minAmount must be at least 100 cents ($1.00)');
+    if (!Number.isInteger(settings.minAmount) || settings.minAmount < 1) {
+      throw new Error('minAmount must be a positive whole number of the currency\'s smallest unit');
     }
   }
 
+  if (settings.captureMode !== undefined && !CAPTURE_MODES.includes(settings.captureMode)) {
+    throw new Error(`captureMode must be one of: ${CAPTURE_MODES.join(', ')}`);
+  }
+
+  if (settings.holdExpiryAction !== undefined && !HOLD_EXPIRY_ACTIONS.includes(settings.holdExpiryAction)) {
+    throw new Error(`holdExpiryAction must be one of: ${HOLD_EXPIRY_ACTIONS.join(', ')}`);
+  }
+
+  if (settings.chargeType !== undefined && !CHARGE_TYPES.includes(settings.chargeType)) {
+    throw new Error(`chargeType must be one of: ${CHARGE_TYPES.join(', ')}`);
+  }
+
+  if (settings.declineMode !== undefined && !DECLINE_MODES.includes(settings.declineMode)) {
+    throw new Error(`declineMode must be one of: ${DECLINE_MODES.join(', ')}`);
+  }
+
+  if (settings.replaceCardGraceMinutes !== undefined) {
+    if (!Number.isInteger(settings.replaceCardGraceMinutes) ||
+        settings.replaceCardGraceMinutes < 1 || settings.replaceCardGraceMinutes > 60) {
+      throw new Error('replaceCardGraceMinutes must be between 1 and 60');
+    }
+  }
+
+  if (settings.orderFailureAction !== undefined && !ORDER_FAILURE_ACTIONS.includes(settings.orderFailureAction)) {
+    throw new Error(`orderFailureAction must be one of: ${ORDER_FAILURE_ACTIONS.join(', ')}`);
+  }
+
+  if (settings.fraudWarningAction !== undefined && !FRAUD_WARNING_ACTIONS.includes(settings.fraudWarningAction)) {
+    throw new Error(`fraudWarningAction must be one of: ${FRAUD_WARNING_ACTIONS.join(', ')}`);
+  }
+
+  if (settings.fraudWarningCancelOrder !== undefined && typeof settings.fraudWarningCancelOrder !== 'boolean') {
+    throw new Error('fraudWarningCancelOrder must be true or false');
+  }
+
+  if (settings.sessionBinding !== undefined && !SESSION_BINDINGS.includes(settings.sessionBinding)) {
+    throw new Error(`sessionBinding must be one of: ${SESSION_BINDINGS.join(', ')}`);
+  }
+
   const updated = await storeQueries.updateStoreSettings(storeId, updatedSettings);
 
   logger.info('Store settings updated', {
@@ -77,8 +245,7 @@ export async function getStoreStats(storeId) {
   }
 
   // Get transaction statistics
-  const allTransactions = await transactionQueries.getTransactions({
-    storeId,
+  const allTransactions = await transactionQueries.getTransactions(storeScope(storeId), {
     page: 1,
     limit: 10000 // Get all for stats
   });
@@ -92,6 +259,9 @@ export async function getStoreStats(storeId) {
     .filter(t => t.status === 'completed')
     .reduce((sum, t) => sum + t.total_amount, 0);
 
+  // A store settles in one currency; the first transaction tells which
+  const currency = transactions[0]?.currency || 'USD';
+
   const successRate = totalTransactions > 0 
     ? (completedTransactions / totalTransactions) * 100 
     : 0;
@@ -104,7 +274,8 @@ export async function getStoreStats(storeId) {
     failedTransactions,
     successRate: Math.round(successRate * 100) / 100,
     totalVolume,
-    totalVolumeFormatted: `$${(totalVolume / 100).toFixed(2)}`,
+    currency,
+    totalVolumeFormatted: formatCents(totalVolume, currency),
     isActive: store.is_active
   };
 }
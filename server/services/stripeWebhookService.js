@@ -0,0 +1,154 @@
+import { logger } from '../utils/logger.js';
+import * as paymentQueries from '../db/queries/payments.js';
+import * as refundQueries from '../db/queries/refunds.js';
+import { SYSTEM_SCOPE } from '../db/scope.js';
+import { canTransition } from '../utils/stateMachine.js';
+import * as connectService from './connectService.js';
+import * as disputeService from './disputeService.js';
+import * as fraudService from './fraudService.js';
+
+/**
+ * Stripe webhook service - applies Stripe events to our records
+ * Events arrive here from the webhook inbox, never straight from the route.
+ * Handlers throw to have the event retried.
+ */
+
+// Stripe refund status -> ours; pending and requires_action stay pending
+const REFUND_STATUSES = {
+  succeeded: 'succeeded',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+/**
+ * Apply a Stripe event
+ * @param {object} event - Verified Stripe Event
+ * @returns {Promise<boolean>} False if the event type is not handled
+ */
+export async function handleStripeEvent(event) {
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      await handlePaymentIntentSucceeded(event.data.object, event);
+      return true;
+
+    case 'payment_intent.payment_failed':
+      await handlePaymentIntentFailed(event.data.object, event);
+      return true;
+
+    case 'charge.refunded':
+      await handleChargeRefunded(event.data.object, event);
+      return true;
+
+    // Connect events - onboarding progress and merchants disconnecting the app
+    case 'account.updated':
+      await connectService.syncAccount(event.data.object);
+      return true;
+
+    case 'account.application.deauthorized':
+      await connectService.disconnectAccount(event.account);
+      return true;
+
+    // The object is a Dispute, not a Charge
+    case 'charge.dispute.created':
+    case 'charge.dispute.updated':
+    case 'charge.dispute.closed':
+    case 'charge.dispute.funds_withdrawn':
+      await disputeService.recordDisputeEvent(event.data.object, event);
+      return true;
+
+    // Radar expects a chargeback on one card of a split
+    case 'radar.early_fraud_warning.created':
+      await fraudService.handleEarlyFraudWarning(event.data.object, event);
+      return true;
+
+    default:
+      logger.debug('Unhandled Stripe webhook type', { type: event.type });
+      return false;
+  }
+}
+
+/**
+ * Handle payment_intent.succeeded
+ */
+async function handlePaymentIntentSucceeded(paymentIntent, event) {
+  logger.info('PaymentIntent succeeded', {
+    paymentIntentId: paymentIntent.id
+  });
+
+  // Update payment status if needed
+  const payment = await paymentQueries.getPaymentByPaymentIntentId(SYSTEM_SCOPE, paymentIntent.id);
+  if (payment && payment.status !== 'captured' && canTransition('payment', payment.status, 'captured')) {
+    await paymentQueries.updatePaymentStatus(payment.id, 'captured', null, null, {
+      actor: 'stripe_webhook',
+      metadata: { stripeEventId: event.id }
+    });
+
+    // Update card details if available
+    if (paymentIntent.payment_method) {
+      // In production, retrieve payment method details
+      // For now, we'll just log it
+      logger.debug('Payment method attached', {
+        paymentIntentId: paymentIntent.id,
+        paymentMethodId: paymentIntent.payment_method
+      });
+    }
+  }
+}
+
+/**
+ * Handle payment_intent.payment_failed
+ */
+async function handlePaymentIntentFailed(paymentIntent, event) {
+  logger.warn('PaymentIntent failed', {
+    paymentIntentId: paymentIntent.id,
+    error: paymentIntent.last_payment_error
+  });
+
+  // Update payment status
+  const payment = await paymentQueries.getPaymentByPaymentIntentId(SYSTEM_SCOPE, paymentIntent.id);
+  if (payment && canTransition('payment', payment.status, 'failed')) {
+    const error = paymentIntent.last_payment_error;
+    await paymentQueries.updatePaymentStatus(
+      payment.id,
+      'failed',
+      error?.code,
+      error?.message,
+      { actor: 'stripe_webhook', metadata: { stripeEventId: event.id } }
+    );
+  }
+}
+
+/**
+ * Handle charge.refunded
+ * The Charge lists its refunds; each one made here is matched to its record
+ * by refund ID. Refunds made elsewhere (e.g. the Stripe dashboard) have none.
+ */
+async function handleChargeRefunded(charge, event) {
+  logger.info('Charge refunded', {
+    chargeId: charge.id,
+    paymentIntentId: charge.payment_intent
+  });
+
+  for (const stripeRefund of charge.refunds?.data || []) {
+    const refund = await refundQueries.getRefundByStripeRefundId(SYSTEM_SCOPE, stripeRefund.id);
+
+    if (!refund) {
+      logger.warn('Refund record not found for Stripe refund', {
+        chargeId: charge.id,
+        refundId: stripeRefund.id
+      });
+      continue;
+    }
+
+    const status = REFUND_STATUSES[stripeRefund.status] || 'pending';
+
+    if (refund.status !== status && canTransition('refund', refund.status, status)) {
+      await refundQueries.updateRefundStatus(
+        refund.id,
+        status,
+        status === 'failed' ? stripeRefund.failure_reason || `Refund ${stripeRefund.status}` : null,
+        { actor: 'stripe_webhook', metadata: { stripeEventId: event.id } }
+      );
+    }
+  }
+}
@@ -0,0 +1,203 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { enqueueJob } from './jobService.js';
+import { handleStripeEvent } from './stripeWebhookService.js';
+import { handleShopifyWebhook } from './shopifyWebhookService.js';
+import * as webhookEventQueries from '../db/queries/webhookEvents.js';
+import * as storeQueries from '../db/queries/stores.js';
+import * as transactionQueries from '../db/queries/transactions.js';
+import { SYSTEM_SCOPE } from '../db/scope.js';
+
+/**
+ * Webhook inbox service - persist, deduplicate and process webhooks
+ * Routes verify a webhook, record it here and acknowledge straight away. A
+ * redelivery of a recorded webhook is dropped. Each new webhook gets a
+ * webhooks.process job, which applies it once and retries it on failure;
+ * once its attempts run out it stays failed until replayed from the admin.
+ */
+
+export const PROCESS_JOB = 'webhooks.process';
+
+/**
+ * Work out which store a Stripe event belongs to
+ * Direct-charge and Connect events name the account; platform charges carry
+ * our transaction ID in metadata.
+ */
+async function findStripeEventStore(event) {
+  if (event.account) {
+    const store = await storeQueries.getStoreByStripeAccountId(event.account);
+    if (store) return store;
+  }
+
+  const transactionId = parseInt(event.data?.object?.metadata?.transactionId, 10);
+  if (transactionId) {
+    const transaction = await transactionQueries.getTransactionById(SYSTEM_SCOPE, transactionId);
+    if (transaction) {
+      return storeQueries.getStoreById(transaction.store_id);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Queue a recorded webhook for processing
+ * Keyed by event, so queuing one that is already queued does nothing.
+ */
+async function enqueueProcessing(event) {
+  return enqueueJob(PROCESS_JOB, { webhookEventId: event.id }, {
+    storeId: event.store_id,
+    uniqueKey: `webhook:${event.id}`
+  });
+}
+
+/**
+ * Record a webhook and queue it for processing
+ * @returns {Promise<object>} { event, duplicate }
+ */
+async function receive(data) {
+  const event = await webhookEventQueries.recordWebhookEvent(data);
+
+  if (!event) {
+    const existing = await webhookEventQueries.getWebhookEventByExternalId(SYSTEM_SCOPE, data.source, data.externalId);
+
+    // Recorded by a delivery that failed before its job was queued
+    if (existing?.status === 'pending') {
+      await enqueueProcessing(existing);
+    }
+
+    logger.info('Duplicate webhook ignored', {
+      source: data.source,
+      externalId: data.externalId,
+      topic: data.topic
+    });
+    return { event: existing, duplicate: true };
+  }
+
+  await enqueueProcessing(event);
+
+  return { event, duplicate: false };
+}
+
+/**
+ * Record a verified Stripe event
+ * @param {object} event - Stripe Event
+ * @returns {Promise<object>} { event, duplicate }
+ */
+export async function receiveStripeEvent(event) {
+  const store = await findStripeEventStore(event);
+
+  return receive({
+    source: 'stripe',
+    externalId: event.id,
+    topic: event.type,
+    shopDomain: store?.shop_domain || null,
+    storeId: store?.id || null,
+    payload: event
+  });
+}
+
+/**
+ * Record a verified Shopify webhook
+ * Webhooks are keyed by X-Shopify-Webhook-Id, which Shopify keeps across
+ * retries. Without one the body's hash stands in.
+ * @param {object} webhook - { webhookId, topic, shop, payload }
+ * @returns {Promise<object>} { event, duplicate }
+ */
+export async function receiveShopifyWebhook({ webhookId, topic, shop, payload }) {
+  const externalId = webhookId || crypto
+    .createHash('sha256')
+    .update(`${shop}:${topic}:${JSON.stringify(payload)}`)
+    .digest('hex');
+
+  const store = await storeQueries.getStoreByDomain(shop);
+
+  return receive({
+    source: 'shopify',
+    externalId,
+    topic,
+    shopDomain: shop,
+    storeId: store?.id || null,
+    payload
+  });
+}
+
+/**
+ * Process a recorded webhook - the webhooks.process job handler
+ * Throws on failure so the job is retried; the event shows retrying until the
+ * job's last attempt, then failed.
+ * @param {number} webhookEventId - Webhook event ID
+ * @param {object} job - Job being run
+ */
+export async function processWebhookEvent(webhookEventId, job) {
+  const event = await webhookEventQueries.getWebhookEventById(SYSTEM_SCOPE, webhookEventId);
+
+  if (!event) {
+    logger.warn('Webhook event to process not found', { webhookEventId });
+    return;
+  }
+
+  if (event.status === 'processed' || event.status === 'ignored') {
+    return;
+  }
+
+  try {
+    const handled = event.source === 'stripe'
+      ? await handleStripeEvent(event.payload)
+      : await handleShopifyWebhook(event.topic, event.shop_domain, event.payload);
+
+    await webhookEventQueries.updateWebhookEventStatus(event.id, handled ? 'processed' : 'ignored');
+  } catch (error) {
+    const final = error.retryable === false || job.attempts >= job.max_attempts;
+
+    logger.error('Error processing webhook', {
+      error: error.message,
+      webhookEventId: event.id,
+      source: event.source,
+      topic: event.topic,
+      attempts: job.attempts,
+      stack: error.stack
+    });
+
+    await webhookEventQueries.updateWebhookEventStatus(
+      event.id,
+      final ? 'failed' : 'retrying',
+      error.message
+    );
+
+    throw error;
+  }
+}
+
+/**
+ * Get a store's webhook events
+ * @param {object} scope - Store scope
+ * @param {object} filters - { source, status, topic, page, limit }
+ * @returns {Promise<object>} { events, total, page, pages }
+ */
+export async function getStoreWebhookEvents(scope, filters = {}) {
+  return webhookEventQueries.getWebhookEvents(scope, filters);
+}
+
+/**
+ * Process a failed webhook again
+ * @param {number} webhookEventId - Webhook event ID
+ * @returns {Promise<object|null>} Event, or null if it is not failed
+ */
+export async function replayWebhookEvent(webhookEventId) {
+  const event = await webhookEventQueries.resetFailedWebhookEvent(webhookEventId);
+
+  if (!event) {
+    return null;
+  }
+
+  await enqueueProcessing(event);
+
+  logger.info('Webhook replayed', {
+    webhookEventId: event.id,
+    source: event.source,
+    topic: event.topic
+  });
+
+  return event;
+}
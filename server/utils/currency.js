@@ -1,69 +1,158 @@
 /**
  * Currency formatting and conversion utilities
+ * All amounts are integers in the currency's minor unit, as Stripe expects:
+ * cents for USD, whole yen for JPY, fils (1/1000) for KWD.
  */
 
 /**
- * Format cents to currency string
- * @param {number} cents - Amount in cents
+ * Currency metadata
+ * minorUnits: decimal places of the minor unit
+ * minimumAmount: Stripe's minimum charge, in minor units. Where Stripe gives no
+ *   fixed minimum (it converts from USD 0.50) an equivalent is rounded up.
+ * amountStep: Stripe only accepts three-decimal amounts that are multiples of 10
+ */
+export const CURRENCIES = {
+  USD: { minorUnits: 2, minimumAmount: 50 },
+  EUR: { minorUnits: 2, minimumAmount: 50 },
+  GBP: { minorUnits: 2, minimumAmount: 30 },
+  CAD: { minorUnits: 2, minimumAmount: 50 },
+  AUD: { minorUnits: 2, minimumAmount: 50 },
+  NZD: { minorUnits: 2, minimumAmount: 50 },
+  CHF: { minorUnits: 2, minimumAmount: 50 },
+  SGD: { minorUnits: 2, minimumAmount: 50 },
+  HKD: { minorUnits: 2, minimumAmount: 400 },
+  DKK: { minorUnits: 2, minimumAmount: 250 },
+  NOK: { minorUnits: 2, minimumAmount: 300 },
+  SEK: { minorUnits: 2, minimumAmount: 300 },
+  PLN: { minorUnits: 2, minimumAmount: 200 },
+  CZK: { minorUnits: 2, minimumAmount: 1500 },
+  RON: { minorUnits: 2, minimumAmount: 200 },
+  BGN: { minorUnits: 2, minimumAmount: 100 },
+  MXN: { minorUnits: 2, minimumAmount: 1000 },
+  BRL: { minorUnits: 2, minimumAmount: 50 },
+  INR: { minorUnits: 2, minimumAmount: 50 },
+  AED: { minorUnits: 2, minimumAmount: 200 },
+  MYR: { minorUnits: 2, minimumAmount: 200 },
+  THB: { minorUnits: 2, minimumAmount: 1000 },
+
+  // Zero-decimal
+  JPY: { minorUnits: 0, minimumAmount: 50 },
+  KRW: { minorUnits: 0, minimumAmount: 700 },
+  VND: { minorUnits: 0, minimumAmount: 13000 },
+  CLP: { minorUnits: 0, minimumAmount: 500 },
+
+  // Three-decimal
+  BHD: { minorUnits: 3, minimumAmount: 190, amountStep: 10 },
+  KWD: { minorUnits: 3, minimumAmount: 160, amountStep: 10 },
+  JOD: { minorUnits: 3, minimumAmount: 360, amountStep: 10 },
+  OMR: { minorUnits: 3, minimumAmount: 200, amountStep: 10 },
+  TND: { minorUnits: 3, minimumAmount: 1560, amountStep: 10 }
+};
+
+/**
+ * Get metadata for a currency
+ * Currencies missing from the table fall back to their ISO 4217 decimals and
+ * a minimum of half a major unit.
+ * @param {string} currency - Currency code (default: USD)
+ * @returns {object} { code, minorUnits, minimumAmount, amountStep }
+ */
+export function getCurrency(currency = 'USD') {
+  const code = currency.toUpperCase();
+  const known = CURRENCIES[code];
+
+  if (known) {
+    return { code, amountStep: 1, ...known };
+  }
+
+  const minorUnits = new Intl.NumberFormat('en-US', { style: 'currency', currency: code })
+    .resolvedOptions().maximumFractionDigits;
+
+  return {
+    code,
+    minorUnits,
+    minimumAmount: Math.ceil(10 ** minorUnits / 2),
+    amountStep: minorUnits === 3 ? 10 : 1
+  };
+}
+
+/**
+ * Whether the currency is in the metadata table
+ * @param {string} currency - Currency code
+ * @returns {boolean} True if supported
+ */
+export function isSupportedCurrency(currency) {
+  return typeof currency === 'string' && Boolean(CURRENCIES[currency.toUpperCase()]);
+}
+
+/**
+ * Format an amount in minor units as a currency string
+ * @param {number} amount - Amount in minor units
  * @param {string} currency - Currency code (default: USD)
  * @returns {string} Formatted currency string
  */
-export function formatCents(cents, currency = 'USD') {
-  const amount = cents / 100;
-  
+export function formatCents(amount, currency = 'USD') {
+  const { code, minorUnits } = getCurrency(currency);
+
   const formatter = new Intl.NumberFormat('en-US', {
     style: 'currency',
-    currency: currency.toUpperCase(),
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2
+    currency: code,
+    minimumFractionDigits: minorUnits,
+    maximumFractionDigits: minorUnits
   });
 
-  return formatter.format(amount);
+  return formatter.format(fromMinorUnits(amount, code));
 }
 
 /**
- * Convert dollars to cents
- * @param {number} dollars - Amount in dollars
- * @returns {number} Amount in cents
+ * Convert a major-unit amount (e.g. 12.50 dollars) to minor units
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - Currency code (default: USD)
+ * @returns {number} Amount in minor units
  */
-export function dollarsToCents(dollars) {
-  return Math.round(dollars * 100);
+export function toMinorUnits(amount, currency = 'USD') {
+  return Math.round(amount * 10 ** getCurrency(currency).minorUnits);
 }
 
 /**
- * Convert cents to dollars
- * @param {number} cents - Amount in cents
- * @returns {number} Amount in dollars
+ * Convert minor units to a major-unit amount
+ * @param {number} amount - Amount in minor units
+ * @param {string} currency - Currency code (default: USD)
+ * @returns {number} Amount in major units
  */
-export function centsToDollars(cents) {
-  return cents / 100;
+export function fromMinorUnits(amount, currency = 'USD') {
+  return amount / 10 ** getCurrency(currency).minorUnits;
 }
 
 /**
- * Validate amount is positive and meets minimum
- * @param {number} cents - Amount in cents
- * @param {number} minCents - Minimum amount in cents (default: 100 = $1.00)
- * @returns {boolean} True if valid
+ * Convert minor units to a plain decimal string, e.g. for the Shopify API
+ * @param {number} amount - Amount in minor units
+ * @param {string} currency - Currency code (default: USD)
+ * @returns {string} Decimal string such as "12.50", "1200" or "3.250"
  */
-export function validateAmount(cents, minCents = 100) {
-  return Number.isInteger(cents) && cents >= minCents;
+export function toDecimalString(amount, currency = 'USD') {
+  return fromMinorUnits(amount, currency).toFixed(getCurrency(currency).minorUnits);
 }
 
 /**
- * Round amount to nearest cent (handles floating point issues)
- * @param {number} amount - Amount that might have floating point issues
- * @returns {number} Rounded amount in cents
+ * Validate amount is a chargeable integer that meets the minimum
+ * @param {number} amount - Amount in minor units
+ * @param {string} currency - Currency code (default: USD)
+ * @param {number} minAmount - Minimum amount in minor units (default: Stripe's minimum)
+ * @returns {boolean} True if valid
  */
-export function roundToCents(amount) {
-  return Math.round(amount * 100);
+export function validateAmount(amount, currency = 'USD', minAmount = null) {
+  const { minimumAmount, amountStep } = getCurrency(currency);
+  return Number.isInteger(amount) &&
+    amount >= Math.max(minAmount || 0, minimumAmount) &&
+    amount % amountStep === 0;
 }
 
 /**
  * Calculate proportional split
- * @param {number} totalAmount - Total amount in cents
- * @param {number} portion - Portion amount in cents
+ * @param {number} totalAmount - Total amount in minor units
+ * @param {number} portion - Portion amount in minor units
  * @param {number} splitAmount - Amount to split proportionally
- * @returns {number} Proportional amount in cents
+ * @returns {number} Proportional amount in minor units
  */
 export function calculateProportionalAmount(totalAmount, portion, splitAmount) {
   if (totalAmount === 0) return 0;
@@ -73,13 +162,17 @@ export function calculateProportionalAmount(totalAmount, portion, splitAmount) {
 
 /**
  * Distribute amount across multiple portions with rounding
- * @param {number} totalAmount - Total amount to distribute
+ * Each share is rounded to the currency's amount step; whatever rounding
+ * leaves over goes to the largest share.
+ * @param {number} totalAmount - Total amount to distribute, in minor units
  * @param {Array<number>} portions - Array of portion amounts
+ * @param {string} currency - Currency code (default: USD)
  * @returns {Array<number>} Array of distributed amounts
  */
-export function distributeProportionally(totalAmount, portions) {
+export function distributeProportionally(totalAmount, portions, currency = 'USD') {
+  const { amountStep } = getCurrency(currency);
   const totalPortions = portions.reduce((sum, p) => sum + p, 0);
-  
+
   if (totalPortions === 0) {
     return portions.map(() => 0);
   }
@@ -87,7 +180,7 @@ export function distributeProportionally(totalAmount, portions) {
   // Calculate proportional amounts
   const distributed = portions.map(portion => {
     const proportion = portion / totalPortions;
-    return Math.round(totalAmount * proportion);
+    return Math.round(totalAmount * proportion / amountStep) * amountStep;
   });
 
   // Handle rounding differences
@@ -96,7 +189,7 @@ export function distributeProportionally(totalAmount, portions) {
 
   if (difference !== 0) {
     // Add/subtract difference from largest portion
-    const largestIndex = distributed.reduce((maxIdx, val, idx, arr) => 
+    const largestIndex = distributed.reduce((maxIdx, val, idx, arr) =>
       val > arr[maxIdx] ? idx : maxIdx, 0
     );
     distributed[largestIndex] += difference;
@@ -104,4 +197,3 @@ export function distributeProportionally(totalAmount, portions) {
 
   return distributed;
 }
-
@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import { getEncryptionKeys } from '../config/encryption.js';
+
+/**
+ * Envelope encryption for secrets at rest
+ * Each secret is encrypted with its own random data key (AES-256-GCM), and the
+ * data key is encrypted with a master key. The ciphertext carries the wrapped
+ * data key; the master key's ID is stored next to it. Rotating a master key
+ * only re-wraps data keys, so secrets are never decrypted to rotate.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Encrypt with AES-256-GCM
+ * @returns {Buffer} iv | tag | ciphertext
+ */
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Decrypt what seal produced
+ * @returns {Buffer} Plaintext
+ */
+function open(key, sealed) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+  return Buffer.concat([decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * Get a master key by ID
+ */
+function getMasterKey(keyId) {
+  const key = getEncryptionKeys().keys.get(keyId);
+
+  if (!key) {
+    throw new Error(`Unknown encryption key: ${keyId}`);
+  }
+
+  return key;
+}
+
+/**
+ * Split a stored ciphertext into its wrapped data key and sealed secret
+ */
+function parseCiphertext(ciphertext) {
+  const [wrappedKey, sealed] = ciphertext.split('.');
+
+  if (!wrappedKey || !sealed) {
+    throw new Error('Malformed ciphertext');
+  }
+
+  return { wrappedKey: Buffer.from(wrappedKey, 'base64url'), sealed };
+}
+
+/**
+ * Encrypt a secret under the active master key
+ * @param {string} plaintext - Secret
+ * @returns {object} { ciphertext, keyId }
+ */
+export function encryptSecret(plaintext) {
+  const { activeKeyId } = getEncryptionKeys();
+  const dataKey = crypto.randomBytes(32);
+
+  const wrappedKey = seal(getMasterKey(activeKeyId), dataKey);
+  const sealed = seal(dataKey, Buffer.from(plaintext, 'utf8'));
+
+  return {
+    ciphertext: `${wrappedKey.toString('base64url')}.${sealed.toString('base64url')}`,
+    keyId: activeKeyId
+  };
+}
+
+/**
+ * Decrypt a secret
+ * @param {string} ciphertext - Stored ciphertext
+ * @param {string} keyId - ID of the master key it was encrypted under
+ * @returns {string} Secret
+ */
+export function decryptSecret(ciphertext, keyId) {
+  const { wrappedKey, sealed } = parseCiphertext(ciphertext);
+  const dataKey = open(getMasterKey(keyId), wrappedKey);
+
+  return open(dataKey, Buffer.from(sealed, 'base64url')).toString('utf8');
+}
+
+/**
+ * Move a secret to the active master key by re-wrapping its data key
+ * @param {string} ciphertext - Stored ciphertext
+ * @param {string} keyId - ID of the master key it was encrypted under
+ * @returns {object} { ciphertext, keyId }
+ */
+export function rewrapSecret(ciphertext, keyId) {
+  const { activeKeyId } = getEncryptionKeys();
+  const { wrappedKey, sealed } = parseCiphertext(ciphertext);
+
+  if (keyId === activeKeyId) {
+    return { ciphertext, keyId };
+  }
+
+  const dataKey = open(getMasterKey(keyId), wrappedKey);
+  const rewrapped = seal(getMasterKey(activeKeyId), dataKey);
+
+  return {
+    ciphertext: `${rewrapped.toString('base64url')}.${sealed}`,
+    keyId: activeKeyId
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Status state machine for transactions, payments and refunds
+ * Every status change goes through here; anything not listed is rejected.
+ */
+
+export const TRANSITIONS = {
+  transaction: {
+    pending: ['processing', 'failed'],
+    processing: ['requires_action', 'awaiting_replacement', 'authorized', 'completed', 'failed'],
+    requires_action: ['processing', 'failed'],
+    awaiting_replacement: ['processing', 'failed'], // Declined card being swapped
+    authorized: ['completed', 'failed'],           // Holds kept until fulfillment
+    completed: ['partially_refunded', 'refunded'],
+    partially_refunded: ['refunded'],
+    failed: [],
+    refunded: []
+  },
+  payment: {
+    pending: ['requires_action', 'authorized', 'failed', 'voided'],
+    requires_action: ['authorized', 'failed', 'voided'],
+    authorized: ['captured', 'voided'],
+    captured: ['refunded'],
+    failed: [],
+    voided: [],
+    refunded: []
+  },
+  refund: {
+    pending: ['succeeded', 'failed'],
+    succeeded: [],
+    failed: []
+  }
+};
+
+/**
+ * Error thrown for a status change the state machine does not allow
+ */
+export class InvalidTransitionError extends Error {
+  constructor(entity, from, to) {
+    super(`Invalid ${entity} status transition: ${from} -> ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.code = 'INVALID_STATE_TRANSITION';
+    this.statusCode = 409;
+    this.entity = entity;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Check whether a status change is allowed
+ * Staying in the same status is always allowed (and is a no-op for callers).
+ * @param {string} entity - transaction, payment or refund
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if allowed
+ */
+export function canTransition(entity, from, to) {
+  const transitions = TRANSITIONS[entity];
+  if (!transitions) {
+    throw new Error(`Unknown state machine entity: ${entity}`);
+  }
+
+  if (!(to in transitions)) {
+    return false;
+  }
+
+  if (from === to) {
+    return true;
+  }
+
+  return (transitions[from] || []).includes(to);
+}
+
+/**
+ * Throw unless a status change is allowed
+ * @param {string} entity - transaction, payment or refund
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ */
+export function assertTransition(entity, from, to) {
+  if (!canTransition(entity, from, to)) {
+    throw new InvalidTransitionError(entity, from, to);
+  }
+}
@@ -1,3 +1,5 @@
+import { getCurrency, formatCents } from './currency.js';
+
 /**
  * Input validation utilities
  */
@@ -33,32 +35,43 @@ export function validateCheckoutToken(token) {
 }
 
 /**
- * Validate amount (must be positive integer in cents)
+ * Validate amount (must be positive integer in the currency's minor unit)
  * @param {number} amount - Amount to validate
- * @param {number} minAmount - Minimum amount in cents (default: 100)
- * @param {number} maxAmount - Maximum amount in cents (optional)
+ * @param {number} minAmount - Minimum amount in minor units (default: Stripe's minimum for the currency)
+ * @param {number} maxAmount - Maximum amount in minor units (optional)
+ * @param {string} currency - Currency code (default: USD)
  * @returns {object} { valid: boolean, error?: string }
  */
-export function validateAmount(amount, minAmount = 100, maxAmount = null) {
+export function validateAmount(amount, minAmount = null, maxAmount = null, currency = 'USD') {
+  const { minimumAmount, amountStep } = getCurrency(currency);
+  const minimum = Math.max(minAmount || 0, minimumAmount);
+
   if (typeof amount !== 'number' || isNaN(amount)) {
     return { valid: false, error: 'Amount must be a number' };
   }
 
   if (!Number.isInteger(amount)) {
-    return { valid: false, error: 'Amount must be an integer (cents)' };
+    return { valid: false, error: 'Amount must be an integer in the currency\'s smallest unit' };
   }
 
-  if (amount < minAmount) {
+  if (amount < minimum) {
     return { 
       valid: false, 
-      error: `Amount must be at least ${minAmount / 100} ${minAmount >= 100 ? 'dollars' : 'cents'}` 
+      error: `Amount must be at least ${formatCents(minimum, currency)}` 
     };
   }
 
   if (maxAmount !== null && amount > maxAmount) {
     return { 
       valid: false, 
-      error: `Amount exceeds maximum of ${maxAmount / 100} dollars` 
+      error: `Amount exceeds maximum of ${formatCents(maxAmount, currency)}` 
+    };
+  }
+
+  if (amount % amountStep !== 0) {
+    return {
+      valid: false,
+      error: `Amount must be a multiple of ${formatCents(amountStep, currency)}`
     };
   }
 
@@ -71,11 +84,16 @@ export function validateAmount(amount, minAmount = 100, maxAmount = null) {
 
 /**
  * Validate payment amounts match total
- * @param {number} totalAmount - Expected total in cents
- * @param {Array<number>} paymentAmounts - Array of payment amounts in cents
+ * @param {number} totalAmount - Checkout total from Shopify, in minor units
+ * @param {Array<number>} paymentAmounts - Array of payment amounts in minor units
+ * @param {string} currency - Currency code (default: USD)
  * @returns {object} { valid: boolean, error?: string }
  */
-export function validatePaymentAmounts(totalAmount, paymentAmounts) {
+export function validatePaymentAmounts(totalAmount, paymentAmounts, currency = 'USD') {
+  if (!Number.isInteger(totalAmount) || totalAmount <= 0) {
+    return { valid: false, error: 'Checkout total is not available' };
+  }
+
   if (!Array.isArray(paymentAmounts) || paymentAmounts.length === 0) {
     return { valid: false, error: 'At least one payment is required' };
   }
@@ -90,7 +108,7 @@ export function validatePaymentAmounts(totalAmount, paymentAmounts) {
 
   // Validate each amount
   for (let i = 0; i < paymentAmounts.length; i++) {
-    const validation = validateAmount(paymentAmounts[i]);
+    const validation = validateAmount(paymentAmounts[i], null, null, currency);
     if (!validation.valid) {
       return { valid: false, error: `Payment ${i + 1}: ${validation.error}` };
     }
@@ -102,7 +120,7 @@ export function validatePaymentAmounts(totalAmount, paymentAmounts) {
   if (sum !== totalAmount) {
     return { 
       valid: false, 
-      error: `Payment amounts (${sum / 100}) do not match total (${totalAmount / 100})` 
+      error: `Payment amounts (${formatCents(sum, currency)}) do not match total (${formatCents(totalAmount, currency)})` 
     };
   }
 
@@ -0,0 +1,26 @@
+import dotenv from 'dotenv';
+import { logger } from './utils/logger.js';
+import { closePool } from './config/database.js';
+import { registerJobs } from './jobs/index.js';
+import { startJobRunner, stopJobRunner } from './workers/jobRunner.js';
+
+/**
+ * Standalone job worker
+ * Run alongside web processes started with RUN_JOBS_IN_WEB=false:
+ *   npm run worker
+ */
+
+dotenv.config();
+
+registerJobs();
+startJobRunner();
+
+async function shutdown(signal) {
+  logger.info(`${signal} received, stopping job worker`);
+  await stopJobRunner();
+  await closePool();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,72 @@
+import { logger } from '../utils/logger.js';
+import { runDueJobs, scheduleRecurringJobs, WORKER_ID } from '../services/jobService.js';
+
+/**
+ * Polls the job queue and runs due jobs
+ * Runs in the web process unless RUN_JOBS_IN_WEB=false, in which case
+ * server/worker.js runs it instead.
+ */
+
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000', 10);
+const JOB_BATCH_SIZE = parseInt(process.env.JOB_BATCH_SIZE || '5', 10);
+
+let timer = null;
+let running = null;
+let starting = null;
+
+async function tick() {
+  if (running) return;
+
+  running = (async () => {
+    try {
+      // Keep draining while full batches come back
+      while (timer && await runDueJobs(JOB_BATCH_SIZE) === JOB_BATCH_SIZE);
+    } catch (error) {
+      logger.error('Job runner poll failed', { error: error.message });
+    } finally {
+      running = null;
+    }
+  })();
+}
+
+async function start() {
+  try {
+    await scheduleRecurringJobs();
+  } catch (error) {
+    logger.error('Could not schedule recurring jobs', { error: error.message });
+  }
+
+  timer = setInterval(tick, JOB_POLL_INTERVAL_MS);
+  logger.info('Job runner started', { workerId: WORKER_ID, intervalMs: JOB_POLL_INTERVAL_MS });
+}
+
+/**
+ * Start polling; calls while started (or starting) share the one poll loop
+ */
+export function startJobRunner() {
+  if (!starting) {
+    starting = start();
+  }
+
+  return starting;
+}
+
+/**
+ * Stop polling and wait for the job in hand to finish
+ */
+export async function stopJobRunner() {
+  // A start in progress would set the timer after it was cleared
+  if (starting) {
+    await starting;
+    starting = null;
+  }
+
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  if (running) {
+    await running;
+  }
+}
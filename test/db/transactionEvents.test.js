@@ -0,0 +1,55 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { skipWithoutDatabase, resetDatabase, createTestStore, query, closePool } from '../helpers/db.js';
+import * as transactionQueries from '../../server/db/queries/transactions.js';
+
+describe('transaction_events retention', { skip: skipWithoutDatabase }, () => {
+  before(async () => {
+    await resetDatabase();
+  });
+
+  after(async () => {
+    await closePool();
+  });
+
+  async function createTransaction(store) {
+    return transactionQueries.createTransaction({
+      storeId: store.id,
+      shopifyCheckoutToken: `checkout-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      totalAmount: 10000,
+      currency: 'USD'
+    });
+  }
+
+  async function countEvents(transaction) {
+    const result = await query('SELECT COUNT(*) AS count FROM transaction_events WHERE transaction_id = $1', [transaction.id]);
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  it('rejects rewriting or removing an event on its own', async () => {
+    const transaction = await createTransaction(await createTestStore());
+
+    await assert.rejects(
+      query('UPDATE transaction_events SET reason = $2 WHERE transaction_id = $1', [transaction.id, 'Rewritten']),
+      /append-only/
+    );
+    await assert.rejects(
+      query('DELETE FROM transaction_events WHERE transaction_id = $1', [transaction.id]),
+      /append-only/
+    );
+    assert.equal(await countEvents(transaction), 1);
+  });
+
+  it('removes the history with its transaction or store', async () => {
+    const store = await createTestStore();
+    const deleted = await createTransaction(store);
+    const redacted = await createTransaction(store);
+
+    await query('DELETE FROM transactions WHERE id = $1', [deleted.id]);
+    assert.equal(await countEvents(deleted), 0);
+    assert.equal(await countEvents(redacted), 1);
+
+    await query('DELETE FROM stores WHERE id = $1', [store.id]);
+    assert.equal(await countEvents(redacted), 0);
+  });
+});
@@ -0,0 +1,42 @@
+import express from 'express';
+import widgetRoutes from '../../server/routes/widget.js';
+import { errorHandler } from '../../server/middleware/errorHandler.js';
+
+/**
+ * Widget API server for tests
+ * Serves /api/widget on a free port, so a split runs through the same routes
+ * the storefront widget calls.
+ */
+
+process.env.WIDGET_SESSION_SECRET ||= 'test-widget-session-secret';
+
+/**
+ * Start the server
+ * @returns {Promise<object>} { post, close } post(path, body) resolves to { status, body }
+ */
+export async function startWidgetServer() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/widget', widgetRoutes);
+  app.use(errorHandler);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/widget`;
+
+  return {
+    async post(path, body) {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'split-pay-test' },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    },
+
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { decodeSessionToken } from '../../server/middleware/auth.js';
+
+const API_KEY = 'test-api-key';
+const API_SECRET = 'test-api-secret';
+const NOW = 1700000000;
+const OPTIONS = { apiKey: API_KEY, apiSecret: API_SECRET, now: NOW };
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign a session token the way App Bridge does
+ */
+function signToken(claims = {}, { header = { alg: 'HS256', typ: 'JWT' }, secret = API_SECRET } = {}) {
+  const payload = {
+    iss: 'https://test-shop.myshopify.com/admin',
+    dest: 'https://test-shop.myshopify.com',
+    aud: API_KEY,
+    sub: '42',
+    exp: NOW + 60,
+    nbf: NOW - 60,
+    iat: NOW - 60,
+    jti: crypto.randomUUID(),
+    ...claims
+  };
+  const unsigned = `${encode(header)}.${encode(payload)}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+
+  return `${unsigned}.${signature}`;
+}
+
+describe('decodeSessionToken', () => {
+  it('returns the shop of a valid token', () => {
+    const { shop, payload } = decodeSessionToken(signToken(), OPTIONS);
+
+    assert.equal(shop, 'test-shop.myshopify.com');
+    assert.equal(payload.sub, '42');
+  });
+
+  it('rejects a token signed with another secret', () => {
+    assert.throws(
+      () => decodeSessionToken(signToken({}, { secret: 'other-secret' }), OPTIONS),
+      /Invalid session token signature/
+    );
+  });
+
+  it('rejects a token whose payload was changed after signing', () => {
+    const [header, , signature] = signToken().split('.');
+    const forged = `${header}.${encode({ dest: 'https://other-shop.myshopify.com', aud: API_KEY, exp: NOW + 60, nbf: NOW })}.${signature}`;
+
+    assert.throws(() => decodeSessionToken(forged, OPTIONS), /Invalid session token signature/);
+  });
+
+  it('rejects an unsigned alg none token', () => {
+    const unsigned = `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ dest: 'https://test-shop.myshopify.com', aud: API_KEY })}.`;
+
+    assert.throws(() => decodeSessionToken(unsigned, OPTIONS), /Unexpected session token algorithm: none/);
+  });
+
+  it('rejects any algorithm other than HS256', () => {
+    const token = signToken({}, { header: { alg: 'HS512', typ: 'JWT' } });
+
+    assert.throws(() => decodeSessionToken(token, OPTIONS), /Unexpected session token algorithm: HS512/);
+  });
+
+  it('rejects a token that is not a JWT', () => {
+    assert.throws(() => decodeSessionToken('not-a-token', OPTIONS), /not a JWT/);
+    assert.throws(() => decodeSessionToken(undefined, OPTIONS), /not a JWT/);
+  });
+
+  it('rejects a token for another app', () => {
+    assert.throws(
+      () => decodeSessionToken(signToken({ aud: 'another-app' }), OPTIONS),
+      /for another app/
+    );
+  });
+
+  it('accepts an audience list that includes the app', () => {
+    const { shop } = decodeSessionToken(signToken({ aud: ['another-app', API_KEY] }), OPTIONS);
+
+    assert.equal(shop, 'test-shop.myshopify.com');
+  });
+
+  it('rejects an expired token once the clock tolerance has passed', () => {
+    assert.throws(
+      () => decodeSessionToken(signToken({ exp: NOW - 10 }), OPTIONS),
+      /has expired/
+    );
+    assert.doesNotThrow(() => decodeSessionToken(signToken({ exp: NOW - 9 }), OPTIONS));
+  });
+
+  it('rejects a token without an expiry', () => {
+    assert.throws(
+      () => decodeSessionToken(signToken({ exp: undefined }), OPTIONS),
+      /has expired/
+    );
+  });
+
+  it('allows nbf up to 10 seconds in the future', () => {
+    assert.doesNotThrow(() => decodeSessionToken(signToken({ nbf: NOW + 10 }), OPTIONS));
+    assert.throws(
+      () => decodeSessionToken(signToken({ nbf: NOW + 11 }), OPTIONS),
+      /not valid yet/
+    );
+  });
+
+  it('rejects a dest that is not a shop', () => {
+    assert.throws(
+      () => decodeSessionToken(signToken({ dest: 'https://evil.example.com', iss: 'https://evil.example.com/admin' }), OPTIONS),
+      /no valid shop/
+    );
+    assert.throws(
+      () => decodeSessionToken(signToken({ dest: 'test-shop.myshopify.com' }), OPTIONS),
+      /no valid shop/
+    );
+  });
+
+  it('rejects an issuer from another shop', () => {
+    assert.throws(
+      () => decodeSessionToken(signToken({ iss: 'https://other-shop.myshopify.com/admin' }), OPTIONS),
+      /issuer does not match/
+    );
+  });
+
+  it('requires the app credentials', () => {
+    assert.throws(
+      () => decodeSessionToken(signToken(), { apiKey: API_KEY, apiSecret: '', now: NOW }),
+      /SHOPIFY_API_KEY and SHOPIFY_API_SECRET/
+    );
+  });
+});
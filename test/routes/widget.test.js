@@ -0,0 +1,192 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { skipWithoutDatabase, resetDatabase, createTestStore, closePool } from '../helpers/db.js';
+import { startWidgetServer } from '../helpers/widgetServer.js';
+import { FakeProvider } from '../../server/providers/fakeProvider.js';
+import { FakeCheckoutSource } from '../../server/providers/fakeCheckoutSource.js';
+import { setPaymentProvider, setCheckoutSource } from '../../server/providers/index.js';
+import * as transactionQueries from '../../server/db/queries/transactions.js';
+import * as paymentQueries from '../../server/db/queries/payments.js';
+import * as orderOutboxQueries from '../../server/db/queries/orderOutbox.js';
+import { SYSTEM_SCOPE } from '../../server/db/scope.js';
+
+describe('widget split checkout', { skip: skipWithoutDatabase }, () => {
+  const provider = new FakeProvider();
+  let server;
+  let store;
+
+  before(async () => {
+    setPaymentProvider(provider);
+    setCheckoutSource(new FakeCheckoutSource());
+    await resetDatabase();
+    store = await createTestStore();
+    server = await startWidgetServer();
+  });
+
+  after(async () => {
+    await server.close();
+    setPaymentProvider(null);
+    setCheckoutSource(null);
+    await closePool();
+  });
+
+  /**
+   * Open a session on the sample $100.00 checkout and add a card per amount
+   */
+  async function startSplit(amounts) {
+    const init = await server.post('/init', {
+      shopDomain: store.shop_domain,
+      checkoutToken: crypto.randomBytes(16).toString('hex')
+    });
+    assert.equal(init.status, 200);
+
+    const cards = [];
+    for (const amount of amounts) {
+      const created = await server.post('/create-payment-intent', {
+        sessionToken: init.body.sessionToken,
+        amount
+      });
+      assert.equal(created.status, 200);
+      cards.push({ paymentIntentId: created.body.paymentIntentId, amount });
+    }
+
+    return { sessionToken: init.body.sessionToken, transactionId: init.body.transactionId, cards };
+  }
+
+  /**
+   * Submit the split, paying each card with the given test payment method
+   */
+  function completeCheckout(split, paymentMethods) {
+    return server.post('/complete-checkout', {
+      sessionToken: split.sessionToken,
+      payments: split.cards.map((card, i) => ({ ...card, paymentMethodId: paymentMethods[i] }))
+    });
+  }
+
+  async function getTransaction(split) {
+    return transactionQueries.getTransactionById(SYSTEM_SCOPE, split.transactionId);
+  }
+
+  async function paymentStatuses(split) {
+    const payments = await paymentQueries.getPaymentsByTransactionId(SYSTEM_SCOPE, split.transactionId);
+    return split.cards.map(card => payments.find(p => p.stripe_payment_intent_id === card.paymentIntentId).status);
+  }
+
+  function providerStatuses(split) {
+    return split.cards.map(card => provider.paymentIntents.get(card.paymentIntentId).status);
+  }
+
+  it('captures every card of a split', async () => {
+    const split = await startSplit([6000, 4000]);
+
+    const result = await completeCheckout(split, ['pm_card_visa', 'pm_card_mastercard']);
+
+    assert.equal(result.status, 200);
+    assert.equal(result.body.success, true);
+    assert.equal((await getTransaction(split)).status, 'completed');
+    assert.deepEqual(await paymentStatuses(split), ['captured', 'captured']);
+    assert.deepEqual(providerStatuses(split), ['succeeded', 'succeeded']);
+  });
+
+  it('voids the other cards when one is declined', async () => {
+    const split = await startSplit([6000, 4000]);
+
+    const result = await completeCheckout(split, ['pm_card_visa', 'pm_card_chargeDeclinedInsufficientFunds']);
+
+    assert.equal(result.status, 400);
+    assert.equal(result.body.error.code, 'CHECKOUT_FAILED');
+    assert.match(result.body.error.message, /insufficient funds/);
+    assert.equal((await getTransaction(split)).status, 'failed');
+    assert.deepEqual(await paymentStatuses(split), ['voided', 'failed']);
+    assert.deepEqual(providerStatuses(split), ['canceled', 'requires_payment_method']);
+  });
+
+  it('holds the other cards while one completes 3D Secure', async () => {
+    const split = await startSplit([6000, 4000]);
+    const paymentMethods = ['pm_card_visa', 'pm_card_threeDSecure2Required'];
+
+    const challenged = await completeCheckout(split, paymentMethods);
+
+    assert.equal(challenged.status, 200);
+    assert.equal(challenged.body.requiresAction, true);
+    assert.deepEqual(challenged.body.actions.map(a => a.paymentIntentId), [split.cards[1].paymentIntentId]);
+    assert.equal((await getTransaction(split)).status, 'requires_action');
+    assert.deepEqual(await paymentStatuses(split), ['authorized', 'requires_action']);
+    assert.deepEqual(providerStatuses(split), ['requires_capture', 'requires_action']);
+
+    // The customer passes the challenge in the widget, which resubmits
+    provider.completeAction(split.cards[1].paymentIntentId);
+    const result = await completeCheckout(split, paymentMethods);
+
+    assert.equal(result.status, 200);
+    assert.equal(result.body.success, true);
+    assert.equal((await getTransaction(split)).status, 'completed');
+    assert.deepEqual(await paymentStatuses(split), ['captured', 'captured']);
+  });
+
+  it('fails the checkout and refunds the captured card when another capture fails', async () => {
+    const split = await startSplit([6000, 4000]);
+
+    const result = await completeCheckout(split, ['pm_card_visa', 'pm_card_captureFails']);
+
+    assert.equal(result.status, 400);
+    assert.match(result.body.error.message, /capture failed/);
+    assert.equal((await getTransaction(split)).status, 'failed');
+    assert.deepEqual(await paymentStatuses(split), ['captured', 'voided']);
+    assert.deepEqual(providerStatuses(split), ['succeeded', 'canceled']);
+
+    const refunds = [...provider.refunds.values()].filter(r => r.payment_intent === split.cards[0].paymentIntentId);
+    assert.deepEqual(refunds.map(r => r.amount), [6000]);
+
+    const entry = await orderOutboxQueries.getOutboxEntryByTransactionId(SYSTEM_SCOPE, split.transactionId);
+    assert.equal(entry.status, 'cancelled');
+  });
+
+  it('only reopens a checkout that is still taking cards', async () => {
+    const checkoutToken = crypto.randomBytes(16).toString('hex');
+    const init = () => server.post('/init', { shopDomain: store.shop_domain, checkoutToken });
+
+    const first = await init();
+    assert.equal(first.status, 200);
+    const { transactionId } = first.body;
+
+    const resumed = await init();
+    assert.equal(resumed.status, 200);
+    assert.equal(resumed.body.transactionId, transactionId);
+
+    await transactionQueries.updateTransactionStatus(transactionId, 'processing');
+    const processing = await init();
+    assert.equal(processing.status, 409);
+    assert.equal(processing.body.error.code, 'CHECKOUT_IN_PROGRESS');
+
+    await transactionQueries.updateTransactionStatus(transactionId, 'requires_action');
+    const challenged = await init();
+    assert.equal(challenged.status, 409);
+    assert.equal(challenged.body.error.code, 'CHECKOUT_IN_PROGRESS');
+
+    // Held on every card until fulfillment
+    await transactionQueries.updateTransactionStatus(transactionId, 'processing');
+    await transactionQueries.updateTransactionStatus(transactionId, 'authorized');
+    const held = await init();
+    assert.equal(held.status, 409);
+    assert.equal(held.body.error.code, 'CHECKOUT_COMPLETED');
+
+    await transactionQueries.updateTransactionStatus(transactionId, 'failed');
+    const retried = await init();
+    assert.equal(retried.status, 200);
+    assert.notEqual(retried.body.transactionId, transactionId);
+  });
+
+  it('fails the checkout and voids the other cards when a confirm times out', async () => {
+    const split = await startSplit([6000, 4000]);
+
+    const result = await completeCheckout(split, ['pm_card_visa', 'pm_card_timeout']);
+
+    assert.equal(result.status, 400);
+    assert.match(result.body.error.message, /timed out/);
+    assert.equal((await getTransaction(split)).status, 'failed');
+    assert.deepEqual(await paymentStatuses(split), ['voided', 'failed']);
+    assert.deepEqual(providerStatuses(split), ['canceled', 'requires_payment_method']);
+  });
+});
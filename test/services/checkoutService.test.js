@@ -0,0 +1,118 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { skipWithoutDatabase, resetDatabase, createTestStore, closePool } from '../helpers/db.js';
+import { startWidgetServer } from '../helpers/widgetServer.js';
+import { FakeProvider } from '../../server/providers/fakeProvider.js';
+import { FakeCheckoutSource } from '../../server/providers/fakeCheckoutSource.js';
+import { setPaymentProvider, setCheckoutSource } from '../../server/providers/index.js';
+import * as transactionQueries from '../../server/db/queries/transactions.js';
+import { SYSTEM_SCOPE } from '../../server/db/scope.js';
+import * as checkoutService from '../../server/services/checkoutService.js';
+
+describe('checkout totals from the checkout source', { skip: skipWithoutDatabase }, () => {
+  const source = new FakeCheckoutSource({ defaultCheckout: null });
+  let server;
+  let store;
+
+  before(async () => {
+    setPaymentProvider(new FakeProvider());
+    setCheckoutSource(source);
+    await resetDatabase();
+    store = await createTestStore();
+    server = await startWidgetServer();
+  });
+
+  after(async () => {
+    await server.close();
+    setPaymentProvider(null);
+    setCheckoutSource(null);
+    await closePool();
+  });
+
+  function newCheckoutToken() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Two shirts with shipping and tax: $50.00 + $7.50 + $4.00
+   */
+  function setCart(token, overrides = {}) {
+    return source.setCheckout(token, {
+      currency: 'USD',
+      customerEmail: 'customer@example.com',
+      lineItems: [{ variantId: '11', productId: '1', title: 'Shirt', quantity: 2, price: 2500 }],
+      shippingLines: [{ title: 'Standard', price: 750 }],
+      taxLines: [{ title: 'Sales tax', rate: 0.08, price: 400 }],
+      ...overrides
+    });
+  }
+
+  it('starts a split at the total the source reports', async () => {
+    const token = newCheckoutToken();
+    setCart(token);
+
+    const init = await server.post('/init', { shopDomain: store.shop_domain, checkoutToken: token });
+
+    assert.equal(init.status, 200);
+    assert.equal(init.body.totalAmount, 6150);
+    assert.equal(init.body.currency, 'USD');
+
+    const transaction = await transactionQueries.getTransactionById(SYSTEM_SCOPE, init.body.transactionId);
+    assert.equal(transaction.total_amount, 6150);
+    assert.equal(transaction.customer_email, 'customer@example.com');
+    assert.equal(transaction.checkout_snapshot.lineItems[0].title, 'Shirt');
+  });
+
+  it('refuses a checkout the source does not know', async () => {
+    const init = await server.post('/init', { shopDomain: store.shop_domain, checkoutToken: newCheckoutToken() });
+
+    assert.equal(init.status, 404);
+    assert.equal(init.body.error.code, 'CHECKOUT_NOT_FOUND');
+  });
+
+  it('stops checkout when the cart changed after the cards were added', async () => {
+    const token = newCheckoutToken();
+    setCart(token);
+
+    const init = await server.post('/init', { shopDomain: store.shop_domain, checkoutToken: token });
+    const card = await server.post('/create-payment-intent', { sessionToken: init.body.sessionToken, amount: 6150 });
+    assert.equal(card.status, 200);
+
+    // A third shirt goes in the cart in another tab
+    setCart(token, { lineItems: [{ variantId: '11', productId: '1', title: 'Shirt', quantity: 3, price: 2500 }] });
+
+    const result = await server.post('/complete-checkout', {
+      sessionToken: init.body.sessionToken,
+      payments: [{ paymentIntentId: card.body.paymentIntentId, paymentMethodId: 'pm_card_visa', amount: 6150 }]
+    });
+
+    assert.equal(result.status, 409);
+    assert.equal(result.body.error.code, 'TOTAL_CHANGED');
+    assert.equal(result.body.totalAmount, 8650);
+
+    const transaction = await transactionQueries.getTransactionById(SYSTEM_SCOPE, init.body.transactionId);
+    assert.equal(transaction.status, 'pending');
+    assert.equal(transaction.total_amount, 8650);
+  });
+
+  it('applies a pushed checkout update only while nothing is being charged', async () => {
+    const token = newCheckoutToken();
+    setCart(token);
+
+    const init = await server.post('/init', { shopDomain: store.shop_domain, checkoutToken: token });
+
+    const discounted = setCart(token, { discountAmount: 1000, discountCodes: ['TENOFF'] });
+    const synced = await checkoutService.applyCheckoutUpdate(store.id, discounted);
+
+    assert.equal(synced.changed, true);
+    assert.equal(synced.transaction.total_amount, 5150);
+
+    await transactionQueries.updateTransactionStatus(init.body.transactionId, 'processing');
+    const ignored = await checkoutService.applyCheckoutUpdate(store.id, setCart(token));
+
+    assert.equal(ignored, null);
+    const transaction = await transactionQueries.getTransactionById(SYSTEM_SCOPE, init.body.transactionId);
+    assert.equal(transaction.total_amount, 5150);
+  });
+});
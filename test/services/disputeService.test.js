@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSuggestedEvidence } from '../../server/services/disputeService.js';
+
+describe('buildSuggestedEvidence', () => {
+  const transaction = {
+    id: 1,
+    total_amount: 10000,
+    currency: 'USD',
+    shopify_order_number: '1001',
+    customer_email: 'customer@example.com',
+    checkout_snapshot: {
+      lineItems: [{ title: 'Shirt', quantity: 2, price: 5000 }]
+    }
+  };
+
+  function card(id, lastFour, amount, status) {
+    return { id, card_brand: 'visa', card_last_four: lastFour, amount, status };
+  }
+
+  it('describes only the cards that paid for the order', () => {
+    const payments = [
+      card(1, '4242', 6000, 'captured'),
+      card(2, '0002', 4000, 'failed'),
+      card(3, '1111', 2500, 'voided'),
+      card(4, '5555', 4000, 'refunded')
+    ];
+    const dispute = { payment_id: 1, amount: 6000, currency: 'usd' };
+
+    const { uncategorized_text: text } = buildSuggestedEvidence(dispute, transaction, payments);
+
+    assert.match(text, /one of 2 card payments that together paid for order 1001/);
+    assert.match(text, /Disputed card - visa ending 4242: \$60\.00, captured/);
+    assert.match(text, /- visa ending 5555: \$40\.00, refunded/);
+    assert.doesNotMatch(text, /0002|1111/);
+  });
+
+  it('says so when no other card paid', () => {
+    const payments = [card(1, '4242', 10000, 'captured'), card(2, '0002', 5000, 'failed')];
+    const dispute = { payment_id: 1, amount: 10000, currency: 'usd' };
+
+    const { uncategorized_text: text } = buildSuggestedEvidence(dispute, transaction, payments);
+
+    assert.match(text, /one of 1 card payments/);
+    assert.match(text, /Other cards on the same order:\n- none/);
+  });
+});
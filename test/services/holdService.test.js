@@ -0,0 +1,98 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { skipWithoutDatabase, resetDatabase, createTestStore, closePool } from '../helpers/db.js';
+import { FakeProvider } from '../../server/providers/fakeProvider.js';
+import { setPaymentProvider } from '../../server/providers/index.js';
+import * as transactionQueries from '../../server/db/queries/transactions.js';
+import * as paymentQueries from '../../server/db/queries/payments.js';
+import { SYSTEM_SCOPE } from '../../server/db/scope.js';
+import { releaseExpiredReplacements } from '../../server/services/holdService.js';
+
+describe('releaseExpiredReplacements', { skip: skipWithoutDatabase }, () => {
+  const provider = new FakeProvider();
+  let store;
+
+  before(async () => {
+    setPaymentProvider(provider);
+    await resetDatabase();
+    store = await createTestStore();
+  });
+
+  after(async () => {
+    setPaymentProvider(null);
+    await closePool();
+  });
+
+  /**
+   * A split with one card held and the other declined, awaiting a replacement
+   * until the given deadline
+   */
+  async function createAwaitingReplacement(deadline) {
+    let transaction = await transactionQueries.createTransaction({
+      storeId: store.id,
+      shopifyCheckoutToken: `checkout-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      totalAmount: 10000,
+      currency: 'USD'
+    });
+
+    const paymentIntent = await provider.createPaymentIntent({
+      amount: 5000,
+      currency: 'usd',
+      capture_method: 'manual',
+      payment_method: 'pm_card_visa',
+      confirm: true
+    });
+    const held = await paymentQueries.createPayment({
+      transactionId: transaction.id,
+      stripePaymentIntentId: paymentIntent.id,
+      amount: 5000
+    });
+    await paymentQueries.updatePaymentStatus(held.id, 'authorized');
+
+    await transactionQueries.updateTransactionStatus(transaction.id, 'processing');
+    await transactionQueries.updateTransactionStatus(transaction.id, 'awaiting_replacement');
+    transaction = await transactionQueries.setReplacementDeadline(transaction.id, deadline);
+
+    return { transaction, held, paymentIntent };
+  }
+
+  async function getStatus(transaction) {
+    return (await transactionQueries.getTransactionById(SYSTEM_SCOPE, transaction.id)).status;
+  }
+
+  it('rejects a late replacement card and voids the held cards', async () => {
+    const { transaction, held, paymentIntent } = await createAwaitingReplacement(new Date(Date.now() - 1000));
+
+    await assert.rejects(
+      transactionQueries.updateTransactionStatus(transaction.id, 'processing'),
+      { code: 'REPLACEMENT_EXPIRED' }
+    );
+    assert.equal(await getStatus(transaction), 'awaiting_replacement');
+
+    assert.equal(await releaseExpiredReplacements(), 1);
+
+    assert.equal(await getStatus(transaction), 'failed');
+    assert.equal((await paymentQueries.getPaymentById(SYSTEM_SCOPE, held.id)).status, 'voided');
+    assert.equal(provider.paymentIntents.get(paymentIntent.id).status, 'canceled');
+  });
+
+  it('leaves a checkout resumed before the deadline alone', async () => {
+    const { transaction, paymentIntent } = await createAwaitingReplacement(new Date(Date.now() + 60 * 1000));
+
+    await transactionQueries.updateTransactionStatus(transaction.id, 'processing');
+
+    assert.equal(await releaseExpiredReplacements(), 0);
+    assert.equal(await getStatus(transaction), 'processing');
+    assert.equal(provider.paymentIntents.get(paymentIntent.id).status, 'requires_capture');
+  });
+
+  it('does not release a transaction another sweep has claimed', async () => {
+    const { transaction } = await createAwaitingReplacement(new Date(Date.now() - 1000));
+
+    const claimed = await transactionQueries.claimExpiredReplacementTransactions(5);
+    assert.deepEqual(claimed.map(t => t.id), [transaction.id]);
+
+    assert.equal(await releaseExpiredReplacements(), 0);
+    assert.equal(await getStatus(transaction), 'awaiting_replacement');
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { skipWithoutDatabase, resetDatabase, createTestStore, query, closePool } from '../helpers/db.js';
+import { FakeProvider } from '../../server/providers/fakeProvider.js';
+import { setPaymentProvider } from '../../server/providers/index.js';
+import * as transactionQueries from '../../server/db/queries/transactions.js';
+import * as paymentQueries from '../../server/db/queries/payments.js';
+import * as refundQueries from '../../server/db/queries/refunds.js';
+import * as orderOutboxQueries from '../../server/db/queries/orderOutbox.js';
+import { SYSTEM_SCOPE } from '../../server/db/scope.js';
+import { processDueOrders } from '../../server/services/orderOutboxService.js';
+
+describe('order outbox for a failed checkout', { skip: skipWithoutDatabase }, () => {
+  const provider = new FakeProvider();
+  let store;
+
+  before(async () => {
+    setPaymentProvider(provider);
+    await resetDatabase();
+    store = await createTestStore();
+  });
+
+  after(async () => {
+    setPaymentProvider(null);
+    await closePool();
+  });
+
+  /**
+   * A queued checkout that failed after its $60.00 card was captured and its
+   * $40.00 card's capture did not go through
+   */
+  async function createPartlyCapturedCheckout() {
+    const transaction = await transactionQueries.createTransaction({
+      storeId: store.id,
+      shopifyCheckoutToken: `checkout-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      totalAmount: 10000,
+      currency: 'USD'
+    });
+
+    const payments = [];
+    for (const [amount, paymentMethod] of [[6000, 'pm_card_visa'], [4000, 'pm_card_captureFails']]) {
+      const paymentIntent = await provider.createPaymentIntent({
+        amount,
+        currency: 'usd',
+        capture_method: 'manual',
+        payment_method: paymentMethod
+      });
+      await provider.confirmPaymentIntent(paymentIntent.id);
+
+      const payment = await paymentQueries.createPayment({
+        transactionId: transaction.id,
+        stripePaymentIntentId: paymentIntent.id,
+        amount
+      });
+      payments.push(await paymentQueries.updatePaymentStatus(payment.id, 'authorized'));
+    }
+
+    await transactionQueries.updateTransactionStatus(transaction.id, 'processing');
+    await orderOutboxQueries.enqueueOrder(transaction.id, store.id);
+
+    await provider.capturePaymentIntent(payments[0].stripe_payment_intent_id);
+    await paymentQueries.updatePaymentStatus(payments[0].id, 'captured');
+    await provider.cancelPaymentIntent(payments[1].stripe_payment_intent_id);
+    await paymentQueries.updatePaymentStatus(payments[1].id, 'voided');
+    await transactionQueries.updateTransactionStatus(transaction.id, 'failed', 'Capture failed after authorization');
+
+    return { transaction, captured: payments[0] };
+  }
+
+  async function getEntry(transaction) {
+    return orderOutboxQueries.getOutboxEntryByTransactionId(SYSTEM_SCOPE, transaction.id);
+  }
+
+  it('refunds the captured card before closing the entry, retrying a failed refund', async () => {
+    const { transaction, captured } = await createPartlyCapturedCheckout();
+
+    const createRefund = provider.createRefund;
+    provider.createRefund = async () => {
+      const error = new Error('An error occurred with our connection to Stripe.');
+      error.type = 'StripeConnectionError';
+      throw error;
+    };
+
+    try {
+      assert.equal(await processDueOrders(), 0);
+    } finally {
+      provider.createRefund = createRefund;
+    }
+
+    let entry = await getEntry(transaction);
+    assert.equal(entry.status, 'pending');
+    assert.equal(entry.attempts, 1);
+
+    // Run the retry now rather than after its backoff
+    await query('UPDATE order_outbox SET next_attempt_at = CURRENT_TIMESTAMP WHERE id = $1', [entry.id]);
+    assert.equal(await processDueOrders(), 0);
+
+    entry = await getEntry(transaction);
+    assert.equal(entry.status, 'cancelled');
+
+    const refunds = await refundQueries.getRefundsByTransactionId(SYSTEM_SCOPE, transaction.id);
+    assert.deepEqual(
+      refunds.filter(r => r.status === 'succeeded').map(r => [r.payment_id, r.amount]),
+      [[captured.id, 6000]]
+    );
+    assert.equal((await transactionQueries.getTransactionById(SYSTEM_SCOPE, transaction.id)).status, 'failed');
+  });
+});
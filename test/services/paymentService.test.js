@@ -0,0 +1,118 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { skipWithoutDatabase, resetDatabase, createTestStore, closePool } from '../helpers/db.js';
+import { FakeProvider } from '../../server/providers/fakeProvider.js';
+import { setPaymentProvider } from '../../server/providers/index.js';
+import * as transactionQueries from '../../server/db/queries/transactions.js';
+import * as paymentQueries from '../../server/db/queries/payments.js';
+import { SYSTEM_SCOPE } from '../../server/db/scope.js';
+import { voidTransaction } from '../../server/services/paymentService.js';
+
+describe('voidTransaction', { skip: skipWithoutDatabase }, () => {
+  const provider = new FakeProvider();
+  let store;
+
+  before(async () => {
+    setPaymentProvider(provider);
+    await resetDatabase();
+    store = await createTestStore();
+  });
+
+  after(async () => {
+    setPaymentProvider(null);
+    await closePool();
+  });
+
+  /**
+   * A deferred-capture split with $60.00 and $40.00 held
+   */
+  async function createAuthorizedSplit() {
+    const transaction = await transactionQueries.createTransaction({
+      storeId: store.id,
+      shopifyCheckoutToken: `checkout-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      totalAmount: 10000,
+      currency: 'USD'
+    });
+
+    const payments = [];
+    for (const amount of [6000, 4000]) {
+      const paymentIntent = await provider.createPaymentIntent({
+        amount,
+        currency: 'usd',
+        capture_method: 'manual',
+        payment_method: 'pm_card_visa'
+      });
+      await provider.confirmPaymentIntent(paymentIntent.id);
+
+      const payment = await paymentQueries.createPayment({
+        transactionId: transaction.id,
+        stripePaymentIntentId: paymentIntent.id,
+        amount
+      });
+      payments.push(await paymentQueries.updatePaymentStatus(payment.id, 'authorized'));
+    }
+
+    await transactionQueries.updateTransactionStatus(transaction.id, 'processing');
+    await transactionQueries.updateTransactionStatus(transaction.id, 'authorized');
+
+    return { transaction, payments };
+  }
+
+  async function getStatuses(transaction, payments) {
+    return {
+      transaction: (await transactionQueries.getTransactionById(SYSTEM_SCOPE, transaction.id)).status,
+      payments: await Promise.all(payments.map(async p =>
+        (await paymentQueries.getPaymentById(SYSTEM_SCOPE, p.id)).status
+      ))
+    };
+  }
+
+  it('releases every hold and reports what it released', async () => {
+    const { transaction, payments } = await createAuthorizedSplit();
+
+    const result = await voidTransaction(transaction.id, 'Test void');
+
+    assert.deepEqual(result, { success: true, voided: 2, amount: 10000 });
+    assert.deepEqual(await getStatuses(transaction, payments), {
+      transaction: 'failed',
+      payments: ['voided', 'voided']
+    });
+  });
+
+  it('keeps a hold Stripe would not release and throws', async () => {
+    const { transaction, payments } = await createAuthorizedSplit();
+    const [first, second] = payments;
+
+    const cancel = provider.cancelPaymentIntent;
+    provider.cancelPaymentIntent = async (paymentIntentId, options) => {
+      if (paymentIntentId === second.stripe_payment_intent_id) {
+        const error = new Error('An error occurred with our connection to Stripe.');
+        error.type = 'StripeConnectionError';
+        throw error;
+      }
+      return cancel.call(provider, paymentIntentId, options);
+    };
+
+    try {
+      await assert.rejects(voidTransaction(transaction.id, 'Test void'), { voided: 1, amount: 6000 });
+    } finally {
+      provider.cancelPaymentIntent = cancel;
+    }
+
+    assert.deepEqual(await getStatuses(transaction, payments), {
+      transaction: 'authorized',
+      payments: ['voided', 'authorized']
+    });
+    assert.equal(provider.paymentIntents.get(first.stripe_payment_intent_id).status, 'canceled');
+    assert.equal(provider.paymentIntents.get(second.stripe_payment_intent_id).status, 'requires_capture');
+
+    // The retry releases the hold that was left
+    const result = await voidTransaction(transaction.id, 'Test void');
+
+    assert.deepEqual(result, { success: true, voided: 1, amount: 4000 });
+    assert.deepEqual(await getStatuses(transaction, payments), {
+      transaction: 'failed',
+      payments: ['voided', 'voided']
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { skipWithoutDatabase, resetDatabase, createTestStore, closePool } from '../helpers/db.js';
+import { FakeProvider } from '../../server/providers/fakeProvider.js';
+import { setPaymentProvider } from '../../server/providers/index.js';
+import * as transactionQueries from '../../server/db/queries/transactions.js';
+import * as paymentQueries from '../../server/db/queries/payments.js';
+import { SYSTEM_SCOPE } from '../../server/db/scope.js';
+import { reconcileTransaction } from '../../server/services/reconciliationService.js';
+
+describe('reconcileTransaction', { skip: skipWithoutDatabase }, () => {
+  const provider = new FakeProvider();
+  let store;
+
+  before(async () => {
+    setPaymentProvider(provider);
+    await resetDatabase();
+    store = await createTestStore();
+  });
+
+  after(async () => {
+    setPaymentProvider(null);
+    await closePool();
+  });
+
+  /**
+   * A transaction left in processing, as by a crash inside completeCheckout
+   */
+  async function createStuckTransaction(totalAmount) {
+    const transaction = await transactionQueries.createTransaction({
+      storeId: store.id,
+      shopifyCheckoutToken: `checkout-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      totalAmount,
+      currency: 'USD'
+    });
+    return transactionQueries.updateTransactionStatus(transaction.id, 'processing');
+  }
+
+  /**
+   * Add a card to the transaction; confirm: false leaves it unconfirmed
+   */
+  async function addCard(transaction, amount, { paymentMethod = 'pm_card_visa', confirm = true } = {}) {
+    const paymentIntent = await provider.createPaymentIntent({
+      amount,
+      currency: 'usd',
+      capture_method: 'manual',
+      payment_method: paymentMethod,
+      confirm
+    });
+    const payment = await paymentQueries.createPayment({
+      transactionId: transaction.id,
+      stripePaymentIntentId: paymentIntent.id,
+      amount
+    });
+    return { payment, paymentIntent };
+  }
+
+  async function paymentStatuses(transaction) {
+    const payments = await paymentQueries.getPaymentsByTransactionId(SYSTEM_SCOPE, transaction.id);
+    return Object.fromEntries(payments.map(p => [p.stripe_payment_intent_id, p.status]));
+  }
+
+  it('completes a paid checkout that had a card removed from the split', async () => {
+    const transaction = await createStuckTransaction(10000);
+
+    // Removed in the widget: PaymentIntent cancelled, payment still pending
+    const removed = await addCard(transaction, 2500, { confirm: false });
+    await provider.cancelPaymentIntent(removed.paymentIntent.id);
+
+    const first = await addCard(transaction, 6000);
+    const second = await addCard(transaction, 4000);
+    await paymentQueries.updatePaymentStatus(first.payment.id, 'authorized');
+    await paymentQueries.updatePaymentStatus(second.payment.id, 'authorized');
+
+    // Crashed after capturing one card
+    await provider.capturePaymentIntent(first.paymentIntent.id);
+
+    assert.equal(await reconcileTransaction(transaction), 'complete');
+
+    const updated = await transactionQueries.getTransactionById(SYSTEM_SCOPE, transaction.id);
+    assert.equal(updated.status, 'completed');
+
+    const statuses = await paymentStatuses(transaction);
+    assert.equal(statuses[first.paymentIntent.id], 'captured');
+    assert.equal(statuses[second.paymentIntent.id], 'captured');
+    assert.equal(statuses[removed.paymentIntent.id], 'pending');
+    assert.equal(provider.paymentIntents.get(second.paymentIntent.id).status, 'succeeded');
+  });
+
+  it('completes a paid checkout whose declined card was replaced', async () => {
+    const transaction = await createStuckTransaction(10000);
+
+    const declined = await addCard(transaction, 5000, { confirm: false, paymentMethod: 'pm_card_chargeDeclined' });
+    await assert.rejects(provider.confirmPaymentIntent(declined.paymentIntent.id));
+    await paymentQueries.updatePaymentStatus(declined.payment.id, 'failed', 'card_declined', 'Your card was declined.');
+
+    const held = await addCard(transaction, 5000);
+    const replacement = await addCard(transaction, 5000);
+    await paymentQueries.updatePaymentStatus(held.payment.id, 'authorized');
+    await paymentQueries.updatePaymentStatus(replacement.payment.id, 'authorized');
+
+    assert.equal(await reconcileTransaction(transaction), 'complete');
+
+    const updated = await transactionQueries.getTransactionById(SYSTEM_SCOPE, transaction.id);
+    assert.equal(updated.status, 'completed');
+
+    const statuses = await paymentStatuses(transaction);
+    assert.equal(statuses[held.paymentIntent.id], 'captured');
+    assert.equal(statuses[replacement.paymentIntent.id], 'captured');
+    assert.equal(statuses[declined.paymentIntent.id], 'failed');
+  });
+
+  it('rolls back when a submitted card never authorized', async () => {
+    const transaction = await createStuckTransaction(10000);
+
+    const authorized = await addCard(transaction, 6000);
+    const unconfirmed = await addCard(transaction, 4000, { confirm: false });
+    await paymentQueries.updatePaymentStatus(authorized.payment.id, 'authorized');
+
+    assert.equal(await reconcileTransaction(transaction), 'rollback');
+
+    const updated = await transactionQueries.getTransactionById(SYSTEM_SCOPE, transaction.id);
+    assert.equal(updated.status, 'failed');
+
+    const statuses = await paymentStatuses(transaction);
+    assert.equal(statuses[authorized.paymentIntent.id], 'voided');
+    assert.equal(statuses[unconfirmed.paymentIntent.id], 'voided');
+    assert.equal(provider.paymentIntents.get(authorized.paymentIntent.id).status, 'canceled');
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { skipWithoutDatabase, resetDatabase, createTestStore, closePool } from '../helpers/db.js';
+import { FakeProvider } from '../../server/providers/fakeProvider.js';
+import { setPaymentProvider } from '../../server/providers/index.js';
+import * as transactionQueries from '../../server/db/queries/transactions.js';
+import * as paymentQueries from '../../server/db/queries/payments.js';
+import * as refundQueries from '../../server/db/queries/refunds.js';
+import { SYSTEM_SCOPE } from '../../server/db/scope.js';
+import { processRefund } from '../../server/services/refundService.js';
+
+describe('processRefund', { skip: skipWithoutDatabase }, () => {
+  const provider = new FakeProvider();
+  let store;
+
+  before(async () => {
+    setPaymentProvider(provider);
+    await resetDatabase();
+    store = await createTestStore();
+  });
+
+  after(async () => {
+    setPaymentProvider(null);
+    await closePool();
+  });
+
+  /**
+   * A completed $100.00 split: $60.00 and $40.00 captured, plus a $40.00
+   * card that was declined and replaced
+   */
+  async function createCompletedSplit() {
+    const transaction = await transactionQueries.createTransaction({
+      storeId: store.id,
+      shopifyCheckoutToken: `checkout-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      totalAmount: 10000,
+      currency: 'USD'
+    });
+
+    async function addCard(amount, paymentMethod) {
+      const paymentIntent = await provider.createPaymentIntent({
+        amount,
+        currency: 'usd',
+        capture_method: 'manual',
+        payment_method: paymentMethod
+      });
+      const payment = await paymentQueries.createPayment({
+        transactionId: transaction.id,
+        stripePaymentIntentId: paymentIntent.id,
+        amount
+      });
+
+      if (paymentMethod === 'pm_card_chargeDeclined') {
+        await assert.rejects(provider.confirmPaymentIntent(paymentIntent.id));
+        return paymentQueries.updatePaymentStatus(payment.id, 'failed', 'card_declined', 'Your card was declined.');
+      }
+
+      await provider.confirmPaymentIntent(paymentIntent.id);
+      await provider.capturePaymentIntent(paymentIntent.id);
+      await paymentQueries.updatePaymentStatus(payment.id, 'authorized');
+      return paymentQueries.updatePaymentStatus(payment.id, 'captured');
+    }
+
+    const declined = await addCard(4000, 'pm_card_chargeDeclined');
+    const first = await addCard(6000, 'pm_card_visa');
+    const second = await addCard(4000, 'pm_card_visa');
+
+    await transactionQueries.updateTransactionStatus(transaction.id, 'processing');
+    await transactionQueries.updateTransactionStatus(transaction.id, 'completed');
+
+    return { transaction, declined, first, second };
+  }
+
+  function refundedByPayment(result) {
+    return Object.fromEntries(result.refunds.map(r => [r.paymentId, r.amount]));
+  }
+
+  it('refunds only the captured cards', async () => {
+    const { transaction, declined, first, second } = await createCompletedSplit();
+
+    const result = await processRefund({ scope: SYSTEM_SCOPE, transactionId: transaction.id, refundAmount: 10000 });
+
+    assert.equal(result.success, true);
+    assert.equal(result.transactionStatus, 'refunded');
+    assert.deepEqual(refundedByPayment(result), { [first.id]: 6000, [second.id]: 4000 });
+    assert.equal(refundedByPayment(result)[declined.id], undefined);
+  });
+
+  it('caps each share at what is left on its card', async () => {
+    const { transaction, first, second } = await createCompletedSplit();
+
+    // $50.00 of the first card was refunded on its own earlier
+    await refundQueries.createRefund({
+      transactionId: transaction.id,
+      paymentId: first.id,
+      amount: 5000,
+      reason: 'requested_by_customer',
+      status: 'succeeded'
+    });
+    await transactionQueries.updateTransactionStatus(transaction.id, 'partially_refunded');
+
+    const result = await processRefund({ scope: SYSTEM_SCOPE, transactionId: transaction.id, refundAmount: 5000 });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(refundedByPayment(result), { [first.id]: 1000, [second.id]: 4000 });
+    assert.equal(result.totalRefunded, 10000);
+    assert.equal(result.transactionStatus, 'refunded');
+  });
+
+  it('sets the status from the refunds that went through', async () => {
+    const { transaction, first } = await createCompletedSplit();
+
+    // The first card's money was already returned outside the app
+    await provider.createRefund({ payment_intent: first.stripe_payment_intent_id });
+
+    const result = await processRefund({ scope: SYSTEM_SCOPE, transactionId: transaction.id, refundAmount: 10000 });
+
+    assert.equal(result.success, false);
+    assert.equal(result.totalRefunded, 4000);
+    assert.equal(result.transactionStatus, 'partially_refunded');
+
+    const updated = await transactionQueries.getTransactionById(SYSTEM_SCOPE, transaction.id);
+    assert.equal(updated.status, 'partially_refunded');
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { skipWithoutDatabase, resetDatabase, createTestStore, query, closePool } from '../helpers/db.js';
+import { FakeProvider } from '../../server/providers/fakeProvider.js';
+import { setPaymentProvider } from '../../server/providers/index.js';
+import * as transactionQueries from '../../server/db/queries/transactions.js';
+import * as paymentQueries from '../../server/db/queries/payments.js';
+import { SYSTEM_SCOPE } from '../../server/db/scope.js';
+import * as sessionService from '../../server/services/sessionService.js';
+
+/**
+ * Fake provider whose cancels can be made to time out
+ */
+class FlakyProvider extends FakeProvider {
+  async cancelPaymentIntent(paymentIntentId, options) {
+    if (this.failCancels) {
+      const error = new Error('Request timed out (fake provider)');
+      error.type = 'StripeConnectionError';
+      throw error;
+    }
+    return super.cancelPaymentIntent(paymentIntentId, options);
+  }
+}
+
+describe('sweepExpiredSessions', { skip: skipWithoutDatabase }, () => {
+  const provider = new FlakyProvider();
+  let store;
+
+  before(async () => {
+    process.env.WIDGET_SESSION_SECRET ||= 'test-widget-session-secret';
+    setPaymentProvider(provider);
+    await resetDatabase();
+    store = await createTestStore();
+  });
+
+  after(async () => {
+    setPaymentProvider(null);
+    await closePool();
+  });
+
+  /**
+   * A session past its expiry holding one unconfirmed card
+   */
+  async function createExpiredSession() {
+    const transaction = await transactionQueries.createTransaction({
+      storeId: store.id,
+      shopifyCheckoutToken: `checkout-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      totalAmount: 5000,
+      currency: 'USD'
+    });
+    const session = await sessionService.createSession({
+      storeId: store.id,
+      transactionId: transaction.id,
+      shopDomain: store.shop_domain,
+      checkoutToken: transaction.shopify_checkout_token
+    });
+
+    const paymentIntent = await provider.createPaymentIntent({ amount: 5000, currency: 'usd', capture_method: 'manual' });
+    const payment = await paymentQueries.createPayment({
+      transactionId: transaction.id,
+      stripePaymentIntentId: paymentIntent.id,
+      amount: 5000
+    });
+    await sessionService.addPayment(session.id, { paymentId: payment.id, paymentIntentId: paymentIntent.id, amount: 5000 }, 5);
+
+    await query(
+      `UPDATE widget_sessions SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE id = $1`,
+      [session.id]
+    );
+
+    return { session, payment, paymentIntent };
+  }
+
+  async function getSessionRow(sessionId) {
+    const result = await query('SELECT * FROM widget_sessions WHERE id = $1', [sessionId]);
+    return result.rows[0];
+  }
+
+  it('keeps a session whose cancel failed until a later sweep cancels it', async () => {
+    const { session, payment, paymentIntent } = await createExpiredSession();
+
+    provider.failCancels = true;
+    assert.equal(await sessionService.sweepExpiredSessions(), 0);
+
+    let row = await getSessionRow(session.id);
+    assert.equal(row.status, 'active');
+    assert.ok(row.sweeping_until > new Date());
+    assert.equal(provider.paymentIntents.get(paymentIntent.id).status, 'requires_payment_method');
+
+    // Leased to the failed sweep, so the next one leaves it alone
+    provider.failCancels = false;
+    assert.equal(await sessionService.sweepExpiredSessions(), 0);
+    assert.equal((await getSessionRow(session.id)).status, 'active');
+
+    await query(
+      `UPDATE widget_sessions SET sweeping_until = CURRENT_TIMESTAMP - INTERVAL '1 second' WHERE id = $1`,
+      [session.id]
+    );
+    assert.equal(await sessionService.sweepExpiredSessions(), 1);
+
+    row = await getSessionRow(session.id);
+    assert.equal(row.status, 'expired');
+    assert.equal(provider.paymentIntents.get(paymentIntent.id).status, 'canceled');
+    assert.equal((await paymentQueries.getPaymentById(SYSTEM_SCOPE, payment.id)).status, 'voided');
+  });
+
+  it('leaves a transaction awaiting a replacement card to its deadline', async () => {
+    const { session, payment, paymentIntent } = await createExpiredSession();
+
+    await provider.confirmPaymentIntent(paymentIntent.id, { payment_method: 'pm_card_visa' });
+    await paymentQueries.updatePaymentStatus(payment.id, 'authorized');
+    await transactionQueries.updateTransactionStatus(session.transactionId, 'processing');
+    await transactionQueries.updateTransactionStatus(session.transactionId, 'awaiting_replacement');
+
+    assert.equal(await sessionService.sweepExpiredSessions(), 1);
+
+    assert.equal((await getSessionRow(session.id)).status, 'expired');
+    assert.equal((await transactionQueries.getTransactionById(SYSTEM_SCOPE, session.transactionId)).status, 'awaiting_replacement');
+    assert.equal((await paymentQueries.getPaymentById(SYSTEM_SCOPE, payment.id)).status, 'authorized');
+    assert.equal(provider.paymentIntents.get(paymentIntent.id).status, 'requires_capture');
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { skipWithoutDatabase, resetDatabase, createTestStore, closePool } from '../helpers/db.js';
+import * as transactionQueries from '../../server/db/queries/transactions.js';
+import * as paymentQueries from '../../server/db/queries/payments.js';
+import * as refundQueries from '../../server/db/queries/refunds.js';
+import { SYSTEM_SCOPE } from '../../server/db/scope.js';
+import { handleStripeEvent } from '../../server/services/stripeWebhookService.js';
+
+describe('charge.refunded', { skip: skipWithoutDatabase }, () => {
+  let store;
+
+  before(async () => {
+    await resetDatabase();
+    store = await createTestStore();
+  });
+
+  after(async () => {
+    await closePool();
+  });
+
+  /**
+   * A captured card with two refunds made here, both still pending at Stripe
+   */
+  async function createPendingRefunds() {
+    const transaction = await transactionQueries.createTransaction({
+      storeId: store.id,
+      shopifyCheckoutToken: `checkout-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      totalAmount: 10000,
+      currency: 'USD'
+    });
+    const payment = await paymentQueries.createPayment({
+      transactionId: transaction.id,
+      stripePaymentIntentId: `pi_${transaction.id}`,
+      amount: 10000
+    });
+
+    const refunds = [];
+    for (const amount of [3000, 2000]) {
+      const refund = await refundQueries.createRefund({
+        transactionId: transaction.id,
+        paymentId: payment.id,
+        amount,
+        reason: 'requested_by_customer',
+        status: 'pending'
+      });
+      await refundQueries.updateRefundStripeResult(refund.id, `re_${refund.id}`, 'pending');
+      refunds.push(refund);
+    }
+
+    return { payment, refunds };
+  }
+
+  async function getStatus(refund) {
+    return (await refundQueries.getRefundByStripeRefundId(SYSTEM_SCOPE, `re_${refund.id}`)).status;
+  }
+
+  it('settles each refund listed on the charge by its refund ID', async () => {
+    const { payment, refunds: [settled, declined] } = await createPendingRefunds();
+
+    const handled = await handleStripeEvent({
+      id: 'evt_charge_refunded',
+      type: 'charge.refunded',
+      data: {
+        object: {
+          id: 'ch_refunded',
+          object: 'charge',
+          payment_intent: payment.stripe_payment_intent_id,
+          refunds: {
+            object: 'list',
+            data: [
+              { id: `re_${settled.id}`, object: 'refund', amount: 3000, status: 'succeeded' },
+              { id: `re_${declined.id}`, object: 'refund', amount: 2000, status: 'failed', failure_reason: 'expired_or_canceled_card' },
+              { id: 're_from_dashboard', object: 'refund', amount: 1000, status: 'succeeded' }
+            ]
+          }
+        }
+      }
+    });
+
+    assert.equal(handled, true);
+    assert.equal(await getStatus(settled), 'succeeded');
+    assert.equal(await getStatus(declined), 'failed');
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { skipWithoutDatabase, resetDatabase, closePool } from '../helpers/db.js';
+import { registerJobs } from '../../server/jobs/index.js';
+import { startJobRunner, stopJobRunner } from '../../server/workers/jobRunner.js';
+
+describe('startJobRunner', { skip: skipWithoutDatabase }, () => {
+  before(async () => {
+    registerJobs();
+    await resetDatabase();
+  });
+
+  after(async () => {
+    await stopJobRunner();
+    await closePool();
+  });
+
+  it('shares one start between calls made while starting', async () => {
+    const first = startJobRunner();
+    const second = startJobRunner();
+
+    assert.equal(first, second);
+    await first;
+    await stopJobRunner();
+  });
+
+  it('starts afresh once stopped', async () => {
+    const first = startJobRunner();
+    await first;
+    await stopJobRunner();
+
+    const again = startJobRunner();
+    assert.notEqual(again, first);
+    await again;
+    await stopJobRunner();
+  });
+});
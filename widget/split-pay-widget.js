@@ -11,18 +11,25 @@
     apiUrl: window.SPLIT_PAY_API_URL || 'https://your-app.railway.app/api/widget',
     stripePublicKey: window.SPLIT_PAY_STRIPE_KEY || '',
     maxCards: 5,
-    minAmount: 100, // $1.00 in cents
-    sessionTimeout: 30 * 60 * 1000 // 30 minutes
+    minAmount: 50, // In the currency's minor unit, overridden by the server
+    sessionTimeout: 30 * 60 * 1000 // 30 minutes, overridden by the server's session TTL
   };
 
+  // Each round re-submits checkout after the customer completes 3D Secure
+  const MAX_AUTHENTICATION_ROUNDS = 3;
+
   // State
   let state = {
     sessionId: null,
+    sessionToken: null,
     transactionId: null,
     totalAmount: 0,
     currency: 'USD',
+    currencyDecimals: 2, // Minor-unit decimals: 0 for JPY, 3 for KWD
+    amountStep: 1, // Three-decimal currencies only take multiples of 10
     payments: [],
     stripe: null,
+    stripeAccountId: null,
     elements: null,
     currentCardElement: null,
     isProcessing: false
@@ -45,9 +52,6 @@
         return;
       }
 
-      // Initialize Stripe
-      state.stripe = Stripe(CONFIG.stripePublicKey);
-
       // Get checkout data from Shopify
       const checkoutData = getCheckoutData();
       if (!checkoutData) {
@@ -58,9 +62,17 @@
       // Initialize session
       await initializeSession(checkoutData);
 
+      // Initialize Stripe - on the merchant's account when the store uses direct charges
+      state.stripe = state.stripeAccountId
+        ? Stripe(CONFIG.stripePublicKey, { stripeAccount: state.stripeAccountId })
+        : Stripe(CONFIG.stripePublicKey);
+
       // Inject widget UI
       injectWidget();
 
+      // Shipping, discounts and cart edits change what is owed
+      watchCheckoutChanges();
+
     } catch (error) {
       console.error('Error initializing widget:', error);
       showError('Failed to initialize split payment. Please refresh the page.');
@@ -75,8 +87,7 @@
     if (window.checkout) {
       return {
         shopDomain: window.checkout.shop || window.Shopify?.shop,
-        checkoutToken: window.checkout.token || window.Shopify?.checkout?.token,
-        totalPrice: window.checkout.total_price || window.Shopify?.checkout?.total_price
+        checkoutToken: window.checkout.token || window.Shopify?.checkout?.token
       };
     }
 
@@ -85,8 +96,7 @@
     if (shopMatch) {
       return {
         shopDomain: shopMatch[0],
-        checkoutToken: getCheckoutTokenFromPage(),
-        totalPrice: getTotalPriceFromPage()
+        checkoutToken: getCheckoutTokenFromPage()
       };
     }
 
@@ -107,25 +117,6 @@
     return null;
   }
 
-  /**
-   * Get total price from page
-   */
-  function getTotalPriceFromPage() {
-    const totalElement = document.querySelector('[data-checkout-total-price]') ||
-                        document.querySelector('.total-line__price') ||
-                        document.querySelector('.order-summary__section--total .order-summary__emphasis');
-    
-    if (totalElement) {
-      const text = totalElement.textContent || totalElement.innerText;
-      const match = text.match(/[\d,]+\.\d{2}/);
-      if (match) {
-        return parseFloat(match[0].replace(/,/g, '')) * 100; // Convert to cents
-      }
-    }
-
-    return 0;
-  }
-
   /**
    * Initialize widget session
    */
@@ -149,17 +140,19 @@
       }
 
       state.sessionId = data.sessionId;
+      state.sessionToken = data.sessionToken;
       state.transactionId = data.transactionId;
-      state.totalAmount = data.totalAmount || checkoutData.totalPrice;
-      state.currency = data.currency || 'USD';
+      state.stripeAccountId = data.stripeAccountId || null;
+      applyCheckoutTotals(data);
       CONFIG.maxCards = data.maxCards || CONFIG.maxCards;
-      CONFIG.minAmount = data.minAmount || CONFIG.minAmount;
+      CONFIG.sessionTimeout = data.sessionTimeout || CONFIG.sessionTimeout;
 
       // Set session timeout
       setTimeout(() => {
         if (state.sessionId) {
           console.warn('Session expired');
           state.sessionId = null;
+          state.sessionToken = null;
         }
       }, CONFIG.sessionTimeout);
 
@@ -169,6 +162,59 @@
     }
   }
 
+  /**
+   * Apply the total and currency the server fetched from Shopify
+   */
+  function applyCheckoutTotals(data) {
+    state.totalAmount = data.totalAmount;
+    state.currency = data.currency || 'USD';
+    state.currencyDecimals = data.currencyDecimals ?? 2;
+    state.amountStep = data.amountStep || 1;
+    CONFIG.minAmount = data.minAmount || CONFIG.minAmount;
+  }
+
+  /**
+   * Re-fetch the checkout total from the server
+   */
+  async function refreshTotal() {
+    if (!state.sessionId || state.isProcessing) return;
+
+    try {
+      const response = await fetch(`${CONFIG.apiUrl}/refresh-total`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          sessionToken: state.sessionToken
+        })
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error?.message || 'Failed to refresh total');
+      }
+
+      applyCheckoutTotals(data);
+
+      if (data.changed) {
+        renderWidget();
+        showInfo(`Your order total changed to ${formatCurrency(state.totalAmount)}.`);
+      }
+    } catch (error) {
+      console.error('Error refreshing total:', error);
+    }
+  }
+
+  /**
+   * Refresh the total whenever Shopify re-renders the checkout step
+   */
+  function watchCheckoutChanges() {
+    document.addEventListener('page:change', refreshTotal);
+    document.addEventListener('page:load', refreshTotal);
+  }
+
   /**
    * Inject widget UI into checkout
    */
@@ -249,7 +295,7 @@
           <span class="split-pay-card-number">**** ${payment.cardLastFour || '****'}</span>
           <span class="split-pay-card-amount">${formatCurrency(payment.amount)}</span>
         </div>
-        ${!state.isProcessing ? `
+        ${!state.isProcessing && !payment.held ? `
           <button class="split-pay-remove" data-payment-id="${payment.paymentIntentId}">
             Remove
           </button>
@@ -269,9 +315,9 @@
           <input 
             type="number" 
             id="split-pay-amount" 
-            min="${CONFIG.minAmount / 100}" 
-            max="${getRemainingBalance() / 100}" 
-            step="0.01"
+            min="${fromMinorUnits(CONFIG.minAmount)}" 
+            max="${fromMinorUnits(getRemainingBalance())}" 
+            step="${fromMinorUnits(state.amountStep)}"
             placeholder="${formatCurrency(getRemainingBalance())}"
           />
         </div>
@@ -361,7 +407,7 @@
   async function addPaymentMethod() {
     try {
       const amountInput = document.getElementById('split-pay-amount');
-      const amount = parseFloat(amountInput.value) * 100; // Convert to cents
+      const amount = toMinorUnits(parseFloat(amountInput.value));
 
       // Validation
       if (isNaN(amount) || amount < CONFIG.minAmount) {
@@ -375,6 +421,11 @@
         return;
       }
 
+      if (amount % state.amountStep !== 0) {
+        showError(`Amount must be a multiple of ${formatCurrency(state.amountStep)}`);
+        return;
+      }
+
       if (state.payments.length >= CONFIG.maxCards) {
         showError(`Maximum ${CONFIG.maxCards} cards allowed`);
         return;
@@ -387,8 +438,8 @@
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
-          sessionId: state.sessionId,
-          amount: Math.round(amount)
+          sessionToken: state.sessionToken,
+          amount
         })
       });
 
@@ -448,7 +499,7 @@
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
-          sessionId: state.sessionId,
+          sessionToken: state.sessionToken,
           paymentIntentId
         })
       });
@@ -492,44 +543,29 @@
     renderWidget();
 
     try {
-      // Confirm all PaymentIntents
-      const confirmResults = await Promise.all(
-        state.payments.map(async (payment) => {
-          const result = await state.stripe.confirmCardPayment(payment.clientSecret, {
-            payment_method: payment.paymentMethodId
-          });
-
-          if (result.error) {
-            throw { payment, error: result.error };
-          }
-
-          return result;
-        })
-      );
+      // Server confirms every card; cards needing 3D Secure come back as actions
+      let data = await submitCheckout();
 
-      // All confirmed - send to backend
-      const response = await fetch(`${CONFIG.apiUrl}/complete-checkout`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          sessionId: state.sessionId,
-          payments: state.payments.map(p => ({
-            paymentIntentId: p.paymentIntentId,
-            paymentMethodId: p.paymentMethodId
-          }))
-        })
-      });
+      for (let attempt = 0; data.requiresAction && attempt < MAX_AUTHENTICATION_ROUNDS; attempt++) {
+        await handleCardActions(data.actions);
+        data = await submitCheckout();
+      }
 
-      const data = await response.json();
+      if (data.requiresAction) {
+        throw new Error('Card authentication was not completed');
+      }
 
-      if (!data.success) {
-        throw new Error(data.error?.message || 'Checkout failed');
+      // A card was declined but the others are still on hold - ask for a new card
+      if (data.replaceCard) {
+        handleDeclinedCards(data.replaceCard);
+        return;
       }
 
-      // Success - redirect to thank you page
-      showSuccess(`Payment successful! Order #${data.orderNumber}`);
+      // Success - redirect to thank you page. The order may still be
+      // being created in Shopify; the cards are charged either way.
+      showSuccess(data.orderPending
+        ? 'Payment successful! Your order confirmation will follow shortly.'
+        : `Payment successful! Order #${data.orderNumber}`);
       
       // Redirect after delay
       setTimeout(() => {
@@ -549,6 +585,87 @@
     }
   }
 
+  /**
+   * Send all payments to the backend for confirmation and capture
+   */
+  async function submitCheckout() {
+    const response = await fetch(`${CONFIG.apiUrl}/complete-checkout`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        sessionToken: state.sessionToken,
+        payments: state.payments.map(p => ({
+          paymentIntentId: p.paymentIntentId,
+          paymentMethodId: p.paymentMethodId,
+          amount: p.amount
+        }))
+      })
+    });
+
+    const data = await response.json();
+
+    if (data.replaceCard) {
+      return data;
+    }
+
+    // The cart changed since the cards were added - show the new total
+    if (data.error?.code === 'TOTAL_CHANGED' || data.error?.code === 'CURRENCY_CHANGED') {
+      state.isProcessing = false;
+      await refreshTotal();
+    }
+
+    if (!data.success) {
+      throw new Error(data.error?.message || 'Checkout failed');
+    }
+
+    return data;
+  }
+
+  /**
+   * Drop declined cards so the customer can add replacements
+   * The remaining cards are held on the server until the replaceBy deadline.
+   */
+  function handleDeclinedCards(replaceCard) {
+    const declinedIds = replaceCard.declined.map(d => d.paymentIntentId);
+    const declined = state.payments.filter(p => declinedIds.includes(p.paymentIntentId));
+
+    state.payments = state.payments
+      .filter(p => !declinedIds.includes(p.paymentIntentId))
+      .map(p => ({ ...p, held: true }));
+    state.isProcessing = false;
+    renderWidget();
+
+    const minutesLeft = Math.max(1, Math.round((new Date(replaceCard.replaceBy) - Date.now()) / 60000));
+    const cards = declined.map(p => `ending in ${p.cardLastFour}`).join(', ');
+
+    showInfo(
+      `Card ${cards} was declined: ${replaceCard.declined[0].message}. ` +
+      `Add another card for ${formatCurrency(getRemainingBalance())} within ${minutesLeft} minutes. ` +
+      `Your other cards are on hold and have not been charged.`
+    );
+  }
+
+  /**
+   * Run 3D Secure for each card that needs it, one at a time
+   * Cards that already authorized stay on hold on the server meanwhile.
+   */
+  async function handleCardActions(actions) {
+    for (const action of actions) {
+      const payment = state.payments.find(p => p.paymentIntentId === action.paymentIntentId);
+      if (payment) {
+        showInfo(`Confirming card ending in ${payment.cardLastFour}...`);
+      }
+
+      const result = await state.stripe.handleCardAction(action.clientSecret);
+
+      if (result.error) {
+        throw { payment: payment || { cardLastFour: '****' }, error: result.error };
+      }
+    }
+  }
+
   /**
    * Get remaining balance
    */
@@ -557,14 +674,30 @@
     return state.totalAmount - paid;
   }
 
+  /**
+   * Convert a major-unit amount typed by the customer to minor units
+   */
+  function toMinorUnits(amount) {
+    return Math.round(amount * Math.pow(10, state.currencyDecimals));
+  }
+
+  /**
+   * Convert minor units to a major-unit amount
+   */
+  function fromMinorUnits(amount) {
+    return amount / Math.pow(10, state.currencyDecimals);
+  }
+
   /**
    * Format currency
    */
-  function formatCurrency(cents) {
+  function formatCurrency(amount) {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: state.currency
-    }).format(cents / 100);
+      currency: state.currency,
+      minimumFractionDigits: state.currencyDecimals,
+      maximumFractionDigits: state.currencyDecimals
+    }).format(fromMinorUnits(amount));
   }
 
   /**
@@ -580,6 +713,16 @@
     }
   }
 
+  /**
+   * Show info message
+   */
+  function showInfo(message) {
+    const messagesDiv = document.getElementById('split-pay-messages');
+    if (messagesDiv) {
+      messagesDiv.innerHTML = `<div class="split-pay-info">${message}</div>`;
+    }
+  }
+
   /**
    * Show success message
    */